@@ -0,0 +1,37 @@
+/**
+ * The programmatic API of Vuln4Real, for embedding the analysis in other Node.js tools:
+ *
+ *   const { analyze } = require('vuln4real');
+ *   const result = await analyze('path/to/project', { treeSource: 'lockfile', onProgress: event => console.log(event.key, event.status) });
+ *   console.log(result.paths.vulnerabilityExposure);
+ *
+ * analyze runs the pipeline on a project directory in memory and returns the outputs of the steps (see AnalysisResult in pipeline.js);
+ * constructPaths, simulateChanges and evaluatePolicy work on step outputs already in memory.
+ */
+
+const { analyze, STEPS } = require('./pipeline');
+const { constructPaths, DependencyType } = require('./process_pipe/step6');
+const { DependencyScope } = require('./process_pipe/step2');
+const { LagModel, DEFAULT_LAG_PARAMETERS } = require('./utils/lag_metrics');
+const { DEFAULT_SCORE_WEIGHTS } = require('./utils/exposure_score');
+const { ChangeType, parseChange, simulateChanges } = require('./simulation');
+const { createRegistryProvider } = require('./providers/registry');
+const { DEFAULT_POLICY, evaluatePolicy, readBaseline } = require('./policy');
+
+module.exports = {
+  analyze,
+  STEPS,
+  constructPaths,
+  DependencyType,
+  DependencyScope,
+  LagModel,
+  DEFAULT_LAG_PARAMETERS,
+  DEFAULT_SCORE_WEIGHTS,
+  ChangeType,
+  parseChange,
+  simulateChanges,
+  createRegistryProvider,
+  DEFAULT_POLICY,
+  evaluatePolicy,
+  readBaseline,
+};
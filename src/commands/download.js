@@ -0,0 +1,19 @@
+const { downloadLibrariesAndVersions } = require('../utils/library_extractor');
+
+/**
+ * Download the libraries listed in libraries.csv and the versions each row selects.
+ * @param options - The parsed command-line options (offline, cache-dir).
+ * @returns {Promise<number>} - The exit code: 1 if a row could not be processed or a version failed to download.
+ */
+exports.download = async function(options) {
+  const results = await downloadLibrariesAndVersions({ offline: options.offline, cacheDir: options['cache-dir'] });
+  const fetched = results.reduce((sum, result) => sum + result.fetched.length, 0);
+  const failed = results.filter(result => result.error || result.failed.length > 0);
+
+  console.log(`Fetched ${fetched} version(s) of ${results.length} librar${results.length === 1 ? 'y' : 'ies'}, ${failed.length} with errors.`);
+  for (const result of failed) {
+    const reasons = result.error ? [result.error] : result.failed.map(({ version, error }) => `${version}: ${error}`);
+    console.error(`  ${result.library}: ${reasons.join('; ')}`);
+  }
+  return failed.length > 0 ? 1 : 0;
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { outputBaseDir, getOutputDir, readStepOutput, selectVersions } = require('../pipeline');
+const { collectInstalledPackages, parseDependencyId } = require('../utils/dependency_tree');
+const { getVulnerableDependencyId, countPaths } = require('../process_pipe/step6');
+const { writeCsv } = require('../utils/csv_writer');
+const { LagModel } = require('../utils/lag_metrics');
+
+const DAY = 1000 * 60 * 60 * 24;
+
+const versionColumns = ['version', 'publishedAt', 'installedPackages', 'directDependencies', 'devOnlyPackages', 'withinProjectDependencies',
+  'laggingDependencies', 'meanTechnicalLagDays', 'vulnerableDependencies', 'vulnerabilities', 'exposedDependencies', 'paths',
+  'introduced', 'fixed', 'carriedOver', 'installedPackagesChange', 'laggingDependenciesChange'];
+const vulnerabilityColumns = ['package', 'advisory', 'severity', 'cvss', 'introducedIn', 'lastAffected', 'fixedIn',
+  'releases', 'exposedReleases', 'exposedDays', 'dependencyIds'];
+
+/**
+ * Sort version directory names in semver order, with names that are not versions last.
+ * @param versions - The version directory names, e.g. v1.2.3.
+ * @returns {string[]}
+ */
+function sortVersions(versions) {
+  const parse = version => semver.valid(version.replace(/^v/, ''));
+  return versions.slice().sort((a, b) => {
+    const [x, y] = [parse(a), parse(b)];
+    if (x && y) return semver.compare(x, y);
+    if (x || y) return x ? -1 : 1;
+    return a.localeCompare(b);
+  });
+}
+
+/**
+ * Collect the vulnerabilities of a version, keyed by package name and advisory so that a vulnerability
+ * carried over from one release to the next is recognised even when the vulnerable package was updated.
+ * @param vulnerabilitiesData - The step5 output.
+ * @param exposure - The vulnerabilityExposure of the step6 output, or null if step6 has not run.
+ * @returns {Map<string, Object>}
+ */
+function collectVulnerabilities(vulnerabilitiesData, exposure) {
+  const vulnerabilities = new Map();
+  for (const entry of vulnerabilitiesData) {
+    const id = getVulnerableDependencyId(entry);
+    const { name } = parseDependencyId(id);
+    for (const vuln of entry.vulnerabilities) {
+      const key = `${name} ${vuln.name}`;
+      if (!vulnerabilities.has(key)) {
+        vulnerabilities.set(key, { package: name, advisory: vuln.name, severity: vuln.severity, cvss: vuln.cvss, dependencyIds: [], exposed: false });
+      }
+      const vulnerability = vulnerabilities.get(key);
+      if (!vulnerability.dependencyIds.includes(id)) vulnerability.dependencyIds.push(id);
+      if (typeof vuln.cvss === 'number' && !(vulnerability.cvss >= vuln.cvss)) vulnerability.cvss = vuln.cvss;
+      if (exposure && (exposure[id] || exposure[name])) vulnerability.exposed = true;
+    }
+  }
+  return vulnerabilities;
+}
+
+/**
+ * Summarise the outputs of one version.
+ * @param library - The library name.
+ * @param version - The version directory name.
+ * @returns {{summary: Object, vulnerabilities: Map<string, Object>|null}}
+ */
+function summarizeVersion(library, version) {
+  const outputDir = getOutputDir(library, version);
+  const [step1, step2, step3, step4, step5, step6] = [1, 2, 3, 4, 5, 6].map(n => readStepOutput(outputDir, `step${n}`));
+
+  const summary = { version, publishedAt: null };
+  if (step4 && step4.analysisDateSource === 'release') summary.publishedAt = step4.analysisDate;
+  summary.installedPackages = step1 ? collectInstalledPackages(step1).size : null;
+  summary.directDependencies = step1 ? Object.keys(step1.dependencies || {}).length : null;
+  summary.devOnlyPackages = step2 && step2.summary ? step2.summary['dev-only'] : null;
+  summary.withinProjectDependencies = step3 ? (Array.isArray(step3) ? step3 : Object.keys(step3.withinProjectDependencies || {})).length : null;
+  summary.laggingDependencies = step4 ? Object.keys(step4.laggingDependencies || {}).length : null;
+
+  const technicalLags = step4 && step4.lagMetrics
+    ? Object.values(step4.lagMetrics).map(metrics => metrics[LagModel.TECHNICAL]).filter(Boolean).map(technical => technical.days)
+    : [];
+  summary.meanTechnicalLagDays = technicalLags.length > 0 ? Math.round(technicalLags.reduce((sum, days) => sum + days, 0) / technicalLags.length) : null;
+
+  const vulnerabilities = step5 ? collectVulnerabilities(step5, step6 ? step6.vulnerabilityExposure || {} : null) : null;
+  summary.vulnerableDependencies = step5 ? new Set(step5.map(getVulnerableDependencyId)).size : null;
+  summary.vulnerabilities = vulnerabilities ? vulnerabilities.size : null;
+  summary.exposedDependencies = step6 ? Object.keys(step6.vulnerabilityExposure || {}).length : null;
+  summary.paths = step6 ? countPaths(step6) : null;
+  return { summary, vulnerabilities };
+}
+
+/**
+ * Count the days between two publish dates.
+ * @param from - The ISO date of the first release.
+ * @param to - The ISO date of the last release.
+ * @returns {number|null} - null if either date is unknown.
+ */
+function daysBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.round((new Date(to) - new Date(from)) / DAY);
+}
+
+/**
+ * Build the evolution of a library over its versions in semver order.
+ * Versions without a step5 output are left out of the vulnerability timeline, which compares each version
+ * with the previous version that has one.
+ * @param library - The library name.
+ * @param versions - The version directory names.
+ * @returns {{library: string, versions: Array, vulnerabilities: Array}}
+ */
+function buildEvolution(library, versions) {
+  const timeline = [];
+  const episodes = [];
+  const open = new Map();
+  let previous = null;
+  let previousSummary = null;
+
+  for (const version of sortVersions(versions)) {
+    const { summary, vulnerabilities } = summarizeVersion(library, version);
+    if (previousSummary) {
+      const change = (field) => summary[field] !== null && previousSummary[field] !== null ? summary[field] - previousSummary[field] : null;
+      summary.installedPackagesChange = change('installedPackages');
+      summary.laggingDependenciesChange = change('laggingDependencies');
+    }
+    previousSummary = summary;
+
+    if (!vulnerabilities) {
+      timeline.push({ ...summary, introduced: null, fixed: null, carriedOver: null });
+      continue;
+    }
+
+    const introduced = Array.from(vulnerabilities.keys()).filter(key => !previous || !previous.has(key));
+    const carriedOver = Array.from(vulnerabilities.keys()).filter(key => previous && previous.has(key));
+    const fixed = previous ? Array.from(previous.keys()).filter(key => !vulnerabilities.has(key)) : [];
+
+    for (const key of fixed) {
+      const episode = open.get(key);
+      episode.fixedIn = version;
+      episode.fixedAt = summary.publishedAt;
+      open.delete(key);
+    }
+    for (const [key, vulnerability] of vulnerabilities) {
+      if (!open.has(key)) {
+        const episode = { package: vulnerability.package, advisory: vulnerability.advisory, severity: vulnerability.severity, cvss: vulnerability.cvss,
+          introducedIn: version, lastAffected: version, fixedIn: null, releases: 0, exposedReleases: 0, dependencyIds: [], exposedSince: null, exposedUntil: null };
+        open.set(key, episode);
+        episodes.push(episode);
+      }
+      const episode = open.get(key);
+      episode.lastAffected = version;
+      episode.releases++;
+      vulnerability.dependencyIds.forEach(id => { if (!episode.dependencyIds.includes(id)) episode.dependencyIds.push(id); });
+      if (vulnerability.exposed) {
+        episode.exposedReleases++;
+        if (!episode.exposedSince) episode.exposedSince = summary.publishedAt;
+        episode.exposedUntil = summary.publishedAt;
+      }
+    }
+
+    timeline.push({
+      ...summary,
+      introduced: introduced.length,
+      fixed: fixed.length,
+      carriedOver: carriedOver.length,
+      changes: { introduced, fixed, carriedOver },
+    });
+    previous = vulnerabilities;
+  }
+
+  // An exposure lasts until the release that fixes it, or until the last exposed release if it is still open
+  for (const episode of episodes) {
+    episode.exposedDays = episode.exposedReleases > 0 ? daysBetween(episode.exposedSince, episode.fixedAt || episode.exposedUntil) : 0;
+    delete episode.exposedSince;
+    delete episode.exposedUntil;
+    delete episode.fixedAt;
+  }
+  return { library, versions: timeline, vulnerabilities: episodes };
+}
+
+/**
+ * Compare the outputs of every version of the selected libraries: the vulnerabilities introduced, fixed or
+ * carried over by each release, how many releases (and days) each vulnerability stayed exposed, and how the
+ * dependency counts and lag changed. The results are written to output/<library>_output/ as evolution.json,
+ * evolution_versions.csv and evolution_vulnerabilities.csv.
+ * @param options - The parsed command-line options.
+ * @returns {Promise<number>} - The exit code.
+ */
+exports.evolution = async function(options) {
+  const selected = selectVersions(outputBaseDir, { libraries: options.library, versions: options.versions }, '_output');
+  const libraries = {};
+  for (const { library, version } of selected) {
+    (libraries[library] || (libraries[library] = [])).push(version);
+  }
+
+  if (Object.keys(libraries).length === 0) {
+    console.error('No scanned versions found for the selection.');
+    return 1;
+  }
+
+  for (const [library, versions] of Object.entries(libraries)) {
+    const evolution = buildEvolution(library, versions);
+    const libraryDir = path.dirname(getOutputDir(library, versions[0]));
+    fs.writeFileSync(path.join(libraryDir, 'evolution.json'), JSON.stringify(evolution, null, 2));
+    writeCsv(path.join(libraryDir, 'evolution_versions.csv'), versionColumns, evolution.versions);
+    writeCsv(path.join(libraryDir, 'evolution_vulnerabilities.csv'), vulnerabilityColumns, evolution.vulnerabilities);
+
+    console.log(`${library}: ${evolution.versions.length} version(s), ${evolution.vulnerabilities.length} vulnerability episode(s)`);
+    for (const entry of evolution.versions) {
+      const changes = entry.introduced === null ? 'no step5 output' : `+${entry.introduced} -${entry.fixed} =${entry.carriedOver}`;
+      console.log(`  ${entry.version}: ${changes}, ${entry.installedPackages === null ? '?' : entry.installedPackages} package(s), ${entry.laggingDependencies === null ? '?' : entry.laggingDependencies} lagging`);
+    }
+    console.log(`  Written to ${path.join(libraryDir, 'evolution.json')}`);
+  }
+  return 0;
+};
+exports.buildEvolution = buildEvolution;
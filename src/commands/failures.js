@@ -0,0 +1,48 @@
+const { outputBaseDir, getOutputDir, selectVersions } = require('../pipeline');
+const { readRunLog, buildFailureReport } = require('../utils/run_log');
+
+/**
+ * Print the failure counts per category and step, followed by every failed version.
+ * @param report - The report built by buildFailureReport.
+ */
+function printFailureReport(report) {
+  console.log(`${report.failed} of ${report.total} version(s) failed`);
+  for (const [category, count] of Object.entries(report.byCategory).sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${category}: ${count}`);
+  }
+  for (const [step, count] of Object.entries(report.byStep).sort((a, b) => b[1] - a[1])) {
+    console.log(`  failed at ${step}: ${count}`);
+  }
+  for (const failure of report.failures) {
+    console.error(`  ${failure.library}@${failure.version}: ${failure.category} at ${failure.step || 'unknown step'}${failure.error ? ` (${failure.error})` : ''}`);
+  }
+}
+
+/**
+ * Aggregate the run logs of the selected library versions, to see how many versions dropped out of the study and why.
+ * Versions that were never scanned since run logs exist are counted separately.
+ * @param options - The parsed command-line options.
+ * @returns {Promise<number>} - The exit code.
+ */
+exports.failures = async function(options) {
+  const selected = selectVersions(outputBaseDir, { libraries: options.library, versions: options.versions }, '_output');
+  const runLogs = [];
+  let withoutRunLog = 0;
+
+  for (const { library, version } of selected) {
+    const runLog = readRunLog(getOutputDir(library, version));
+    if (runLog) runLogs.push(runLog);
+    else withoutRunLog++;
+  }
+
+  if (runLogs.length === 0) {
+    console.error('No run.json found for the selection.');
+    return 1;
+  }
+
+  printFailureReport(buildFailureReport(runLogs));
+  if (withoutRunLog > 0) console.log(`${withoutRunLog} version(s) have no run.json yet`);
+  return 0;
+};
+
+exports.printFailureReport = printFailureReport;
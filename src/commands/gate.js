@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const { outputBaseDir, getOutputDir, readStepOutput, resolveLocalProject, selectVersions } = require('../pipeline');
+const { DEFAULT_POLICY, readBaseline, evaluatePolicy } = require('../policy');
+
+/**
+ * Shorten the name of an advisory for the console: Dependency-Check names some advisories by their whole description.
+ * @param name - The advisory name.
+ * @returns {string}
+ */
+function shortenAdvisory(name) {
+  const line = name.split('\n')[0];
+  return line.length > 80 ? `${line.slice(0, 77)}...` : line;
+}
+
+/**
+ * Print the outcome of the gate for one version.
+ * @param library - The library name.
+ * @param version - The version directory name.
+ * @param result - The result of evaluatePolicy.
+ */
+function printGateResult(library, version, result) {
+  console.log(`${library}@${version}: ${result.passed ? 'passed' : `failed, ${result.violations.length} violation(s)`}`);
+  for (const violation of result.violations) {
+    const cvss = violation.cvss === null ? 'unknown CVSS' : `CVSS ${violation.cvss}`;
+    const lag = violation.lagDays === null ? '' : `, ${violation.lagDays} day(s) behind`;
+    console.log(`  ${violation.dependency} ${shortenAdvisory(violation.advisory)} (${cvss}${lag}, breaks ${violation.rules.join(', ')}): ${violation.paths} path(s), e.g. ${violation.shortestPath.join(' > ')}`);
+  }
+  for (const { dependency, advisory, expires } of result.suppressed) {
+    console.log(`  Suppressed: ${dependency} ${shortenAdvisory(advisory)} until ${expires.slice(0, 10)}`);
+  }
+  for (const { id, expires } of result.expired) {
+    console.log(`  Expired suppression: ${id} (${expires.slice(0, 10)}), no longer applied`);
+  }
+}
+
+/**
+ * Check scanned library versions, or a scanned local project with --project, against a policy (--policy) and a
+ * baseline of accepted advisories (--baseline), and write gate.json next to the step outputs of each version.
+ * @param options - The parsed command-line options; options.gatePolicy holds the parsed policy file.
+ * @returns {Promise<number>} - The exit code: 0 if every version passed, 1 if any has violations or no step6 output.
+ */
+exports.gate = async function(options) {
+  const policy = { ...DEFAULT_POLICY, ...(options.gatePolicy || {}) };
+  const suppressions = options.baseline ? readBaseline(options.baseline) : [];
+
+  let targets;
+  if (options.project) {
+    const { library, version } = resolveLocalProject(options.project);
+    targets = [{ library, version, outputDir: options.output ? path.resolve(options.output) : getOutputDir(library, version) }];
+  } else {
+    targets = selectVersions(outputBaseDir, { libraries: options.library, versions: options.versions }, '_output')
+      .map(({ library, version }) => ({ library, version, outputDir: getOutputDir(library, version) }));
+  }
+  if (targets.length === 0) {
+    console.error('No scanned library versions matched the selection.');
+    return 1;
+  }
+
+  let failed = 0;
+  for (const { library, version, outputDir } of targets) {
+    const report = readStepOutput(outputDir, 'step6');
+    if (!report) {
+      console.error(`${library}@${version}: no step6 output, scan the version first`);
+      failed++;
+      continue;
+    }
+    const result = evaluatePolicy({
+      report,
+      vulnerabilitiesData: readStepOutput(outputDir, 'step5') || [],
+      laggingDependenciesData: readStepOutput(outputDir, 'step4'),
+    }, policy, suppressions);
+    fs.writeFileSync(path.join(outputDir, 'gate.json'), JSON.stringify({ evaluatedAt: new Date().toISOString(), policy, ...result }, null, 2));
+    printGateResult(library, version, result);
+    if (!result.passed) failed++;
+  }
+  return failed > 0 ? 1 : 0;
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const { outputBaseDir, getOutputDir, readStepOutput, selectVersions } = require('../pipeline');
+const { countPaths } = require('../process_pipe/step6');
+const { getFormatter } = require('../formatters');
+
+/**
+ * Describe how an exposure score is made up, e.g. "severity 3.9 + proximity 1.5 + lagging 1.5, x0.5 (fix in range)".
+ * @param exposureScore - The exposureScore of a step6 dependency.
+ * @returns {string}
+ */
+function describeScore(exposureScore) {
+  const contributions = Object.entries(exposureScore.components)
+    .filter(([, component]) => component.contribution > 0)
+    .map(([name, component]) => `${name} ${component.contribution}`);
+  const multiplier = exposureScore.fixInRange.applies ? `, x${exposureScore.fixInRange.multiplier} (fix in range)` : '';
+  return `${contributions.join(' + ') || 'nothing'}${multiplier}`;
+}
+
+/**
+ * Print the step6 report of a library version, the most exposed dependencies first.
+ * Older step6 outputs have no exposure scores and are ordered by their number of paths.
+ * @param library - The library name.
+ * @param version - The version directory name.
+ * @param report - The step6 output.
+ */
+function printReport(library, version, report) {
+  const scoreOf = dependency => report.dependencies[dependency] && report.dependencies[dependency].exposureScore;
+  const exposure = Object.entries(report.vulnerabilityExposure || {})
+    .sort((a, b) => ((scoreOf(b[0]) || {}).score || 0) - ((scoreOf(a[0]) || {}).score || 0) || b[1] - a[1]);
+
+  console.log(`${library}@${version}: ${countPaths(report)} path(s) to ${exposure.length} vulnerable dependencies`);
+  for (const [dependency, count] of exposure) {
+    const cvss = report.dependencies[dependency] ? report.dependencies[dependency].highestCvssScore : -1;
+    const score = scoreOf(dependency);
+    console.log(`  ${dependency} (${score ? `score ${score.score}, ` : ''}CVSS ${cvss}): ${count} path(s)`);
+    if (score) console.log(`    ${describeScore(score)}`);
+  }
+}
+
+/**
+ * Print the fix plan of step6b, the changes removing the most paths first.
+ * @param plan - The step6b output.
+ */
+function printFixPlan(plan) {
+  console.log(`  Fix plan (${plan.fixes.length} change(s), ${plan.unresolved.length} path(s) without a fix):`);
+  for (const fix of plan.fixes) {
+    const change = fix.kind === 'override' ? `override ${fix.package} to ${fix.to}` : `${fix.kind === 'in-range' ? 'update' : 'bump'} ${fix.package} ${fix.from.join(', ')} -> ${fix.to} (${fix.bump})`;
+    const within = fix.range ? `, within ${fix.range} of ${fix.parent || 'the project'}` : '';
+    console.log(`    ${fix.rank}. ${change}${within}: removes ${fix.paths} path(s), ${fix.vulnerabilities.join(', ')}`);
+  }
+}
+
+/**
+ * Print the step6 report of every selected library version, or with --format write it to report.<extension>
+ * in the output directory of each version.
+ * @param options - The parsed command-line options.
+ * @returns {Promise<number>} - The exit code.
+ */
+exports.report = async function(options) {
+  const selected = selectVersions(outputBaseDir, { libraries: options.library, versions: options.versions }, '_output');
+  const formatter = options.format === 'text' ? null : getFormatter(options.format);
+  let reported = 0;
+
+  for (const { library, version } of selected) {
+    const outputDir = getOutputDir(library, version);
+    const report = readStepOutput(outputDir, 'step6');
+    if (!report) continue;
+
+    if (formatter) {
+      const dependencyTree = readStepOutput(outputDir, 'step1') || { dependencies: {} };
+      const vulnerabilities = readStepOutput(outputDir, 'step5') || [];
+      const file = path.join(outputDir, `report.${formatter.extension}`);
+      fs.writeFileSync(file, formatter.render({ library, version, dependencyTree, report, vulnerabilities }));
+      console.log(`${library}@${version}: written to ${file}`);
+    } else {
+      printReport(library, version, report);
+      const plan = readStepOutput(outputDir, 'step6b');
+      if (plan) printFixPlan(plan);
+    }
+    reported++;
+  }
+
+  if (reported === 0) {
+    console.error('No step6 output found for the selection.');
+    return 1;
+  }
+  return 0;
+};
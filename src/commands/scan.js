@@ -0,0 +1,82 @@
+const path = require('path');
+const { processProjects, processLocalProject, outputBaseDir, failureReportFileName } = require('../pipeline');
+const { printFailureReport } = require('./failures');
+
+/**
+ * Get the pipeline options shared by library and local project scans.
+ * @param options - The parsed command-line options.
+ * @returns {Object}
+ */
+function getPipelineOptions(options) {
+  return {
+    fromStep: options['from-step'],
+    toStep: options['to-step'],
+    skipInstall: options['skip-install'],
+    force: options.force,
+    treeSource: options['tree-source'],
+    vulnerabilitySource: options['vuln-source'],
+    advisories: options.advisories,
+    reachability: options.reachability,
+    registrySource: options['registry-source'],
+    registry: options.registry,
+    // A local project is usually unpublished, so lagging is judged today unless a date is given
+    analysisDate: options['analysis-date'] || (options.project ? 'now' : 'release'),
+    lagModel: options['lag-model'],
+    lagParameters: options.lagParameters,
+    scoreWeights: options.scoreWeights,
+    exploitability: options.epss,
+    maxPaths: options['max-paths'],
+    remediation: options.remediation,
+  };
+}
+
+/**
+ * Run the analysis pipeline on a local project directory.
+ * @param options - The parsed command-line options.
+ * @returns {Promise<number>} - The exit code.
+ */
+async function scanProject(options) {
+  const { library, version, outputDir, succeeded, failureReport } = await processLocalProject(options.project, {
+    ...getPipelineOptions(options),
+    outputDir: options.output,
+  });
+
+  console.log(`Processed ${library}@${version}, outputs written to ${outputDir}`);
+  if (!succeeded) {
+    printFailureReport(failureReport);
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Run the analysis pipeline on the downloaded library versions, or on a local project with --project.
+ * @param options - The parsed command-line options.
+ * @returns {Promise<number>} - The exit code.
+ */
+exports.scan = async function(options) {
+  if (options.project) return scanProject(options);
+
+  const { processed, failed, failureReport } = await processProjects({
+    libraries: options.library,
+    versions: options.versions,
+    ...getPipelineOptions(options),
+    concurrency: options.concurrency,
+    cpuConcurrency: options['cpu-concurrency'],
+    networkConcurrency: options['network-concurrency'],
+    logDir: options['log-dir'],
+  });
+
+  if (processed === 0) {
+    console.error('No library versions matched the selection.');
+    return 1;
+  }
+
+  console.log(`Processed ${processed} library version(s), ${failed.length} failed.`);
+  if (failed.length > 0) {
+    printFailureReport(failureReport);
+    console.error(`Failure report written to ${path.join(outputBaseDir, failureReportFileName)}`);
+    return 1;
+  }
+  return 0;
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { projectsDir, outputBaseDir, getOutputDir, resolveLocalProject, selectVersions } = require('../pipeline');
+const { createRegistryProvider } = require('../providers/registry');
+const { ChangeType, parseChange, readSimulationInputs, simulateChanges } = require('../simulation');
+
+/**
+ * Parse the --upgrade, --override and --remove options.
+ * @param options - The parsed command-line options.
+ * @returns {Object[]} - The changes, in that order.
+ */
+function getChanges(options) {
+  return [ChangeType.UPGRADE, ChangeType.OVERRIDE, ChangeType.REMOVE]
+    .flatMap(type => (options[type] || []).map(spec => parseChange(type, spec)));
+}
+
+/**
+ * Describe a change, e.g. "override qs to 6.11".
+ * @param change - The change.
+ * @returns {string}
+ */
+function describeChange(change) {
+  if (change.type === ChangeType.REMOVE) return `remove ${change.name}`;
+  return `${change.type} ${change.name} to ${change.range}`;
+}
+
+/**
+ * Print the outcome of a simulation.
+ * @param library - The library name.
+ * @param version - The version directory name.
+ * @param simulation - The simulation returned by simulateChanges.
+ */
+function printSimulation(library, version, simulation) {
+  console.log(`${library}@${version}: ${simulation.changes.map(describeChange).join(', ')}`);
+  console.log(`  Packages: ${simulation.packages.added.length} added, ${simulation.packages.removed.length} removed`);
+  console.log(`  Vulnerable paths: ${simulation.paths.before} -> ${simulation.paths.after} (${simulation.paths.removed.length} removed, ${simulation.paths.added.length} added)`);
+  for (const { dependency, before, after } of simulation.exposure) {
+    console.log(`    ${dependency}: ${before} -> ${after} path(s)`);
+  }
+  console.log(`  Lagging dependencies: ${simulation.lagging.before} -> ${simulation.lagging.after}`);
+  simulation.lagging.added.forEach(id => console.log(`    + ${id}`));
+  simulation.lagging.removed.forEach(id => console.log(`    - ${id}`));
+  if (simulation.unscanned.length > 0) {
+    console.log(`  ${simulation.unscanned.length} added package(s) not scanned for vulnerabilities, pass --advisories to match them`);
+  }
+  simulation.problems.forEach(problem => console.log(`  Problem: ${problem}`));
+}
+
+/**
+ * Simulate upgrades, overrides and removals on scanned library versions, or on a scanned local project with --project,
+ * and write simulation.json next to the step outputs of each version.
+ * @param options - The parsed command-line options.
+ * @returns {Promise<number>} - The exit code.
+ */
+exports.simulate = async function(options) {
+  const changes = getChanges(options);
+  const registryProvider = createRegistryProvider(options['registry-source'], { registry: options.registry });
+  const simulationOptions = {
+    registryProvider,
+    advisories: options.advisories,
+    lagModel: options['lag-model'],
+    scoreWeights: options.scoreWeights,
+    exploitability: options.epss,
+    maxPaths: options['max-paths'],
+  };
+
+  let targets;
+  if (options.project) {
+    const { projectPath, library, version } = resolveLocalProject(options.project);
+    targets = [{ library, version, projectPath, outputDir: options.output ? path.resolve(options.output) : getOutputDir(library, version) }];
+  } else {
+    targets = selectVersions(outputBaseDir, { libraries: options.library, versions: options.versions }, '_output')
+      .map(({ library, version }) => ({ library, version, projectPath: path.join(projectsDir, library, version), outputDir: getOutputDir(library, version) }));
+  }
+  if (targets.length === 0) {
+    console.error('No scanned library versions matched the selection.');
+    return 1;
+  }
+
+  let failed = 0;
+  for (const { library, version, projectPath, outputDir } of targets) {
+    try {
+      const simulation = await simulateChanges(readSimulationInputs(projectPath, outputDir), changes, simulationOptions);
+      fs.writeFileSync(path.join(outputDir, 'simulation.json'), JSON.stringify(simulation, null, 2));
+      printSimulation(library, version, simulation);
+    } catch (error) {
+      console.error(`${library}@${version}: ${error.message}`);
+      failed++;
+    }
+  }
+  return failed > 0 ? 1 : 0;
+};
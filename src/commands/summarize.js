@@ -0,0 +1,193 @@
+const path = require('path');
+const fs = require('fs');
+const { outputBaseDir, getOutputDir, readStepOutput, selectVersions } = require('../pipeline');
+const { collectInstalledPackages, dependencyId } = require('../utils/dependency_tree');
+const { getVulnerableDependencyId, readDevelopmentClassification, isDevelopmentOnly, countPaths } = require('../process_pipe/step6');
+const { describe } = require('../utils/statistics');
+const { writeCsv } = require('../utils/csv_writer');
+
+const summaryFileName = 'summary.json';
+const topVulnerabilityCount = 10;
+
+// Metrics counted once per library version, and metrics pooled over the dependencies of every version
+const versionMetrics = ['dependencies', 'directDependencies', 'transitiveDependencies', 'deployedDependencies', 'devOnlyDependencies',
+  'devOnlyRatio', 'vulnerableDependencies', 'directVulnerable', 'transitiveVulnerable', 'devOnlyVulnerable', 'devOnlyVulnerableRatio',
+  'laggingDependencies', 'paths', 'exposedDependencies'];
+const dependencyMetrics = ['releaseIntervalDays', 'cvss', 'exposure'];
+const statisticsColumns = ['metric', 'count', 'mean', 'std', 'min', 'max', 'q25', 'median', 'q75'];
+
+/**
+ * Normalise a severity label, e.g. MODERATE and Medium both count as medium.
+ * @param severity - The severity reported by step5.
+ * @returns {string}
+ */
+function normalizeSeverity(severity) {
+  const normalized = String(severity || 'unknown').toLowerCase();
+  return normalized === 'moderate' ? 'medium' : normalized;
+}
+
+/**
+ * Compute the metrics of one scanned library version from its step outputs.
+ * Counts are over distinct installed packages (name@version) of the step1 tree; a count is null when the step it
+ * depends on has not run for the version.
+ * @param library - The library name.
+ * @param version - The version directory name.
+ * @returns {Object|null} - The metrics, or null if the version has no step1 output.
+ */
+function collectVersionMetrics(library, version) {
+  const outputDir = getOutputDir(library, version);
+  const [step1, step2, step4, step5, step6] = ['step1', 'step2', 'step4', 'step5', 'step6'].map(step => readStepOutput(outputDir, step));
+  if (!step1) return null;
+
+  const installed = collectInstalledPackages(step1);
+  const direct = new Set(Object.entries(step1.dependencies || {}).map(([name, node]) => dependencyId(name, node.version)));
+  const metrics = { library, version, dependencies: installed.size, directDependencies: direct.size, transitiveDependencies: installed.size - direct.size };
+
+  let devOnly = null;
+  if (step2) {
+    const devClassification = readDevelopmentClassification(step2);
+    devOnly = new Set(Array.from(installed).filter(([, { name, installPaths }]) => installPaths.every(installPath => isDevelopmentOnly(devClassification, name, installPath))).map(([id]) => id));
+  }
+  metrics.devOnlyDependencies = devOnly ? devOnly.size : null;
+  metrics.deployedDependencies = devOnly ? installed.size - devOnly.size : null;
+  metrics.devOnlyRatio = devOnly && installed.size > 0 ? devOnly.size / installed.size : null;
+
+  // The highest CVSS score of each vulnerable installed package, matched by name@version or by bare name
+  const highestCvss = new Map();
+  const severities = {};
+  const advisories = {};
+  for (const entry of step5 || []) {
+    const id = getVulnerableDependencyId(entry);
+    for (const vuln of entry.vulnerabilities) {
+      const severity = normalizeSeverity(vuln.severity);
+      severities[severity] = (severities[severity] || 0) + 1;
+      advisories[vuln.name] = (advisories[vuln.name] || 0) + 1;
+    }
+    const scores = entry.vulnerabilities.map(vuln => vuln.cvss).filter(score => typeof score === 'number');
+    for (const [installedId, { name }] of installed) {
+      if (id !== installedId && id !== name) continue;
+      highestCvss.set(installedId, Math.max(highestCvss.has(installedId) ? highestCvss.get(installedId) : -1, ...scores));
+    }
+  }
+  const vulnerable = Array.from(highestCvss.keys());
+  metrics.vulnerableDependencies = step5 ? vulnerable.length : null;
+  metrics.directVulnerable = step5 ? vulnerable.filter(id => direct.has(id)).length : null;
+  metrics.transitiveVulnerable = step5 ? metrics.vulnerableDependencies - metrics.directVulnerable : null;
+  metrics.devOnlyVulnerable = step5 && devOnly ? vulnerable.filter(id => devOnly.has(id)).length : null;
+  metrics.devOnlyVulnerableRatio = metrics.devOnlyVulnerable !== null && vulnerable.length > 0 ? metrics.devOnlyVulnerable / vulnerable.length : null;
+  metrics.laggingDependencies = step4 ? Object.keys(step4.laggingDependencies || {}).length : null;
+  metrics.paths = step6 ? countPaths(step6) : null;
+  metrics.exposedDependencies = step6 ? Object.keys(step6.vulnerabilityExposure || {}).length : null;
+
+  const releaseIntervals = step4 ? step4.releaseInterval || {} : {};
+  const names = new Set(Array.from(installed.values()).map(({ name }) => name));
+  const exposure = step6 ? step6.vulnerabilityExposure || {} : null;
+  return {
+    metrics,
+    releaseIntervalDays: Array.from(names).map(name => releaseIntervals[name]).filter(days => typeof days === 'number' && days !== -1),
+    cvss: Array.from(highestCvss.values()).filter(score => score !== -1),
+    exposure: exposure ? vulnerable.map(id => exposure[id] || exposure[installed.get(id).name] || 0) : [],
+    severities,
+    advisories,
+  };
+}
+
+/**
+ * Compute the corpus statistics of the selected library versions, the metrics analyzer.ipynb derives:
+ * direct and transitive dependency counts, vulnerable, development-only and lagging counts per version,
+ * and the release intervals, CVSS scores and exposure of the dependencies.
+ * @param selected - The { library, version } pairs to summarise.
+ * @returns {{summary: Object, versions: Object[]}} - The summary, and the metrics of every version with a step1 output.
+ */
+function buildSummary(selected) {
+  const versions = [];
+  const pooled = Object.fromEntries(dependencyMetrics.map(metric => [metric, []]));
+  const severities = {};
+  const advisories = {};
+  const skipped = [];
+
+  for (const { library, version } of selected) {
+    const collected = collectVersionMetrics(library, version);
+    if (!collected) {
+      skipped.push(`${library}@${version}`);
+      continue;
+    }
+    versions.push(collected.metrics);
+    dependencyMetrics.forEach(metric => pooled[metric].push(...collected[metric]));
+    Object.entries(collected.severities).forEach(([severity, count]) => severities[severity] = (severities[severity] || 0) + count);
+    Object.entries(collected.advisories).forEach(([name, count]) => advisories[name] = (advisories[name] || 0) + count);
+  }
+
+  const statistics = {};
+  versionMetrics.forEach(metric => statistics[metric] = describe(versions.map(entry => entry[metric])));
+  dependencyMetrics.forEach(metric => statistics[metric] = describe(pooled[metric]));
+
+  const summary = {
+    libraries: new Set(versions.map(entry => entry.library)).size,
+    versions: versions.length,
+    skipped,
+    statistics,
+    severities,
+    topVulnerabilities: Object.entries(advisories).sort((a, b) => b[1] - a[1]).slice(0, topVulnerabilityCount).map(([name, count]) => ({ name, count })),
+  };
+  return { summary, versions };
+}
+
+/**
+ * Format a statistic for the console.
+ * @param value - The statistic, or null.
+ * @returns {string}
+ */
+function formatStatistic(value) {
+  if (value === null) return '-';
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+/**
+ * Print aggregate counts of the step6 reports for each selected library, and write the corpus statistics of the
+ * selection to output/summary.json, with the statistics and the per-version metrics as CSV tables
+ * (summary_statistics.csv and summary_versions.csv).
+ * @param options - The parsed command-line options.
+ * @returns {Promise<number>} - The exit code.
+ */
+exports.summarize = async function(options) {
+  const selected = selectVersions(outputBaseDir, { libraries: options.library, versions: options.versions }, '_output');
+  const libraries = {};
+
+  for (const { library, version } of selected) {
+    const report = readStepOutput(getOutputDir(library, version), 'step6');
+    if (!report) continue;
+
+    const summary = libraries[library] || (libraries[library] = { versions: 0, paths: 0, vulnerable: new Set() });
+    summary.versions++;
+    summary.paths += countPaths(report);
+    Object.keys(report.vulnerabilityExposure || {}).forEach(dependency => summary.vulnerable.add(dependency));
+  }
+
+  const { summary, versions } = buildSummary(selected);
+  if (versions.length === 0) {
+    console.error('No step1 output found for the selection.');
+    return 1;
+  }
+
+  for (const [library, summary] of Object.entries(libraries)) {
+    console.log(`${library}: ${summary.versions} version(s), ${summary.paths} path(s), ${summary.vulnerable.size} distinct vulnerable dependencies`);
+  }
+
+  fs.writeFileSync(path.join(outputBaseDir, summaryFileName), JSON.stringify(summary, null, 2));
+  const statisticsRows = Object.entries(summary.statistics).map(([metric, statistics]) => ({ metric, ...statistics }));
+  writeCsv(path.join(outputBaseDir, 'summary_statistics.csv'), statisticsColumns, statisticsRows);
+  writeCsv(path.join(outputBaseDir, 'summary_versions.csv'), ['library', 'version'].concat(versionMetrics), versions);
+
+  console.log(`\n${summary.versions} version(s) of ${summary.libraries} librar${summary.libraries === 1 ? 'y' : 'ies'}${summary.skipped.length > 0 ? `, ${summary.skipped.length} without step1 output` : ''}`);
+  console.log(statisticsColumns.join('\t'));
+  for (const row of statisticsRows) {
+    console.log(statisticsColumns.map(column => column === 'metric' ? row.metric : formatStatistic(row[column])).join('\t'));
+  }
+  console.log(`Written to ${path.join(outputBaseDir, summaryFileName)}`);
+  return 0;
+};
+
+exports.buildSummary = buildSummary;
+exports.collectVersionMetrics = collectVersionMetrics;
+exports.summaryFileName = summaryFileName;
@@ -0,0 +1,123 @@
+/**
+ * CycloneDX 1.5 SBOM of a library version with VEX statements: every installed package of the step1 tree as a
+ * component, the dependency graph, and one vulnerability per advisory whose analysis says whether it affects the library.
+ */
+
+const crypto = require('crypto');
+const { collectInstalledPackages, dependencyId, walkDependencyTree } = require('../utils/dependency_tree');
+const { DependencyType } = require('../process_pipe/step6');
+const { FindingState, Justification, packageUrl, collectFindings } = require('./findings');
+
+// The CycloneDX justification of each Vuln4Real justification; the Vuln4Real one is kept in the analysis detail
+const cycloneDxJustifications = {
+  [Justification.DEVELOPMENT_ONLY]: 'code_not_present',
+  [Justification.UNREACHABLE]: 'code_not_reachable'
+};
+
+/**
+ * Get the CycloneDX rating method of a step5 vulnerability.
+ * @param vulnerability - The step5 vulnerability.
+ * @returns {string}
+ */
+function getRatingMethod(vulnerability) {
+  if (/^CVSS:3\.1\//.test(vulnerability.cvssVector || '')) return 'CVSSv31';
+  if (/^CVSS:3\.0\//.test(vulnerability.cvssVector || '')) return 'CVSSv3';
+  return 'other';
+}
+
+// The severities of the CycloneDX schema; the GitHub MODERATE of step5 outputs from before it was normalised is medium
+const cycloneDxSeverities = ['critical', 'high', 'medium', 'low', 'info', 'none', 'unknown'];
+
+/**
+ * Get the CycloneDX rating severity of a step5 vulnerability.
+ * @param vulnerability - The step5 vulnerability.
+ * @returns {string}
+ */
+function getRatingSeverity(vulnerability) {
+  const severity = String(vulnerability.severity || 'unknown').toLowerCase();
+  if (severity === 'moderate') return 'medium';
+  return cycloneDxSeverities.includes(severity) ? severity : 'unknown';
+}
+
+/**
+ * Render the CycloneDX SBOM of a library version.
+ * Components only reached from development dependencies have the excluded scope.
+ * @param input - { library, version, dependencyTree, report, vulnerabilities } with the step1, step6 and step5 outputs.
+ * @returns {string} - The BOM as JSON.
+ */
+function render({ library, version, dependencyTree, report, vulnerabilities }) {
+  const rootName = dependencyTree.name || library;
+  const rootVersion = dependencyTree.version || version.replace(/^v/, '');
+  const rootRef = packageUrl(rootName, rootVersion);
+
+  const components = [];
+  const componentRefs = new Map(); // The bom-refs of the installed copies of every package name
+  for (const [id, { name, version: componentVersion }] of collectInstalledPackages(dependencyTree)) {
+    const info = report.dependencies[id] || report.dependencies[name];
+    const component = { type: 'library', 'bom-ref': packageUrl(name, componentVersion), name, version: componentVersion, purl: packageUrl(name, componentVersion) };
+    if (info && info.dependencyTypes.includes(DependencyType.DEVELOPMENT_ONLY)) component.scope = 'excluded';
+    if (info && info.dependencyTypes.length > 0) component.properties = [{ name: 'vuln4real:dependencyTypes', value: info.dependencyTypes.join(',') }];
+    components.push(component);
+    componentRefs.set(name, (componentRefs.get(name) || []).concat(component['bom-ref']));
+  }
+
+  const edges = new Map([[rootRef, new Set()]]);
+  walkDependencyTree(dependencyTree, (name, node, ancestors, installPath, parent) => {
+    const from = parent ? packageUrl(parent.name, parent.node.version) : rootRef;
+    if (!edges.has(from)) edges.set(from, new Set());
+    edges.get(from).add(packageUrl(name, node.version));
+  });
+
+  const statements = new Map();
+  for (const finding of collectFindings(dependencyTree, report, vulnerabilities)) {
+    const { vulnerability } = finding;
+    const key = `${vulnerability.name}|${finding.dependency}`;
+    if (statements.has(key)) continue;
+    // A finding without a version affects every installed copy of the package. A package missing from the tree gets
+    // a component of its own, so that every ref points to a component
+    const installedRefs = componentRefs.get(finding.name) || [];
+    let refs = finding.version ? [packageUrl(finding.name, finding.version)] : installedRefs;
+    if (refs.length === 0 || !installedRefs.includes(refs[0])) {
+      refs = [packageUrl(finding.name, finding.version)];
+      components.push({ type: 'library', 'bom-ref': refs[0], name: finding.name, ...(finding.version ? { version: finding.version } : {}), purl: refs[0] });
+      componentRefs.set(finding.name, installedRefs.concat(refs));
+    }
+
+    const analysis = { state: finding.state };
+    if (finding.state === FindingState.NOT_AFFECTED) {
+      analysis.justification = cycloneDxJustifications[finding.justification];
+      analysis.detail = `${finding.dependency} is ${finding.justification}`;
+    } else if (finding.state === FindingState.AFFECTED) {
+      analysis.detail = `${finding.dependency} is reached through ${finding.exposure} path(s)`;
+    }
+    statements.set(key, {
+      'bom-ref': `${vulnerability.name}/${dependencyId(finding.name, finding.version)}`,
+      id: vulnerability.name,
+      source: { name: vulnerability.source || 'unknown' },
+      ratings: typeof vulnerability.cvss === 'number'
+        ? [{ score: vulnerability.cvss, severity: getRatingSeverity(vulnerability), method: getRatingMethod(vulnerability), ...(vulnerability.cvssVector ? { vector: vulnerability.cvssVector } : {}) }]
+        : [],
+      ...(vulnerability.aliases && vulnerability.aliases.length > 0 ? { references: vulnerability.aliases.map(alias => ({ id: alias, source: { name: 'alias' } })) } : {}),
+      affects: refs.map(ref => ({ ref })),
+      analysis,
+    });
+  }
+
+  const bom = {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${crypto.randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      tools: { components: [{ type: 'application', name: 'Vuln4Real' }] },
+      component: { type: 'library', 'bom-ref': rootRef, name: rootName, version: rootVersion, purl: rootRef },
+    },
+    components,
+    dependencies: Array.from(edges).map(([ref, dependsOn]) => ({ ref, dependsOn: Array.from(dependsOn) })),
+    vulnerabilities: Array.from(statements.values()),
+  };
+  return JSON.stringify(bom, null, 2);
+}
+
+module.exports = { extension: 'cdx.json', render };
@@ -0,0 +1,87 @@
+/**
+ * The verdicts the exchange formats (SARIF, CycloneDX VEX) report: one finding per vulnerability of a vulnerable
+ * dependency, affected when step6 found a path to it and not affected when every path to it is development-only or unreachable.
+ */
+
+const { collectInstalledPackages, parseDependencyId } = require('../utils/dependency_tree');
+const { DependencyType, getVulnerableDependencyId } = require('../process_pipe/step6');
+
+const FindingState = {
+  AFFECTED: 'affected',
+  NOT_AFFECTED: 'not_affected',
+  IN_TRIAGE: 'in_triage'
+};
+
+// Why a vulnerable dependency does not affect the deployed library
+const Justification = {
+  DEVELOPMENT_ONLY: 'development-only',
+  UNREACHABLE: 'unreachable'
+};
+
+/**
+ * Get the package URL of an npm package.
+ * @param name - The package name, scoped or not.
+ * @param version - The version, or undefined.
+ * @returns {string} - e.g. pkg:npm/%40babel/core@7.0.0
+ */
+function packageUrl(name, version) {
+  const encoded = name.startsWith('@') ? `%40${name.slice(1)}` : name;
+  return `pkg:npm/${encoded}${version ? `@${version}` : ''}`;
+}
+
+/**
+ * Decide whether a vulnerable dependency affects the library.
+ * Step6 marks a dependency development-only when every copy of it is, and an installed dependency without a path
+ * and without unreachable paths is only reached through development dependencies.
+ * @param id - The name@version identifier of the dependency.
+ * @param name - The package name.
+ * @param report - The step6 output.
+ * @param installed - Whether the dependency is in the step1 tree.
+ * @returns {{state: string, justification: string|null}}
+ */
+function judgeDependency(id, name, report, installed) {
+  const exposure = report.vulnerabilityExposure || {};
+  const info = report.dependencies[id] || report.dependencies[name];
+  if (info && info.dependencyTypes.includes(DependencyType.DEVELOPMENT_ONLY)) {
+    return { state: FindingState.NOT_AFFECTED, justification: Justification.DEVELOPMENT_ONLY };
+  }
+  if (exposure[id] || exposure[name]) return { state: FindingState.AFFECTED, justification: null };
+  if ((report.unreachablePaths || []).some(path => path[path.length - 1] === id || path[path.length - 1] === name) || (info && info.reachable === false)) {
+    return { state: FindingState.NOT_AFFECTED, justification: Justification.UNREACHABLE };
+  }
+  if (installed) return { state: FindingState.NOT_AFFECTED, justification: Justification.DEVELOPMENT_ONLY };
+  // A file step6 cannot place in the tree, e.g. a vendored script reported by Dependency-Check
+  return { state: FindingState.IN_TRIAGE, justification: null };
+}
+
+/**
+ * Collect the findings of a library version.
+ * @param dependencyTree - The step1 output.
+ * @param report - The step6 output.
+ * @param vulnerabilitiesData - The step5 output.
+ * @returns {Array<{dependency: string, name: string, version: string|undefined, vulnerability: Object, state: string,
+ * justification: string|null, exposure: number, score: number|null, paths: string[][]}>} - score is the step6
+ * exposure score of the dependency, null for older step6 outputs and dependencies without a path.
+ */
+function collectFindings(dependencyTree, report, vulnerabilitiesData) {
+  const installed = collectInstalledPackages(dependencyTree);
+  const installedNames = new Set(Array.from(installed.values()).map(({ name }) => name));
+  const exposure = report.vulnerabilityExposure || {};
+  const findings = [];
+
+  for (const entry of vulnerabilitiesData) {
+    const id = getVulnerableDependencyId(entry);
+    const { name, version } = parseDependencyId(id);
+    const { state, justification } = judgeDependency(id, name, report, installed.has(id) || (!version && installedNames.has(name)));
+    // Older step6 outputs end their paths with the bare name
+    const paths = report.paths.filter(path => path[path.length - 1] === id || path[path.length - 1] === name);
+    const info = report.dependencies[id] || report.dependencies[name];
+    const score = info && info.exposureScore ? info.exposureScore.score : null;
+    for (const vulnerability of entry.vulnerabilities) {
+      findings.push({ dependency: id, name, version, vulnerability, state, justification, exposure: exposure[id] || exposure[name] || 0, score, paths });
+    }
+  }
+  return findings;
+}
+
+module.exports = { FindingState, Justification, packageUrl, collectFindings };
@@ -0,0 +1,182 @@
+/**
+ * Self-contained HTML report of a library version: the step1 dependency tree with every node highlighted by its
+ * step6 dependency types, the vulnerable dependencies with their CVSS score and exposure, and the simplified paths.
+ * The data is embedded in the page and rendered by an inline script, so the report opens offline.
+ */
+
+const { DependencyType, countPaths } = require('../process_pipe/step6');
+
+const styles = `
+body { font-family: system-ui, sans-serif; margin: 0 2em 2em; color: #222; }
+h1 { font-size: 1.4em; } h2 { font-size: 1.1em; margin-top: 1.5em; }
+table { border-collapse: collapse; } th, td { padding: 0.2em 0.8em; text-align: left; border-bottom: 1px solid #ddd; }
+.legend span, .tag { display: inline-block; padding: 0 0.4em; margin-right: 0.3em; border-radius: 3px; font-size: 0.85em; }
+.vulnerable { background: #f8d0d0; } .lagging { background: #fbe7b5; } .development-only { background: #d8e4f8; }
+.within-project { background: #d9f0d9; } .normal { background: #eee; }
+.package { cursor: default; } .package.vulnerable { cursor: pointer; font-weight: bold; }
+.selected { outline: 2px solid #c00; }
+ul.tree { list-style: none; padding-left: 1.2em; margin: 0; } ul.tree > li { margin: 0.1em 0; }
+summary { cursor: pointer; }
+ol.paths li { margin: 0.2em 0; } .arrow { color: #888; margin: 0 0.3em; }
+#selection { background: #fafafa; border: 1px solid #ddd; padding: 0.5em 1em; display: none; }
+`;
+
+// Runs in the browser: renders the embedded data
+const script = `
+const data = JSON.parse(document.getElementById('report-data').textContent);
+const types = ${JSON.stringify(Object.values(DependencyType))};
+
+function idOf(name, version) { return version ? name + '@' + version : name; }
+function nameOf(id) { return id.lastIndexOf('@') > 0 ? id.slice(0, id.lastIndexOf('@')) : id; }
+function infoOf(id, name) { return data.dependencies[id] || data.dependencies[name] || null; }
+function typesOf(id, name) {
+  const info = infoOf(id, name);
+  return info && info.dependencyTypes.length > 0 ? info.dependencyTypes : ['normal'];
+}
+function element(tag, attributes, ...children) {
+  const node = document.createElement(tag);
+  Object.entries(attributes || {}).forEach(([key, value]) => node.setAttribute(key, value));
+  children.forEach(child => node.append(child));
+  return node;
+}
+function packageLabel(id, name) {
+  const nodeTypes = typesOf(id, name);
+  const label = element('span', { class: 'package ' + nodeTypes.join(' '), 'data-id': id, title: nodeTypes.join(', ') }, id);
+  if (nodeTypes.includes('vulnerable')) label.addEventListener('click', () => select(id));
+  return label;
+}
+function pathItem(path, exposureOf) {
+  const item = element('li');
+  path.forEach((id, index) => {
+    if (index > 0) item.append(element('span', { class: 'arrow' }, '\\u2192'));
+    item.append(packageLabel(id, nameOf(id)));
+  });
+  const last = path[path.length - 1];
+  const info = infoOf(last, nameOf(last));
+  item.append(' ', element('span', { class: 'tag normal' }, 'CVSS ' + (info ? info.highestCvssScore : '?') + ', exposure ' + (exposureOf[last] || 0)));
+  return item;
+}
+
+function select(id) {
+  document.querySelectorAll('.selected').forEach(node => node.classList.remove('selected'));
+  document.querySelectorAll('[data-id="' + CSS.escape(id) + '"]').forEach(node => node.classList.add('selected'));
+  const panel = document.getElementById('selection');
+  const leading = data.paths.filter(path => path[path.length - 1] === id);
+  const unreachable = (data.unreachablePaths || []).filter(path => path[path.length - 1] === id);
+  const total = data.vulnerabilityExposure[id] || leading.length;
+  panel.replaceChildren(element('h2', {}, total + ' path(s) to ' + id + (total > leading.length ? ', the ' + leading.length + ' shortest listed' : '')));
+  const list = element('ol', { class: 'paths' });
+  leading.forEach(path => list.append(pathItem(path, data.vulnerabilityExposure)));
+  panel.append(list);
+  // step6 only keeps the shortest paths, so the others can only be listed by running it again
+  if (total > leading.length) panel.append(element('p', {}, 'Run step6 again with a higher --max-paths (' + (data.maxPaths || leading.length) + ' now) to list more.'));
+  if (unreachable.length > 0) {
+    const unreachableList = element('ol', { class: 'paths' });
+    unreachable.forEach(path => unreachableList.append(pathItem(path, {})));
+    panel.append(element('h2', {}, unreachable.length + ' unreachable path(s)'), unreachableList);
+  }
+  panel.style.display = 'block';
+  panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// Children are rendered when a node is first expanded, which keeps large trees responsive
+function treeList(node) {
+  const list = element('ul', { class: 'tree' });
+  Object.entries(node.dependencies || {}).forEach(([name, child]) => {
+    const id = idOf(name, child.version);
+    const item = element('li');
+    if (child.dependencies && Object.keys(child.dependencies).length > 0) {
+      const details = element('details', {}, element('summary', {}, packageLabel(id, name)));
+      details.addEventListener('toggle', () => {
+        if (details.open && details.children.length === 1) details.append(treeList(child));
+      });
+      item.append(details);
+    } else {
+      item.append(packageLabel(id, name));
+    }
+    list.append(item);
+  });
+  return list;
+}
+
+function scoreOf(id) {
+  const info = infoOf(id, nameOf(id));
+  return info && info.exposureScore ? info.exposureScore : null;
+}
+// The title of the score cell lists what the score is made of
+function scoreCell(score) {
+  if (!score) return element('td', {}, '?');
+  const parts = Object.entries(score.components).map(([name, component]) => name + ' ' + component.contribution + ' (value ' + component.value + ', weight ' + component.weight + ')');
+  if (score.fixInRange.applies) parts.push('x' + score.fixInRange.multiplier + ': a fixed version is within the declared ranges');
+  return element('td', { title: parts.join('\\n') }, String(score.score));
+}
+
+const vulnerable = Object.entries(data.vulnerabilityExposure)
+  .sort((a, b) => ((scoreOf(b[0]) || {}).score || 0) - ((scoreOf(a[0]) || {}).score || 0) || b[1] - a[1]);
+const table = document.getElementById('vulnerable');
+vulnerable.forEach(([id, count]) => {
+  const info = infoOf(id, nameOf(id));
+  table.append(element('tr', {}, element('td', {}, packageLabel(id, nameOf(id))), scoreCell(scoreOf(id)), element('td', {}, String(info ? info.highestCvssScore : '?')),
+    element('td', {}, String(count)), element('td', {}, (info ? info.dependencyTypes : []).join(', '))));
+});
+const legend = document.getElementById('legend');
+types.forEach(type => legend.append(element('span', { class: type }, type)));
+const paths = document.getElementById('paths');
+data.paths.forEach(path => paths.append(pathItem(path, data.vulnerabilityExposure)));
+document.getElementById('tree').append(treeList(data.tree));
+`;
+
+/**
+ * Escape text for HTML.
+ * @param text - The text to escape.
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the HTML report of a library version.
+ * @param input - { library, version, dependencyTree, report } where dependencyTree is the step1 output and report the step6 output.
+ * @returns {string} - The HTML page.
+ */
+function render({ library, version, dependencyTree, report }) {
+  const data = {
+    tree: dependencyTree,
+    dependencies: report.dependencies,
+    paths: report.paths,
+    unreachablePaths: report.unreachablePaths,
+    vulnerabilityExposure: report.vulnerabilityExposure || {},
+    maxPaths: report.maxPaths,
+  };
+  const title = `${library}@${version}`;
+  const exposed = Object.keys(data.vulnerabilityExposure).length;
+
+  // Escaping < keeps the embedded JSON from closing the script element
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} dependency report</title>
+<style>${styles}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>${countPaths(report)} path(s) to ${exposed} vulnerable dependencies${report.unreachablePaths ? `, ${report.unreachablePaths.length} unreachable path(s)` : ''}.
+Click a vulnerable package to show the shortest paths leading to it${report.maxPaths ? `, at most ${report.maxPaths} per package (--max-paths)` : ''}.</p>
+<p class="legend" id="legend"></p>
+<div id="selection"></div>
+<h2>Vulnerable dependencies</h2>
+<table id="vulnerable"><tr><th>Dependency</th><th>Score</th><th>CVSS</th><th>Exposure</th><th>Types</th></tr></table>
+<h2>Paths</h2>
+<ol class="paths" id="paths"></ol>
+<h2>Dependency tree</h2>
+<div id="tree"></div>
+<script type="application/json" id="report-data">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>
+<script>${script}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { extension: 'html', render };
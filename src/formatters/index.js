@@ -0,0 +1,25 @@
+/**
+ * Registry of the file formats the report command can write besides the console summary.
+ * Every formatter exports the file extension and render(input) returning the file content, where input is
+ * { library, version, dependencyTree, report, vulnerabilities } with the step1, step6 and step5 outputs of the version.
+ */
+const formatters = {
+  html: require('./html'),
+  sarif: require('./sarif'),
+  cyclonedx: require('./cyclonedx'),
+};
+
+/**
+ * Get a formatter by name.
+ * @param name - The name of the format.
+ * @returns {{extension: string, render: Function}}
+ */
+exports.getFormatter = function(name) {
+  const formatter = formatters[name];
+  if (!formatter) {
+    throw new Error(`Unknown report format "${name}", expected one of: ${Object.keys(formatters).join(', ')}`);
+  }
+  return formatter;
+};
+
+exports.reportFormats = ['text'].concat(Object.keys(formatters));
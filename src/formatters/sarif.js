@@ -0,0 +1,77 @@
+/**
+ * SARIF 2.1.0 log of a library version for code-scanning viewers: one rule per advisory and one result per
+ * vulnerability of a vulnerable dependency. Findings step6 judged not affected are reported as suppressed results.
+ */
+
+const { FindingState, collectFindings } = require('./findings');
+
+/**
+ * Map a finding to a SARIF level by the severity of its vulnerability, or its CVSS score if the severity is unknown.
+ * @param vulnerability - The step5 vulnerability.
+ * @returns {string} - error, warning or note.
+ */
+function getLevel(vulnerability) {
+  const severity = String(vulnerability.severity || '').toLowerCase();
+  if (severity === 'critical' || severity === 'high') return 'error';
+  if (severity === 'medium' || severity === 'moderate') return 'warning';
+  if (severity === 'low') return 'note';
+  if (typeof vulnerability.cvss !== 'number') return 'warning';
+  return vulnerability.cvss >= 7 ? 'error' : vulnerability.cvss >= 4 ? 'warning' : 'note';
+}
+
+/**
+ * Render the SARIF log of a library version.
+ * @param input - { library, version, dependencyTree, report, vulnerabilities } with the step1, step6 and step5 outputs.
+ * @returns {string} - The SARIF log as JSON.
+ */
+function render({ library, version, dependencyTree, report, vulnerabilities }) {
+  const findings = collectFindings(dependencyTree, report, vulnerabilities);
+  const rules = new Map();
+  const results = [];
+
+  for (const finding of findings) {
+    const { vulnerability } = finding;
+    if (!rules.has(vulnerability.name)) {
+      rules.set(vulnerability.name, {
+        id: vulnerability.name,
+        shortDescription: { text: `${vulnerability.name} (${vulnerability.source || 'unknown source'})` },
+        defaultConfiguration: { level: getLevel(vulnerability) },
+        properties: {
+          tags: ['security', 'dependency'],
+          ...(typeof vulnerability.cvss === 'number' ? { 'security-severity': String(vulnerability.cvss) } : {}),
+        },
+      });
+    }
+
+    const through = finding.paths.length > 0 ? `, reached through ${finding.exposure} path(s), e.g. ${finding.paths[0].join(' -> ')}` : '';
+    const result = {
+      ruleId: vulnerability.name,
+      level: getLevel(vulnerability),
+      message: { text: `${finding.dependency} is vulnerable to ${vulnerability.name}${typeof vulnerability.cvss === 'number' ? ` (CVSS ${vulnerability.cvss})` : ''}${through}` },
+      locations: [{
+        physicalLocation: { artifactLocation: { uri: 'package.json' } },
+        logicalLocations: [{ name: finding.dependency, kind: 'package' }],
+      }],
+      partialFingerprints: { 'vuln4real/v1': `${finding.dependency}:${vulnerability.name}` },
+      properties: { dependency: finding.dependency, state: finding.state, exposure: finding.exposure, exposureScore: finding.score, paths: finding.paths },
+    };
+    if (finding.state === FindingState.NOT_AFFECTED) {
+      result.suppressions = [{ kind: 'external', justification: finding.justification }];
+      result.properties.justification = finding.justification;
+    }
+    results.push(result);
+  }
+
+  const log = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'Vuln4Real', rules: Array.from(rules.values()) } },
+      automationDetails: { id: `vuln4real/${library}/${version}` },
+      results,
+    }],
+  };
+  return JSON.stringify(log, null, 2);
+}
+
+module.exports = { extension: 'sarif', render };
@@ -1,112 +1,273 @@
-const path = require('path');
+#!/usr/bin/env node
 const fs = require('fs');
-const { exec } = require('child_process');
-const util = require('util');
-const execAsync = util.promisify(exec);
-const { step1_depsTree } = require('./process_pipe/step1');
-const { step2_devDeps } = require('./process_pipe/step2');
-const { step3_withinProjectDeps } = require('./process_pipe/step3');
-const { step4_lagDeps } = require('./process_pipe/step4');
-const { step5_vulnerableDeps } = require('./process_pipe/step5');
-const { step6_constructPath } = require('./process_pipe/step6');
-const { downloadLibrariesAndVersions } = require('./utils/library_extractor');
-const projectsDir = path.join(__dirname, '../libraries_to_scan');
-const outputBaseDir = path.join(__dirname, '../output');
+const path = require('path');
+const semver = require('semver');
+const { parseArgs, UsageError } = require('./utils/arg_parser');
+const { vulnerabilitySources } = require('./providers/vulnerability');
+const { registrySources } = require('./providers/registry');
+const { treeSources, lockfileNames } = require('./providers/tree');
+const { resolveLocalProject } = require('./pipeline');
+const { reportFormats } = require('./formatters');
+const { LagModel, DEFAULT_LAG_PARAMETERS, validateLagParameters } = require('./utils/lag_metrics');
+const { DEFAULT_SCORE_WEIGHTS, validateScoreWeights } = require('./utils/exposure_score');
+const { parseChange } = require('./simulation');
+const { DEFAULT_POLICY, validatePolicy, readBaseline } = require('./policy');
+const { download } = require('./commands/download');
+const { scan } = require('./commands/scan');
+const { report } = require('./commands/report');
+const { summarize } = require('./commands/summarize');
+const { failures } = require('./commands/failures');
+const { evolution } = require('./commands/evolution');
+const { simulate } = require('./commands/simulate');
+const { gate } = require('./commands/gate');
 
-// Ensure the base output directory exists
-if (!fs.existsSync(outputBaseDir)) {
-  fs.mkdirSync(outputBaseDir, { recursive: true });
-}
+const commands = { download, scan, report, summarize, failures, evolution, simulate, gate };
+
+const optionSpec = {
+  library: { alias: 'l', type: 'string', multiple: true },
+  versions: { alias: 'v', type: 'string' },
+  project: { alias: 'p', type: 'string' },
+  output: { alias: 'o', type: 'string' },
+  'from-step': { type: 'number', default: 1 },
+  'to-step': { type: 'number', default: 6 },
+  'skip-install': { type: 'boolean' },
+  force: { alias: 'f', type: 'boolean' },
+  'tree-source': { type: 'string', default: 'install' },
+  'vuln-source': { type: 'string', default: 'dependency-check' },
+  advisories: { type: 'string' },
+  reachability: { type: 'boolean' },
+  remediation: { type: 'boolean' },
+  'registry-source': { type: 'string', default: 'deps.dev' },
+  registry: { type: 'string' },
+  'analysis-date': { type: 'string' },
+  'lag-model': { type: 'string', default: 'smoothed' },
+  'lag-config': { type: 'string' },
+  'score-config': { type: 'string' },
+  epss: { type: 'string' },
+  'max-paths': { type: 'number' },
+  concurrency: { alias: 'j', type: 'number', default: 1 },
+  'cpu-concurrency': { type: 'number' },
+  'network-concurrency': { type: 'number' },
+  'log-dir': { type: 'string' },
+  format: { type: 'string', default: 'text' },
+  offline: { type: 'boolean' },
+  'cache-dir': { type: 'string' },
+  upgrade: { type: 'string', multiple: true },
+  override: { type: 'string', multiple: true },
+  remove: { type: 'string', multiple: true },
+  policy: { type: 'string' },
+  baseline: { type: 'string' },
+  help: { alias: 'h', type: 'boolean' },
+};
+
+const usage = `Usage: node src/index.js <command> [options]
+
+Commands:
+  download                  Download the libraries listed in libraries.csv
+  scan                      Run the six-step pipeline on downloaded library versions, or on a local project (-p)
+  report                    Print the step6 report of scanned library versions
+  summarize                 Print aggregate counts per scanned library
+  failures                  Print why scanned library versions failed, from their run.json
+  evolution                 Compare the scanned versions of each library and write evolution.json and CSV files
+  simulate                  Simulate upgrades, overrides and removals on scanned versions (or -p) without installing,
+                            and write the before/after differences to simulation.json
+  gate                      Check scanned versions (or -p) against a policy; exits with 1 on any violation
+
+Options:
+  -l, --library <names>     Only process these libraries (repeatable, comma separated)
+  -v, --versions <range>    Only process versions satisfying this semver range
+  -p, --project <dir>       Scan, simulate or gate a local project directory instead of the downloaded libraries (name and
+                            version from its package.json; a workspace package is scanned from its workspace root)
+  -o, --output <dir>        Output directory of --project (default output/<name>_output/v<version>)
+  --from-step <n>           First step to run, 1-6 (default 1)
+  --to-step <n>             Last step to run, 1-6 (default 6)
+  --skip-install            Do not run npm install / npm dedupe before step1
+  -f, --force               Rerun the selected steps even if their outputs are up to date
+  --tree-source <name>      Dependency tree of step1: install (default, npm install + npm ls) or lockfile
+                            (shipped lockfile, else the ranges resolved in --registry-source as of the release)
+  --vuln-source <name>      Vulnerability source of step5: dependency-check (default) or osv
+  --advisories <path>       OSV/GitHub Advisory JSON file or directory used by the osv source
+  --reachability            Run step5b (madge import graph) and split step6 paths by reachability
+  --remediation             Run step6b: plan the smallest upgrades removing each vulnerable path (step6b_output.json)
+  --registry-source <name>  Version metadata source of step4: deps.dev (default), npm, mirror or fixtures
+  --registry <url|dir>      Registry mirror URL (mirror) or JSON fixture directory (fixtures)
+  --analysis-date <date>    Date lagging is judged at: release (publish date of the version, default for libraries),
+                            now (default for --project), or an ISO date
+  --lag-model <name>        Lag model dependencies are classified by: smoothed (default), semver, technical or fixed
+  --lag-config <file>       JSON file overriding the lag model parameters
+  --score-config <file>     JSON file overriding the weights of the step6 exposure score
+  --epss <file>             EPSS scores (FIRST CSV, or JSON by vulnerability id) weighed into the exposure score
+  --max-paths <n>           Shortest paths step6 lists per vulnerable dependency (default 10); all are counted
+  -j, --concurrency <n>     Number of library versions processed in parallel (default 1)
+  --cpu-concurrency <n>     Maximum parallel installs and CPU-bound steps (default: --concurrency)
+  --network-concurrency <n> Maximum parallel network-bound steps (step4) (default: --concurrency)
+  --log-dir <dir>           Directory of the per-worker log files (default logs/ when running in parallel)
+  --format <name>           Format of report: text (default, printed), or html, sarif or cyclonedx (CycloneDX SBOM
+                            with VEX) written to report.<extension> next to the step outputs
+  --offline                 download: select and extract versions from the tarball cache only, without the network
+  --cache-dir <dir>         download: tarball cache directory (default .tarball_cache)
+  --upgrade <name@range>    simulate: declare another range for a direct dependency (repeatable)
+  --override <name@range>   simulate: force the range of a package wherever it is required (repeatable)
+  --remove <name>           simulate: remove a direct dependency (repeatable)
+  --policy <file>           gate: JSON policy (maxCvss, unknownCvss, maxLagDays, maxPathDepth, ignoreDependencyTypes)
+  --baseline <file>         gate: JSON list of accepted advisories, each with an id and an expiry date
+  -h, --help                Show this help
+
+Exit codes: 0 on success, 1 if any selected version failed (or, for gate, violates the policy), 2 on invalid usage.`;
 
 /**
- * Check if the required files for step6 exist.
- * @param outputDir - The directory where the output files should be located.
- * @returns {boolean} - True if all required files exist, false otherwise.
- * In this case, simply checking if the step1 output file exists is enough.
+ * Read a JSON file of parameters overriding some defaults, e.g. the lag model parameters.
+ * @param option - The name of the option giving the file.
+ * @param file - The path of the JSON file.
+ * @param defaults - The default parameters, which the file may override.
+ * @param validate - Returns the problems of the parameters, e.g. values out of range.
+ * @returns {Object} - The parameters of the file.
  */
-function checkRequiredFiles(outputDir) {
-  const requiredFiles = [
-    'step1_output.json',
-  ];
-  return requiredFiles.every(file => fs.existsSync(path.join(outputDir, file)));
+function readParameterFile(option, file, defaults, validate) {
+  let parameters;
+  try {
+    parameters = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Cannot read --${option} ${file}: ${error.message}`);
+  }
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    throw new UsageError(`--${option} ${file} must hold a JSON object`);
+  }
+  const unknown = Object.keys(parameters).filter(key => !(key in defaults));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown parameters in ${file}: ${unknown.join(', ')}`);
+  }
+  const problems = validate(parameters);
+  if (problems.length > 0) {
+    throw new UsageError(`Invalid parameters in ${file}: ${problems.join('; ')}`);
+  }
+  return parameters;
 }
 
-
 /**
  * Main function and entry point of the program.
- * The logic of index.js can be summarized as follows:
- * 1. Git clone all the repositories in the libraries_to_scan directory.
- * 2. For each project, execute the following steps:
- *   1. Install dependencies.
- *   2. Dedupe dependencies.
- *   3. Extract dependency tree.
- *   4. Identify development only dependencies.
- *   5. Identify within-project dependencies.
- *   6. Identify lagging dependencies.
- *   7. Identify vulnerable dependencies.
+ * Parses the command line and dispatches to the requested command.
+ * @param argv - The command-line arguments without the node executable and script name.
+ * @returns {Promise<number>} - The exit code.
  */
-const processProjects = async () => {
-  // First, download libraries and their versions
-  // await downloadLibrariesAndVersions();
+async function main(argv) {
+  const { command, options } = parseArgs(argv, optionSpec);
 
-  // After the download is complete, scan the projects directory
-  const projectsToScan = fs.readdirSync(projectsDir).filter((file) => {
-    return fs.statSync(path.join(projectsDir, file)).isDirectory();
-  });
-
-  for (const projectName of projectsToScan) {
-    const projectPath = path.join(projectsDir, projectName);
-
-    // Get all version directories for the current project
-    const versionDirs = fs.readdirSync(projectPath).filter((file) => {
-      return fs.statSync(path.join(projectPath, file)).isDirectory();
-    });
-
-    for (const version of versionDirs) {
-      const versionPath = path.join(projectPath, version);
-      const outputDir = path.join(outputBaseDir, `${projectName}_output`, version);
-
-      // Ensure the individual output directory for this version exists
-      if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir, { recursive: true });
-      }
-
-      try {
-        // Install dependencies with --legacy-peer-deps and --force flags to avoid/ignore conflicts between dependencies.
-        await execAsync('npm install --legacy-peer-deps --force --ignore-scripts', { cwd: versionPath });
-      } catch (installError) {
-        console.error(`Error installing dependencies for ${projectName}@${version}:`, installError);
-      }
+  if (options.help || !command) {
+    console.log(usage);
+    return options.help ? 0 : 2;
+  }
+  if (!commands[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
 
+  const fromStep = options['from-step'];
+  const toStep = options['to-step'];
+  if (!Number.isInteger(fromStep) || !Number.isInteger(toStep) || fromStep < 1 || toStep > 6 || fromStep > toStep) {
+    throw new UsageError('--from-step and --to-step must be integers with 1 <= from-step <= to-step <= 6');
+  }
+  if (!treeSources.includes(options['tree-source'])) {
+    throw new UsageError(`--tree-source must be one of: ${treeSources.join(', ')}`);
+  }
+  if (!reportFormats.includes(options.format)) {
+    throw new UsageError(`--format must be one of: ${reportFormats.join(', ')}`);
+  }
+  if (!vulnerabilitySources.includes(options['vuln-source'])) {
+    throw new UsageError(`--vuln-source must be one of: ${vulnerabilitySources.join(', ')}`);
+  }
+  if (options['vuln-source'] === 'osv' && !options.advisories) {
+    throw new UsageError('--vuln-source osv requires --advisories <path>');
+  }
+  if (!registrySources.includes(options['registry-source'])) {
+    throw new UsageError(`--registry-source must be one of: ${registrySources.join(', ')}`);
+  }
+  if (['mirror', 'fixtures'].includes(options['registry-source']) && !options.registry) {
+    throw new UsageError(`--registry-source ${options['registry-source']} requires --registry <url|dir>`);
+  }
+  if (options.project) {
+    if (!['scan', 'simulate', 'gate'].includes(command)) throw new UsageError('--project only applies to scan, simulate and gate');
+    if (options.library.length > 0 || options.versions) throw new UsageError('--project cannot be combined with --library or --versions');
+    if (!fs.existsSync(path.join(options.project, 'package.json'))) throw new UsageError(`No package.json found in ${options.project}`);
+    // Without a lockfile the tree is resolved from registry metadata, and only mirror and fixtures include the dependencies of each version
+    const { projectPath } = resolveLocalProject(options.project);
+    if (options['tree-source'] === 'lockfile' && !['mirror', 'fixtures'].includes(options['registry-source'])
+      && !lockfileNames.some(name => fs.existsSync(path.join(projectPath, name)))) {
+      throw new UsageError(`${options.project} ships no lockfile: --tree-source lockfile resolves it from --registry-source mirror or fixtures`);
+    }
+  } else if (options.output) {
+    throw new UsageError('--output requires --project');
+  }
+  if ((options.offline || options['cache-dir']) && command !== 'download') {
+    throw new UsageError('--offline and --cache-dir only apply to download');
+  }
+  const changeCount = ['upgrade', 'override', 'remove'].reduce((count, option) => count + options[option].length, 0);
+  if (command === 'simulate' && changeCount === 0) {
+    throw new UsageError('simulate requires at least one --upgrade, --override or --remove');
+  }
+  if (command !== 'simulate' && changeCount > 0) {
+    throw new UsageError('--upgrade, --override and --remove only apply to simulate');
+  }
+  if ((options.policy || options.baseline) && command !== 'gate') {
+    throw new UsageError('--policy and --baseline only apply to gate');
+  }
+  if (options.policy) {
+    options.gatePolicy = readParameterFile('policy', options.policy, DEFAULT_POLICY, policy => validatePolicy({ ...DEFAULT_POLICY, ...policy }));
+  }
+  if (options.baseline) {
+    try {
+      readBaseline(options.baseline);
+    } catch (error) {
+      throw new UsageError(`Cannot read --baseline ${options.baseline}: ${error.message}`);
+    }
+  }
+  for (const option of ['upgrade', 'override']) {
+    for (const spec of options[option]) {
       try {
-        // Dedupe dependencies to avoid conflicts between dependencies.
-        await execAsync('npm dedupe', { cwd: versionPath });
-      } catch (dedupeError) {
-        console.error(`Error executing npm dedupe in ${versionPath}:`, dedupeError);
-      }
-
-      // Check if all required files exist
-      if (!checkRequiredFiles(outputDir)) {
-          console.error('Required files for step2-6 are missing. Exiting the process for project <' + path.basename(projectPath) + '>.');
-          continue;
+        parseChange(option, spec);
+      } catch (error) {
+        throw new UsageError(error.message);
       }
-      // // Execute the steps for each version. Make sure each step function supports the version-specific paths.
-      // const tree = await step1_depsTree(versionPath, outputDir);
-      // if (!tree) continue; // Skip steps 2-6 if we failed to extract the dependency tree
-      //
-      // // Only proceed if step1 was successful
-      // await step2_devDeps(versionPath, outputDir);
-      // await step3_withinProjectDeps(versionPath, outputDir);
-      // await step4_lagDeps(outputDir, outputDir);
-      //await step5_vulnerableDeps(versionPath, outputDir);
-      await step6_constructPath(versionPath, outputDir);
     }
   }
-};
+  if (command === 'simulate' && !['mirror', 'fixtures'].includes(options['registry-source'])) {
+    throw new UsageError('simulate resolves the changed dependencies from --registry-source mirror or fixtures');
+  }
+  const analysisDate = options['analysis-date'];
+  if (analysisDate !== undefined && analysisDate !== 'release' && analysisDate !== 'now' && isNaN(new Date(analysisDate).getTime())) {
+    throw new UsageError(`Invalid --analysis-date: ${analysisDate}`);
+  }
+  for (const option of ['concurrency', 'cpu-concurrency', 'network-concurrency', 'max-paths']) {
+    if (options[option] !== undefined && (!Number.isInteger(options[option]) || options[option] < 1)) {
+      throw new UsageError(`--${option} must be a positive integer`);
+    }
+  }
+  if (!Object.values(LagModel).includes(options['lag-model'])) {
+    throw new UsageError(`--lag-model must be one of: ${Object.values(LagModel).join(', ')}`);
+  }
+  if (options['lag-config']) {
+    options.lagParameters = readParameterFile('lag-config', options['lag-config'], DEFAULT_LAG_PARAMETERS, validateLagParameters);
+  }
+  if (options['score-config']) {
+    options.scoreWeights = readParameterFile('score-config', options['score-config'], DEFAULT_SCORE_WEIGHTS, validateScoreWeights);
+  }
+  if (options.epss && !fs.existsSync(options.epss)) {
+    throw new UsageError(`--epss file not found: ${options.epss}`);
+  }
+  if (options.versions && !semver.validRange(options.versions)) {
+    throw new UsageError(`Invalid semver range: ${options.versions}`);
+  }
 
-// Start the entire process
-processProjects().then(() => {
-  console.log('All projects have been processed.');
+  return commands[command](options);
+}
+
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
 }).catch((error) => {
+  if (error instanceof UsageError) {
+    console.error(`${error.message}\n\n${usage}`);
+    process.exitCode = 2;
+    return;
+  }
   console.error('An error occurred during project processing:', error);
+  process.exitCode = 1;
 });
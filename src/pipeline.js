@@ -0,0 +1,586 @@
+const path = require('path');
+const fs = require('fs');
+const { exec } = require('child_process');
+const util = require('util');
+const semver = require('semver');
+const execAsync = util.promisify(exec);
+const { step1_depsTree, npmLsCommand } = require('./process_pipe/step1');
+const { step2_devDeps } = require('./process_pipe/step2');
+const { step3_withinProjectDeps, findWorkspacePackages } = require('./process_pipe/step3');
+const { step4_lagDeps } = require('./process_pipe/step4');
+const { step5_vulnerableDeps } = require('./process_pipe/step5');
+const { step5b_reachableDeps } = require('./process_pipe/step5b');
+const { step6_constructPath } = require('./process_pipe/step6');
+const { step6b_planRemediation } = require('./process_pipe/step6b');
+const { runSteps, runStepsInMemory, readStepInput, StepStatus } = require('./utils/step_runner');
+const { FailureCategory, describeFailure, readRunLog, writeRunLog, buildFailureReport } = require('./utils/run_log');
+const { createRegistryProvider } = require('./providers/registry');
+const { createLimiter, runPool } = require('./utils/worker_pool');
+const { lockfileNames } = require('./providers/tree');
+
+const projectsDir = path.join(__dirname, '../libraries_to_scan');
+const outputBaseDir = path.join(__dirname, '../output');
+const defaultLogDir = path.join(__dirname, '../logs');
+const failureReportFileName = 'failure_report.json';
+
+/**
+ * The six steps of the pipeline in execution order. Step4 runs after step5 because its fixed-version
+ * lag model uses the advisories step5 found; --from-step/--to-step still select steps by number.
+ * `version` must be bumped whenever the logic of a step changes so that cached outputs are recomputed,
+ * `inputs` lists the files the output of a step depends on, and `needsInstall` marks the steps that read node_modules.
+ * Step5b (reachability) and step6b (remediation) are optional and belong to the step5 and step6 ranges of --from-step/--to-step.
+ * `resource` tells which concurrency limit a step counts against (cpu by default), and `command` the external
+ * command a step runs, which is recorded in the run log of the version.
+ * `run` resolves to the output of the step; without an output directory it is handed to the later steps in memory.
+ */
+const STEPS = [
+  {
+    number: 1, name: 'Extract dependency tree', version: 2, output: 'step1_output.json',
+    // The lockfile tree source builds the tree from the shipped lockfile or registry metadata instead of an install
+    needsInstall: (options) => options.treeSource !== 'lockfile',
+    command: (options) => options.treeSource !== 'lockfile' ? npmLsCommand : undefined,
+    inputs: (versionPath) => [path.join(versionPath, 'package.json')]
+      .concat(lockfileNames.map(name => path.join(versionPath, name)).filter(file => fs.existsSync(file))),
+    config: (options) => options.treeSource === 'lockfile' ? `lockfile:${options.registrySource || 'deps.dev'}:${options.registry || ''}` : 'install',
+    run: (versionPath, outputDir, options) => step1_depsTree(versionPath, outputDir, options),
+  },
+  {
+    number: 2, name: 'Identify development only dependencies', version: 2, output: 'step2_output.json',
+    inputs: (versionPath, outputDir) => [path.join(versionPath, 'package.json'), path.join(outputDir, 'step1_output.json')],
+    run: (versionPath, outputDir, options) => step2_devDeps(versionPath, outputDir, options),
+  },
+  {
+    number: 3, name: 'Identify within-project dependencies', version: 3, output: 'step3_output.json',
+    // Symlinks and the manifests of installed packages are read when node_modules exists, but no install is needed:
+    // the manifests missing from node_modules come from the registry metadata
+    inputs: (versionPath, outputDir) => [path.join(versionPath, 'package.json'), path.join(outputDir, 'step1_output.json')]
+      .concat(['pnpm-workspace.yaml'].concat(lockfileNames).map(name => path.join(versionPath, name)).filter(file => fs.existsSync(file))),
+    config: (options) => `${options.registrySource || 'deps.dev'}:${options.registry || ''}`,
+    run: (versionPath, outputDir, options) => step3_withinProjectDeps(versionPath, outputDir, options),
+  },
+  {
+    number: 5, name: 'Identify vulnerable dependencies', version: 2, output: 'step5_output.json',
+    // Only Dependency-Check scans the installed files, the osv source works from the step1 tree alone
+    needsInstall: (options) => (options.vulnerabilitySource || 'dependency-check') === 'dependency-check',
+    command: (options) => (options.vulnerabilitySource || 'dependency-check') === 'dependency-check' ? 'dependency-check' : undefined,
+    inputs: (versionPath, outputDir) => [path.join(outputDir, 'step1_output.json')],
+    config: (options) => describeVulnerabilitySource(options),
+    run: (versionPath, outputDir, options) => step5_vulnerableDeps(versionPath, outputDir, options),
+  },
+  {
+    number: 5, key: 'step5b', label: 'Step5b', name: 'Identify reachable vulnerable dependencies', version: 2, output: 'step5b_output.json', needsInstall: true,
+    enabled: (options) => Boolean(options.reachability),
+    inputs: (versionPath, outputDir) => [path.join(versionPath, 'package.json'), path.join(outputDir, 'step1_output.json'), path.join(outputDir, 'step5_output.json')],
+    run: (versionPath, outputDir, options) => step5b_reachableDeps(versionPath, outputDir, options),
+  },
+  {
+    number: 4, name: 'Identify lagging dependencies', version: 4, output: 'step4_output.json', resource: 'network',
+    // The fixed-version lag model uses the advisories of step5 when they are available
+    inputs: (versionPath, outputDir) => [path.join(versionPath, 'package.json'), path.join(outputDir, 'step1_output.json')]
+      .concat(fs.existsSync(path.join(outputDir, 'step5_output.json')) ? [path.join(outputDir, 'step5_output.json')] : []),
+    config: (options) => [options.registrySource || 'deps.dev', options.registry || '', options.analysisDate || 'release',
+      options.lagModel || 'smoothed', JSON.stringify(options.lagParameters || {})].join(':'),
+    run: (versionPath, outputDir, options) => step4_lagDeps(outputDir, versionPath, options),
+  },
+  {
+    number: 6, name: 'Construct paths', version: 12, output: 'step6_output.json',
+    inputs: (versionPath, outputDir, options) => [1, 2, 3, 4, 5].map(n => path.join(outputDir, `step${n}_output.json`))
+      .concat(options.reachability ? [path.join(outputDir, 'step5b_output.json')] : [])
+      .concat(options.exploitability ? [path.resolve(options.exploitability)] : []),
+    config: (options) => [options.reachability ? 'reachability' : '', options.lagModel || '', JSON.stringify(options.scoreWeights || {}), options.maxPaths || ''].join(':'),
+    run: (versionPath, outputDir, options) => step6_constructPath(versionPath, outputDir, options),
+  },
+  {
+    number: 6, key: 'step6b', label: 'Step6b', name: 'Plan remediation', version: 3, output: 'step6b_output.json', resource: 'network',
+    enabled: (options) => Boolean(options.remediation),
+    inputs: (versionPath, outputDir) => [path.join(versionPath, 'package.json')].concat([1, 5, 6].map(n => path.join(outputDir, `step${n}_output.json`))),
+    config: (options) => [options.registrySource || 'deps.dev', options.registry || '', describeVulnerabilitySource(options)].join(':'),
+    run: (versionPath, outputDir, options) => step6b_planRemediation(versionPath, outputDir, options),
+  },
+];
+
+/**
+ * Describe the vulnerability source of step5 for the manifest, so that switching the source or
+ * updating the advisory dump invalidates the cached step5 output.
+ * @param options - { vulnerabilitySource: string, advisories: string, reachability: boolean,
+ *   registrySource: string, registry: string, analysisDate: string, lagModel: string, lagParameters: Object }
+ * @returns {string}
+ */
+function describeVulnerabilitySource(options) {
+  const source = options.vulnerabilitySource || 'dependency-check';
+  if (!options.advisories || !fs.existsSync(options.advisories)) return source;
+  const advisories = path.resolve(options.advisories);
+  return `${source}:${advisories}:${fs.statSync(advisories).mtimeMs}`;
+}
+
+/**
+ * Get the output directory of a library version.
+ * @param library - The name of the library.
+ * @param version - The version directory name, e.g. v1.2.3.
+ * @returns {string}
+ */
+function getOutputDir(library, version) {
+  return path.join(outputBaseDir, `${library}_output`, version);
+}
+
+/**
+ * Read the output of a step for a scanned library version.
+ * @param outputDir - The output directory of the version.
+ * @param step - The step key, e.g. step1.
+ * @returns {Object|null} - The parsed output, or null if the step has not run for the version.
+ */
+function readStepOutput(outputDir, step) {
+  return readStepInput(outputDir, step, null, null);
+}
+
+/**
+ * List the subdirectories of a directory, or an empty list if it does not exist.
+ * @param dir - The directory to read.
+ * @returns {string[]}
+ */
+function listDirectories(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter((file) => fs.statSync(path.join(dir, file)).isDirectory());
+}
+
+/**
+ * Check whether a version directory name matches the requested semver range.
+ * @param version - The version directory name, e.g. v1.2.3.
+ * @param range - A semver range, or undefined to match every version.
+ * @returns {boolean}
+ */
+function matchesVersionRange(version, range) {
+  if (!range) return true;
+  const parsed = semver.valid(version.replace(/^v/, ''));
+  return parsed !== null && semver.satisfies(parsed, range, { includePrerelease: true });
+}
+
+/**
+ * Select the library versions to process.
+ * @param baseDir - The directory holding one subdirectory per library (libraries_to_scan or output).
+ * @param options - { libraries: string[], versions: string }
+ * @param suffix - Suffix of the library directories, e.g. '_output' for the output directory.
+ * @returns {{library: string, version: string}[]}
+ */
+function selectVersions(baseDir, options = {}, suffix = '') {
+  const libraries = options.libraries || [];
+  const selected = [];
+
+  for (const libraryDir of listDirectories(baseDir)) {
+    if (!libraryDir.endsWith(suffix)) continue;
+    const library = libraryDir.slice(0, libraryDir.length - suffix.length);
+    if (libraries.length > 0 && !libraries.includes(library)) continue;
+
+    for (const version of listDirectories(path.join(baseDir, libraryDir))) {
+      if (matchesVersionRange(version, options.versions)) {
+        selected.push({ library, version });
+      }
+    }
+  }
+  return selected;
+}
+
+// Install dependencies with --legacy-peer-deps and --force flags to avoid/ignore conflicts between dependencies,
+// then dedupe them to avoid conflicts between dependencies
+const libraryInstallCommands = [
+  { key: 'install', name: 'Install dependencies', command: 'npm install --legacy-peer-deps --force --ignore-scripts' },
+  { key: 'dedupe', name: 'Dedupe dependencies', command: 'npm dedupe' },
+];
+
+/**
+ * Get the commands installing a local project without rewriting its lockfile: npm ci when it has an npm lockfile,
+ * npm install without saving a lockfile otherwise.
+ * @param projectPath - The full path of the project.
+ * @returns {{key: string, name: string, command: string}[]}
+ */
+function getProjectInstallCommands(projectPath) {
+  const locked = ['npm-shrinkwrap.json', 'package-lock.json'].some(name => fs.existsSync(path.join(projectPath, name)));
+  const command = locked ? 'npm ci --legacy-peer-deps --ignore-scripts' : 'npm install --legacy-peer-deps --ignore-scripts --no-package-lock';
+  return [{ key: 'install', name: 'Install dependencies', command }];
+}
+
+/**
+ * Install and dedupe the dependencies of a library version.
+ * A failed install does not stop the version, since npm ls may still find a usable tree, but it is recorded.
+ * @param versionPath - The full path of the library version.
+ * @param label - The library@version label used in log messages.
+ * @param npmCache - The npm cache directory to use, so that parallel installs do not share one cache.
+ * @param commands - The install commands to run, by default the install and dedupe of a downloaded library version.
+ * @returns {Promise<Array>} - The run log entries of the install and dedupe commands.
+ */
+async function installDependencies(versionPath, label, npmCache, commands = libraryInstallCommands) {
+  const env = npmCache ? { ...process.env, npm_config_cache: npmCache } : process.env;
+
+  const entries = [];
+  for (const { key, name, command } of commands) {
+    const startedAt = new Date();
+    const entry = { key, name, command, startedAt: startedAt.toISOString() };
+    try {
+      await execAsync(command, { cwd: versionPath, env, maxBuffer: 64 * 1024 * 1024 });
+      entry.status = StepStatus.SUCCEEDED;
+    } catch (error) {
+      console.error(`Error executing ${command} for ${label}:`, error);
+      entry.status = StepStatus.FAILED;
+      Object.assign(entry, describeFailure(error), { category: FailureCategory.INSTALL_FAILED, command });
+    }
+    entry.durationMs = Date.now() - startedAt.getTime();
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/**
+ * Run the selected steps for a single library version and build its run log.
+ * With an output directory, steps whose outputs are still valid according to the version manifest are skipped,
+ * so an interrupted batch resumes where it stopped, and the run log is written to its run.json. Without one the
+ * steps run in memory and nothing is written.
+ * @param versionPath - The full path of the library version.
+ * @param outputDir - The full path of the output directory for the library version, or null.
+ * @param options - The options of processVersion.
+ * @returns {Promise<{succeeded: boolean, runLog: Object, outputs: Object}>} - outputs holds the output of every step that ran, keyed by step key.
+ */
+async function runVersion(versionPath, outputDir, options) {
+  const library = options.library || path.basename(path.dirname(versionPath));
+  const version = options.version || path.basename(versionPath);
+  const label = `${library}@${version}`;
+
+  if (outputDir && !fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  // Network-bound and CPU-bound work are limited separately across the versions processed in parallel
+  const limit = (resource, task) => options.limiters ? options.limiters[resource](task) : task();
+
+  const startedAt = new Date();
+  const runLog = {
+    library,
+    version,
+    startedAt: startedAt.toISOString(),
+    fromStep: options.fromStep,
+    toStep: options.toStep,
+    steps: [],
+  };
+
+  const progress = options.onProgress || (() => {});
+  const record = (entry) => {
+    runLog.steps.push(entry);
+    progress(entry);
+  };
+
+  let installed = false;
+  const beforeStep = async (step) => {
+    const needsInstall = typeof step.needsInstall === 'function' ? step.needsInstall(options.stepOptions) : step.needsInstall;
+    // A fresh dependency tree needs a fresh install, later steps only need node_modules to be present
+    if (!installed && !options.skipInstall && needsInstall
+      && ((step.number === 1 && !options.reuseInstall) || !fs.existsSync(path.join(versionPath, 'node_modules')))) {
+      progress({ key: 'install', name: 'Install dependencies', status: StepStatus.RUNNING });
+      (await limit('cpu', () => installDependencies(versionPath, label, options.npmCache, options.installCommands))).forEach(record);
+      installed = true;
+    }
+    progress({ key: step.key || `step${step.number}`, name: step.name, status: StepStatus.RUNNING });
+  };
+  const onStepResult = (step, result) => {
+    const command = typeof step.command === 'function' ? step.command(options.stepOptions) : step.command;
+    const entry = { key: result.key, name: step.name, status: result.status, startedAt: result.startedAt, durationMs: result.durationMs, command };
+    if (result.error) Object.assign(entry, describeFailure(result.error), { command: result.error.command || command });
+    record(entry);
+  };
+
+  const steps = STEPS.filter(step => step.number >= options.fromStep && step.number <= options.toStep);
+  let succeeded = false;
+  let outputs = {};
+  try {
+    const runOptions = {
+      force: options.force,
+      beforeStep,
+      stepOptions: options.stepOptions,
+      limit: (step, task) => limit(step.resource || 'cpu', task),
+      onStepResult,
+    };
+    const result = outputDir ? await runSteps(steps, versionPath, outputDir, runOptions) : await runStepsInMemory(steps, versionPath, runOptions);
+    succeeded = result.succeeded;
+    outputs = result.outputs;
+    if (result.skipped.length > 0) {
+      console.log(`Reused up-to-date outputs of ${result.skipped.join(', ')} for ${label}`);
+    }
+  } catch (error) {
+    // Errors outside the steps themselves, e.g. an unwritable manifest, still belong in the run log
+    console.error(`Processing ${label} failed:`, error);
+    record({ key: 'pipeline', name: 'Run steps', status: StepStatus.FAILED, ...describeFailure(error) });
+  }
+
+  runLog.finishedAt = new Date().toISOString();
+  runLog.durationMs = Date.now() - startedAt.getTime();
+  runLog.status = succeeded ? StepStatus.SUCCEEDED : StepStatus.FAILED;
+  if (!succeeded) {
+    // The first failure is the root cause, e.g. a failed install before npm ls reports unmet dependencies
+    const failed = runLog.steps.find(entry => entry.status === StepStatus.FAILED);
+    runLog.failure = failed
+      ? { step: failed.key, category: failed.category, error: failed.error }
+      : { category: FailureCategory.UNKNOWN };
+  }
+  if (outputDir) writeRunLog(outputDir, runLog);
+  return { succeeded, runLog, outputs };
+}
+
+/**
+ * Run the selected steps for a single library version.
+ * Steps whose outputs are still valid according to the version manifest are skipped,
+ * so an interrupted batch resumes where it stopped.
+ * Every install, step run, reuse and failure is recorded in the run.json of the output directory.
+ * @param versionPath - The full path of the library version.
+ * @param outputDir - The full path of the output directory for the library version.
+ * @param options - { fromStep, toStep, skipInstall, force, stepOptions, npmCache, limiters: { cpu, network },
+ *   library, version, installCommands, reuseInstall, onProgress } - library and version default to the names of the version
+ *   directory and its parent; with reuseInstall an existing node_modules is analysed as it is; onProgress is called
+ *   with { key, name, status } when a step or install command starts (status running) and with its run log entry when it ends.
+ * @returns {Promise<boolean>} - True if every selected step succeeded.
+ */
+async function processVersion(versionPath, outputDir, options) {
+  return (await runVersion(versionPath, outputDir, options)).succeeded;
+}
+
+/**
+ * Build the options every version of a run is processed with.
+ * One registry provider is shared by the whole run, so that the metadata of a package is fetched only once.
+ * @param options - The options of processProjects or processLocalProject.
+ * @returns {Object} - { fromStep, toStep, skipInstall, force, stepOptions }
+ */
+function buildVersionOptions(options) {
+  const versionOptions = {
+    fromStep: options.fromStep || 1,
+    toStep: options.toStep || 6,
+    skipInstall: Boolean(options.skipInstall),
+    force: Boolean(options.force),
+    stepOptions: {
+      treeSource: options.treeSource,
+      vulnerabilitySource: options.vulnerabilitySource,
+      advisories: options.advisories,
+      reachability: Boolean(options.reachability),
+      registrySource: options.registrySource,
+      registry: options.registry,
+      analysisDate: options.analysisDate,
+      lagModel: options.lagModel,
+      lagParameters: options.lagParameters,
+      scoreWeights: options.scoreWeights,
+      exploitability: options.exploitability,
+      maxPaths: options.maxPaths,
+      remediation: Boolean(options.remediation),
+    },
+  };
+  const resolvesFromRegistry = options.treeSource === 'lockfile' && versionOptions.fromStep <= 1;
+  const plansRemediation = options.remediation && versionOptions.toStep >= 6;
+  if (resolvesFromRegistry || plansRemediation || (versionOptions.fromStep <= 4 && versionOptions.toStep >= 4)) {
+    versionOptions.stepOptions.registryProvider = createRegistryProvider(options.registrySource || 'deps.dev', { registry: options.registry });
+  }
+  return versionOptions;
+}
+
+/**
+ * Run the pipeline on the selected library versions under libraries_to_scan.
+ * @param options - { libraries: string[], versions: string, fromStep: number, toStep: number, skipInstall: boolean, force: boolean, treeSource: string, vulnerabilitySource: string, advisories: string, reachability: boolean,
+ *   registrySource: string, registry: string, analysisDate: string, lagModel: string, lagParameters: Object,
+ *   scoreWeights: Object, exploitability: string, maxPaths: number, remediation: boolean, concurrency: number, cpuConcurrency: number, networkConcurrency: number, logDir: string }
+ * @returns {Promise<{processed: number, failed: string[], failureReport: Object}>} - The failure report is also written to output/failure_report.json.
+ */
+async function processProjects(options = {}) {
+  const versionOptions = buildVersionOptions(options);
+
+  if (!fs.existsSync(outputBaseDir)) {
+    fs.mkdirSync(outputBaseDir, { recursive: true });
+  }
+
+  const concurrency = options.concurrency || 1;
+  versionOptions.limiters = {
+    cpu: createLimiter(options.cpuConcurrency || concurrency),
+    network: createLimiter(options.networkConcurrency || concurrency),
+  };
+  // Parallel workers would interleave their output, so each one logs to its own file
+  const logDir = options.logDir || (concurrency > 1 ? defaultLogDir : null);
+  if (logDir) console.log(`Writing worker logs to ${logDir}`);
+
+  const selected = selectVersions(projectsDir, options);
+  const { failed } = await runPool(selected, {
+    concurrency,
+    logDir,
+    onProgress: ({ done, failed, running, remaining, total, item, succeeded }) => {
+      console.log(`[${done + failed}/${total}] ${item.library}@${item.version} ${succeeded ? 'done' : 'failed'} (done ${done}, failed ${failed}, running ${running}, remaining ${remaining})`);
+    },
+  }, ({ library, version }, worker) => {
+    const versionPath = path.join(projectsDir, library, version);
+    return processVersion(versionPath, getOutputDir(library, version), { ...versionOptions, npmCache: concurrency > 1 ? worker.npmCache : undefined });
+  });
+
+  // Versions that dropped out of the batch, by failure category, for the study's attrition numbers
+  const failureReport = {
+    generatedAt: new Date().toISOString(),
+    ...buildFailureReport(selected.map(({ library, version }) => readRunLog(getOutputDir(library, version))).filter(Boolean)),
+  };
+  fs.writeFileSync(path.join(outputBaseDir, failureReportFileName), JSON.stringify(failureReport, null, 2));
+
+  return { processed: selected.length, failed: failed.map(({ library, version }) => `${library}@${version}`), failureReport };
+}
+
+/**
+ * Find the root of the workspace a project directory belongs to: the closest parent directory whose workspaces
+ * (package.json or pnpm-workspace.yaml) include it. Workspace packages are installed and listed from that root.
+ * @param projectPath - The full path of the project.
+ * @returns {string|null} - The full path of the workspace root, or null if the project is not a workspace package.
+ */
+function findWorkspaceRoot(projectPath) {
+  let dir = path.dirname(projectPath);
+  while (dir !== path.dirname(dir)) {
+    const packageJsonPath = path.join(dir, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+      try {
+        const workspaces = findWorkspacePackages(dir, JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')));
+        if (workspaces.some(workspace => path.join(dir, workspace.dir) === projectPath)) return dir;
+      } catch (error) {
+        // An unreadable manifest above the project is not a workspace root
+      }
+    }
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+/**
+ * Read the name and version of a local project from its package.json.
+ * A workspace package is scanned from the root of its workspace, which holds the install and lists every workspace.
+ * @param projectDir - The project directory, absolute or relative to the working directory.
+ * @returns {{projectPath: string, library: string, version: string, workspaceOf: string|null}} - version is the
+ * package version prefixed with v, like the version directories of downloaded libraries; workspaceOf is the
+ * requested directory when it was a workspace package.
+ */
+function resolveLocalProject(projectDir) {
+  let projectPath = path.resolve(projectDir);
+  let workspaceOf = null;
+  const workspaceRoot = findWorkspaceRoot(projectPath);
+  if (workspaceRoot) {
+    workspaceOf = projectPath;
+    projectPath = workspaceRoot;
+  }
+
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  if (!fs.existsSync(packageJsonPath)) {
+    throw new Error(`No package.json found in ${projectPath}`);
+  }
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  return {
+    projectPath,
+    // Scoped names would nest the output directory, so the scope is joined to the name instead
+    library: (packageJson.name || path.basename(projectPath)).replace(/\//g, '__'),
+    version: `v${packageJson.version || '0.0.0'}`,
+    workspaceOf,
+  };
+}
+
+/**
+ * Run the pipeline on a local project, e.g. an application repository, instead of a downloaded library version.
+ * The project is installed only if it has no node_modules yet, and then without rewriting its lockfile (see
+ * getProjectInstallCommands); an existing node_modules is analysed as it is.
+ * @param projectDir - The project directory.
+ * @param options - The options of processProjects without the selection and concurrency options, and
+ *   outputDir: the output directory, by default output/<name>_output/v<version>.
+ * @returns {Promise<{library: string, version: string, projectPath: string, outputDir: string, workspaceOf: string|null,
+ *   succeeded: boolean, failureReport: Object}>}
+ */
+async function processLocalProject(projectDir, options = {}) {
+  const project = resolveLocalProject(projectDir);
+  const outputDir = options.outputDir ? path.resolve(options.outputDir) : getOutputDir(project.library, project.version);
+  if (project.workspaceOf) {
+    console.log(`${project.workspaceOf} is a workspace package, scanning the workspace root ${project.projectPath}`);
+  }
+
+  const succeeded = await processVersion(project.projectPath, outputDir, {
+    ...buildVersionOptions(options),
+    library: project.library,
+    version: project.version,
+    installCommands: getProjectInstallCommands(project.projectPath),
+    reuseInstall: true,
+  });
+  const runLog = readRunLog(outputDir);
+  return { ...project, outputDir, succeeded, failureReport: buildFailureReport(runLog ? [runLog] : []) };
+}
+
+/**
+ * The result of analyze, holding the output of every step that ran.
+ * @typedef {Object} AnalysisResult
+ * @property {string} library - The project name, with the scope joined by __.
+ * @property {string} version - The project version prefixed with v.
+ * @property {string} projectPath - The analysed directory (the workspace root for a workspace package).
+ * @property {string|null} outputDir - The directory the outputs were written to, or null if they were kept in memory.
+ * @property {boolean} succeeded - Whether every selected step succeeded.
+ * @property {Object|null} failure - The failed step, its failure category and error, if any.
+ * @property {Object[]} steps - The run log entries of the install and of every step.
+ * @property {Object|null} dependencyTree - Step1: the dependency tree in the `npm ls --json` shape.
+ * @property {Object|null} development - Step2: the development-only classification of the installed packages.
+ * @property {Object|null} withinProject - Step3: the dependencies that belong to the project itself.
+ * @property {Array|null} vulnerabilities - Step5: the vulnerable dependencies and their advisories.
+ * @property {Object|null} reachability - Step5b: the reachable vulnerable dependencies, with reachability.
+ * @property {Object|null} lagging - Step4: the lagging dependencies and the lag metrics of every package.
+ * @property {Object|null} paths - Step6: the paths to the vulnerable dependencies, their types and exposure scores.
+ * @property {Object|null} remediation - Step6b: the fix plan, with remediation.
+ */
+
+/**
+ * Analyse a project directory from code, e.g. from another Node.js service or a test, and get the outputs of the
+ * steps back instead of reading them from the output directory.
+ * The steps hand their outputs to each other in memory and nothing is written, unless outputDir is given: then the
+ * outputs, manifest and run log are written there and up-to-date outputs are reused, as for scan --project.
+ * The project is analysed as it is and never installed unless install is set, so without a node_modules directory
+ * the lockfile tree source and the osv vulnerability source are the ones that work.
+ * @param projectDir - The project directory; a workspace package is analysed from its workspace root.
+ * @param options - The options of processProjects without the selection and concurrency options (analysisDate defaults
+ *   to now, as for scan --project), and outputDir: the directory to write the outputs to,
+ *   install: whether to install the project when a step needs node_modules (see getProjectInstallCommands),
+ *   onProgress: called with { key, name, status } when a step starts and with its run log entry when it ends.
+ * @returns {Promise<AnalysisResult>}
+ */
+async function analyze(projectDir, options = {}) {
+  const project = resolveLocalProject(projectDir);
+  const outputDir = options.outputDir ? path.resolve(options.outputDir) : null;
+  const { succeeded, runLog, outputs } = await runVersion(project.projectPath, outputDir, {
+    ...buildVersionOptions({ analysisDate: 'now', ...options }),
+    skipInstall: !options.install,
+    library: project.library,
+    version: project.version,
+    installCommands: getProjectInstallCommands(project.projectPath),
+    reuseInstall: true,
+    onProgress: options.onProgress,
+  });
+  // Reused outputs were not run again, so they are read back from the output directory
+  const output = key => outputs[key] !== undefined ? outputs[key] : outputDir ? readStepOutput(outputDir, key) : null;
+  return {
+    library: project.library,
+    version: project.version,
+    projectPath: project.projectPath,
+    outputDir,
+    succeeded,
+    failure: runLog.failure || null,
+    steps: runLog.steps,
+    dependencyTree: output('step1'),
+    development: output('step2'),
+    withinProject: output('step3'),
+    vulnerabilities: output('step5'),
+    reachability: output('step5b'),
+    lagging: output('step4'),
+    paths: output('step6'),
+    remediation: output('step6b'),
+  };
+}
+
+module.exports = {
+  STEPS,
+  projectsDir,
+  outputBaseDir,
+  failureReportFileName,
+  getOutputDir,
+  readStepOutput,
+  selectVersions,
+  processVersion,
+  processProjects,
+  processLocalProject,
+  resolveLocalProject,
+  analyze,
+};
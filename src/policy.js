@@ -0,0 +1,154 @@
+const fs = require('fs');
+const { DependencyType, getVulnerableDependencyId } = require('./process_pipe/step6');
+const { parseDependencyId } = require('./utils/dependency_tree');
+
+/**
+ * The policy a release check holds the step6 report to. Only the paths of step6 count, so with reachability,
+ * unreachable copies never fail the gate; development-only dependencies are ignored by default.
+ * A vulnerability on such a path is a violation when it exceeds one of the limits:
+ * - maxCvss: its CVSS score is above this; vulnerabilities without a score count as unknownCvss.
+ * - maxLagDays: its dependency has been behind the fixed version (or, without one, behind the latest release within
+ *   its declared ranges) for more than this many days; null disables the check.
+ * Vulnerable dependencies of the ignored types, and paths deeper than maxPathDepth (null for any depth), are not evaluated.
+ */
+const DEFAULT_POLICY = {
+  maxCvss: 0, // Every scored vulnerability fails by default
+  unknownCvss: 10,
+  maxLagDays: null,
+  maxPathDepth: null,
+  ignoreDependencyTypes: [DependencyType.DEVELOPMENT_ONLY]
+};
+
+/**
+ * The checks of a policy, naming the limit a violation exceeds.
+ */
+const PolicyRule = {
+  CVSS: 'max-cvss',
+  LAG: 'max-lag-days'
+};
+
+/**
+ * Check the values of a policy file.
+ * @param policy - The policy, DEFAULT_POLICY overridden by the file.
+ * @returns {string[]} - The problems found, empty if the policy is valid.
+ */
+function validatePolicy(policy) {
+  const problems = [];
+  const isLimit = value => value === null || (typeof value === 'number' && value >= 0);
+  for (const key of ['maxCvss', 'maxLagDays', 'maxPathDepth']) {
+    if (!isLimit(policy[key])) problems.push(`${key} must be a non-negative number or null`);
+  }
+  if (typeof policy.unknownCvss !== 'number') problems.push('unknownCvss must be a number');
+  const types = Object.values(DependencyType);
+  if (!Array.isArray(policy.ignoreDependencyTypes) || policy.ignoreDependencyTypes.some(type => !types.includes(type))) {
+    problems.push(`ignoreDependencyTypes must list dependency types among: ${types.join(', ')}`);
+  }
+  return problems;
+}
+
+/**
+ * Read a baseline of accepted advisories, either { suppressions: [...] } or the list itself. Each suppression is
+ * { id, expires, reason }: id is an advisory id or one of its aliases (e.g. a CVE) and expires an ISO date after
+ * which the advisory fails the gate again.
+ * @param file - The path of the JSON baseline file.
+ * @returns {{id: string, expires: Date, reason: string|undefined}[]}
+ */
+function readBaseline(file) {
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const suppressions = Array.isArray(content) ? content : content.suppressions;
+  if (!Array.isArray(suppressions)) throw new Error(`${file} must hold a list of suppressions`);
+  return suppressions.map((suppression, index) => {
+    const expires = new Date(suppression.expires);
+    if (!suppression.id || isNaN(expires.getTime())) {
+      throw new Error(`Suppression ${index + 1} of ${file} needs an advisory id and an expiry date`);
+    }
+    return { id: suppression.id, expires, reason: suppression.reason };
+  });
+}
+
+/**
+ * Get how many days a dependency has been behind: behind its fixed version if step4 knows it, otherwise behind the
+ * latest release within its declared ranges.
+ * @param lagMetrics - The step4 lag metrics of the dependency, or undefined for older step4 outputs.
+ * @returns {number|null} - Null if unknown.
+ */
+function getLagDays(lagMetrics) {
+  if (!lagMetrics) return null;
+  if (lagMetrics.fixed && typeof lagMetrics.fixed.daysBehind === 'number') return lagMetrics.fixed.daysBehind;
+  if (lagMetrics.technical) return lagMetrics.technical.days;
+  return null;
+}
+
+/**
+ * Evaluate the step6 report of a project version against a policy.
+ * @param outputs - { report, vulnerabilitiesData, laggingDependenciesData } - The outputs of step6, step5 and step4
+ *   (null if step4 has not run).
+ * @param policy - The policy, DEFAULT_POLICY overridden by the configured one.
+ * @param suppressions - The suppressions returned by readBaseline.
+ * @param date - The date suppressions are checked for expiry at, by default now.
+ * @returns {{passed: boolean, violations: Object[], suppressed: Object[], expired: Object[]}} - Violations are
+ *   grouped by dependency and advisory, with the rules they break, their number of paths and the shortest path.
+ *   suppressed lists the advisories a suppression accepted, expired the suppressions that no longer apply.
+ */
+function evaluatePolicy(outputs, policy = DEFAULT_POLICY, suppressions = [], date = new Date()) {
+  const { report, vulnerabilitiesData } = outputs;
+  const lagMetrics = (outputs.laggingDependenciesData && outputs.laggingDependenciesData.lagMetrics) || {};
+  const active = suppressions.filter(suppression => suppression.expires >= date);
+  const findSuppression = vulnerability => active.find(suppression =>
+    suppression.id === vulnerability.name || (vulnerability.aliases || []).includes(suppression.id));
+
+  // step6 lists the shortest paths of each dependency and counts them all; a depth limit counts the listed ones
+  const countsAll = policy.maxPathDepth === null && Boolean(report.vulnerabilityExposure);
+  const violations = new Map();
+  const suppressed = new Map();
+  report.paths.forEach((simplifiedPath, index) => {
+    const dependency = simplifiedPath[simplifiedPath.length - 1];
+    const info = report.dependencies[dependency];
+    if (!info || info.dependencyTypes.some(type => policy.ignoreDependencyTypes.includes(type))) return;
+    // Older step6 outputs have no path scores, whose depth is the one before within-project dependencies are simplified
+    const depth = report.pathScores ? report.pathScores[index].depth : simplifiedPath.length;
+    if (policy.maxPathDepth !== null && depth > policy.maxPathDepth) return;
+
+    const lagDays = getLagDays(lagMetrics[dependency]);
+    // Older step6 outputs key the dependencies by bare name, which then match every version step5 reported
+    const { name, version } = parseDependencyId(dependency);
+    const entries = vulnerabilitiesData.filter(entry => {
+      const id = getVulnerableDependencyId(entry);
+      return id === dependency || id === name || (!version && parseDependencyId(id).name === name);
+    });
+    for (const vulnerability of entries.flatMap(entry => entry.vulnerabilities)) {
+      const key = `${dependency} ${vulnerability.name}`;
+      const suppression = findSuppression(vulnerability);
+      if (suppression) {
+        if (!suppressed.has(key)) suppressed.set(key, { dependency, advisory: vulnerability.name, expires: suppression.expires.toISOString(), reason: suppression.reason });
+        continue;
+      }
+
+      const cvss = typeof vulnerability.cvss === 'number' && vulnerability.cvss >= 0 ? vulnerability.cvss : null;
+      const rules = [];
+      if (policy.maxCvss !== null && (cvss === null ? policy.unknownCvss : cvss) > policy.maxCvss) rules.push(PolicyRule.CVSS);
+      if (policy.maxLagDays !== null && lagDays !== null && lagDays > policy.maxLagDays) rules.push(PolicyRule.LAG);
+      if (rules.length === 0) continue;
+
+      if (!violations.has(key)) {
+        violations.set(key, { dependency, advisory: vulnerability.name, aliases: vulnerability.aliases || [], cvss, lagDays, rules, paths: countsAll ? report.vulnerabilityExposure[dependency] || 0 : 0, shortestPath: simplifiedPath });
+      }
+      const violation = violations.get(key);
+      if (!countsAll) violation.paths++;
+      if (simplifiedPath.length < violation.shortestPath.length) violation.shortestPath = simplifiedPath;
+    }
+  });
+
+  const expired = suppressions.filter(suppression => suppression.expires < date)
+    .map(suppression => ({ id: suppression.id, expires: suppression.expires.toISOString(), reason: suppression.reason }));
+  const sorted = Array.from(violations.values()).sort((a, b) => (b.cvss || 0) - (a.cvss || 0) || b.paths - a.paths);
+  return { passed: sorted.length === 0, violations: sorted, suppressed: Array.from(suppressed.values()), expired };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  PolicyRule,
+  validatePolicy,
+  readBaseline,
+  evaluatePolicy,
+};
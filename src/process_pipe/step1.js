@@ -1,53 +1,115 @@
 const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { StepError, FailureCategory } = require('../utils/run_log');
+const { writeStepOutput } = require('../utils/step_runner');
+const { buildLockfileTree } = require('../providers/tree');
+
+const npmLsCommand = 'npm ls --depth=Infinity --json';
 
 /**
- * Extract dependency tree for each version of each project.
+ * Resolve where a dependency is installed the way Node.js resolves it: the closest node_modules
+ * directory, walking up from the directory of the package that requires it.
  * @param projectPath - The full path of the project version.
- * @param outputDir - The full path of the output directory for the project version.
- * @returns {Promise<void>} - A promise that resolves when the dependency tree has been written to the output.
+ * @param parentInstallPath - The install path of the requiring package relative to the project, or '' for the project itself.
+ * @param name - The name of the dependency.
+ * @returns {string} - The install path relative to the project, e.g. node_modules/express/node_modules/qs.
  */
-exports.step1_depsTree = function(projectPath, outputDir) {
-  return new Promise((resolve, reject) => {
-    console.log('Step1 (Extract dependency tree) for project version <' + path.basename(projectPath) + '> starts');
+function resolveInstallPath(projectPath, parentInstallPath, name) {
+  let dir = parentInstallPath;
+  while (true) {
+    const candidate = dir ? `${dir}/node_modules/${name}` : `node_modules/${name}`;
+    if (fs.existsSync(path.join(projectPath, candidate, 'package.json'))) return candidate;
+    if (!dir) break;
+    const parentIndex = dir.lastIndexOf('/node_modules/');
+    dir = parentIndex === -1 ? '' : dir.slice(0, parentIndex);
+  }
+  // Not found on disk (e.g. a missing optional dependency), assume it is nested under its parent
+  return parentInstallPath ? `${parentInstallPath}/node_modules/${name}` : `node_modules/${name}`;
+}
+
+/**
+ * Record the install path of every node of the tree, so that later steps can tell copies of a package apart.
+ * @param projectPath - The full path of the project version.
+ * @param tree - The dependency tree in the `npm ls --json` shape.
+ */
+function annotateInstallPaths(projectPath, tree) {
+  const stack = [[tree, '']];
+  while (stack.length > 0) {
+    const [node, installPath] = stack.pop();
+    for (const [name, child] of Object.entries(node.dependencies || {})) {
+      child.path = resolveInstallPath(projectPath, installPath, name);
+      stack.push([child, child.path]);
+    }
+  }
+}
 
-    exec('npm ls --depth=Infinity --json', { cwd: projectPath }, (error, stdout, stderr) => {
+/**
+ * Read the dependency tree of an installed project with npm ls.
+ * @param projectPath - The full path of the project version.
+ * @returns {Promise<Object>} - A promise that resolves to the tree annotated with install paths, and rejects with a
+ * StepError telling why the tree could not be extracted.
+ */
+function readInstalledTree(projectPath) {
+  return new Promise((resolve, reject) => {
+    exec(npmLsCommand, { cwd: projectPath, maxBuffer: 256 * 1024 * 1024 }, (error, stdout, stderr) => {
       if (error) {
         console.error(`Error while executing npm ls for <${path.basename(projectPath)}>:\n${stderr}`);
 
         // Check if the error is because of unmet dependencies
         if (stderr.includes('ELSPROBLEMS') || stderr.includes('unmet dependency')) {
           console.warn(`Skipping version <${path.basename(projectPath)}> due to unmet dependencies.`);
-          // Resolve the promise without a tree object to indicate skipping
-          resolve(null);
+          reject(new StepError('npm ls reported unmet dependencies', { category: FailureCategory.UNMET_DEPS, command: npmLsCommand, stderr }));
         } else {
-          // For other errors, reject the promise
-          reject(error);
+          reject(new StepError(`npm ls failed: ${error.message.split('\n')[0]}`, { command: npmLsCommand, stderr, cause: error }));
         }
         return;
       }
 
-      let tree;
       try {
-        tree = JSON.parse(stdout);
+        const tree = JSON.parse(stdout);
+        annotateInstallPaths(projectPath, tree);
+        resolve(tree);
       } catch (parseError) {
         console.error(`Error parsing npm ls output for <${path.basename(projectPath)}>:\n${parseError}`);
-        reject(parseError);
-        return;
+        reject(new StepError(`Cannot parse the npm ls output: ${parseError.message}`, { category: FailureCategory.PARSE_ERROR, command: npmLsCommand, stderr }));
+      }
+    });
+  });
+}
+
+/**
+ * Extract dependency tree for each version of each project.
+ * By default the tree is read with npm ls from the installed project. With the lockfile tree source it is built
+ * without installing, from the lockfile the version ships or by resolving its ranges against registry metadata.
+ * @param projectPath - The full path of the project version.
+ * @param outputDir - The full path of the output directory for the project version, or null to keep the tree in memory.
+ * @param options - { treeSource: 'install' | 'lockfile', registryProvider }
+ * @returns {Promise<Object>} - A promise that resolves to the dependency tree once it has been written to the output,
+ * and rejects with a StepError telling why the tree could not be extracted.
+ */
+exports.step1_depsTree = function(projectPath, outputDir, options = {}) {
+  return new Promise((resolve, reject) => {
+    console.log('Step1 (Extract dependency tree) for project version <' + path.basename(projectPath) + '> starts');
+
+    const readTree = options.treeSource === 'lockfile' ? buildLockfileTree(projectPath, options) : readInstalledTree(projectPath);
+    readTree.then((tree) => {
+      if (tree.treeSource && tree.problems) {
+        console.warn(`The ${tree.treeSource.file || 'registry resolution'} of <${path.basename(projectPath)}> does not resolve every dependency:\n${tree.problems.join('\n')}`);
       }
 
-      const outputFilePath = path.join(outputDir, 'step1_output.json');
-      fs.writeFile(outputFilePath, JSON.stringify(tree, null, 2), (writeError) => {
-        if (writeError) {
-          console.error(`Error writing dependency tree file for <${path.basename(projectPath)}>:\n${writeError}`);
-          reject(writeError);
-          return;
-        }
+      try {
+        writeStepOutput(outputDir, 'step1', tree);
+      } catch (writeError) {
+        console.error(`Error writing dependency tree file for <${path.basename(projectPath)}>:\n${writeError}`);
+        reject(writeError);
+        return;
+      }
 
-        console.log('Step1 (Extract dependency tree) for project version <' + path.basename(projectPath) + '> ends\n---------------\n');
-        resolve(tree);
-      });
-    });
+      console.log('Step1 (Extract dependency tree) for project version <' + path.basename(projectPath) + '> ends\n---------------\n');
+      resolve(tree);
+    }).catch(reject);
   });
-};
\ No newline at end of file
+};
+
+exports.npmLsCommand = npmLsCommand;
@@ -1,13 +1,146 @@
 const fs = require('fs');
 const path = require('path');
+const { readDependencyTree, getInstallPath } = require('../utils/dependency_tree');
+const { writeStepOutput } = require('../utils/step_runner');
+
+// Whether the paths reaching an installed package start at a production or a development dependency of the project
+const DependencyScope = {
+    PROD_ONLY: 'prod-only',
+    DEV_ONLY: 'dev-only',
+    BOTH: 'both'
+};
+
+/**
+ * Read the manifest of an installed package, or of the project itself.
+ * @param projectPath - The full path of the project.
+ * @param installPath - The install path of the package, or '' for the project.
+ * @returns {Object|null} - The manifest, or null if the package is not installed (e.g. a tree built from a lockfile).
+ */
+function readInstalledManifest(projectPath, installPath) {
+    const manifestPath = path.join(projectPath, installPath, 'package.json');
+    if (!fs.existsSync(manifestPath)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Get the kind of the edge from a package to one of its dependencies.
+ * A package listed under dependencies as well counts as a regular dependency, the way npm installs it.
+ * Without a manifest every edge counts as a regular dependency.
+ * @param manifest - The manifest of the dependent, or null if unknown.
+ * @param name - The name of the dependency.
+ * @param isRoot - Whether the dependent is the project, the only package whose devDependencies are installed.
+ * @returns {{dev: boolean, optional: boolean, peer: boolean, bundled: boolean}}
+ */
+function getEdgeKind(manifest, name, isRoot) {
+    if (!manifest) return { dev: false, optional: false, peer: false, bundled: false };
+    const has = field => Boolean(manifest[field] && Object.prototype.hasOwnProperty.call(manifest[field], name));
+    const bundle = manifest.bundleDependencies || manifest.bundledDependencies;
+    const regular = has('dependencies');
+    return {
+        dev: isRoot && has('devDependencies') && !regular && !has('optionalDependencies') && !has('peerDependencies'),
+        optional: has('optionalDependencies'),
+        peer: has('peerDependencies') && !regular && !has('optionalDependencies'),
+        bundled: bundle === true ? regular : Array.isArray(bundle) && bundle.includes(name),
+    };
+}
+
+/**
+ * Collect the packages of the tree by install path, with their dependencies.
+ * npm ls lists the dependencies of a deduped package only at one of its occurrences, so the edges of an
+ * install path are merged over all of them.
+ * @param dependencyTree - The step1 dependency tree.
+ * @returns {Map<string, {name: string, version: string, children: Map<string, string>}>} - The children map dependency names to install paths.
+ */
+function collectInstallPaths(dependencyTree) {
+    const packages = new Map([['', { name: dependencyTree.name, version: dependencyTree.version, children: new Map() }]]);
+    const stack = [[dependencyTree, '']];
+    while (stack.length > 0) {
+        const [node, installPath] = stack.pop();
+        for (const [name, child] of Object.entries(node.dependencies || {})) {
+            const childInstallPath = getInstallPath(name, child, installPath);
+            packages.get(installPath).children.set(name, childInstallPath);
+            if (!packages.has(childInstallPath)) packages.set(childInstallPath, { name, version: child.version, children: new Map() });
+            stack.push([child, childInstallPath]);
+        }
+    }
+    return packages;
+}
+
+/**
+ * Label every installed package by the kinds of paths that reach it from the project.
+ * A path is a development path when it starts at a devDependency of the project, and optional, peer or bundled
+ * when one of its edges is an optionalDependency, a peerDependency or a bundled dependency of the dependent.
+ * @param projectPath - The full path of the project.
+ * @param dependencyTree - The step1 dependency tree.
+ * @param readManifest - Reads the manifest of an install path ('' for the project), by default from node_modules.
+ * @returns {Object} - The labels keyed by install path: { name, version, scope, optional, peer, bundled } where
+ * scope is prod-only, dev-only or both, and optional, peer and bundled hold when every path reaching the package is of that kind.
+ */
+function classifyInstalledPackages(projectPath, dependencyTree, readManifest = installPath => readInstalledManifest(projectPath, installPath)) {
+    const packages = collectInstallPaths(dependencyTree);
+    const manifests = new Map();
+    const getManifest = (installPath) => {
+        if (!manifests.has(installPath)) manifests.set(installPath, readManifest(installPath));
+        return manifests.get(installPath);
+    };
+
+    // Every combination of path kinds is propagated once per install path, which bounds the walk through cycles.
+    // The labels only depend on the combinations reached, not on the order they are found in
+    const reached = new Map();
+    const stack = [{ installPath: '', kind: { dev: false, optional: false, peer: false, bundled: false } }];
+    while (stack.length > 0) {
+        const { installPath, kind } = stack.pop();
+        const manifest = getManifest(installPath);
+        for (const [name, childInstallPath] of packages.get(installPath).children) {
+            const edge = getEdgeKind(manifest, name, installPath === '');
+            const childKind = {
+                dev: kind.dev || edge.dev,
+                optional: kind.optional || edge.optional,
+                peer: kind.peer || edge.peer,
+                bundled: kind.bundled || edge.bundled,
+            };
+            const key = `${childKind.dev}:${childKind.optional}:${childKind.peer}:${childKind.bundled}`;
+            if (!reached.has(childInstallPath)) reached.set(childInstallPath, new Map());
+            if (reached.get(childInstallPath).has(key)) continue;
+            reached.get(childInstallPath).set(key, childKind);
+            stack.push({ installPath: childInstallPath, kind: childKind });
+        }
+    }
+
+    const labels = {};
+    for (const [installPath, kinds] of reached) {
+        const pathKinds = Array.from(kinds.values());
+        const dev = pathKinds.some(kind => kind.dev);
+        const prod = pathKinds.some(kind => !kind.dev);
+        const { name, version } = packages.get(installPath);
+        labels[installPath] = {
+            name,
+            version,
+            scope: dev && prod ? DependencyScope.BOTH : dev ? DependencyScope.DEV_ONLY : DependencyScope.PROD_ONLY,
+            optional: pathKinds.every(kind => kind.optional),
+            peer: pathKinds.every(kind => kind.peer),
+            bundled: pathKinds.every(kind => kind.bundled),
+        };
+    }
+    return labels;
+}
 
 /**
  * Extract development-only dependencies for a project.
+ * Every installed package of the step1 tree is labelled prod-only, dev-only or both, depending on whether it is
+ * reached from the production dependencies, the development dependencies or both, so that a package pulled in
+ * only by dev tooling (e.g. cookiejar via supertest -> superagent) is development-only wherever it shows up.
  * @param projectPath - The full path of the project.
- * @param outputDir - The full path of the output directory.
- * @returns {Promise<unknown>} - A promise that resolves to the development-only dependencies.
+ * @param outputDir - The full path of the output directory, or null to keep the output in memory.
+ * @param options - { outputs } - The outputs of the earlier steps when they ran in memory.
+ * @returns {Promise<unknown>} - A promise that resolves to the step2 output: the declared devDependencies, the labels
+ * of the installed packages keyed by install path, and the number of packages per scope.
  */
-exports.step2_devDeps = function(projectPath, outputDir) {
+exports.step2_devDeps = function(projectPath, outputDir, options = {}) {
     return new Promise((resolve, reject) => {
         console.log('Step2 (identify development only dependencies) for project <' + path.basename(projectPath) + "> starts");
         const packageJsonPath = path.join(projectPath, 'package.json');
@@ -19,29 +152,41 @@ exports.step2_devDeps = function(projectPath, outputDir) {
                 return;
             }
 
-            const packageJson = JSON.parse(data);
-            // Development-only dependencies in npm are represented by the devDependencies property
-            const devDependencies = packageJson.devDependencies || {};
-
-            // Ensure the output directory exists
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
+            let result;
+            try {
+                const packageJson = JSON.parse(data);
+                const packages = classifyInstalledPackages(projectPath, readDependencyTree(outputDir, options.outputs));
+                const summary = { [DependencyScope.PROD_ONLY]: 0, [DependencyScope.DEV_ONLY]: 0, [DependencyScope.BOTH]: 0 };
+                Object.values(packages).forEach(label => summary[label.scope]++);
+                result = {
+                    // The declared devDependencies of the project, as step2 used to output them
+                    devDependencies: packageJson.devDependencies || {},
+                    packages,
+                    summary
+                };
+            } catch (error) {
+                console.error(`Error classifying the dependencies of project <${path.basename(projectPath)}>`, error);
+                reject(error);
+                return;
             }
 
-            // Define the output file path
-            const outputFilePath = path.join(outputDir, 'step2_output.json');
-
-            // Write the devDependencies to the output file
-            fs.writeFile(outputFilePath, JSON.stringify(devDependencies, null, 2), (writeErr) => {
-                if (writeErr) {
-                    console.error(`Error writing devDependencies file for project <${path.basename(projectPath)}>`, writeErr);
-                    reject(writeErr);
-                    return;
+            // Write the classification to the output file
+            try {
+                if (outputDir && !fs.existsSync(outputDir)) {
+                    fs.mkdirSync(outputDir, { recursive: true });
                 }
+                writeStepOutput(outputDir, 'step2', result);
+            } catch (writeErr) {
+                console.error(`Error writing devDependencies file for project <${path.basename(projectPath)}>`, writeErr);
+                reject(writeErr);
+                return;
+            }
 
-                console.log('Step2 (identify development only dependencies) for project <' + path.basename(projectPath) + "> ends\n---------------\n");
-                resolve(devDependencies);
-            });
+            console.log('Step2 (identify development only dependencies) for project <' + path.basename(projectPath) + "> ends\n---------------\n");
+            resolve(result);
         });
     });
-};
\ No newline at end of file
+};
+
+exports.classifyInstalledPackages = classifyInstalledPackages;
+exports.DependencyScope = DependencyScope;
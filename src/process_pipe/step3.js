@@ -1,66 +1,231 @@
 const fs = require('fs');
 const path = require('path');
+const { readDependencyTree, collectInstalledPackages } = require('../utils/dependency_tree');
+const { parseLockfile } = require('../providers/tree/lockfile_parser');
+const { writeStepOutput } = require('../utils/step_runner');
+const { createRegistryProvider } = require('../providers/registry');
+
+// Why a dependency belongs to the project itself rather than to a third party
+const WithinProjectReason = {
+    LOCAL_SPECIFIER: 'local-specifier',
+    WORKSPACE: 'workspace',
+    SYMLINK: 'symlink',
+    SAME_REPOSITORY: 'same-repository'
+};
+
+const dependencyFields = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
 
 /**
- * Extract within-project dependencies for a project.
- * @param projectPath - The full path of the project.
- * @param outputDir - The full path of the output directory.
- * @returns {Promise<unknown>} - A promise that resolves to the within-project dependencies.
+ * Read a JSON file, or return null if it does not exist or cannot be parsed.
+ * @param file - The full path of the file.
+ * @returns {Object|null}
  */
-exports.step3_withinProjectDeps = function (projectPath, outputDir) {
-    return new Promise((resolve, reject) => {
-        console.log('Step3 (identify within-project dependencies) for project <' + path.basename(projectPath) + "> starts");
-
-        const packageJsonPath = path.join(projectPath, 'package.json');
-        const nodeModulesPath = path.join(projectPath, 'node_modules');
-
-        // Read package.json file
-        fs.readFile(packageJsonPath, 'utf8', (err, data) => {
-            if (err) {
-                console.error(`Error reading the package.json file for project:`, err);
-                reject(err);
-                return;
-            }
+function readJsonIfExists(file) {
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
 
-            const packageJson = JSON.parse(data);
-            Object.keys(packageJson.dependencies || {}).concat(Object.keys(packageJson.devDependencies || {}));
+/**
+ * Normalise a repository field to host/owner/repo, so that the different ways of writing the same repository
+ * (git+https URLs, git@ URLs, github: shorthands, objects with a url) compare equal.
+ * @param repository - The repository field of a package.json.
+ * @returns {string|null}
+ */
+function normalizeRepository(repository) {
+    const url = typeof repository === 'string' ? repository : repository && repository.url;
+    if (!url) return null;
 
-            // Read node_modules directory
-            fs.readdir(nodeModulesPath, (err, files) => {
-                if (err) {
-                    console.error(`Error reading the node_modules directory for project:`, err);
-                    reject(err);
-                    return;
-                }
+    let normalized = url.trim().replace(/^git\+/, '').replace(/\.git$/, '').replace(/\/+$/, '');
+    const shorthand = /^(github|gitlab|bitbucket):(.+)$/.exec(normalized);
+    if (shorthand) return `${shorthand[1]}.${shorthand[1] === 'bitbucket' ? 'org' : 'com'}/${shorthand[2]}`.toLowerCase();
+    if (/^[\w.-]+\/[\w.-]+$/.test(normalized)) return `github.com/${normalized}`.toLowerCase();
 
-                const withinProjectDependencies = [];
+    normalized = normalized.replace(/^[a-z]+:\/\//, '').replace(/^[^@/]+@/, '').replace(/^([^/:]+):(?!\d)/, '$1/');
+    return normalized.toLowerCase();
+}
 
-                // Check for dependencies declared with file path
-                for (const [name, version] of Object.entries(packageJson.dependencies || {})) {
-                    if (version.startsWith('file:')) {
-                        withinProjectDependencies.push(name);
+/**
+ * Expand a workspace pattern such as packages/* or packages/** to the directories holding a package.json.
+ * @param projectPath - The full path of the project.
+ * @param pattern - The workspace pattern, relative to the project.
+ * @returns {string[]} - The full paths of the workspace directories.
+ */
+function expandWorkspacePattern(projectPath, pattern) {
+    let dirs = [projectPath];
+    for (const segment of pattern.replace(/^\.\//, '').split('/').filter(Boolean)) {
+        const next = [];
+        for (const dir of dirs) {
+            if (segment === '**') {
+                if (!fs.existsSync(dir)) continue;
+                const stack = [dir];
+                while (stack.length > 0) {
+                    const current = stack.pop();
+                    next.push(current);
+                    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+                        if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) stack.push(path.join(current, entry.name));
                     }
                 }
+            } else if (segment.includes('*')) {
+                if (!fs.existsSync(dir)) continue;
+                const regex = new RegExp(`^${segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')}$`);
+                for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                    if (entry.isDirectory() && regex.test(entry.name)) next.push(path.join(dir, entry.name));
+                }
+            } else {
+                next.push(path.join(dir, segment));
+            }
+        }
+        dirs = next;
+    }
+    return dirs.filter(dir => fs.existsSync(path.join(dir, 'package.json')));
+}
 
-                for (const [name, version] of Object.entries(packageJson.devDependencies || {})) {
-                    if (version.startsWith('file:')) {
-                        withinProjectDependencies.push(name);
-                    }
+/**
+ * Find the workspace packages of a project: npm and yarn declare them under workspaces in package.json,
+ * pnpm in pnpm-workspace.yaml.
+ * @param projectPath - The full path of the project.
+ * @param packageJson - The package.json of the project.
+ * @returns {{name: string, dir: string}[]}
+ */
+function findWorkspacePackages(projectPath, packageJson) {
+    let patterns = [];
+    if (Array.isArray(packageJson.workspaces)) patterns = packageJson.workspaces;
+    else if (packageJson.workspaces && Array.isArray(packageJson.workspaces.packages)) patterns = packageJson.workspaces.packages;
+
+    const pnpmWorkspacePath = path.join(projectPath, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpmWorkspacePath)) {
+        const pnpmPackages = parseLockfile(fs.readFileSync(pnpmWorkspacePath, 'utf8')).packages;
+        if (Array.isArray(pnpmPackages)) patterns = patterns.concat(pnpmPackages);
+    }
+
+    const excluded = new Set(patterns.filter(pattern => pattern.startsWith('!'))
+        .flatMap(pattern => expandWorkspacePattern(projectPath, pattern.slice(1))));
+    const workspaces = [];
+    for (const pattern of patterns.filter(pattern => !pattern.startsWith('!'))) {
+        for (const dir of expandWorkspacePattern(projectPath, pattern)) {
+            const manifest = readJsonIfExists(path.join(dir, 'package.json'));
+            if (!excluded.has(dir) && dir !== projectPath && manifest && manifest.name) {
+                workspaces.push({ name: manifest.name, dir: path.relative(projectPath, dir).split(path.sep).join('/') });
+            }
+        }
+    }
+    return workspaces;
+}
+
+/**
+ * Find the packages symlinked into the top-level node_modules, which is how npm, yarn and pnpm install
+ * workspace and link: dependencies, and the link entries of a package-lock.json for trees built without install.
+ * @param projectPath - The full path of the project.
+ * @returns {string[]} - The package names.
+ */
+function findLinkedPackages(projectPath) {
+    const linked = new Set();
+    const nodeModulesPath = path.join(projectPath, 'node_modules');
+    if (fs.existsSync(nodeModulesPath)) {
+        for (const entry of fs.readdirSync(nodeModulesPath, { withFileTypes: true })) {
+            if (entry.name.startsWith('@') && entry.isDirectory()) {
+                for (const scoped of fs.readdirSync(path.join(nodeModulesPath, entry.name), { withFileTypes: true })) {
+                    if (scoped.isSymbolicLink()) linked.add(`${entry.name}/${scoped.name}`);
                 }
+            } else if (entry.isSymbolicLink() && !entry.name.startsWith('.')) {
+                linked.add(entry.name);
+            }
+        }
+    }
 
-                const outputFilePath = path.join(outputDir, 'step3_output.json');
+    for (const lockfile of ['npm-shrinkwrap.json', 'package-lock.json']) {
+        const lock = readJsonIfExists(path.join(projectPath, lockfile));
+        for (const [installPath, entry] of Object.entries((lock && lock.packages) || {})) {
+            if (entry.link && installPath.startsWith('node_modules/')) linked.add(installPath.slice('node_modules/'.length));
+        }
+    }
+    return Array.from(linked);
+}
 
-                fs.writeFile(outputFilePath, JSON.stringify(withinProjectDependencies, null, 2), (err) => {
-                    if (err) {
-                        console.error(`Error writing withinProjectDependencies file:`, err);
-                        reject(err);
-                        return;
-                    }
+/**
+ * Read the manifest of an installed package: from node_modules when installed, and from the registry metadata
+ * otherwise, e.g. for a tree built from a lockfile without an install.
+ * @param projectPath - The full path of the project.
+ * @param installedPackage - { name, version, installPaths } - The installed package.
+ * @param getRegistry - Returns the registry provider, created on first use.
+ * @returns {Promise<Object|null>}
+ */
+async function readInstalledManifest(projectPath, { name, version, installPaths }, getRegistry) {
+    const manifest = readJsonIfExists(path.join(projectPath, installPaths[0], 'package.json'));
+    if (manifest) return manifest;
+    const metadata = await getRegistry().getPackage(name);
+    return metadata && metadata.versions.find(v => v.version === version) || null;
+}
+
+/**
+ * Extract within-project dependencies for a project.
+ * A dependency is within-project when it is developed together with the project: declared with a local
+ * specifier (file:, link:, workspace:, portal:), a workspace package, symlinked into node_modules, or an installed
+ * package published from the same repository. A shared npm scope alone does not count, since anyone can publish
+ * under a scope such as @types.
+ * @param projectPath - The full path of the project.
+ * @param outputDir - The full path of the output directory, or null to keep the output in memory.
+ * @param options - { registryProvider, registrySource, registry, outputs } - The registry provides the repository
+ *   of the packages missing from node_modules; outputs holds the outputs of the earlier steps when they ran in memory.
+ * @returns {Promise<unknown>} - A promise that resolves to the within-project dependencies with the reasons they were detected.
+ */
+exports.step3_withinProjectDeps = async function (projectPath, outputDir, options = {}) {
+    console.log('Step3 (identify within-project dependencies) for project <' + path.basename(projectPath) + "> starts");
+
+    const withinProjectDependencies = {};
+    let packageJson;
+    const add = (name, reason) => {
+        if (!name || name === packageJson.name) return;
+        const reasons = withinProjectDependencies[name] || (withinProjectDependencies[name] = []);
+        if (!reasons.includes(reason)) reasons.push(reason);
+    };
+
+    let workspaces;
+    let repository;
+    try {
+        packageJson = JSON.parse(fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8'));
+
+        // Check for dependencies declared with a local path or workspace protocol
+        for (const field of dependencyFields) {
+            for (const [name, specifier] of Object.entries(packageJson[field] || {})) {
+                if (/^(file|link|workspace|portal):/.test(specifier)) add(name, WithinProjectReason.LOCAL_SPECIFIER);
+            }
+        }
+
+        workspaces = findWorkspacePackages(projectPath, packageJson);
+        workspaces.forEach(workspace => add(workspace.name, WithinProjectReason.WORKSPACE));
+        findLinkedPackages(projectPath).forEach(name => add(name, WithinProjectReason.SYMLINK));
+
+        // Installed packages published from the same repository, e.g. the @babel/* helpers of @babel/core
+        repository = normalizeRepository(packageJson.repository);
+        if (repository) {
+            let registry = options.registryProvider;
+            const getRegistry = () => registry || (registry = createRegistryProvider(options.registrySource || 'deps.dev', options));
+            for (const installedPackage of collectInstalledPackages(readDependencyTree(outputDir, options.outputs)).values()) {
+                const manifest = await readInstalledManifest(projectPath, installedPackage, getRegistry);
+                if (manifest && normalizeRepository(manifest.repository) === repository) add(installedPackage.name, WithinProjectReason.SAME_REPOSITORY);
+            }
+        }
+    } catch (error) {
+        console.error(`Error identifying within-project dependencies for project <${path.basename(projectPath)}>:`, error);
+        throw error;
+    }
+
+    const result = { repository, workspaces, withinProjectDependencies };
+    try {
+        writeStepOutput(outputDir, 'step3', result);
+    } catch (err) {
+        console.error(`Error writing withinProjectDependencies file:`, err);
+        throw err;
+    }
+
+    console.log('Step3 (identify within-project dependencies) for project <' + path.basename(projectPath) + "> ends\n---------------\n");
+    return result;
+};
 
-                    console.log('Step3 (identify within-project dependencies) for project <' + path.basename(projectPath) + "> ends\n---------------\n");
-                    resolve(withinProjectDependencies);
-                });
-            });
-        });
-    });
-};
\ No newline at end of file
+exports.WithinProjectReason = WithinProjectReason;
+exports.findWorkspacePackages = findWorkspacePackages;
@@ -1,131 +1,196 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require("path");
+const { readDependencyTree, collectInstalledPackages, walkDependencyTree, dependencyId } = require('../utils/dependency_tree');
+const { readStepInput, writeStepOutput } = require('../utils/step_runner');
+const { LagModel, DEFAULT_LAG_PARAMETERS, measureLag } = require('../utils/lag_metrics');
+const { createRegistryProvider } = require('../providers/registry');
 
 /**
  * Identify lagging dependencies for a project.
- * @param outputDir - The full path of the output directory.
+ * Lagging is judged as of an analysis date, by default the publish date of the project version itself,
+ * and only the releases published up to that date are taken into account.
+ * Every lag model of lag_metrics.js is computed and recorded under lagMetrics; laggingDependencies holds
+ * the dependencies that are lagging according to the selected model.
+ * @param outputDir - The full path of the output directory, or null to keep the output in memory.
  * @param projectPath - The full path of the project.
- * @returns {Promise<unknown>} - A promise that resolves to the lagging dependencies.
+ * @param options - { registrySource, registry, registryProvider, analysisDate: 'release' | 'now' | ISO date,
+ *   lagModel: 'smoothed' | 'semver' | 'technical' | 'fixed', lagParameters: Object, outputs }
+ * @returns {Promise<Object>} - A promise that resolves to the step4 output (the analysis settings, the lagging
+ *   dependencies, the release intervals and the lag metrics), or rejects if a step output is missing or corrupt or the registry fails.
  */
-exports.step4_lagDeps = function(outputDir, projectPath) {
-    return new Promise(async (resolve, reject) => {
-        console.log('Step4 (identify lagging dependencies) for project <' + path.basename(projectPath) + "> starts")
+exports.step4_lagDeps = async function(outputDir, projectPath, options = {}) {
+    console.log('Step4 (identify lagging dependencies) for project <' + path.basename(projectPath) + "> starts")
 
-        const dependencyTree = JSON.parse(fs.readFileSync(path.join(outputDir, 'step1_output.json'), 'utf8'));
+    const lagModel = options.lagModel || LagModel.SMOOTHED;
+    const parameters = { ...DEFAULT_LAG_PARAMETERS, ...(options.lagParameters || {}) };
 
-        const laggingDependencies = {};
-        const releaseIntervals = {};
-        try {
-            for (const [packageName, packageInfo] of Object.entries(dependencyTree.dependencies)) {
-                const versions = await fetchPackageVersions(packageName);
-                if (versions) {
-                    const { isLagging, releaseInterval } = calculateIfADependencyIsLagging(versions, packageInfo.version, packageName);
-                    if (isLagging) {
-                        laggingDependencies[packageName] = packageInfo.version;
-                    }
-                    releaseIntervals[packageName] = releaseInterval;
-                }
+    const laggingDependencies = {};
+    const releaseIntervals = {};
+    const lagMetrics = {};
+    try {
+        const dependencyTree = readDependencyTree(outputDir, options.outputs);
+        const registry = options.registryProvider || createRegistryProvider(options.registrySource || 'deps.dev', options);
+        const analysis = await resolveAnalysisDate(options.analysisDate, dependencyTree, registry);
+        // Every installed copy of every package is checked, not only the direct dependencies
+        const installedPackages = await collectDeclaredRanges(projectPath, dependencyTree, registry);
+        const fixedVersions = readFixedVersions(readStepInput(outputDir, 'step5', options.outputs, []));
+
+        for (const [id, { name, version, installPaths, declaredRanges }] of installedPackages) {
+            const versions = await fetchPackageVersions(registry, name, analysis.date);
+            if (!versions) continue;
+
+            const metrics = measureLag(versions, version, analysis.date, declaredRanges, fixedVersions[id], parameters);
+            lagMetrics[id] = metrics;
+
+            if (metrics[lagModel] && metrics[lagModel].isLagging) {
+                laggingDependencies[id] = { name, version, installPaths };
+            }
+            // The release interval belongs to the package, so an unknown version must not overwrite a known interval
+            const releaseInterval = metrics[LagModel.SMOOTHED].releaseInterval;
+            if (releaseInterval !== -1 || !(name in releaseIntervals)) {
+                releaseIntervals[name] = releaseInterval;
             }
-            writeLaggingDependenciesToFile(laggingDependencies, releaseIntervals, outputDir, projectPath);
-            console.log('Step4 (identify lagging dependencies) for project <' + path.basename(projectPath) + "> ends\n---------------\n")
-            resolve();
-        } catch (error) {
-            console.error('Error in checkLaggingDependencies:', error);
-            reject(error);
         }
-    });
+        const result = writeLaggingDependenciesToFile(laggingDependencies, releaseIntervals, outputDir, projectPath, {
+            analysisDate: analysis.date.toISOString(),
+            analysisDateSource: analysis.source,
+            registrySource: registry.description,
+            lagModel,
+            lagParameters: parameters,
+            lagMetrics
+        });
+        console.log('Step4 (identify lagging dependencies) for project <' + path.basename(projectPath) + "> ends\n---------------\n")
+        return result;
+    } catch (error) {
+        console.error('Error in checkLaggingDependencies:', error);
+        throw error;
+    }
 };
 
 /**
- * Fetch package info from deps.dev by calling its API.
- * @param packageName - The name of the package.
- * @returns {Promise<*|null>} - A promise that resolves to the package info.
+ * Get the ranges a manifest declares for a dependency.
+ * @param manifest - The package.json (or registry manifest) of the dependent.
+ * @param name - The name of the dependency.
+ * @param includeDev - Whether devDependencies count, which is only the case for the root project.
+ * @returns {string[]}
  */
-async function fetchPackageVersions(packageName) {
-    try {
-        const encodedPackageName = encodeURIComponent(packageName);
-        const response = await axios.get(`https://api.deps.dev/v3alpha/systems/npm/packages/${encodedPackageName}`);
-        return response.data.versions.map(v => ({ version: v.versionKey.version, publishedAt: v.publishedAt }));
-    } catch (error) {
-        console.error(`Error fetching package info for ${packageName}`);
-        return null;
-    }
+function getDeclaredRanges(manifest, name, includeDev) {
+    const fields = ['dependencies', 'optionalDependencies', 'peerDependencies'].concat(includeDev ? ['devDependencies'] : []);
+    return fields.map(field => (manifest[field] || {})[name]).filter(Boolean);
 }
 
 /**
- * Calculate if a dependency is lagging based on its release dates.
- * @param {Array} versions - An array of version objects, each containing a 'publishedAt' property.
- * @param {string} currentVersion - The current version of the dependency.
- * @param packageName - The name of the dependency.
- * @returns {{isLagging: boolean, averageInterval: *}} - A boolean indicating if the dependency is lagging, and the average release interval.
+ * Collect the installed packages together with the ranges their dependents declare for them.
+ * The manifest of a dependent is read from node_modules when installed, and from the registry otherwise.
+ * @param projectPath - The full path of the project.
+ * @param dependencyTree - The step1 dependency tree.
+ * @param registry - The registry provider.
+ * @returns {Promise<Map<string, {name, version, installPaths: string[], declaredRanges: string[]}>>} - Keyed by name@version.
  */
-function calculateIfADependencyIsLagging(versions, currentVersion, packageName) {
-    const a = 0.8; // Smoothing parameter, between 0 and 1
-    let releaseInterval = 0;
-
-    // Sort versions by their published date
-    versions.sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+async function collectDeclaredRanges(projectPath, dependencyTree, registry) {
+    const installedPackages = collectInstalledPackages(dependencyTree);
+    const occurrences = [];
+    walkDependencyTree(dependencyTree, (name, node, ancestors, installPath, parent) => occurrences.push({ name, node, parent }));
+
+    const manifests = new Map();
+    const readManifest = async (parent) => {
+        const key = parent ? parent.installPath : '';
+        if (!manifests.has(key)) {
+            const manifestPath = path.join(projectPath, key, 'package.json');
+            let manifest = null;
+            if (fs.existsSync(manifestPath)) {
+                manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+            } else if (parent) {
+                const metadata = await registry.getPackage(parent.name);
+                manifest = metadata && metadata.versions.find(v => v.version === parent.node.version) || null;
+            }
+            manifests.set(key, manifest);
+        }
+        return manifests.get(key);
+    };
 
-    // Calculate the release intervals between each version
-    const releaseIntervals = [];
-    for (let i = 1; i < versions.length; i++) {
-        releaseIntervals.push(new Date(versions[i].publishedAt) - new Date(versions[i - 1].publishedAt));
+    for (const entry of installedPackages.values()) entry.declaredRanges = [];
+    for (const { name, node, parent } of occurrences) {
+        const manifest = await readManifest(parent);
+        if (!manifest) continue;
+        const declaredRanges = installedPackages.get(dependencyId(name, node.version)).declaredRanges;
+        for (const range of getDeclaredRanges(manifest, name, !parent)) {
+            if (!declaredRanges.includes(range)) declaredRanges.push(range);
+        }
     }
+    return installedPackages;
+}
 
-    // Calculate the release interval using Exponential Smoothing
-    for (let i = 0; i < releaseIntervals.length; i++) {
-        releaseInterval += Math.pow((1 - a), i) * releaseIntervals[releaseIntervals.length - 1 - i];
+/**
+ * Read the fixed versions of the vulnerable dependencies found by step5.
+ * @param vulnerabilitiesData - The step5 output, empty if step5 has not run.
+ * @returns {Object} - The fixed versions keyed by name@version.
+ */
+function readFixedVersions(vulnerabilitiesData) {
+    const fixedVersions = {};
+    for (const entry of vulnerabilitiesData) {
+        if (!entry.name || !entry.version) continue;
+        const fixed = entry.vulnerabilities.map(vuln => vuln.fixedVersion).filter(Boolean);
+        if (fixed.length > 0) fixedVersions[dependencyId(entry.name, entry.version)] = fixed;
     }
-    releaseInterval *= a;
+    return fixedVersions;
+}
 
-    // Find the last release date for the current version
-    let lastRelease;
-    for(let i = 0; i < versions.length; i++) {
-        if (versions[i].version === currentVersion) {
-            lastRelease = versions[i];
-            break;
-        }
-    }
-    if (!lastRelease) {
-        return {
-            isLagging: false,
-            releaseInterval: -1
-        };
+/**
+ * Resolve the date lagging is judged at.
+ * @param analysisDate - 'release' (default) for the publish date of the project version, 'now', or an ISO date.
+ * @param dependencyTree - The step1 dependency tree, whose root holds the project name and version.
+ * @param registry - The registry provider.
+ * @returns {Promise<{date: Date, source: string}>}
+ */
+async function resolveAnalysisDate(analysisDate = 'release', dependencyTree, registry) {
+    if (analysisDate === 'now') return { date: new Date(), source: 'now' };
+    if (analysisDate !== 'release') {
+        const date = new Date(analysisDate);
+        if (isNaN(date.getTime())) throw new Error(`Invalid analysis date: ${analysisDate}`);
+        return { date, source: 'configured' };
     }
 
-    const lastReleaseDate = new Date(lastRelease.publishedAt).getTime();
-
-    const expectedReleaseDate = lastReleaseDate + releaseInterval;
-
-    // Please note that expectedReleaseInterval is the same as releaseInterval
-    // In this case, we calculate it again for the sake of clarity
-    const expectedReleaseInterval = expectedReleaseDate - lastReleaseDate;
-
-    const now = new Date().getTime();
-
-    // Determine if the current version is lagging behind based on the average interval
-    const isLagging = now > (lastReleaseDate + 2 * expectedReleaseInterval);
+    const metadata = dependencyTree.name ? await registry.getPackage(dependencyTree.name) : null;
+    const release = metadata && metadata.versions.find(v => v.version === dependencyTree.version);
+    if (!release || !release.publishedAt) {
+        throw new Error(`Cannot find the publish date of ${dependencyTree.name}@${dependencyTree.version} in ${registry.description}, pass an explicit analysis date instead`);
+    }
+    return { date: new Date(release.publishedAt), source: 'release' };
+}
 
-    const averageIntervalInDays = Math.round(releaseInterval / (1000 * 60 * 60 * 24));
-    return {
-        isLagging: isLagging,
-        releaseInterval: averageIntervalInDays
-    };
+/**
+ * Fetch the versions of a package published up to the analysis date.
+ * @param registry - The registry provider.
+ * @param packageName - The name of the package.
+ * @param analysisDate - Versions published after this date are ignored.
+ * @returns {Promise<*|null>} - A promise that resolves to the versions with their publish dates, or null if unknown.
+ */
+async function fetchPackageVersions(registry, packageName, analysisDate) {
+    const metadata = await registry.getPackage(packageName);
+    if (!metadata) return null;
+    return metadata.versions
+        .filter(v => v.publishedAt && new Date(v.publishedAt) <= analysisDate)
+        .map(v => ({ version: v.version, publishedAt: v.publishedAt }));
 }
 
 /**
  * Write lagging dependencies to a JSON file.
- * @param laggingDependencies - An array of lagging dependencies.
+ * @param laggingDependencies - The lagging dependencies keyed by name@version, with their install paths.
  * @param avgReleaseIntervals - An array of average release intervals for each dependency.
- * @param outputDir - The full path of the output directory.
+ * @param outputDir - The full path of the output directory, or null to only return the output.
  * @param projectName - The name of the project.
+ * @param analysis - The analysis date, where it came from, the registry source, the lag model and every lag metric.
+ * @returns {Object} - The step4 output.
  */
-function writeLaggingDependenciesToFile(laggingDependencies, avgReleaseIntervals, outputDir, projectName) {
-    const filePath = path.join(outputDir, 'step4_output.json');
+function writeLaggingDependenciesToFile(laggingDependencies, avgReleaseIntervals, outputDir, projectName, analysis) {
+    const { lagMetrics, ...settings } = analysis;
     const dataToWrite = {
+        ...settings,
         laggingDependencies: laggingDependencies,
-        releaseInterval: avgReleaseIntervals
+        releaseInterval: avgReleaseIntervals,
+        lagMetrics
     };
-    fs.writeFileSync(filePath, JSON.stringify(dataToWrite, null, 2), 'utf8');
+    writeStepOutput(outputDir, 'step4', dataToWrite);
+    return dataToWrite;
 }
\ No newline at end of file
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const madge = require('madge');
+const { readDependencyTree, collectInstalledPackages, dependencyId } = require('../utils/dependency_tree');
+const { parsePackageFileName } = require('../providers/vulnerability/dependency_check');
+const { readStepInput, writeStepOutput } = require('../utils/step_runner');
+
+const fileExtensions = ['js', 'cjs', 'mjs'];
+
+/**
+ * Collect the string leaves of a package.json field such as exports or bin.
+ * @param field - The field value (string, array or nested conditions object).
+ * @returns {string[]}
+ */
+function collectTargets(field) {
+    if (!field) return [];
+    if (typeof field === 'string') return [field];
+    if (Array.isArray(field)) return field.flatMap(collectTargets);
+    return Object.values(field).flatMap(collectTargets);
+}
+
+/**
+ * Resolve a package.json target to an existing file, the way require() would.
+ * @param projectPath - The full path of the project.
+ * @param target - The target relative to the project, e.g. ./lib/index or bin/cli.js.
+ * @returns {string|null} - The full path of the file, or null if it does not exist.
+ */
+function resolveEntryFile(projectPath, target) {
+    // Subpath patterns such as "./features/*.js" cannot be resolved to a single file
+    if (target.includes('*')) return null;
+    const base = path.resolve(projectPath, target);
+    const candidates = [base].concat(fileExtensions.map(ext => `${base}.${ext}`), fileExtensions.map(ext => path.join(base, `index.${ext}`)));
+    return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * Find the shipped entry points of a project from the main, exports and bin fields of its package.json.
+ * @param projectPath - The full path of the project.
+ * @returns {string[]} - The full paths of the entry files.
+ */
+function findEntryPoints(projectPath) {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8'));
+    const targets = [packageJson.main || 'index.js']
+        .concat(collectTargets(packageJson.exports))
+        .concat(collectTargets(packageJson.bin));
+
+    const entryPoints = new Set();
+    for (const target of targets) {
+        const file = resolveEntryFile(projectPath, target);
+        if (file && fileExtensions.includes(path.extname(file).slice(1))) entryPoints.add(file);
+    }
+    return Array.from(entryPoints);
+}
+
+/**
+ * Get the install path of the package a file belongs to, e.g. node_modules/express/node_modules/qs.
+ * @param relativeFile - The file path relative to the project, with forward slashes.
+ * @returns {string|null} - The install path, or null if the file belongs to the project itself.
+ */
+function getPackageInstallPath(relativeFile) {
+    const index = relativeFile.lastIndexOf('node_modules/');
+    if (index === -1) return null;
+    const rest = relativeFile.slice(index + 'node_modules/'.length).split('/');
+    const nameLength = rest[0].startsWith('@') ? 2 : 1;
+    return relativeFile.slice(0, index) + 'node_modules/' + rest.slice(0, nameLength).join('/');
+}
+
+/**
+ * Build the module import graph from the entry points down through node_modules.
+ * madge records the node_modules files a file imports but does not descend into them,
+ * so the graph is expanded breadth-first, one madge run per layer of newly reached files.
+ * madge resolves bare imports from its base directory, so the files of an installed package are analysed from the
+ * directory of the package, where node would find the copies nested under it before the hoisted ones.
+ * @param projectPath - The full path of the project.
+ * @param entryPoints - The full paths of the entry files.
+ * @returns {Promise<Set<string>>} - The reached files relative to the project.
+ */
+async function buildImportGraph(projectPath, entryPoints) {
+    const toRelative = file => path.relative(projectPath, file).split(path.sep).join('/');
+    const reached = new Set(entryPoints.map(toRelative));
+    let frontier = entryPoints;
+
+    while (frontier.length > 0) {
+        const filesByBaseDir = new Map();
+        for (const file of frontier) {
+            const installPath = getPackageInstallPath(toRelative(file));
+            const baseDir = installPath ? path.join(projectPath, installPath) : projectPath;
+            if (!filesByBaseDir.has(baseDir)) filesByBaseDir.set(baseDir, []);
+            filesByBaseDir.get(baseDir).push(file);
+        }
+
+        const next = [];
+        for (const [baseDir, files] of filesByBaseDir) {
+            const result = await madge(files, { baseDir, includeNpm: true, fileExtensions });
+            for (const [file, dependencies] of Object.entries(result.obj())) {
+                for (const dependency of [file].concat(dependencies)) {
+                    const absoluteFile = path.resolve(baseDir, dependency);
+                    const relativeFile = toRelative(absoluteFile);
+                    if (reached.has(relativeFile)) continue;
+                    reached.add(relativeFile);
+                    if (fileExtensions.includes(path.extname(absoluteFile).slice(1)) && fs.existsSync(absoluteFile)) {
+                        next.push(absoluteFile);
+                    }
+                }
+            }
+        }
+        frontier = next;
+    }
+    return reached;
+}
+
+/**
+ * Identify which vulnerable dependencies of step5 are reachable from the shipped code of a project.
+ * A vulnerable package is reachable when one of its installed copies is imported, directly or transitively,
+ * from an entry point declared in package.json (main, exports or bin).
+ * @param projectPath - The full path of the project.
+ * @param outputDir - The full path of the output directory, or null to keep the output in memory.
+ * @param options - { outputs } - The outputs of the earlier steps when they ran in memory.
+ * @returns {Promise<Object>} - A promise that resolves to the reachability of every vulnerable dependency.
+ */
+exports.step5b_reachableDeps = async function(projectPath, outputDir, options = {}) {
+    console.log('Step5b (identify reachable vulnerable dependencies) for project <' + path.basename(projectPath) + "> starts")
+
+    const entryPoints = findEntryPoints(projectPath);
+    const reachedFiles = await buildImportGraph(projectPath, entryPoints);
+    const reachedPackages = new Set();
+    for (const file of reachedFiles) {
+        const installPath = getPackageInstallPath(file);
+        if (installPath) reachedPackages.add(installPath);
+    }
+
+    // Dependency-Check entries do not record install paths, so they are looked up in the step1 tree
+    const installedPackages = collectInstalledPackages(readDependencyTree(outputDir, options.outputs));
+    const vulnerabilitiesData = readStepInput(outputDir, 'step5', options.outputs);
+
+    const dependencies = {};
+    for (const entry of vulnerabilitiesData) {
+        const { name, version } = entry.name ? entry : parsePackageFileName(entry.fileName);
+        if (!name) continue;
+        const id = dependencyId(name, version);
+        const installed = installedPackages.get(id);
+        const installPaths = entry.installPaths || (installed ? installed.installPaths : []);
+        const reachableInstallPaths = installPaths.filter(installPath => reachedPackages.has(installPath));
+        dependencies[id] = { reachable: reachableInstallPaths.length > 0, installPaths, reachableInstallPaths };
+    }
+
+    const result = {
+        entryPoints: entryPoints.map(file => path.relative(projectPath, file).split(path.sep).join('/')),
+        reachedPackages: Array.from(reachedPackages).sort(),
+        dependencies
+    };
+    writeStepOutput(outputDir, 'step5b', result);
+    console.log('Step5b (identify reachable vulnerable dependencies) for project <' + path.basename(projectPath) + "> ends\n---------------\n")
+    return result;
+};
@@ -1,6 +1,10 @@
-const { exec } = require('child_process');
-const fs = require('fs');
 const path = require('path');
+const { dependencyId, parseDependencyId } = require('../utils/dependency_tree');
+const { ROOT, buildDependencyGraph, orderDependencyGraph, countDependencyPaths, listShortestPaths } = require('../utils/dependency_graph');
+const { parsePackageFileName } = require('../providers/vulnerability/dependency_check');
+const { DependencyScope } = require('./step2');
+const { readStepInput, writeStepOutput } = require('../utils/step_runner');
+const { DEFAULT_SCORE_WEIGHTS, readExploitabilityScores, getExploitability, isFixInRange, scoreExposure } = require('../utils/exposure_score');
 
 // Use object to simulate enums to classify dependencies
 const DependencyType = {
@@ -11,72 +15,149 @@ const DependencyType = {
   NORMAL: 'normal'
 };
 
-// Create an object for storing the report
-let report = {
-    paths: [],
-    dependencies: {}
+/**
+ * Get the identity of a vulnerable dependency reported by step5.
+ * Entries of the osv source carry the exact package name and version, Dependency-Check entries only a file name
+ * ("name:version" for npm packages, or a plain file such as jquery.min.js which matches every version).
+ * @param entry - The step5 entry.
+ * @returns {string} - The name@version identifier, or the bare name if the version is unknown.
+ */
+function getVulnerableDependencyId(entry) {
+  if (entry.name && entry.version) return dependencyId(entry.name, entry.version);
+  const { name, version } = parsePackageFileName(entry.fileName);
+  if (name) return dependencyId(name, version);
+  return entry.fileName.split(':')[0].replace('.min', '').replace('.js', '');
+}
+
+/**
+ * Get the identities of the lagging dependencies reported by step4.
+ * Older step4 outputs are keyed by bare package name with the version as value.
+ * @param laggingDependencies - The laggingDependencies object of the step4 output.
+ * @returns {string[]} - The name@version identifiers.
+ */
+function getLaggingDependencyIds(laggingDependencies) {
+  return Object.entries(laggingDependencies).map(([key, value]) => typeof value === 'string' ? dependencyId(key, value) : key);
+}
+
+/**
+ * Get the identities of the dependencies that are lagging according to a lag model of step4.
+ * @param laggingDependenciesData - The step4 output.
+ * @param lagModel - The lag model to classify by, or undefined for the model step4 was run with.
+ * @returns {string[]} - The name@version identifiers.
+ */
+function getLaggingDependencyIdsByModel(laggingDependenciesData, lagModel) {
+  if (!lagModel || !laggingDependenciesData.lagMetrics || lagModel === laggingDependenciesData.lagModel) {
+    return getLaggingDependencyIds(laggingDependenciesData.laggingDependencies);
+  }
+  return Object.entries(laggingDependenciesData.lagMetrics)
+    .filter(([, metrics]) => metrics[lagModel] && metrics[lagModel].isLagging)
+    .map(([id]) => id);
+}
+
+/**
+ * Check whether a set of identifiers contains a dependency, either by name@version or by bare name.
+ * @param ids - The set of identifiers.
+ * @param name - The package name.
+ * @param version - The installed version.
+ * @returns {boolean}
+ */
+function includesDependency(ids, name, version) {
+  return ids.has(dependencyId(name, version)) || ids.has(name);
+}
+
+/**
+ * Read the development-only classification of step2.
+ * Older step2 outputs are the map of the declared devDependencies, which classify by package name alone.
+ * @param devDependenciesData - The step2 output.
+ * @returns {{packages: Object|null, names: string[]}}
+ */
+function readDevelopmentClassification(devDependenciesData) {
+  if (devDependenciesData.packages) return { packages: devDependenciesData.packages, names: [] };
+  return { packages: null, names: Object.keys(devDependenciesData) };
+}
+
+/**
+ * Check whether an installed copy of a dependency is only reached from the development dependencies of the project.
+ * @param devClassification - The classification returned by readDevelopmentClassification.
+ * @param name - The name of the dependency.
+ * @param installPath - The install path of the copy.
+ * @returns {boolean}
+ */
+function isDevelopmentOnly(devClassification, name, installPath) {
+  if (!devClassification.packages) return devClassification.names.includes(name);
+  const label = devClassification.packages[installPath];
+  return Boolean(label) && label.scope === DependencyScope.DEV_ONLY;
+}
+
+/**
+ * Read the names of the within-project dependencies of step3.
+ * Older step3 outputs are a plain list of names.
+ * @param withinProjectData - The step3 output.
+ * @returns {string[]}
+ */
+function readWithinProjectDependencies(withinProjectData) {
+  if (Array.isArray(withinProjectData)) return withinProjectData;
+  return Object.keys(withinProjectData.withinProjectDependencies || {});
+}
+
+/**
+ * Get the vulnerabilities step5 reported for a dependency
+ * @param name - The name of the dependency
+ * @param version - The installed version of the dependency
+ * @param vulnerabilitiesData - The list of vulnerabilities
+ * @returns {Object[]} - The step5 vulnerabilities
+ */
+function getVulnerabilitiesOfDependency(name, version, vulnerabilitiesData) {
+  const relevantEntries = vulnerabilitiesData.filter(entry => {
+    const id = getVulnerableDependencyId(entry);
+    return id === dependencyId(name, version) || id === name;
+  });
+  return relevantEntries.flatMap(entry => entry.vulnerabilities);
 }
 
 /**
  * Get the highest CVSS score for a dependency
- * @param dependency - The name of the dependency
+ * @param name - The name of the dependency
+ * @param version - The installed version of the dependency
  * @param vulnerabilitiesData - The list of vulnerabilities
- * @returns {number} - The highest CVSS score
+ * @returns {number} - The highest CVSS score, or -1 if none is known
  */
-function getHighestCvssScoreForDependency(dependency, vulnerabilitiesData) {
-  const relevantEntries = vulnerabilitiesData.filter(entry => entry.fileName.startsWith(dependency));
-  const scores = relevantEntries.flatMap(entry => entry.vulnerabilities.map(vuln => vuln.cvss));
-  return Math.max(-1, ...scores); // Returns -1 if there are no scores which means this dependency is not vulnerable
+function getHighestCvssScoreForDependency(name, version, vulnerabilitiesData) {
+  // Advisories without a score (cvss null or missing) leave the severity unknown rather than 0
+  const scores = getVulnerabilitiesOfDependency(name, version, vulnerabilitiesData).map(vuln => vuln.cvss).filter(score => typeof score === 'number');
+  return Math.max(-1, ...scores); // Returns -1 if there are no scores, for a dependency that is not vulnerable or not scored
 }
 
 /**
  * Classify a dependency
- * @param dependency - The name of the dependency
- * @param devDependencies - The list of development-only dependencies
- * @param withinProjectDependencies - The list of within-project dependencies
- * @param laggingDependencies - The list of lagging dependencies
- * @param vulnerabilities - The list of vulnerable dependencies
+ * @param name - The name of the dependency
+ * @param version - The installed version of the dependency
+ * @param installPath - The install path of the copy being classified
+ * @param devClassification - The development-only classification of step2
+ * @param withinProjectDependencies - The set of within-project dependencies
+ * @param laggingDependencies - The set of lagging dependencies (name@version)
+ * @param vulnerabilities - The set of vulnerable dependencies (name@version)
  * @param vulnerabilitiesData - The list of vulnerabilities
  * @param releaseIntervals - The list of release intervals
  * @returns {{highestCvssScore: number, dependencyTypes: *[], intervals: number}}
  */
-function classifyDependency(dependency, devDependencies, withinProjectDependencies, laggingDependencies, vulnerabilities, vulnerabilitiesData, releaseIntervals) {
+function classifyDependency(name, version, installPath, devClassification, withinProjectDependencies, laggingDependencies, vulnerabilities, vulnerabilitiesData, releaseIntervals) {
     let types = [];
-    let intervals = releaseIntervals[dependency] || -1; // Default interval value is -1 if not lagging or not found
+    let intervals = releaseIntervals[name] || -1; // Default interval value is -1 if not lagging or not found
 
-    if (devDependencies.includes(dependency)) types.push(DependencyType.DEVELOPMENT_ONLY);
-    if (withinProjectDependencies.includes(dependency)) types.push(DependencyType.WITHIN_PROJECT);
-    if (laggingDependencies.includes(dependency)) types.push(DependencyType.LAGGING);
-    if (vulnerabilities.includes(dependency)) types.push(DependencyType.VULNERABLE);
+    if (isDevelopmentOnly(devClassification, name, installPath)) types.push(DependencyType.DEVELOPMENT_ONLY);
+    if (withinProjectDependencies.has(name)) types.push(DependencyType.WITHIN_PROJECT);
+    if (includesDependency(laggingDependencies, name, version)) types.push(DependencyType.LAGGING);
+    if (includesDependency(vulnerabilities, name, version)) types.push(DependencyType.VULNERABLE);
 
-    const highestCvssScore = getHighestCvssScoreForDependency(dependency, vulnerabilitiesData);
+    const highestCvssScore = getHighestCvssScoreForDependency(name, version, vulnerabilitiesData);
     return { dependencyTypes: types, highestCvssScore, intervals };
 }
 
-/**
- * Initialize the queue with the nested dependencies
- * @param dependencyTree
- * @returns {*[]}
- */
-function initializeQueueWithNestedDeps(dependencyTree) {
-    let queue = [];
-    let stack = [[dependencyTree, []]];
-
-    while (stack.length > 0) {
-        let [node, path] = stack.pop();
-        Object.keys(node.dependencies || {}).forEach(dep => {
-            let newPath = path.concat(dep);
-            queue.push(newPath);
-            stack.push([node.dependencies[dep], newPath]);
-        });
-    }
-    return queue;
-}
-
 /**
  * Path simplification algorithm
- * @param path - The path to be simplified
- * @param withinProjectDependencies - The list of within-project dependencies
+ * @param path - The path to be simplified (name@version identifiers)
+ * @param withinProjectDependencies - The set of within-project dependencies
  * @returns {*[]} - The simplified path
  */
 function simplifyPath(path, withinProjectDependencies) {
@@ -84,7 +165,7 @@ function simplifyPath(path, withinProjectDependencies) {
     let withinProjectBuffer = [];
 
     for (let node of path) {
-        if (withinProjectDependencies.includes(node)) {
+        if (withinProjectDependencies.has(parseDependencyId(node).name)) {
             withinProjectBuffer.push(node);
         } else {
             if (withinProjectBuffer.length > 0) {
@@ -99,102 +180,220 @@ function simplifyPath(path, withinProjectDependencies) {
 }
 
 /**
- * Find the children of a node in the dependency tree
- * @param dependencyTree
- * @param currentPath
- * @returns {string[]|*[]}
+ * Check whether an installed copy of a vulnerable dependency is reachable from the shipped code.
+ * @param reachability - The dependencies of the step5b output, or null if reachability is not analysed.
+ * @param id - The name@version identifier of the dependency.
+ * @param installPath - The install path of the copy at the end of the path.
+ * @returns {boolean} - True if reachable, or if reachability is not analysed or unknown for the dependency.
  */
-function findChildren(dependencyTree, currentPath) {
-    let node = dependencyTree;
-    for (const dep of currentPath) {
-        if (node.dependencies && node.dependencies[dep]) {
-            node = node.dependencies[dep];
-        } else {
-            return [];
-        }
-    }
-    return Object.keys(node.dependencies || {});
+function isReachable(reachability, id, installPath) {
+  if (!reachability || !reachability[id]) return true;
+  return reachability[id].reachableInstallPaths.includes(installPath);
 }
 
 /**
- * Construct paths from the root project to the vulnerable dependencies
- * @param projectPath - The full path of the project
- * @param outputDir - The full path of the output directory
+ * Score the exposure to every vulnerable dependency and every listed path to one (see utils/exposure_score.js).
+ * A dependency is scored at the depth of its shortest path, and each path at its own depth before simplification.
+ * @param scoredPaths - The listed paths to vulnerable dependencies: { path, dependency, depth }.
+ * @param reach - How every vulnerable dependency is reached: { depth, heads } with the length of its shortest path
+ *   and the names of the direct dependencies its paths start from, keyed by name@version.
+ * @param report - The report, whose dependencies receive their exposureScore.
+ * @param vulnerabilitiesData - The list of vulnerabilities
+ * @param lagMetrics - The lag metrics of step4, keyed by name@version.
+ * @param exploitabilityScores - The local exploitability scores, or null.
+ * @param weights - The score weights.
+ * @returns {Object[]} - The score of each path, in the order of scoredPaths.
  */
-exports.step6_constructPath = function(projectPath, outputDir) {
-    console.log('Step6 (Path construction) for project <' + path.basename(projectPath) + '> starts');
+function scorePaths(scoredPaths, reach, report, vulnerabilitiesData, lagMetrics, exploitabilityScores, weights) {
+    const factors = {};
+    for (const [dependency, { depth, heads }] of Object.entries(reach)) {
+        const { name, version, dependencyTypes, highestCvssScore } = report.dependencies[dependency];
+        factors[dependency] = {
+            cvss: highestCvssScore,
+            exploitability: getExploitability(getVulnerabilitiesOfDependency(name, version, vulnerabilitiesData), exploitabilityScores),
+            depth,
+            directDependents: heads.size,
+            lagging: dependencyTypes.includes(DependencyType.LAGGING),
+            fixInRange: isFixInRange(lagMetrics[dependency])
+        };
+        report.dependencies[dependency].exposureScore = scoreExposure(factors[dependency], weights);
+    }
+    return scoredPaths.map(({ dependency, depth }) => ({ dependency, depth, ...scoreExposure({ ...factors[dependency], depth }, weights) }));
+}
 
-    let foundVulnerableDeps = new Set();
+// The number of paths listed per vulnerable dependency unless maxPaths says otherwise; every path is counted regardless
+const DEFAULT_MAX_PATHS = 10;
 
-    let report = {
+/**
+ * Get the total number of paths to vulnerable dependencies in a report.
+ * Reports written before paths were counted list every path, so their number of listed paths is the total.
+ * @param report - The step6 output.
+ * @returns {number}
+ */
+function countPaths(report) {
+    return typeof report.pathCount === 'number' ? report.pathCount : report.paths.length;
+}
+
+/**
+ * Construct paths from the root project to the vulnerable dependencies, from the outputs of the earlier steps.
+ * The step1 tree is turned into a graph with one node per installed copy (see utils/dependency_graph.js), whose edges
+ * closing a cycle are left out and listed under cycles. The distinct paths to every vulnerable dependency are counted
+ * without listing them (vulnerabilityExposure, and pathCount in total), and its maxPaths shortest ones are listed
+ * under paths. Development-only dependencies keep their paths and are told apart by their dependency types.
+ * With the reachability option, paths ending in a copy of a vulnerable dependency that the shipped code never imports
+ * (according to step5b) are listed under unreachablePaths instead of paths, and do not count towards the exposure.
+ * Every vulnerable dependency and listed path gets an exposure score; pathScores holds the score of each path of paths,
+ * in the same order, and paths are sorted by score. pathInstallPaths holds, in the same order, the install paths of the
+ * copies along each path before simplification, for the steps that follow a path edge by edge (step6b).
+ * @param inputs - { dependencyTree, devDependenciesData, withinProjectData, vulnerabilitiesData, laggingDependenciesData,
+ *   reachabilityData } - The outputs of step1, step2, step3, step5, step4 and step5b (or null without reachability).
+ * @param options - { reachability: boolean, lagModel: string, scoreWeights: Object, exploitability: string,
+ *   maxPaths: number } - lagModel selects the step4 lag model dependencies are classified by, scoreWeights overrides
+ *   DEFAULT_SCORE_WEIGHTS, exploitability is a local file of EPSS scores and maxPaths the number of paths listed per
+ *   vulnerable dependency (DEFAULT_MAX_PATHS by default, 1 for the shortest only)
+ * @returns {Object} - The report.
+ */
+function constructPaths(inputs, options = {}) {
+    const report = {
         paths: [],
         dependencies: {}
     };
 
-    const dependencyTree = JSON.parse(fs.readFileSync(path.join(outputDir, 'step1_output.json'), 'utf8'));
-    const devDependencies = Object.keys(JSON.parse(fs.readFileSync(path.join(outputDir, 'step2_output.json'), 'utf8')));
-    const withinProjectDependencies = Object.keys(JSON.parse(fs.readFileSync(path.join(outputDir, 'step3_output.json'), 'utf8')));
-    const vulnerabilities = JSON.parse(fs.readFileSync(path.join(outputDir, 'step5_output.json'), 'utf8')).map(vuln => vuln.fileName.split(':')[0].replace('.min', '').replace('.js', ''));
-    // Read the vulnerabilities data from step5's output
-    const vulnerabilitiesData = JSON.parse(fs.readFileSync(path.join(outputDir, 'step5_output.json'), 'utf8'));
-    const laggingDependenciesData = JSON.parse(fs.readFileSync(path.join(outputDir, 'step4_output.json'), 'utf8'));
-    const laggingDependencies = Object.keys(laggingDependenciesData.laggingDependencies);
+    const { dependencyTree, vulnerabilitiesData, laggingDependenciesData } = inputs;
+    const devClassification = readDevelopmentClassification(inputs.devDependenciesData);
+    const withinProjectDependencies = new Set(readWithinProjectDependencies(inputs.withinProjectData));
+    const vulnerabilities = new Set(vulnerabilitiesData.map(getVulnerableDependencyId));
+    const laggingDependencies = new Set(getLaggingDependencyIdsByModel(laggingDependenciesData, options.lagModel));
     const releaseIntervals = laggingDependenciesData.releaseInterval;
+    const reachability = options.reachability && inputs.reachabilityData ? inputs.reachabilityData.dependencies : null;
+    if (reachability) report.unreachablePaths = [];
+    const weights = { ...DEFAULT_SCORE_WEIGHTS, ...(options.scoreWeights || {}) };
+    const exploitabilityScores = options.exploitability ? readExploitabilityScores(options.exploitability) : null;
+    const maxPaths = options.maxPaths || DEFAULT_MAX_PATHS;
 
+    // Every copy is classified once, however many paths lead to it
+    const graph = buildDependencyGraph(dependencyTree);
+    const classifications = new Map();
+    const classify = node => {
+        if (!classifications.has(node.key)) {
+            classifications.set(node.key, classifyDependency(node.name, node.version, node.key, devClassification, withinProjectDependencies,
+                laggingDependencies, vulnerabilities, vulnerabilitiesData, releaseIntervals));
+        }
+        return classifications.get(node.key);
+    };
+    const ordered = orderDependencyGraph(graph);
+    const counts = countDependencyPaths(graph, ordered);
+    const shortestPaths = listShortestPaths(graph, ordered, maxPaths);
 
     // Mapping to store the exposure of each vulnerability
     let vulnerabilityExposure = {};
+    // How each vulnerable dependency is reached, and its listed paths with their unsimplified install paths
+    const reach = {};
+    const listed = {};
+    const unreachable = {};
 
-    let queue = initializeQueueWithNestedDeps(dependencyTree);
-
-    while (queue.length > 0) {
-        const currentPath = queue.shift();
-        const currentNode = currentPath[currentPath.length - 1];
-
-        if (!currentNode) continue;
-
-        const { dependencyTypes, highestCvssScore, intervals } = classifyDependency(
-            currentNode,
-            devDependencies,
-            withinProjectDependencies,
-            laggingDependencies,
-            vulnerabilities,
-            vulnerabilitiesData,
-            releaseIntervals
-        );
+    for (const key of ordered.order) {
+        if (key === ROOT) continue;
+        const node = graph.nodes.get(key);
+        const { dependencyTypes, highestCvssScore, intervals } = classify(node);
 
-        report.dependencies[currentNode] = { dependencyTypes, highestCvssScore, intervals };
-
-        if (dependencyTypes.includes(DependencyType.VULNERABLE)) {
-            vulnerabilityExposure[currentNode] = (vulnerabilityExposure[currentNode] || 0) + 1;
-            let simplifiedPath = simplifyPath(currentPath, withinProjectDependencies);
-            report.paths.push(simplifiedPath);
-            foundVulnerableDeps.add(currentNode);
-            continue;
+        // A dependency is development-only when every copy of it is
+        const existing = report.dependencies[node.id];
+        if (existing) {
+            existing.installPaths.push(key);
+            if (!dependencyTypes.includes(DependencyType.DEVELOPMENT_ONLY)) {
+                existing.dependencyTypes = existing.dependencyTypes.filter(type => type !== DependencyType.DEVELOPMENT_ONLY);
+            }
+        } else {
+            report.dependencies[node.id] = { name: node.name, version: node.version, installPaths: [key], dependencyTypes: dependencyTypes.slice(), highestCvssScore, intervals };
         }
+        if (!dependencyTypes.includes(DependencyType.VULNERABLE)) continue;
 
-        if (!dependencyTypes.includes(DependencyType.DEVELOPMENT_ONLY)) {
-            const children = findChildren(dependencyTree, currentPath);
-            children.forEach(child => {
-                if (!foundVulnerableDeps.has(child)) {
-                    const newPath = currentPath.slice();
-                    newPath.push(child);
-                    queue.push(newPath);
-                }
-            });
+        const { paths, depth, heads } = counts.get(key);
+        const simplifiedPaths = shortestPaths.get(key).map(keys => ({
+            path: simplifyPath(keys.map(pathKey => graph.nodes.get(pathKey).id), withinProjectDependencies),
+            installPaths: keys,
+            dependency: node.id,
+            depth: keys.length
+        }));
+        if (reachability) report.dependencies[node.id].reachable = Boolean(reachability[node.id] && reachability[node.id].reachable);
+        if (!isReachable(reachability, node.id, key)) {
+            unreachable[node.id] = (unreachable[node.id] || []).concat(simplifiedPaths);
+            continue;
         }
+        vulnerabilityExposure[node.id] = (vulnerabilityExposure[node.id] || 0) + paths;
+        listed[node.id] = (listed[node.id] || []).concat(simplifiedPaths);
+        if (!reach[node.id]) reach[node.id] = { depth, heads: new Set() };
+        reach[node.id].depth = Math.min(reach[node.id].depth, depth);
+        heads.forEach(head => reach[node.id].heads.add(head));
     }
 
+    // The shortest paths over every copy of a dependency, without the duplicates simplification may produce
+    const selectPaths = scoredPaths => {
+        const seen = new Set();
+        return scoredPaths.slice().sort((a, b) => a.depth - b.depth).filter(({ path: simplifiedPath }) => {
+            const pathKey = simplifiedPath.join(' ');
+            if (seen.has(pathKey)) return false;
+            seen.add(pathKey);
+            return true;
+        }).slice(0, maxPaths);
+    };
+    const scoredPaths = Object.values(listed).flatMap(selectPaths);
+    if (reachability) report.unreachablePaths = Object.values(unreachable).flatMap(selectPaths).map(({ path: simplifiedPath }) => simplifiedPath);
+
     // Add the vulnerability exposure to the report
     report.vulnerabilityExposure = vulnerabilityExposure;
+    report.pathCount = Object.values(vulnerabilityExposure).reduce((sum, count) => sum + count, 0);
+    report.maxPaths = maxPaths;
+    // Copies of the same packages close the same cycle
+    const cycles = ordered.cycles.map(edge => edge.map(key => key === ROOT ? dependencyTree.name : graph.nodes.get(key).id));
+    report.cycles = Array.from(new Map(cycles.map(cycle => [cycle.join(' '), cycle])).values());
+
+    // Sort the paths by their exposure score, then by the highest CVSS score present in each path
+    const pathScores = scorePaths(scoredPaths, reach, report, vulnerabilitiesData, laggingDependenciesData.lagMetrics || {}, exploitabilityScores, weights);
+    const highestCvssScore = simplifiedPath => simplifiedPath.map(node => report.dependencies[node]?.highestCvssScore || 0).reduce((max, score) => Math.max(max, score), 0);
+    const order = scoredPaths.map((scoredPath, index) => index).sort((a, b) =>
+        pathScores[b].score - pathScores[a].score || highestCvssScore(scoredPaths[b].path) - highestCvssScore(scoredPaths[a].path));
+    report.paths = order.map(index => scoredPaths[index].path);
+    report.pathScores = order.map(index => pathScores[index]);
+    report.pathInstallPaths = order.map(index => scoredPaths[index].installPaths);
+    report.scoring = { weights, exploitability: options.exploitability ? path.resolve(options.exploitability) : null };
+
+    return report;
+}
 
-    // Sort the paths by the highest CVSS score present in each path
-    report.paths.sort((a, b) => {
-        const highestCvssScoreA = a.map(node => report.dependencies[node]?.highestCvssScore || 0).reduce((max, score) => Math.max(max, score), 0);
-        const highestCvssScoreB = b.map(node => report.dependencies[node]?.highestCvssScore || 0).reduce((max, score) => Math.max(max, score), 0);
-        return highestCvssScoreB - highestCvssScoreA;
-    });
+/**
+ * Construct paths from the root project to the vulnerable dependencies
+ * Reads the outputs of the earlier steps from the output directory, or takes them from options.outputs when the steps
+ * run in memory, and writes the report (see constructPaths).
+ * @param projectPath - The full path of the project
+ * @param outputDir - The full path of the output directory, or null to keep the report in memory
+ * @param options - The options of constructPaths, and outputs: the outputs of the earlier steps when they ran in memory.
+ * @returns {Object} - The report.
+ */
+exports.step6_constructPath = function(projectPath, outputDir, options = {}) {
+    console.log('Step6 (Path construction) for project <' + path.basename(projectPath) + '> starts');
+
+    const readOutput = key => readStepInput(outputDir, key, options.outputs);
+    const report = constructPaths({
+        dependencyTree: readOutput('step1'),
+        devDependenciesData: readOutput('step2'),
+        withinProjectData: readOutput('step3'),
+        // Read the vulnerabilities data from step5's output
+        vulnerabilitiesData: readOutput('step5'),
+        laggingDependenciesData: readOutput('step4'),
+        reachabilityData: options.reachability ? readOutput('step5b') : null
+    }, options);
 
-    fs.writeFileSync(path.join(outputDir, 'step6_output.json'), JSON.stringify(report, null, 2));
+    writeStepOutput(outputDir, 'step6', report);
     console.log('Step6 (Path construction) for project <' + path.basename(projectPath) + '> ends\n---------------\n');
-}
\ No newline at end of file
+    return report;
+}
+
+exports.constructPaths = constructPaths;
+exports.countPaths = countPaths;
+exports.DEFAULT_MAX_PATHS = DEFAULT_MAX_PATHS;
+exports.DependencyType = DependencyType;
+exports.getVulnerableDependencyId = getVulnerableDependencyId;
+exports.readDevelopmentClassification = readDevelopmentClassification;
+exports.isDevelopmentOnly = isDevelopmentOnly;
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { readDependencyTree, collectInstalledPackages, parseDependencyId } = require('../utils/dependency_tree');
+const { buildDependencyGraph } = require('../utils/dependency_graph');
+const { readStepInput, writeStepOutput } = require('../utils/step_runner');
+const { createRegistryProvider } = require('../providers/registry');
+const { loadAdvisories, findAdvisories } = require('../providers/vulnerability/osv');
+const { getVulnerableDependencyId, countPaths } = require('./step6');
+
+// The kinds of change that remove a path, from the least to the most intrusive
+const FixKind = {
+    IN_RANGE: 'in-range', // Update the vulnerable package within the range its parent declares
+    DIRECT: 'direct', // Bump the direct dependency at the head of the path
+    OVERRIDE: 'override' // Force the version of the vulnerable package with overrides/resolutions
+};
+
+const dependencyFields = ['dependencies', 'optionalDependencies', 'peerDependencies'];
+
+/**
+ * Get the range a manifest declares for a dependency.
+ * @param manifest - The package.json or registry manifest of the dependent.
+ * @param name - The name of the dependency.
+ * @param includeDev - Whether devDependencies count, which is only the case for the root project.
+ * @returns {string|null}
+ */
+function getDeclaredRange(manifest, name, includeDev) {
+    const fields = dependencyFields.concat(includeDev ? ['devDependencies'] : []);
+    const field = fields.find(field => manifest[field] && manifest[field][name]);
+    return field ? manifest[field][name] : null;
+}
+
+/**
+ * Check whether registry metadata carries the dependencies of each version, which deps.dev and npm view do not.
+ * @param metadata - The normalised registry metadata.
+ * @returns {boolean}
+ */
+function hasManifests(metadata) {
+    return metadata.versions.some(version => dependencyFields.some(field => version[field]));
+}
+
+/**
+ * Get the released versions of a package that are newer than a version, in ascending order.
+ * Prereleases are left out.
+ * @param metadata - The normalised registry metadata.
+ * @param version - The installed version.
+ * @returns {string[]}
+ */
+function getNewerVersions(metadata, version) {
+    return metadata.versions.map(v => v.version)
+        .filter(candidate => semver.valid(candidate) && !semver.prerelease(candidate) && semver.gt(candidate, version))
+        .sort(semver.compare);
+}
+
+/**
+ * Get the kind of version bump between two versions.
+ * @param from - The installed version.
+ * @param to - The version to move to.
+ * @returns {string} - major, minor or patch.
+ */
+function getBumpType(from, to) {
+    const diff = semver.diff(from, to);
+    if (diff === 'major' || diff === 'premajor') return 'major';
+    if (diff === 'minor' || diff === 'preminor') return 'minor';
+    return 'patch';
+}
+
+/**
+ * Create the check deciding whether a version of a vulnerable package is free of the vulnerabilities to remove.
+ * With the advisory dump of the osv source the version is matched against the advisories again; otherwise it has to
+ * be at least the fixed version step5 reported for every vulnerability.
+ * @param advisories - The advisory index of the osv source, or null.
+ * @returns {function(string, string, Object[]): boolean|null} - (name, version, vulnerabilities) resolving to null
+ *   when a vulnerability has no known fixed version.
+ */
+function createSafetyCheck(advisories) {
+    if (advisories) {
+        return (name, version, vulnerabilities) => {
+            const remaining = findAdvisories(advisories, name, version).map(vulnerability => vulnerability.name);
+            return !vulnerabilities.some(vulnerability => remaining.includes(vulnerability.name));
+        };
+    }
+    return (name, version, vulnerabilities) => {
+        if (vulnerabilities.some(vulnerability => !vulnerability.fixedVersion || !semver.valid(vulnerability.fixedVersion))) return null;
+        return vulnerabilities.every(vulnerability => semver.gte(version, vulnerability.fixedVersion));
+    };
+}
+
+/**
+ * Resolve the version of the vulnerable package a path ends in, for a given version of the package at its head,
+ * by following the ranges each package of the path declares for the next one and taking the highest satisfying
+ * version, as npm would.
+ * @param registry - The registry provider.
+ * @param names - The package names of the path, from the head to the vulnerable package.
+ * @param headVersion - The version of the head.
+ * @returns {Promise<{version: string|null, dropped: boolean}|null>} - dropped when a package of the path no longer
+ *   depends on the next one; null when the path cannot be followed with the registry metadata.
+ */
+async function resolvePathEnd(registry, names, headVersion) {
+    let version = headVersion;
+    for (let i = 1; i < names.length; i++) {
+        const metadata = await registry.getPackage(names[i - 1]);
+        if (!metadata || !hasManifests(metadata)) return null;
+        const manifest = metadata.versions.find(v => v.version === version);
+        if (!manifest) return null;
+        const range = getDeclaredRange(manifest, names[i], false);
+        if (!range) return { version: null, dropped: true };
+
+        const next = await registry.getPackage(names[i]);
+        version = next && semver.maxSatisfying(next.versions.map(v => v.version), range);
+        if (!version) return null;
+    }
+    return { version, dropped: false };
+}
+
+/**
+ * Read the manifest of an installed package, or else its manifest in the registry metadata.
+ * @param projectPath - The full path of the project.
+ * @param installedPackages - The installed packages of the step1 tree, keyed by name@version.
+ * @param registry - The registry provider.
+ * @param node - The package: { id, name, version, installPath } with the install path of the copy, or null if unknown.
+ * @returns {Promise<Object|null>}
+ */
+async function readManifest(projectPath, installedPackages, registry, node) {
+    const installed = installedPackages.get(node.id);
+    const installPath = node.installPath || (installed && installed.installPaths[0]);
+    const manifestPath = installPath && path.join(projectPath, installPath, 'package.json');
+    if (manifestPath && fs.existsSync(manifestPath)) return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+    const metadata = await registry.getPackage(node.name);
+    return metadata && metadata.versions.find(v => v.version === node.version) || null;
+}
+
+/**
+ * Get the packages along a path of step6 before simplification, from the direct dependency to the vulnerable package.
+ * Older step6 outputs without pathInstallPaths only have the simplified path, whose packages then stand in for the chain.
+ * @param report - The step6 output.
+ * @param index - The index of the path in report.paths.
+ * @param graph - The dependency graph of the step1 tree.
+ * @returns {{id: string, name: string, version: string|undefined, installPath: string|null}[]}
+ */
+function getPathChain(report, index, graph) {
+    const installPaths = report.pathInstallPaths && report.pathInstallPaths[index];
+    if (installPaths && installPaths.every(key => graph.nodes.has(key))) {
+        return installPaths.map(key => {
+            const { id, name, version } = graph.nodes.get(key);
+            return { id, name, version, installPath: key };
+        });
+    }
+    return report.paths[index].map(id => ({ id, ...parseDependencyId(id), installPath: null }));
+}
+
+/**
+ * Find the smallest change that removes one path to a vulnerable package: an update of the vulnerable package within
+ * the range its parent declares, else a bump of the direct dependency at the head of the path, else an override.
+ * The path is followed edge by edge, so it has to be the chain before within-project dependencies are collapsed:
+ * after simplification the node before a package need not be the package requiring it.
+ * @param chain - The packages along the path, as returned by getPathChain.
+ * @param context - { projectPath, rootManifest, installedPackages, registry, isSafe, vulnerabilities }
+ * @returns {Promise<{kind: string, package: string, from: string, to: string, bump: string, parent: string|undefined,
+ *   range: string|undefined}|{unresolved: string}>}
+ */
+async function planPath(chain, context) {
+    const { projectPath, rootManifest, installedPackages, registry, isSafe, vulnerabilities } = context;
+    const target = chain[chain.length - 1];
+    // Older step6 outputs end their paths with the bare name
+    if (!target.version) return { unresolved: `The installed version of ${target.name} is unknown` };
+    const metadata = await registry.getPackage(target.name);
+    if (!metadata) return { unresolved: `No registry metadata for ${target.name}` };
+
+    const candidates = getNewerVersions(metadata, target.version);
+    const safeVersions = [];
+    for (const candidate of candidates) {
+        const safe = isSafe(target.name, candidate, vulnerabilities);
+        if (safe === null) return { unresolved: 'No fixed version is known for every vulnerability' };
+        if (safe) safeVersions.push(candidate);
+    }
+    if (safeVersions.length === 0) return { unresolved: `No released version of ${target.name} fixes every vulnerability` };
+
+    // The parent of the vulnerable package is the node before it, or the project itself for a direct dependency
+    const parent = chain.length > 1 ? chain[chain.length - 2] : null;
+    const parentId = parent ? parent.id : null;
+    const parentManifest = parent ? await readManifest(projectPath, installedPackages, registry, parent) : rootManifest;
+    const range = parentManifest && getDeclaredRange(parentManifest, target.name, !parent);
+    const inRange = range && semver.validRange(range) ? safeVersions.find(version => semver.satisfies(version, range)) : null;
+    if (inRange) {
+        return { kind: FixKind.IN_RANGE, package: target.name, from: target.version, to: inRange, bump: getBumpType(target.version, inRange), parent: parentId || undefined, range };
+    }
+
+    // A path starting at a linked workspace package has no direct dependency to bump
+    const head = chain[0];
+    const headIsDirect = Boolean(getDeclaredRange(rootManifest, head.name, true));
+    if (headIsDirect && chain.length === 1) {
+        return { kind: FixKind.DIRECT, package: target.name, from: target.version, to: safeVersions[0], bump: getBumpType(target.version, safeVersions[0]) };
+    }
+    const headMetadata = headIsDirect ? await registry.getPackage(head.name) : null;
+    const names = chain.map(node => node.name);
+    for (const candidate of headMetadata ? getNewerVersions(headMetadata, head.version) : []) {
+        const end = await resolvePathEnd(registry, names, candidate);
+        if (!end) break;
+        if (end.dropped || isSafe(target.name, end.version, vulnerabilities)) {
+            return { kind: FixKind.DIRECT, package: head.name, from: head.version, to: candidate, bump: getBumpType(head.version, candidate) };
+        }
+    }
+    return { kind: FixKind.OVERRIDE, package: target.name, from: target.version, to: safeVersions[0], bump: getBumpType(target.version, safeVersions[0]) };
+}
+
+/**
+ * Plan the remediation of the vulnerable paths found by step6.
+ * Every listed path gets the smallest change that removes it, and the changes are merged into a fix plan ranked by the
+ * number of paths they remove, then by how intrusive they are. Step6 lists only the shortest paths of a dependency and
+ * counts them all, so each listed path stands for an equal share of the paths counted for its dependency
+ * (vulnerabilityExposure): a fix covering every listed path of a dependency removes all of its paths. Bumping a direct dependency needs registry metadata
+ * with the dependencies of every version (the mirror or fixtures registry sources); with the other sources only
+ * in-range updates and overrides are planned.
+ * @param projectPath - The full path of the project.
+ * @param outputDir - The full path of the output directory, or null to keep the plan in memory.
+ * @param options - { registryProvider, registrySource, registry, vulnerabilitySource, advisories, outputs } - With the osv
+ *   source the candidate versions are matched against the advisory dump, otherwise against the fixed versions of step5;
+ *   outputs holds the outputs of the earlier steps when they ran in memory.
+ * @returns {Promise<Object>} - The fix plan.
+ */
+exports.step6b_planRemediation = async function(projectPath, outputDir, options = {}) {
+    console.log('Step6b (plan remediation) for project <' + path.basename(projectPath) + "> starts")
+
+    const report = readStepInput(outputDir, 'step6', options.outputs);
+    const vulnerabilitiesData = readStepInput(outputDir, 'step5', options.outputs);
+    const dependencyTree = readDependencyTree(outputDir, options.outputs);
+    const installedPackages = collectInstalledPackages(dependencyTree);
+    const graph = buildDependencyGraph(dependencyTree);
+    const rootManifest = JSON.parse(fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8'));
+    const registry = options.registryProvider || createRegistryProvider(options.registrySource || 'deps.dev', options);
+    const advisories = options.vulnerabilitySource === 'osv' && options.advisories ? loadAdvisories(options.advisories) : null;
+    const isSafe = createSafetyCheck(advisories);
+
+    const vulnerabilitiesOf = {};
+    for (const entry of vulnerabilitiesData) {
+        const id = getVulnerableDependencyId(entry);
+        vulnerabilitiesOf[id] = (vulnerabilitiesOf[id] || []).concat(entry.vulnerabilities);
+    }
+
+    // The number of paths each listed path stands for; older step6 outputs list every path
+    const listedPaths = {};
+    report.paths.forEach(simplifiedPath => {
+        const id = simplifiedPath[simplifiedPath.length - 1];
+        listedPaths[id] = (listedPaths[id] || 0) + 1;
+    });
+    const exposure = report.vulnerabilityExposure || {};
+    const shareOf = id => typeof exposure[id] === 'number' ? exposure[id] / listedPaths[id] : 1;
+
+    const fixes = new Map();
+    const unresolved = [];
+    for (const [index, simplifiedPath] of report.paths.entries()) {
+        const id = simplifiedPath[simplifiedPath.length - 1];
+        const vulnerabilities = vulnerabilitiesOf[id] || vulnerabilitiesOf[parseDependencyId(id).name] || [];
+        const fix = await planPath(getPathChain(report, index, graph), { projectPath, rootManifest, installedPackages, registry, isSafe, vulnerabilities });
+        if (fix.unresolved) {
+            unresolved.push({ path: simplifiedPath, reason: fix.unresolved, vulnerabilities: vulnerabilities.map(vulnerability => vulnerability.name) });
+            continue;
+        }
+
+        const key = [fix.kind, fix.package, fix.to, fix.parent || ''].join('|');
+        if (!fixes.has(key)) fixes.set(key, { ...fix, from: [], paths: 0, vulnerabilities: [], highestCvssScore: -1 });
+        const merged = fixes.get(key);
+        if (!merged.from.includes(fix.from)) merged.from.push(fix.from);
+        merged.paths += shareOf(id);
+        for (const vulnerability of vulnerabilities) {
+            if (!merged.vulnerabilities.includes(vulnerability.name)) merged.vulnerabilities.push(vulnerability.name);
+            if (typeof vulnerability.cvss === 'number') merged.highestCvssScore = Math.max(merged.highestCvssScore, vulnerability.cvss);
+        }
+    }
+
+    const kindOrder = Object.values(FixKind);
+    fixes.forEach(fix => fix.paths = Math.round(fix.paths));
+    const plan = Array.from(fixes.values())
+        .sort((a, b) => b.paths - a.paths || kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind) || b.highestCvssScore - a.highestCvssScore)
+        .map((fix, index) => ({ rank: index + 1, ...fix }));
+
+    // The overrides to paste into package.json (npm) or its resolutions (yarn), the highest version per package
+    const overrides = {};
+    for (const fix of plan.filter(fix => fix.kind === FixKind.OVERRIDE)) {
+        if (!overrides[fix.package] || semver.gt(fix.to, overrides[fix.package])) overrides[fix.package] = fix.to;
+    }
+
+    const result = {
+        registrySource: registry.description,
+        safetyCheck: advisories ? 'advisories' : 'fixed-versions',
+        paths: countPaths(report),
+        fixes: plan,
+        overrides,
+        unresolved
+    };
+    writeStepOutput(outputDir, 'step6b', result);
+    console.log('Step6b (plan remediation) for project <' + path.basename(projectPath) + "> ends\n---------------\n")
+    return result;
+};
+
+exports.FixKind = FixKind;
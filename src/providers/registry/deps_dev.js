@@ -0,0 +1,22 @@
+const axios = require('axios');
+const { normalizeVersionList } = require('./packument');
+
+/**
+ * Registry metadata from the deps.dev API. It provides publish dates but no per-version dependencies.
+ * @returns {{getPackage: function(string): Promise<Object|null>}}
+ */
+exports.createProvider = function() {
+  return {
+    description: 'deps.dev',
+    async getPackage(packageName) {
+      try {
+        const encodedPackageName = encodeURIComponent(packageName);
+        const response = await axios.get(`https://api.deps.dev/v3alpha/systems/npm/packages/${encodedPackageName}`);
+        return normalizeVersionList(packageName, response.data.versions.map(v => ({ version: v.versionKey.version, publishedAt: v.publishedAt })));
+      } catch (error) {
+        console.error(`Error fetching package info for ${packageName}`);
+        return null;
+      }
+    }
+  };
+};
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizePackument, normalizeVersionList } = require('./packument');
+
+/**
+ * Get the candidate file names of a package in a fixture directory.
+ * @param dir - The fixture directory.
+ * @param packageName - The package name, possibly scoped.
+ * @returns {string[]}
+ */
+function getFixtureFiles(dir, packageName) {
+  return [
+    path.join(dir, `${packageName}.json`),
+    path.join(dir, `${packageName.replace('/', '%2f')}.json`),
+    path.join(dir, `${packageName.replace('/', '__')}.json`),
+  ];
+}
+
+/**
+ * Registry metadata read from a directory of JSON files, one per package (<name>.json, scoped packages as
+ * @scope/<name>.json). A file holds either a packument as served by the registry or a list of { version, publishedAt }.
+ * This makes step4 reproducible and usable offline.
+ * @param options - { registry: string } - The fixture directory.
+ * @returns {{getPackage: function(string): Promise<Object|null>}}
+ */
+exports.createProvider = function(options) {
+  if (!options.registry || !fs.existsSync(options.registry)) {
+    throw new Error('The fixtures registry source requires an existing fixture directory (--registry)');
+  }
+  const dir = path.resolve(options.registry);
+  return {
+    description: `fixtures:${dir}`,
+    async getPackage(packageName) {
+      const file = getFixtureFiles(dir, packageName).find(candidate => fs.existsSync(candidate));
+      if (!file) return null;
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(data) ? normalizeVersionList(packageName, data) : normalizePackument({ name: packageName, ...data });
+    }
+  };
+};
@@ -0,0 +1,35 @@
+/**
+ * Registry of the sources of package version metadata.
+ * Every provider factory returns { description, getPackage(name) } where getPackage resolves to the
+ * normalised metadata of the package (see packument.js) or null if the package is unknown.
+ */
+const providers = {
+  'deps.dev': require('./deps_dev'),
+  npm: require('./npm_view'),
+  mirror: require('./mirror'),
+  fixtures: require('./fixtures'),
+};
+
+/**
+ * Create a registry provider, caching the metadata of every package it is asked for.
+ * @param name - The name of the provider.
+ * @param options - { registry: string } - The mirror URL or fixture directory, where needed.
+ * @returns {{description: string, getPackage: function(string): Promise<Object|null>}}
+ */
+exports.createRegistryProvider = function(name, options = {}) {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown registry source "${name}", expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+  const provider = factory.createProvider(options);
+  const cache = new Map();
+  return {
+    description: provider.description,
+    getPackage(packageName) {
+      if (!cache.has(packageName)) cache.set(packageName, provider.getPackage(packageName));
+      return cache.get(packageName);
+    }
+  };
+};
+
+exports.registrySources = Object.keys(providers);
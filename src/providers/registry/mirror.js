@@ -0,0 +1,27 @@
+const axios = require('axios');
+const { normalizePackument } = require('./packument');
+
+/**
+ * Registry metadata from an npm-compatible registry mirror (e.g. a local Verdaccio instance).
+ * @param options - { registry: string } - The base URL of the mirror.
+ * @returns {{getPackage: function(string): Promise<Object|null>}}
+ */
+exports.createProvider = function(options) {
+  if (!options.registry) {
+    throw new Error('The mirror registry source requires the URL of the mirror (--registry)');
+  }
+  const baseUrl = options.registry.replace(/\/+$/, '');
+  return {
+    description: `mirror:${baseUrl}`,
+    async getPackage(packageName) {
+      try {
+        // Scoped names keep their @ but the slash has to be escaped
+        const response = await axios.get(`${baseUrl}/${packageName.replace('/', '%2f')}`);
+        return normalizePackument(response.data);
+      } catch (error) {
+        console.error(`Error fetching package info for ${packageName} from ${baseUrl}`);
+        return null;
+      }
+    }
+  };
+};
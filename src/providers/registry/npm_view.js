@@ -0,0 +1,25 @@
+const { execFile } = require('child_process');
+const util = require('util');
+const { normalizePackument } = require('./packument');
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Registry metadata from `npm view`, which honours the npm configuration (registry, proxy, cache) of the machine.
+ * @returns {{getPackage: function(string): Promise<Object|null>}}
+ */
+exports.createProvider = function() {
+  return {
+    description: 'npm view',
+    async getPackage(packageName) {
+      try {
+        // execFile passes the name as a single argument, so that no shell ever sees it
+        const { stdout } = await execFileAsync('npm', ['view', packageName, 'time', 'dist-tags', '--json'], { maxBuffer: 64 * 1024 * 1024 });
+        const data = JSON.parse(stdout);
+        return normalizePackument({ name: packageName, time: data.time, 'dist-tags': data['dist-tags'] });
+      } catch (error) {
+        console.error(`Error fetching package info for ${packageName} with npm view`);
+        return null;
+      }
+    }
+  };
+};
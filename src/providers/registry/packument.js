@@ -0,0 +1,53 @@
+/**
+ * Normalise registry metadata into the shape every registry provider returns:
+ * { name, distTags, versions: [{ version, publishedAt, dependencies, optionalDependencies, peerDependencies, repository }] }
+ * sorted by publish date. dependencies is undefined for the versions whose manifest the metadata does not include.
+ */
+
+/**
+ * Normalise an npm registry packument (the document served at <registry>/<name>).
+ * @param packument - The packument with its time, versions and dist-tags properties.
+ * @returns {{name: string, distTags: Object, versions: Array}}
+ */
+function normalizePackument(packument) {
+  const time = packument.time || {};
+  const manifests = packument.versions || {};
+  const versionNames = new Set(Object.keys(manifests).concat(Object.keys(time).filter(key => key !== 'created' && key !== 'modified')));
+
+  const versions = Array.from(versionNames).map(version => {
+    const manifest = manifests[version] || {};
+    return {
+      version,
+      publishedAt: time[version] || null,
+      // An empty object when the manifest is known, so that a package without dependencies is told apart from
+      // metadata that lacks the manifests (npm view time dist-tags)
+      dependencies: manifests[version] ? manifest.dependencies || {} : undefined,
+      optionalDependencies: manifest.optionalDependencies,
+      peerDependencies: manifest.peerDependencies,
+      deprecated: manifest.deprecated,
+      repository: manifest.repository,
+    };
+  });
+  return { name: packument.name, distTags: packument['dist-tags'] || {}, versions: sortByPublishDate(versions) };
+}
+
+/**
+ * Normalise a plain list of versions with their publish dates.
+ * @param name - The package name.
+ * @param versions - [{ version, publishedAt }]
+ * @returns {{name: string, distTags: Object, versions: Array}}
+ */
+function normalizeVersionList(name, versions) {
+  return { name, distTags: {}, versions: sortByPublishDate(versions.map(v => ({ ...v }))) };
+}
+
+/**
+ * Sort versions by their publish date, versions without a date first.
+ * @param versions - The versions to sort.
+ * @returns {Array}
+ */
+function sortByPublishDate(versions) {
+  return versions.sort((a, b) => new Date(a.publishedAt || 0) - new Date(b.publishedAt || 0));
+}
+
+module.exports = { normalizePackument, normalizeVersionList };
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { buildTree, hoistLayout } = require('./layout');
+const packageLock = require('./package_lock');
+const yarnLock = require('./yarn_lock');
+const pnpmLock = require('./pnpm_lock');
+const registryResolution = require('./registry_resolution');
+const { StepError, FailureCategory } = require('../../utils/run_log');
+
+/**
+ * How step1 obtains the dependency tree: from npm ls after an install, or from lockfiles and registry metadata.
+ */
+const treeSources = ['install', 'lockfile'];
+
+/**
+ * The lockfiles step1 can build the dependency tree from, in order of precedence
+ * (npm itself prefers npm-shrinkwrap.json over package-lock.json).
+ */
+const lockfileNames = ['npm-shrinkwrap.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+/**
+ * Parse a JSON file, reporting syntax errors as parse errors of the step.
+ * @param file - The full path of the file.
+ * @returns {Object}
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new StepError(`Cannot parse ${path.basename(file)}: ${error.message}`, { category: FailureCategory.PARSE_ERROR });
+  }
+}
+
+/**
+ * Build the layout of a project from its lockfile.
+ * @param lockfile - The full path of the lockfile.
+ * @param packageJson - The package.json of the project.
+ * @returns {Promise<{root: Object, packages: Map<string, Object>, lockfileVersion: string}>}
+ */
+async function readLockfileLayout(lockfile, packageJson) {
+  const fileName = path.basename(lockfile);
+  if (fileName.endsWith('.json')) {
+    return packageLock.readLayout(readJson(lockfile), packageJson);
+  }
+
+  const text = fs.readFileSync(lockfile, 'utf8');
+  if (fileName === 'yarn.lock') {
+    const { resolve, lockfileVersion } = yarnLock.createResolver(text);
+    return { ...await hoistLayout(packageJson, resolve), lockfileVersion };
+  }
+  const { root, resolve, lockfileVersion } = pnpmLock.createResolver(text, packageJson);
+  return { ...await hoistLayout(root, resolve), lockfileVersion };
+}
+
+/**
+ * Get the publish date of the project version, the date a registry resolution installs as of.
+ * @param registry - The registry provider.
+ * @param packageJson - The package.json of the project.
+ * @returns {Promise<Date>}
+ */
+async function getPublishDate(registry, packageJson) {
+  const metadata = packageJson.name ? await registry.getPackage(packageJson.name) : null;
+  const release = metadata && metadata.versions.find(v => v.version === packageJson.version);
+  if (!release || !release.publishedAt) {
+    throw new Error(`Cannot find the publish date of ${packageJson.name}@${packageJson.version} in ${registry.description}`);
+  }
+  return new Date(release.publishedAt);
+}
+
+/**
+ * Find the lockfile a project ships, if any.
+ * @param projectPath - The full path of the project.
+ * @returns {string|null} - The full path of the lockfile.
+ */
+function findLockfile(projectPath) {
+  return lockfileNames.map(name => path.join(projectPath, name)).find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Build the dependency tree of a project without installing it: from the lockfile it ships, or, without one,
+ * by resolving the declared ranges against registry metadata as of the publish date of the project version.
+ * The tree has the `npm ls --all --json` shape step1 writes after an install, with the install path of every
+ * node and a treeSource property telling where it came from.
+ * @param projectPath - The full path of the project.
+ * @param options - { registryProvider } - The registry metadata used when no lockfile ships.
+ * @returns {Promise<Object>}
+ */
+exports.buildLockfileTree = async function(projectPath, options = {}) {
+  const packageJson = readJson(path.join(projectPath, 'package.json'));
+  const lockfile = findLockfile(projectPath);
+
+  let layout;
+  let treeSource;
+  if (lockfile) {
+    layout = await readLockfileLayout(lockfile, packageJson);
+    treeSource = { type: 'lockfile', file: path.basename(lockfile), lockfileVersion: layout.lockfileVersion };
+  } else {
+    const registry = options.registryProvider;
+    if (!registry) throw new Error(`<${path.basename(projectPath)}> ships no lockfile and no registry source is configured`);
+    const date = await getPublishDate(registry, packageJson);
+    layout = await hoistLayout(packageJson, registryResolution.createResolver(registry, date));
+    treeSource = { type: 'registry', registrySource: registry.description, resolvedAt: date.toISOString() };
+  }
+
+  const tree = buildTree(layout);
+  tree.treeSource = treeSource;
+  return tree;
+};
+
+exports.treeSources = treeSources;
+exports.lockfileNames = lockfileNames;
+exports.findLockfile = findLockfile;
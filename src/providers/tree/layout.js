@@ -0,0 +1,119 @@
+/**
+ * Turn a node_modules layout into the `npm ls --all --json` tree step1 writes, so that the lockfile tree sources
+ * produce the same shape as the npm ls of an installed project.
+ * A layout is { root, packages } where root is the project manifest and packages maps every install path
+ * (e.g. node_modules/express/node_modules/qs) to { name, version, resolved, dependencies, optionalDependencies, peerDependencies }.
+ */
+
+/**
+ * Get the names of the dependencies a manifest declares, in the order npm ls prints them.
+ * @param manifest - The manifest of the package.
+ * @param isRoot - Whether the manifest is the one of the project, whose devDependencies are installed as well.
+ * @returns {{name: string, range: string, optional: boolean}[]}
+ */
+function getDependencyEdges(manifest, isRoot) {
+  const fields = ['dependencies', 'optionalDependencies', 'peerDependencies'].concat(isRoot ? ['devDependencies'] : []);
+  const edges = new Map();
+  for (const field of fields) {
+    for (const [name, range] of Object.entries(manifest[field] || {})) {
+      if (!edges.has(name)) edges.set(name, { name, range, optional: field !== 'dependencies' && field !== 'devDependencies' });
+    }
+  }
+  return Array.from(edges.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find the install path a dependency resolves to from a package, the way Node.js resolves it:
+ * the closest node_modules directory holding the dependency, walking up from the requiring package.
+ * @param packages - The layout, keyed by install path.
+ * @param fromPath - The install path of the requiring package, or '' for the project.
+ * @param name - The name of the dependency.
+ * @returns {string|null}
+ */
+function resolveInLayout(packages, fromPath, name) {
+  let dir = fromPath;
+  while (true) {
+    const candidate = dir ? `${dir}/node_modules/${name}` : `node_modules/${name}`;
+    if (packages.has(candidate)) return candidate;
+    if (!dir) return null;
+    const parentIndex = dir.lastIndexOf('/node_modules/');
+    dir = parentIndex === -1 ? '' : dir.slice(0, parentIndex);
+  }
+}
+
+/**
+ * Build the npm ls tree of a layout.
+ * Like npm ls, the occurrence of an install path closest to the root lists its dependencies and the others
+ * (deduped copies and cycles) only their version. Required dependencies that are not in the layout are reported under problems.
+ * @param layout - { root, packages }
+ * @returns {Object} - The tree in the `npm ls --json` shape, with the install path of every node.
+ */
+function buildTree(layout) {
+  const { root, packages } = layout;
+  const tree = { version: root.version, name: root.name, dependencies: {} };
+  const problems = [];
+  const expanded = new Set();
+
+  // Breadth-first, so that the copy closest to the root is the one listing its dependencies, as in npm ls
+  const queue = [{ manifest: root, node: tree, installPath: '', label: `${root.name}@${root.version}` }];
+  const created = [];
+  while (queue.length > 0) {
+    const { manifest, node, installPath, label } = queue.shift();
+    for (const { name, range, optional } of getDependencyEdges(manifest, installPath === '')) {
+      const childPath = resolveInLayout(packages, installPath, name);
+      if (!childPath) {
+        if (!optional) problems.push(`missing: ${name}@${range}, required by ${label}`);
+        continue;
+      }
+      const child = packages.get(childPath);
+      if (expanded.has(childPath)) {
+        node.dependencies[name] = { version: child.version, path: childPath };
+        continue;
+      }
+      expanded.add(childPath);
+      const childNode = { version: child.version, resolved: child.resolved, overridden: false, path: childPath, dependencies: {} };
+      node.dependencies[name] = childNode;
+      created.push(childNode);
+      queue.push({ manifest: child, node: childNode, installPath: childPath, label: `${name}@${child.version}` });
+    }
+  }
+  for (const node of created) {
+    if (Object.keys(node.dependencies).length === 0) delete node.dependencies;
+    if (!node.resolved) delete node.resolved;
+  }
+
+  if (problems.length > 0) tree.problems = problems;
+  return tree;
+}
+
+/**
+ * Lay out a logical dependency graph (a yarn.lock, pnpm-lock.yaml or registry resolution, which do not record
+ * where packages are installed) into node_modules the way npm hoists it: a package goes to the top-level
+ * node_modules unless a different version is already visible from its dependent, in which case it is nested.
+ * @param root - The project manifest.
+ * @param resolve - async (name, range, dependent) => manifest of the resolved package, or null if it cannot be resolved.
+ * @returns {Promise<{root: Object, packages: Map<string, Object>}>}
+ */
+async function hoistLayout(root, resolve) {
+  const packages = new Map();
+  const queue = [{ manifest: root, installPath: '' }];
+
+  while (queue.length > 0) {
+    const { manifest, installPath } = queue.shift();
+    for (const { name, range } of getDependencyEdges(manifest, installPath === '')) {
+      const resolved = await resolve(name, range, manifest);
+      if (!resolved) continue;
+
+      const visible = resolveInLayout(packages, installPath, name);
+      if (visible && packages.get(visible).version === resolved.version) continue;
+
+      const target = visible ? `${installPath ? `${installPath}/` : ''}node_modules/${name}` : `node_modules/${name}`;
+      if (packages.has(target)) continue;
+      packages.set(target, { ...resolved, name });
+      queue.push({ manifest: resolved, installPath: target });
+    }
+  }
+  return { root, packages };
+}
+
+module.exports = { buildTree, hoistLayout, getDependencyEdges };
@@ -0,0 +1,103 @@
+/**
+ * Parse the indentation-based lockfile formats: yarn.lock v1 ("key value" lines), and the YAML subset written
+ * by Yarn Berry and pnpm ("key: value" lines, nested blocks and "- item" sequences). Flow collections such as
+ * `{integrity: sha512-...}` are kept as raw strings, since no lockfile field the tree is built from uses them.
+ */
+
+/**
+ * Remove the quotes around a scalar.
+ * A yarn v1 key listing several quoted descriptors ("a@^1.0.0", "a@^1.1.0") is not one scalar and is kept as is.
+ * @param value - The raw scalar.
+ * @returns {string}
+ */
+function unquote(value) {
+  const trimmed = value.trim();
+  const quote = trimmed[0];
+  if (trimmed.length >= 2 && (quote === '"' || quote === "'") && trimmed[trimmed.length - 1] === quote && !trimmed.slice(1, -1).includes(quote)) {
+    return trimmed.slice(1, -1);
+  }
+  return trimmed;
+}
+
+/**
+ * Find the first occurrence of a separator outside of quotes.
+ * @param content - The line content.
+ * @param test - Called with the index, returns the length of the separator at that index or 0.
+ * @returns {{index: number, length: number}|null}
+ */
+function findUnquoted(content, test) {
+  let quote = null;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+      continue;
+    }
+    const length = test(i);
+    if (length > 0) return { index: i, length };
+  }
+  return null;
+}
+
+/**
+ * Split a line into its key and value.
+ * @param content - The line content without indentation.
+ * @returns {{key: string, value: string|undefined}} - The value is undefined when the line opens a nested block.
+ */
+function parseEntry(content) {
+  if (content.endsWith(':') && !findUnquoted(content.slice(0, -1), i => content.startsWith(': ', i) ? 2 : 0)) {
+    return { key: unquote(content.slice(0, -1)), value: undefined };
+  }
+  // YAML style "key: value", then yarn v1 style "key value"
+  const colon = findUnquoted(content, i => content.startsWith(': ', i) ? 2 : 0);
+  const separator = colon || findUnquoted(content, i => /\s/.test(content[i]) ? 1 : 0);
+  if (!separator) return { key: unquote(content), value: '' };
+  return {
+    key: unquote(content.slice(0, separator.index)),
+    value: unquote(content.slice(separator.index + separator.length)),
+  };
+}
+
+/**
+ * Parse an indentation-based lockfile into nested objects.
+ * @param text - The content of the lockfile.
+ * @returns {Object}
+ */
+function parseLockfile(text) {
+  const root = {};
+  const stack = [{ indent: -1, value: root }];
+
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#') || trimmed === '---') continue;
+    const indent = line.length - line.trimStart().length;
+    while (stack[stack.length - 1].indent >= indent) stack.pop();
+    const current = stack[stack.length - 1];
+
+    if (trimmed.startsWith('- ') || trimmed === '-') {
+      // A sequence turns the empty block opened by its key into an array
+      if (!Array.isArray(current.value)) {
+        current.value = [];
+        current.parent[current.key] = current.value;
+      }
+      current.value.push(unquote(trimmed.slice(1)));
+      continue;
+    }
+
+    const { key, value } = parseEntry(trimmed);
+    if (value === undefined) {
+      const block = {};
+      current.value[key] = block;
+      stack.push({ indent, value: block, parent: current.value, key });
+    } else {
+      current.value[key] = value;
+    }
+  }
+  return root;
+}
+
+module.exports = { parseLockfile };
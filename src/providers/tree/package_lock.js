@@ -0,0 +1,80 @@
+/**
+ * Read the node_modules layout recorded by package-lock.json or npm-shrinkwrap.json.
+ * Lockfile v2 and v3 list every install path under `packages`; v1 only has the nested `dependencies` object,
+ * whose nesting mirrors node_modules, with the ranges of each package under `requires`.
+ */
+
+/**
+ * Get the package name of an install path, e.g. node_modules/@babel/core -> @babel/core.
+ * @param installPath - The install path.
+ * @returns {string}
+ */
+function getNameFromInstallPath(installPath) {
+  return installPath.slice(installPath.lastIndexOf('node_modules/') + 'node_modules/'.length);
+}
+
+/**
+ * Read the layout of a v2/v3 lockfile.
+ * @param lock - The parsed lockfile.
+ * @param packageJson - The package.json of the project.
+ * @returns {{root: Object, packages: Map<string, Object>}}
+ */
+function readPackagesLayout(lock, packageJson) {
+  const root = { ...packageJson, ...(lock.packages[''] || {}) };
+  const packages = new Map();
+
+  for (const [installPath, entry] of Object.entries(lock.packages)) {
+    if (installPath === '' || !installPath.includes('node_modules/') || entry.extraneous) continue;
+    // Workspace packages are linked into node_modules, their manifest is recorded under their own folder
+    const target = entry.link ? lock.packages[entry.resolved] || {} : entry;
+    packages.set(installPath, {
+      name: getNameFromInstallPath(installPath),
+      version: target.version,
+      resolved: entry.link ? undefined : entry.resolved,
+      dependencies: target.dependencies,
+      optionalDependencies: target.optionalDependencies,
+      peerDependencies: target.peerDependencies,
+    });
+  }
+  return { root, packages };
+}
+
+/**
+ * Read the layout of a v1 lockfile.
+ * @param lock - The parsed lockfile.
+ * @param packageJson - The package.json of the project, since v1 does not record the ranges of the project.
+ * @returns {{root: Object, packages: Map<string, Object>}}
+ */
+function readDependenciesLayout(lock, packageJson) {
+  const root = { ...packageJson, name: packageJson.name || lock.name, version: packageJson.version || lock.version };
+  const packages = new Map();
+
+  const stack = [[lock.dependencies || {}, '']];
+  while (stack.length > 0) {
+    const [dependencies, parentPath] = stack.pop();
+    for (const [name, entry] of Object.entries(dependencies)) {
+      const installPath = parentPath ? `${parentPath}/node_modules/${name}` : `node_modules/${name}`;
+      packages.set(installPath, {
+        name,
+        version: entry.version,
+        resolved: entry.resolved,
+        // v1 does not tell optional requirements apart, a missing one is reported like a missing required one
+        dependencies: entry.requires,
+      });
+      if (entry.dependencies) stack.push([entry.dependencies, installPath]);
+    }
+  }
+  return { root, packages };
+}
+
+/**
+ * Read the node_modules layout of an npm lockfile.
+ * @param lock - The parsed package-lock.json or npm-shrinkwrap.json.
+ * @param packageJson - The package.json of the project.
+ * @returns {{root: Object, packages: Map<string, Object>, lockfileVersion: number}}
+ */
+exports.readLayout = function(lock, packageJson) {
+  const lockfileVersion = lock.lockfileVersion || 1;
+  const layout = lock.packages ? readPackagesLayout(lock, packageJson) : readDependenciesLayout(lock, packageJson);
+  return { ...layout, lockfileVersion };
+};
@@ -0,0 +1,81 @@
+const { parseLockfile } = require('./lockfile_parser');
+
+/**
+ * Strip the peer dependency suffix pnpm appends to resolved versions: 1.0.0(react@18.0.0) in lockfile v6+
+ * and 1.0.0_react@18.0.0 in v5.
+ * @param version - The resolved version as written in the lockfile.
+ * @returns {string}
+ */
+function stripPeerSuffix(version) {
+  return String(version).replace(/\(.*$/, '').replace(/_.*$/, '');
+}
+
+/**
+ * Build the key of a package in the packages (and, in v9, snapshots) section.
+ * @param name - The package name.
+ * @param version - The resolved version, with its peer suffix.
+ * @param lockfileVersion - The major version of the lockfile format.
+ * @returns {string[]} - The candidate keys, depending on the lockfile version.
+ */
+function getPackageKeys(name, version, lockfileVersion) {
+  // Dependencies on aliases or other registries are written as a full key already, e.g. /foo@1.0.0 or foo@1.0.0
+  if (version.startsWith('/')) return [version];
+  if (lockfileVersion >= 9) return [`${name}@${version}`];
+  if (lockfileVersion >= 6) return [`/${name}@${version}`];
+  return [`/${name}/${version}`];
+}
+
+/**
+ * Read the resolved dependencies of a pnpm importer (the project itself in a single-package repository).
+ * Lockfile v5 writes `name: version` with the ranges under specifiers, v6+ writes `name: { specifier, version }`.
+ * @param importer - The importer section.
+ * @returns {Object} - The resolved versions by dependency name, for each dependency field.
+ */
+function readImporter(importer) {
+  const resolved = {};
+  for (const field of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+    resolved[field] = {};
+    for (const [name, value] of Object.entries(importer[field] || {})) {
+      resolved[field][name] = typeof value === 'object' ? value.version : value;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Create the resolver of a pnpm-lock.yaml for hoistLayout.
+ * pnpm resolves every dependency edge to an exact version, so the root manifest and the resolved manifests
+ * declare locked versions instead of ranges, and resolving an edge is a lookup of that version.
+ * @param text - The content of the pnpm-lock.yaml.
+ * @param packageJson - The package.json of the project.
+ * @returns {{root: Object, resolve: function(string, string): Promise<Object|null>, lockfileVersion: string}}
+ */
+exports.createResolver = function(text, packageJson) {
+  const lock = parseLockfile(text);
+  const lockfileVersion = String(lock.lockfileVersion || '5');
+  const major = parseFloat(lockfileVersion);
+  const packagesSection = lock.packages || {};
+  const snapshots = lock.snapshots || {};
+
+  const manifests = new Map();
+  const resolve = async (name, lockedVersion) => {
+    const version = String(lockedVersion);
+    const key = getPackageKeys(name, version, major).find(candidate => packagesSection[candidate] || snapshots[candidate]);
+    if (!key) return null;
+    if (!manifests.has(key)) {
+      // Lockfile v9 keeps the resolution under packages without the peer suffix and the dependencies under snapshots
+      const strippedKey = getPackageKeys(name, stripPeerSuffix(version), major)[0];
+      const entry = { ...(packagesSection[strippedKey] || {}), ...(packagesSection[key] || {}), ...(snapshots[key] || {}) };
+      manifests.set(key, {
+        name,
+        version: entry.version || stripPeerSuffix(version.startsWith('/') ? version.slice(version.lastIndexOf('@') + 1) : version),
+        dependencies: entry.dependencies || {},
+        optionalDependencies: entry.optionalDependencies || {},
+      });
+    }
+    return manifests.get(key);
+  };
+
+  const root = { name: packageJson.name, version: packageJson.version, ...readImporter(lock.importers ? lock.importers['.'] || {} : lock) };
+  return { root, resolve, lockfileVersion };
+};
@@ -0,0 +1,50 @@
+const semver = require('semver');
+
+/**
+ * Parse the npm: alias protocol, e.g. "npm:string-width@^4.2.0" installs string-width under another name.
+ * @param name - The name the dependency is declared under.
+ * @param range - The declared range.
+ * @returns {{name: string, range: string}}
+ */
+function parseAlias(name, range) {
+  if (!range.startsWith('npm:')) return { name, range };
+  const spec = range.slice('npm:'.length);
+  const at = spec.indexOf('@', 1);
+  return at === -1 ? { name: spec, range: '*' } : { name: spec.slice(0, at), range: spec.slice(at + 1) };
+}
+
+/**
+ * Create a resolver that picks, for every declared range, the highest version published up to a date, which
+ * is what `npm install` would have installed on that date. Ranges that do not point at the registry (git URLs,
+ * file: and link: dependencies) cannot be resolved and are left out.
+ * @param registry - The registry provider, whose metadata must include the dependencies of every version (mirror or fixtures).
+ * @param date - Versions published after this date are ignored.
+ * @returns {function(string, string): Promise<Object|null>} - The resolver for hoistLayout.
+ */
+exports.createResolver = function(registry, date) {
+  return async (declaredName, declaredRange) => {
+    const { name, range } = parseAlias(declaredName, declaredRange || '*');
+    if (!semver.validRange(range)) {
+      console.warn(`Cannot resolve ${declaredName}@${declaredRange} from the registry, leaving it out`);
+      return null;
+    }
+
+    const metadata = await registry.getPackage(name);
+    if (!metadata) return null;
+    const published = metadata.versions.filter(v => !v.publishedAt || new Date(v.publishedAt) <= date);
+    if (published.length > 0 && !published.some(v => v.dependencies)) {
+      throw new Error(`${registry.description} does not provide the dependencies of each version, use the mirror or fixtures registry source`);
+    }
+
+    const best = semver.maxSatisfying(published.map(v => v.version), range);
+    if (!best) return null;
+    const manifest = published.find(v => v.version === best);
+    return {
+      name,
+      version: best,
+      dependencies: manifest.dependencies,
+      optionalDependencies: manifest.optionalDependencies,
+      peerDependencies: manifest.peerDependencies,
+    };
+  };
+};
@@ -0,0 +1,60 @@
+const semver = require('semver');
+const { parseLockfile } = require('./lockfile_parser');
+
+/**
+ * Split a yarn.lock descriptor into the package name and range, e.g. "@babel/core@^7.0.0" or, with Yarn Berry,
+ * "@babel/core@npm:^7.0.0".
+ * @param descriptor - The descriptor.
+ * @returns {{name: string, range: string}}
+ */
+function parseDescriptor(descriptor) {
+  const at = descriptor.indexOf('@', 1);
+  if (at === -1) return { name: descriptor, range: '*' };
+  return { name: descriptor.slice(0, at), range: descriptor.slice(at + 1).replace(/^npm:/, '') };
+}
+
+/**
+ * Index the entries of a yarn.lock (v1 or Berry) by descriptor.
+ * yarn.lock records which version each name@range resolved to, but not where it is installed.
+ * @param text - The content of the yarn.lock.
+ * @returns {{entries: Map<string, Object>, lockfileVersion: string}}
+ */
+function readYarnLock(text) {
+  const parsed = parseLockfile(text);
+  const entries = new Map();
+
+  for (const [key, entry] of Object.entries(parsed)) {
+    if (key === '__metadata' || typeof entry !== 'object') continue;
+    for (const descriptor of key.split(',').map(part => part.trim().replace(/^"|"$/g, ''))) {
+      const { name, range } = parseDescriptor(descriptor);
+      entries.set(`${name}@${range}`, {
+        name,
+        version: entry.version,
+        // Yarn Berry records the locator under resolution instead of a tarball URL
+        resolved: entry.resolved,
+        dependencies: entry.dependencies,
+        optionalDependencies: entry.optionalDependencies,
+        peerDependencies: entry.peerDependencies,
+      });
+    }
+  }
+  const lockfileVersion = parsed.__metadata ? `berry-${parsed.__metadata.version}` : '1';
+  return { entries, lockfileVersion };
+}
+
+/**
+ * Create the resolver of a yarn.lock for hoistLayout.
+ * @param text - The content of the yarn.lock.
+ * @returns {{resolve: function(string, string): Promise<Object|null>, lockfileVersion: string}}
+ */
+exports.createResolver = function(text) {
+  const { entries, lockfileVersion } = readYarnLock(text);
+  const resolve = async (name, range) => {
+    const exact = entries.get(`${name}@${range.replace(/^npm:/, '')}`);
+    if (exact) return exact;
+    // Descriptors written differently than in the manifest (e.g. "1.x" vs "^1.0.0") fall back to any locked version satisfying the range
+    const candidates = Array.from(entries.values()).filter(entry => entry.name === name && semver.valid(entry.version) && semver.satisfies(entry.version, range));
+    return candidates.sort((a, b) => semver.rcompare(a.version, b.version))[0] || null;
+  };
+  return { resolve, lockfileVersion };
+};
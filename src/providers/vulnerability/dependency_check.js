@@ -0,0 +1,93 @@
+const { exec } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StepError, FailureCategory, classifyFailure } = require('../../utils/run_log');
+const reportFileName = 'dependency-check-report.json';
+
+/**
+ * Split the file name Dependency-Check reports for npm packages ("name:version").
+ * @param fileName - The file name of the dependency.
+ * @returns {{name: string, version: string}|{}} - Empty for plain files, e.g. a vendored jquery.min.js.
+ */
+function parsePackageFileName(fileName) {
+    const match = /^(.+):(\d[^:]*)$/.exec(fileName);
+    return match ? { name: match[1], version: match[2] } : {};
+}
+
+/**
+ * Parse the OWASP Dependency-Check report to extract vulnerable dependencies
+ * @param report
+ * @returns {{fileName: *, filePath: *, vulnerabilities: *}[]}
+ */
+function parseVulnerableDependencies(report) {
+    const vulnerableDependencies = report.dependencies.filter(dep => dep.vulnerabilities && dep.vulnerabilities.length > 0);
+
+    return vulnerableDependencies.map(dep => ({
+        fileName: dep.fileName,
+        filePath: dep.filePath,
+        ...parsePackageFileName(dep.fileName),
+        vulnerabilities: dep.vulnerabilities.map(vuln => {
+            // If cvssv2 exists, use the score of cvssv2, otherwise use the score of cvssv3
+            const CVSS_Score = vuln.cvssv2 ? vuln.cvssv2.score : (vuln.cvssv3 ? vuln.cvssv3.baseScore : null);
+
+            return {
+                source: vuln.source,
+                name: vuln.name,
+                severity: vuln.severity,
+                cvss: CVSS_Score
+            };
+        })
+    }));
+}
+
+/**
+ * Run OWASP Dependency-Check on a project and extract the vulnerable dependencies from its report.
+ * @param projectPath - The full path of the project.
+ * @param outputDir - The full path of the output directory, or null when the steps run in memory.
+ * @returns {Promise<Array>} - A promise that resolves to the vulnerable dependencies.
+ */
+exports.findVulnerableDependencies = function(projectPath, outputDir) {
+    // Dependency-Check only writes its report to a directory, so without an output directory it gets a temporary one
+    const reportDir = outputDir || fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-check-'));
+    const scan = new Promise((resolve, reject) => {
+        const projectName = path.basename(projectPath);
+        const command = `dependency-check --project ${projectName} -s . --format JSON -o ${reportDir}`;
+        exec(command, {cwd: projectPath}, (error, stdout, stderr) => {
+            const outputFilePath = path.join(reportDir, reportFileName);
+            if (error) {
+                // Conflicts between the installed dependencies make Dependency-Check exit with an error although
+                // it still writes its report, so the error only counts when there is no report to read
+                console.warn(`Dependency-Check exited with an error for ${projectPath}:\n${stderr}`);
+            }
+
+            fs.readFile(outputFilePath, 'utf8', (err, data) => {
+                if (err) {
+                    console.error(`Error reading OWASP report file for ${projectPath}:`, err);
+                    const category = error ? classifyFailure(error) : FailureCategory.UNKNOWN;
+                    reject(new StepError(`Dependency-Check did not write a report: ${(error || err).message.split('\n')[0]}`, { category, command, stderr, cause: error || err }));
+                    return;
+                }
+                let parsedData;
+                try {
+                    parsedData = parseVulnerableDependencies(JSON.parse(data));
+                } catch (parseError) {
+                    reject(new StepError(`Cannot parse the Dependency-Check report: ${parseError.message}`, { category: FailureCategory.PARSE_ERROR, command, stderr }));
+                    return;
+                }
+                resolve(parsedData);
+
+                // Delete the dependency-check-report.json file, the temporary directory is removed once the scan settles
+                if (!outputDir) return;
+                fs.unlink(outputFilePath, (err) => {
+                    if (err) {
+                        console.error(`Error deleting OWASP report file ${outputFilePath}:`, err);
+                    }
+                });
+            });
+        });
+    });
+    return outputDir ? scan : scan.finally(() => fs.rmSync(reportDir, { recursive: true, force: true }));
+};
+
+exports.parsePackageFileName = parsePackageFileName;
@@ -0,0 +1,23 @@
+/**
+ * Registry of the vulnerability sources step5 can use.
+ * Every provider exports findVulnerableDependencies(projectPath, outputDir, options) resolving to the step5 output.
+ */
+const providers = {
+    'dependency-check': require('./dependency_check'),
+    osv: require('./osv'),
+};
+
+/**
+ * Get a vulnerability provider by name.
+ * @param name - The name of the provider.
+ * @returns {{findVulnerableDependencies: Function}}
+ */
+exports.getVulnerabilityProvider = function(name) {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown vulnerability source "${name}", expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return provider;
+};
+
+exports.vulnerabilitySources = Object.keys(providers);
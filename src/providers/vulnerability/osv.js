@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { calculateCvss3BaseScore, severityFromScore } = require('../../utils/cvss');
+const { readDependencyTree, collectInstalledPackages } = require('../../utils/dependency_tree');
+
+// Advisory databases are large and shared by every scanned version, so they are loaded once per path and kept
+// until one of their files changes
+const loadedDatabases = new Map();
+
+/**
+ * List the JSON files of an advisory dump, which may be a single file or a directory tree.
+ * @param advisoriesPath - The full path of the advisory file or directory.
+ * @returns {string[]}
+ */
+function listAdvisoryFiles(advisoriesPath) {
+    if (!fs.statSync(advisoriesPath).isDirectory()) return [advisoriesPath];
+
+    const files = [];
+    const stack = [advisoriesPath];
+    while (stack.length > 0) {
+        const dir = stack.pop();
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) stack.push(entryPath);
+            else if (entry.name.endsWith('.json')) files.push(entryPath);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Normalise the severity label of an advisory to the qualitative CVSS ratings, e.g. the GitHub MODERATE to MEDIUM.
+ * @param severity - The label of the advisory, or undefined.
+ * @param cvss - The CVSS score the label is derived from when the advisory has none.
+ * @returns {string|null}
+ */
+function normalizeSeverity(severity, cvss) {
+    if (!severity) return severityFromScore(cvss);
+    const normalized = String(severity).toUpperCase();
+    return normalized === 'MODERATE' ? 'MEDIUM' : normalized;
+}
+
+/**
+ * Normalise an OSV advisory into the affected ranges of npm packages.
+ * @param advisory - The advisory in the OSV schema (also used by the GitHub Advisory Database repository).
+ * @returns {Array} - One entry per affected npm package.
+ */
+function normalizeOsvAdvisory(advisory) {
+    const vector = (advisory.severity || []).map(s => s.score).find(score => /^CVSS:3/.test(score)) || null;
+    const specific = advisory.database_specific || {};
+    const cvss = vector ? calculateCvss3BaseScore(vector) : null;
+
+    return (advisory.affected || [])
+        .filter(affected => affected.package && affected.package.ecosystem === 'npm')
+        .map(affected => ({
+            packageName: affected.package.name,
+            id: advisory.id,
+            aliases: advisory.aliases || [],
+            source: advisory.id.startsWith('GHSA-') ? 'GHSA' : 'OSV',
+            severity: normalizeSeverity(specific.severity, cvss),
+            cvss,
+            cvssVector: vector,
+            versions: affected.versions || [],
+            ranges: (affected.ranges || []).filter(range => range.type === 'SEMVER' || range.type === 'ECOSYSTEM'),
+        }));
+}
+
+/**
+ * Normalise a GitHub security advisory as returned by the GitHub REST API.
+ * @param advisory - The advisory with ghsa_id, cvss and vulnerabilities properties.
+ * @returns {Array} - One entry per affected npm package.
+ */
+function normalizeGithubAdvisory(advisory) {
+    const cvssData = advisory.cvss || {};
+    const vector = cvssData.vector_string || null;
+    // The API reports an advisory without a score as a score of 0 without a vector, which is not a real CVSS of 0
+    const scored = typeof cvssData.score === 'number' && (cvssData.score > 0 || vector);
+    const cvss = scored ? cvssData.score : calculateCvss3BaseScore(vector);
+
+    return (advisory.vulnerabilities || [])
+        .filter(vuln => vuln.package && vuln.package.ecosystem === 'npm')
+        .map(vuln => {
+            const patched = vuln.first_patched_version;
+            return {
+                packageName: vuln.package.name,
+                id: advisory.ghsa_id,
+                aliases: advisory.cve_id ? [advisory.cve_id] : [],
+                source: 'GHSA',
+                severity: normalizeSeverity(advisory.severity, cvss),
+                cvss,
+                cvssVector: vector,
+                // The API uses "< 1.2.3, >= 1.0.0" style ranges, which semver reads once the commas are removed
+                vulnerableRange: vuln.vulnerable_version_range ? vuln.vulnerable_version_range.replace(/,/g, ' ') : null,
+                fixedVersion: patched && typeof patched === 'object' ? patched.identifier : (patched || null),
+            };
+        });
+}
+
+/**
+ * Load an advisory dump and index it by package name.
+ * The index is reused until a file of the dump is modified, added or removed.
+ * @param advisoriesPath - The full path of the advisory file or directory.
+ * @returns {Map<string, Array>}
+ */
+function loadAdvisories(advisoriesPath) {
+    const resolved = path.resolve(advisoriesPath);
+    const files = listAdvisoryFiles(resolved);
+    // Refreshed, added or removed files change the signature, so a long-running process sees the new advisories
+    const signature = files.map(file => `${file}:${fs.statSync(file).mtimeMs}`).join('\n');
+    const loaded = loadedDatabases.get(resolved);
+    if (loaded && loaded.signature === signature) return loaded.index;
+
+    const index = new Map();
+    for (const file of files) {
+        const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const advisory of [].concat(content)) {
+            const entries = advisory.ghsa_id ? normalizeGithubAdvisory(advisory) : normalizeOsvAdvisory(advisory);
+            for (const entry of entries) {
+                if (!index.has(entry.packageName)) index.set(entry.packageName, []);
+                index.get(entry.packageName).push(entry);
+            }
+        }
+    }
+
+    loadedDatabases.set(resolved, { signature, index });
+    return index;
+}
+
+/**
+ * Check whether a version falls into an OSV range and return the version that fixes it.
+ * @param version - The installed version.
+ * @param range - The OSV range with its introduced/fixed/last_affected events.
+ * @returns {{affected: boolean, fixedVersion: string|null}}
+ */
+function matchOsvRange(version, range) {
+    let introduced = null;
+    for (const event of range.events || []) {
+        if (event.introduced !== undefined) {
+            introduced = event.introduced === '0' ? '0.0.0-0' : event.introduced;
+            continue;
+        }
+        if (introduced === null) continue;
+
+        const afterIntroduced = semver.valid(introduced) && semver.gte(version, introduced);
+        if (event.fixed !== undefined && afterIntroduced && semver.valid(event.fixed) && semver.lt(version, event.fixed)) {
+            return { affected: true, fixedVersion: event.fixed };
+        }
+        if (event.last_affected !== undefined && afterIntroduced && semver.valid(event.last_affected) && semver.lte(version, event.last_affected)) {
+            return { affected: true, fixedVersion: null };
+        }
+        if (event.fixed !== undefined || event.last_affected !== undefined) introduced = null;
+    }
+
+    // An introduced event without a closing event affects every later version
+    if (introduced !== null && semver.valid(introduced) && semver.gte(version, introduced)) {
+        return { affected: true, fixedVersion: null };
+    }
+    return { affected: false, fixedVersion: null };
+}
+
+/**
+ * Find the advisories affecting an exact package version.
+ * @param advisories - The advisory index returned by loadAdvisories.
+ * @param name - The package name.
+ * @param version - The installed version.
+ * @returns {Array} - The matching vulnerabilities in the step5 output format.
+ */
+function findAdvisories(advisories, name, version) {
+    if (!semver.valid(version)) return [];
+
+    const matches = [];
+    for (const entry of advisories.get(name) || []) {
+        let affected = false;
+        let fixedVersion = entry.fixedVersion || null;
+
+        if (entry.vulnerableRange !== undefined) {
+            affected = entry.vulnerableRange !== null && semver.satisfies(version, entry.vulnerableRange, { includePrerelease: true });
+        } else if (entry.versions.includes(version)) {
+            affected = true;
+        }
+        for (const range of entry.ranges || []) {
+            const result = matchOsvRange(version, range);
+            if (result.affected) {
+                affected = true;
+                fixedVersion = result.fixedVersion;
+                break;
+            }
+        }
+
+        if (affected) {
+            matches.push({
+                source: entry.source,
+                name: entry.id,
+                aliases: entry.aliases,
+                severity: entry.severity,
+                cvss: entry.cvss,
+                cvssVector: entry.cvssVector,
+                fixedVersion,
+            });
+        }
+    }
+    return matches;
+}
+
+/**
+ * Match every installed package of the step1 tree against a local OSV/GHSA advisory dump.
+ * @param projectPath - The full path of the project.
+ * @param outputDir - The full path of the output directory, or null when the steps run in memory.
+ * @param options - { advisories: string, outputs } - The path of the advisory JSON file or directory, and the outputs
+ *   of the earlier steps when they ran in memory.
+ * @returns {Promise<Array>} - A promise that resolves to the vulnerable dependencies, one entry per name@version.
+ */
+exports.findVulnerableDependencies = async function(projectPath, outputDir, options = {}) {
+    if (!options.advisories) {
+        throw new Error('The osv vulnerability source requires the path of an advisory dump (--advisories)');
+    }
+    const advisories = loadAdvisories(options.advisories);
+    const dependencyTree = readDependencyTree(outputDir, options.outputs);
+
+    const vulnerableDependencies = [];
+    for (const { name, version, installPaths } of collectInstalledPackages(dependencyTree).values()) {
+        const vulnerabilities = findAdvisories(advisories, name, version);
+        if (vulnerabilities.length > 0) {
+            vulnerableDependencies.push({ fileName: `${name}:${version}`, name, version, installPaths, vulnerabilities });
+        }
+    }
+
+    return vulnerableDependencies.sort((a, b) => a.fileName.localeCompare(b.fileName));
+};
+
+exports.loadAdvisories = loadAdvisories;
+exports.findAdvisories = findAdvisories;
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { collectInstalledPackages, dependencyId, parseDependencyId, walkDependencyTree } = require('./utils/dependency_tree');
+const { DEFAULT_LAG_PARAMETERS, LagModel, measureLag } = require('./utils/lag_metrics');
+const { buildTree, hoistLayout, getDependencyEdges } = require('./providers/tree/layout');
+const registryResolution = require('./providers/tree/registry_resolution');
+const { loadAdvisories, findAdvisories } = require('./providers/vulnerability/osv');
+const { classifyInstalledPackages } = require('./process_pipe/step2');
+const { constructPaths, countPaths, getVulnerableDependencyId, DependencyType } = require('./process_pipe/step6');
+
+// The changes a simulation can apply to a project
+const ChangeType = {
+  UPGRADE: 'upgrade', // Declare another range for a direct dependency
+  OVERRIDE: 'override', // Force the range of a package wherever it is required, like npm overrides
+  REMOVE: 'remove' // Remove a direct dependency
+};
+
+/**
+ * Parse a proposed change, e.g. ('upgrade', 'express@^4.18.0'), ('override', 'qs@6.11') or ('remove', 'mocha').
+ * @param type - The change type.
+ * @param spec - name@range for upgrades and overrides, the package name for removals.
+ * @returns {{type: string, name: string, range: string|undefined}}
+ */
+function parseChange(type, spec) {
+  if (type === ChangeType.REMOVE) return { type, name: spec };
+  const { name, version: range } = parseDependencyId(spec);
+  if (!range || !semver.validRange(range)) throw new Error(`Expected name@range for --${type}, got ${spec}`);
+  return { type, name, range };
+}
+
+/**
+ * Apply the upgrades and removals of direct dependencies to the project manifest.
+ * @param manifest - The project manifest.
+ * @param changes - The changes returned by parseChange.
+ * @returns {Object} - A modified copy of the manifest.
+ */
+function applyManifestChanges(manifest, changes) {
+  const fields = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+  const changed = JSON.parse(JSON.stringify(manifest));
+  for (const change of changes.filter(change => change.type !== ChangeType.OVERRIDE)) {
+    const declaring = fields.filter(field => changed[field] && changed[field][change.name]);
+    if (declaring.length === 0) throw new Error(`${change.name} is not a direct dependency of ${manifest.name}, use an override instead`);
+    for (const field of declaring) {
+      if (change.type === ChangeType.REMOVE) delete changed[field][change.name];
+      else changed[field][change.name] = change.range;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Leave out of the manifest the direct dependencies the scan did not install, e.g. the devDependencies of a library
+ * whose tree was resolved from the registry, so that the simulation compares like with like.
+ * @param manifest - The changed project manifest.
+ * @param dependencyTree - The step1 dependency tree.
+ * @param changes - The changes.
+ * @returns {Object} - The manifest, modified in place.
+ */
+function pruneUninstalled(manifest, dependencyTree, changes) {
+  const installed = dependencyTree.dependencies || {};
+  for (const field of ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']) {
+    for (const name of Object.keys(manifest[field] || {})) {
+      if (name in installed) continue;
+      if (changes.some(change => change.type === ChangeType.UPGRADE && change.name === name)) {
+        console.warn(`${name} was not installed by the scan, its upgrade has no effect`);
+      }
+      delete manifest[field][name];
+    }
+  }
+  return manifest;
+}
+
+/**
+ * Rebuild the manifests of the installed packages from the step1 tree: every package depends on the exact versions
+ * it has in the tree. npm ls lists the dependencies of a deduped package at one of its occurrences only, so the
+ * dependencies are merged over all of them.
+ * @param dependencyTree - The step1 dependency tree.
+ * @returns {Map<string, {name: string, version: string, dependencies: Object}>} - Keyed by name@version.
+ */
+function collectTreeManifests(dependencyTree) {
+  const manifests = new Map();
+  const manifestOf = (name, version) => {
+    const id = dependencyId(name, version);
+    if (!manifests.has(id)) manifests.set(id, { name, version, dependencies: {} });
+    return manifests.get(id);
+  };
+  walkDependencyTree(dependencyTree, (name, node, ancestors, installPath, parent) => {
+    manifestOf(name, node.version);
+    if (parent) manifestOf(parent.name, parent.node.version).dependencies[name] = node.version;
+  });
+  return manifests;
+}
+
+/**
+ * Create the resolver that lays out the changed project: a package keeps the version it has in the step1 tree unless
+ * its range changed or an override excludes that version, in which case it is resolved again from the registry.
+ * So only the subtrees below a change are re-resolved.
+ * @param rootManifest - The changed project manifest.
+ * @param dependencyTree - The step1 dependency tree.
+ * @param changes - The changes.
+ * @param registry - The registry provider, which must provide the dependencies of every version.
+ * @param date - Versions published after this date are ignored when resolving again.
+ * @returns {function(string, string, Object): Promise<Object|null>} - The resolver for hoistLayout.
+ */
+function createSimulationResolver(rootManifest, dependencyTree, changes, registry, date) {
+  const treeManifests = collectTreeManifests(dependencyTree);
+  const rootVersions = {};
+  Object.entries(dependencyTree.dependencies || {}).forEach(([name, node]) => { rootVersions[name] = node.version; });
+  const upgraded = new Set(changes.filter(change => change.type === ChangeType.UPGRADE).map(change => change.name));
+  const overrides = new Map(changes.filter(change => change.type === ChangeType.OVERRIDE).map(change => [change.name, change.range]));
+  const resolveFromRegistry = registryResolution.createResolver(registry, date);
+
+  return async (name, range, dependent) => {
+    const isRoot = dependent === rootManifest;
+    const dependentManifest = isRoot ? null : treeManifests.get(dependencyId(dependent.name, dependent.version));
+    const current = isRoot ? rootVersions[name] : dependentManifest && dependentManifest.dependencies[name];
+    const override = overrides.get(name);
+    const keep = current && !(isRoot && upgraded.has(name)) && (!override || semver.satisfies(current, override));
+    if (keep) return treeManifests.get(dependencyId(name, current));
+    return resolveFromRegistry(name, override || range);
+  };
+}
+
+/**
+ * Match the packages a simulation added against the advisories, and keep the step5 entries of the packages still installed.
+ * Without an advisory dump the added packages cannot be scanned; Dependency-Check would need an install.
+ * @param vulnerabilitiesData - The step5 output.
+ * @param added - The installed packages the simulation added, keyed by name@version.
+ * @param installed - Every installed package after the changes, keyed by name@version.
+ * @param advisories - The advisory index of the osv source, or null.
+ * @returns {{vulnerabilitiesData: Array, unscanned: string[]}}
+ */
+function rescanVulnerabilities(vulnerabilitiesData, added, installed, advisories) {
+  // Entries without a version (plain files reported by Dependency-Check) match by name and are kept
+  const kept = vulnerabilitiesData.filter(entry => {
+    const id = getVulnerableDependencyId(entry);
+    return !parseDependencyId(id).version || installed.has(id);
+  });
+  if (!advisories) return { vulnerabilitiesData: kept, unscanned: Array.from(added.keys()) };
+
+  for (const { name, version, installPaths } of added.values()) {
+    const vulnerabilities = findAdvisories(advisories, name, version);
+    if (vulnerabilities.length > 0) kept.push({ fileName: `${name}:${version}`, name, version, installPaths, vulnerabilities });
+  }
+  return { vulnerabilitiesData: kept, unscanned: [] };
+}
+
+/**
+ * Measure the lag of the packages a simulation added and merge it into the step4 output.
+ * The packages still installed keep their step4 classification; the added ones are judged as of the simulation date.
+ * @param laggingDependenciesData - The step4 output.
+ * @param added - The installed packages the simulation added, keyed by name@version.
+ * @param installed - Every installed package after the changes, keyed by name@version.
+ * @param layout - The layout of the changed project, whose manifests give the declared ranges.
+ * @param vulnerabilitiesData - The vulnerabilities after the changes.
+ * @param registry - The registry provider.
+ * @param date - The simulation date.
+ * @returns {Promise<Object>} - The step4 output after the changes.
+ */
+async function remeasureLag(laggingDependenciesData, added, installed, layout, vulnerabilitiesData, registry, date) {
+  const lagModel = laggingDependenciesData.lagModel || LagModel.SMOOTHED;
+  const parameters = { ...DEFAULT_LAG_PARAMETERS, ...(laggingDependenciesData.lagParameters || {}) };
+  const laggingDependencies = {};
+  for (const [key, value] of Object.entries(laggingDependenciesData.laggingDependencies || {})) {
+    // Older step4 outputs are keyed by bare name with the version as value
+    const id = typeof value === 'string' ? dependencyId(key, value) : key;
+    if (installed.has(id)) laggingDependencies[key] = value;
+  }
+  const lagMetrics = { ...(laggingDependenciesData.lagMetrics || {}) };
+  const releaseIntervals = { ...(laggingDependenciesData.releaseInterval || {}) };
+
+  const manifests = [layout.root].concat(Array.from(layout.packages.values()));
+  for (const [id, { name, version, installPaths }] of added) {
+    const metadata = await registry.getPackage(name);
+    if (!metadata) continue;
+    const versions = metadata.versions.filter(v => v.publishedAt && new Date(v.publishedAt) <= date);
+    const declaredRanges = Array.from(new Set(manifests.flatMap(manifest => getDependencyEdges(manifest, manifest === layout.root))
+      .filter(edge => edge.name === name && semver.validRange(edge.range) && semver.satisfies(version, edge.range))
+      .map(edge => edge.range)));
+    const fixedVersions = vulnerabilitiesData.filter(entry => entry.name === name && entry.version === version)
+      .flatMap(entry => entry.vulnerabilities.map(vulnerability => vulnerability.fixedVersion).filter(Boolean));
+
+    const metrics = measureLag(versions, version, date, declaredRanges, fixedVersions.length > 0 ? fixedVersions : undefined, parameters);
+    lagMetrics[id] = metrics;
+    if (metrics[lagModel] && metrics[lagModel].isLagging) laggingDependencies[id] = { name, version, installPaths };
+    if (!(name in releaseIntervals) || releaseIntervals[name] === -1) releaseIntervals[name] = metrics[LagModel.SMOOTHED].releaseInterval;
+  }
+  return { ...laggingDependenciesData, lagModel, laggingDependencies, releaseInterval: releaseIntervals, lagMetrics };
+}
+
+/**
+ * Get the dependencies step6 classified as lagging.
+ * @param report - The step6 report.
+ * @returns {Set<string>}
+ */
+function getLaggingIds(report) {
+  return new Set(Object.entries(report.dependencies)
+    .filter(([, info]) => info.dependencyTypes.includes(DependencyType.LAGGING))
+    .map(([id]) => id));
+}
+
+/**
+ * Compare the step6 reports before and after the changes.
+ * @param before - The report before.
+ * @param after - The report after.
+ * @returns {{paths: Object, exposure: Array, lagging: Object}}
+ */
+function diffReports(before, after) {
+  const key = simplifiedPath => simplifiedPath.join(' > ');
+  const beforePaths = new Set(before.paths.map(key));
+  const afterPaths = new Set(after.paths.map(key));
+
+  const exposure = [];
+  const dependencies = new Set(Object.keys(before.vulnerabilityExposure).concat(Object.keys(after.vulnerabilityExposure)));
+  for (const dependency of dependencies) {
+    const counts = { before: before.vulnerabilityExposure[dependency] || 0, after: after.vulnerabilityExposure[dependency] || 0 };
+    if (counts.before !== counts.after) exposure.push({ dependency, ...counts });
+  }
+
+  const laggingBefore = getLaggingIds(before);
+  const laggingAfter = getLaggingIds(after);
+  return {
+    paths: {
+      before: countPaths(before),
+      after: countPaths(after),
+      removed: before.paths.filter(simplifiedPath => !afterPaths.has(key(simplifiedPath))),
+      added: after.paths.filter(simplifiedPath => !beforePaths.has(key(simplifiedPath))),
+    },
+    // The largest changes first
+    exposure: exposure.sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before) || a.dependency.localeCompare(b.dependency)),
+    lagging: {
+      before: laggingBefore.size,
+      after: laggingAfter.size,
+      added: Array.from(laggingAfter).filter(id => !laggingBefore.has(id)).sort(),
+      removed: Array.from(laggingBefore).filter(id => !laggingAfter.has(id)).sort(),
+    },
+  };
+}
+
+/**
+ * Read the inputs of a simulation: the project manifest and the outputs of steps 1 to 5.
+ * A library version whose package.json is gone (e.g. only its outputs were kept) gets a manifest rebuilt from the
+ * step1 tree, with the devDependencies step2 recorded.
+ * @param projectPath - The full path of the project.
+ * @param outputDir - The full path of the output directory.
+ * @returns {Object} - { rootManifest, dependencyTree, devDependenciesData, withinProjectData, vulnerabilitiesData, laggingDependenciesData }
+ */
+function readSimulationInputs(projectPath, outputDir) {
+  const readOutput = file => {
+    const outputPath = path.join(outputDir, file);
+    if (!fs.existsSync(outputPath)) throw new Error(`${file} not found in ${outputDir}, scan the version first`);
+    return JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+  };
+  const inputs = {
+    dependencyTree: readOutput('step1_output.json'),
+    devDependenciesData: readOutput('step2_output.json'),
+    withinProjectData: readOutput('step3_output.json'),
+    vulnerabilitiesData: readOutput('step5_output.json'),
+    laggingDependenciesData: readOutput('step4_output.json'),
+  };
+
+  const packageJsonPath = path.join(projectPath, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    inputs.rootManifest = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  } else {
+    const { name, version, dependencies } = inputs.dependencyTree;
+    const devDependencies = inputs.devDependenciesData.devDependencies || (inputs.devDependenciesData.packages ? {} : inputs.devDependenciesData);
+    const production = Object.entries(dependencies || {}).filter(([dependency]) => !(dependency in devDependencies));
+    inputs.rootManifest = { name, version, dependencies: Object.fromEntries(production.map(([dependency, node]) => [dependency, node.version])), devDependencies };
+  }
+  return inputs;
+}
+
+/**
+ * Simulate changes to a project without installing it: the step1 tree is laid out again with the changes, the
+ * subtrees below them are re-resolved from registry metadata, and classification and path construction run on
+ * the result. The report before is recomputed the same way, without reachability, so that both sides compare.
+ * @param inputs - The inputs returned by readSimulationInputs.
+ * @param changes - The changes returned by parseChange.
+ * @param options - { registryProvider, advisories: string, date: Date, lagModel, scoreWeights, exploitability, maxPaths } - The
+ *   registry must provide the dependencies of every version (mirror or fixtures); advisories is an OSV dump to scan
+ *   the added packages with; date (default now) bounds the versions resolved again.
+ * @returns {Promise<Object>} - The changes, the packages added and removed, and the differences in paths,
+ *   exposure and lagging dependencies.
+ */
+async function simulateChanges(inputs, changes, options = {}) {
+  const registry = options.registryProvider;
+  const date = options.date || new Date();
+  const rootManifest = pruneUninstalled(applyManifestChanges(inputs.rootManifest, changes), inputs.dependencyTree, changes);
+
+  const layout = await hoistLayout(rootManifest, createSimulationResolver(rootManifest, inputs.dependencyTree, changes, registry, date));
+  const dependencyTree = buildTree(layout);
+  const installedBefore = collectInstalledPackages(inputs.dependencyTree);
+  const installed = collectInstalledPackages(dependencyTree);
+  const added = new Map(Array.from(installed).filter(([id]) => !installedBefore.has(id)));
+
+  const advisories = options.advisories ? loadAdvisories(options.advisories) : null;
+  const { vulnerabilitiesData, unscanned } = rescanVulnerabilities(inputs.vulnerabilitiesData, added, installed, advisories);
+  const laggingDependenciesData = await remeasureLag(inputs.laggingDependenciesData, added, installed, layout, vulnerabilitiesData, registry, date);
+  const devDependenciesData = {
+    devDependencies: rootManifest.devDependencies || {},
+    packages: classifyInstalledPackages(null, dependencyTree, installPath => installPath === '' ? rootManifest : layout.packages.get(installPath)),
+  };
+
+  const pathOptions = { lagModel: options.lagModel, scoreWeights: options.scoreWeights, exploitability: options.exploitability, maxPaths: options.maxPaths };
+  const before = constructPaths(inputs, pathOptions);
+  const after = constructPaths({ dependencyTree, devDependenciesData, withinProjectData: inputs.withinProjectData, vulnerabilitiesData, laggingDependenciesData }, pathOptions);
+
+  return {
+    changes,
+    simulatedAt: date.toISOString(),
+    registrySource: registry.description,
+    packages: {
+      added: Array.from(added.keys()).sort(),
+      removed: Array.from(installedBefore.keys()).filter(id => !installed.has(id)).sort(),
+    },
+    ...diffReports(before, after),
+    unscanned,
+    problems: dependencyTree.problems || [],
+  };
+}
+
+module.exports = {
+  ChangeType,
+  parseChange,
+  readSimulationInputs,
+  simulateChanges,
+};
@@ -0,0 +1,86 @@
+/**
+ * Minimal command-line argument parser for the Vuln4Real CLI.
+ * Supports a leading subcommand, long options (--name value, --name=value),
+ * short aliases (-l value) and boolean flags.
+ */
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse the raw argv array against an option specification.
+ * @param argv - The arguments after the node executable and script name.
+ * @param spec - Map of option name to { alias, type: 'string'|'number'|'boolean', multiple, default }.
+ * @returns {{command: string|undefined, options: Object, positionals: string[]}}
+ */
+function parseArgs(argv, spec) {
+  const aliases = {};
+  const options = {};
+  for (const [name, def] of Object.entries(spec)) {
+    if (def.alias) aliases[def.alias] = name;
+    if (def.default !== undefined) options[name] = def.default;
+    else if (def.multiple) options[name] = [];
+  }
+
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let key;
+    let value;
+    if (arg.startsWith('--')) {
+      const eq = arg.indexOf('=');
+      key = eq === -1 ? arg.slice(2) : arg.slice(2, eq);
+      value = eq === -1 ? undefined : arg.slice(eq + 1);
+    } else {
+      key = aliases[arg.slice(1)];
+      if (!key) throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    const def = spec[key];
+    if (!def) throw new UsageError(`Unknown option: --${key}`);
+
+    if (def.type === 'boolean') {
+      if (value !== undefined) throw new UsageError(`Option --${key} does not take a value`);
+      options[key] = true;
+      continue;
+    }
+
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined || (value.startsWith('-') && value.length > 1)) {
+        throw new UsageError(`Option --${key} requires a value`);
+      }
+    }
+
+    if (def.type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) throw new UsageError(`Option --${key} expects a number, got "${value}"`);
+      value = number;
+    }
+
+    if (def.multiple) {
+      // Accept both repeated flags and comma separated lists
+      const values = typeof value === 'string' ? value.split(',').filter(Boolean) : [value];
+      options[key] = options[key].concat(values);
+    } else {
+      options[key] = value;
+    }
+  }
+
+  return { command: positionals.shift(), options, positionals };
+}
+
+module.exports = { parseArgs, UsageError };
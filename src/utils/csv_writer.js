@@ -0,0 +1,25 @@
+const fs = require('fs');
+
+/**
+ * Quote a CSV field when it holds a separator, a quote or a line break.
+ * @param value - The field value; null and undefined become empty fields, arrays are joined with semicolons.
+ * @returns {string}
+ */
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows of objects to a CSV file with a header line.
+ * @param file - The full path of the CSV file.
+ * @param columns - The property names to write, in column order.
+ * @param rows - The rows to write.
+ */
+function writeCsv(file, columns, rows) {
+  const lines = [columns.join(',')].concat(rows.map(row => columns.map(column => formatField(row[column])).join(',')));
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+}
+
+module.exports = { formatField, writeCsv };
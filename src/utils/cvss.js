@@ -0,0 +1,80 @@
+/**
+ * CVSS v3.x base score calculation, following the formulas of the CVSS v3.1 specification.
+ * OSV advisories only carry the vector string, so the score has to be derived from it.
+ */
+
+const weights = {
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  C: { H: 0.56, L: 0.22, N: 0 },
+  I: { H: 0.56, L: 0.22, N: 0 },
+  A: { H: 0.56, L: 0.22, N: 0 },
+};
+
+// Privileges required weigh more when the scope changes
+const privilegesRequired = {
+  U: { N: 0.85, L: 0.62, H: 0.27 },
+  C: { N: 0.85, L: 0.68, H: 0.5 },
+};
+
+/**
+ * Round up to one decimal place as defined by the CVSS v3.1 specification.
+ * @param value - The value to round.
+ * @returns {number}
+ */
+function roundUp(value) {
+  const intInput = Math.round(value * 100000);
+  if (intInput % 10000 === 0) return intInput / 100000;
+  return (Math.floor(intInput / 10000) + 1) / 10;
+}
+
+/**
+ * Calculate the base score of a CVSS v3.x vector string.
+ * @param vector - The vector string, e.g. CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H.
+ * @returns {number|null} - The base score, or null if the vector is not a valid CVSS v3 vector.
+ */
+function calculateCvss3BaseScore(vector) {
+  if (typeof vector !== 'string' || !/^CVSS:3\.[01]\//.test(vector)) return null;
+
+  const metrics = {};
+  for (const part of vector.split('/').slice(1)) {
+    const [metric, value] = part.split(':');
+    metrics[metric] = value;
+  }
+
+  const scope = metrics.S;
+  if (!privilegesRequired[scope]) return null;
+  for (const metric of Object.keys(weights)) {
+    if (weights[metric][metrics[metric]] === undefined) return null;
+  }
+  const pr = privilegesRequired[scope][metrics.PR];
+  if (pr === undefined) return null;
+
+  const iss = 1 - ((1 - weights.C[metrics.C]) * (1 - weights.I[metrics.I]) * (1 - weights.A[metrics.A]));
+  const impact = scope === 'U'
+    ? 6.42 * iss
+    : 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15);
+  const exploitability = 8.22 * weights.AV[metrics.AV] * weights.AC[metrics.AC] * pr * weights.UI[metrics.UI];
+
+  if (impact <= 0) return 0;
+  return scope === 'U'
+    ? roundUp(Math.min(impact + exploitability, 10))
+    : roundUp(Math.min(1.08 * (impact + exploitability), 10));
+}
+
+/**
+ * Map a CVSS score to its qualitative severity rating.
+ * @param score - The CVSS score.
+ * @returns {string|null}
+ */
+function severityFromScore(score) {
+  if (score === null || score === undefined) return null;
+  if (score === 0) return 'NONE';
+  if (score < 4) return 'LOW';
+  if (score < 7) return 'MEDIUM';
+  if (score < 9) return 'HIGH';
+  return 'CRITICAL';
+}
+
+module.exports = { calculateCvss3BaseScore, severityFromScore };
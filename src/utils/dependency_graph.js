@@ -0,0 +1,151 @@
+const { dependencyId, walkDependencyTree } = require('./dependency_tree');
+
+/**
+ * The dependency graph of a step1 tree: one node per installed copy of a package, keyed by its install path, with an
+ * edge to every copy it requires. npm ls lists the dependencies of a copy at one of its occurrences only (the others
+ * are deduped), so the graph merges the occurrences of a copy, and the number of paths to a copy can be counted
+ * without walking every occurrence of the tree.
+ * The root project is the node with the key ''.
+ */
+const ROOT = '';
+
+/**
+ * Build the dependency graph of a step1 tree.
+ * Trees written before step1 recorded install paths locate deduped occurrences by their nesting, so a copy without
+ * dependencies there takes the dependencies listed for another copy of the same name@version.
+ * @param dependencyTree - The dependency tree in the `npm ls --json` shape.
+ * @returns {{nodes: Map<string, {key: string, name: string, version: string, id: string, children: string[]}>}}
+ */
+function buildDependencyGraph(dependencyTree) {
+  const nodes = new Map([[ROOT, { key: ROOT, name: dependencyTree.name, version: dependencyTree.version, id: null, children: [] }]]);
+  const withoutPath = [];
+  walkDependencyTree(dependencyTree, (name, node, ancestors, installPath, parent) => {
+    if (!nodes.has(installPath)) {
+      nodes.set(installPath, { key: installPath, name, version: node.version, id: dependencyId(name, node.version), children: [] });
+      if (!node.path) withoutPath.push(installPath);
+    }
+    const parentNode = nodes.get(parent ? parent.installPath : ROOT);
+    if (!parentNode.children.includes(installPath)) parentNode.children.push(installPath);
+  });
+
+  const expandedCopies = new Map();
+  nodes.forEach(node => {
+    if (node.key !== ROOT && node.children.length > 0 && !expandedCopies.has(node.id)) expandedCopies.set(node.id, node);
+  });
+  for (const key of withoutPath) {
+    const node = nodes.get(key);
+    if (node.children.length === 0 && expandedCopies.has(node.id)) node.children = expandedCopies.get(node.id).children;
+  }
+  return { nodes };
+}
+
+/**
+ * Order the nodes reachable from the root topologically, by a depth-first search. The edges closing a cycle (back to
+ * a node on the current search path) are reported and left out, so that the rest of the graph is acyclic; paths
+ * therefore never visit a copy twice.
+ * @param graph - The graph returned by buildDependencyGraph.
+ * @returns {{order: string[], cycles: string[][]}} - The keys of the reachable nodes, the root first and every node
+ *   after the nodes requiring it, and the left-out edges as [from, to] keys.
+ */
+function orderDependencyGraph(graph) {
+  const state = new Map(); // 1 while on the search path, 2 once done
+  const postorder = [];
+  const cycles = [];
+  const stack = [{ key: ROOT, next: 0 }];
+  state.set(ROOT, 1);
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    const children = graph.nodes.get(frame.key).children;
+    if (frame.next < children.length) {
+      const child = children[frame.next++];
+      if (state.get(child) === 1) {
+        cycles.push([frame.key, child]);
+      } else if (!state.has(child)) {
+        state.set(child, 1);
+        stack.push({ key: child, next: 0 });
+      }
+      continue;
+    }
+    state.set(frame.key, 2);
+    postorder.push(frame.key);
+    stack.pop();
+  }
+  return { order: postorder.reverse(), cycles };
+}
+
+/**
+ * Go through the edges of the ordered graph in topological order, skipping the edges that close a cycle.
+ * @param graph - The graph returned by buildDependencyGraph.
+ * @param ordered - The result of orderDependencyGraph.
+ * @param visit - Called with (parentKey, childKey) for every edge, each parent after all the edges into it.
+ */
+function forEachOrderedEdge(graph, ordered, visit) {
+  const position = new Map(ordered.order.map((key, index) => [key, index]));
+  for (const key of ordered.order) {
+    for (const child of graph.nodes.get(key).children) {
+      if (position.get(child) > position.get(key)) visit(key, child);
+    }
+  }
+}
+
+/**
+ * Count the distinct paths from the root to every node, with the length of the shortest one and the direct
+ * dependencies they start from, in one pass over the edges.
+ * @param graph - The graph returned by buildDependencyGraph.
+ * @param ordered - The result of orderDependencyGraph.
+ * @returns {Map<string, {paths: number, depth: number, heads: Set<string>}>} - Keyed by node; depth 1 for a direct dependency.
+ */
+function countDependencyPaths(graph, ordered) {
+  const counts = new Map(ordered.order.map(key => [key, { paths: 0, depth: Infinity, heads: new Set() }]));
+  counts.set(ROOT, { paths: 1, depth: 0, heads: new Set() });
+  forEachOrderedEdge(graph, ordered, (parentKey, childKey) => {
+    const parent = counts.get(parentKey);
+    const child = counts.get(childKey);
+    child.paths += parent.paths;
+    child.depth = Math.min(child.depth, parent.depth + 1);
+    if (parentKey === ROOT) child.heads.add(graph.nodes.get(childKey).name);
+    else parent.heads.forEach(head => child.heads.add(head));
+  });
+  return counts;
+}
+
+/**
+ * List the shortest paths from the root to every node, at most `limit` per node.
+ * @param graph - The graph returned by buildDependencyGraph.
+ * @param ordered - The result of orderDependencyGraph.
+ * @param limit - The number of paths to keep per node.
+ * @returns {Map<string, string[][]>} - The paths as lists of node keys from a direct dependency, shortest first.
+ */
+function listShortestPaths(graph, ordered, limit) {
+  // Paths share their prefixes: each entry points to the entry of its parent
+  const candidates = new Map([[ROOT, [{ key: ROOT, previous: null, length: 0 }]]]);
+  const shortest = new Map();
+  const keep = key => {
+    if (!shortest.has(key)) shortest.set(key, (candidates.get(key) || []).sort((a, b) => a.length - b.length).slice(0, limit));
+    return shortest.get(key);
+  };
+  forEachOrderedEdge(graph, ordered, (parentKey, childKey) => {
+    if (!candidates.has(childKey)) candidates.set(childKey, []);
+    keep(parentKey).forEach(entry => candidates.get(childKey).push({ key: childKey, previous: entry, length: entry.length + 1 }));
+  });
+
+  const paths = new Map();
+  for (const key of ordered.order) {
+    if (key === ROOT) continue;
+    paths.set(key, keep(key).map(entry => {
+      const keys = [];
+      for (let current = entry; current.key !== ROOT; current = current.previous) keys.unshift(current.key);
+      return keys;
+    }));
+  }
+  return paths;
+}
+
+module.exports = {
+  ROOT,
+  buildDependencyGraph,
+  orderDependencyGraph,
+  countDependencyPaths,
+  listShortestPaths,
+};
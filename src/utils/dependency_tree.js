@@ -0,0 +1,90 @@
+const { readStepInput } = require('./step_runner');
+
+/**
+ * Read the dependency tree of step1.
+ * @param outputDir - The full path of the output directory for the project version, or null.
+ * @param outputs - The outputs of the steps that ran in memory, keyed by step key.
+ * @returns {Object} - The dependency tree in the `npm ls --json` shape.
+ */
+function readDependencyTree(outputDir, outputs) {
+  return readStepInput(outputDir, 'step1', outputs);
+}
+
+/**
+ * Build the identity of an installed package. Two copies of a package at different versions are different dependencies.
+ * @param name - The package name.
+ * @param version - The installed version.
+ * @returns {string} - The name@version identifier, or the bare name if the version is unknown.
+ */
+function dependencyId(name, version) {
+  return version ? `${name}@${version}` : name;
+}
+
+/**
+ * Split a name@version identifier, taking care of scoped package names.
+ * @param id - The identifier built by dependencyId.
+ * @returns {{name: string, version: string|undefined}}
+ */
+function parseDependencyId(id) {
+  const at = id.lastIndexOf('@');
+  if (at <= 0) return { name: id, version: undefined };
+  return { name: id.slice(0, at), version: id.slice(at + 1) };
+}
+
+/**
+ * Get the install path of a node relative to the project root, e.g. node_modules/express/node_modules/qs.
+ * Trees written by step1 record the path resolved on disk; older trees fall back to the nesting of the tree.
+ * @param name - The package name.
+ * @param node - The tree node.
+ * @param parentInstallPath - The install path of the parent, or '' for the root project.
+ * @returns {string}
+ */
+function getInstallPath(name, node, parentInstallPath) {
+  if (node.path) return node.path;
+  return parentInstallPath ? `${parentInstallPath}/node_modules/${name}` : `node_modules/${name}`;
+}
+
+/**
+ * Visit every node of the dependency tree in depth-first order.
+ * The root project itself is not visited.
+ * @param dependencyTree - The dependency tree in the `npm ls --json` shape.
+ * @param visit - Called with (name, node, ancestors, installPath, parent) where ancestors is the list of
+ * package names from the root to the parent, installPath the location of the node in node_modules and
+ * parent the { name, node, installPath } of the parent, or null for direct dependencies of the root.
+ */
+function walkDependencyTree(dependencyTree, visit) {
+  const stack = [[dependencyTree, [], '', null]];
+  while (stack.length > 0) {
+    const [node, ancestors, installPath, parent] = stack.pop();
+    for (const [name, child] of Object.entries(node.dependencies || {})) {
+      const childInstallPath = getInstallPath(name, child, installPath);
+      visit(name, child, ancestors, childInstallPath, parent);
+      stack.push([child, ancestors.concat(name), childInstallPath, { name, node: child, installPath: childInstallPath }]);
+    }
+  }
+}
+
+/**
+ * Collect every distinct installed package of the tree.
+ * @param dependencyTree - The dependency tree in the `npm ls --json` shape.
+ * @returns {Map<string, {name: string, version: string, installPaths: string[]}>} - Keyed by name@version.
+ */
+function collectInstalledPackages(dependencyTree) {
+  const packages = new Map();
+  walkDependencyTree(dependencyTree, (name, node, ancestors, installPath) => {
+    const id = dependencyId(name, node.version);
+    if (!packages.has(id)) packages.set(id, { name, version: node.version, installPaths: [] });
+    const installPaths = packages.get(id).installPaths;
+    if (!installPaths.includes(installPath)) installPaths.push(installPath);
+  });
+  return packages;
+}
+
+module.exports = {
+  readDependencyTree,
+  dependencyId,
+  parseDependencyId,
+  getInstallPath,
+  walkDependencyTree,
+  collectInstalledPackages,
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const semver = require('semver');
+
+/**
+ * The risk score step6 gives every vulnerable dependency and every path to one, from 0 to 10.
+ * The score is the weighted mean of the components below, each between 0 and 1, times 10:
+ * - severity: the highest CVSS score of the dependency, divided by 10.
+ * - exploitability: the highest EPSS-like score of its vulnerabilities, when local data provides one;
+ *   otherwise the component is left out and the mean is taken over the other weights.
+ * - proximity: 1 / depth, where a direct dependency has depth 1.
+ * - spread: the number of direct dependencies pulling the dependency in, relative to spreadSaturation.
+ * - lagging: 1 if step4 found the dependency lagging.
+ * A dependency for which a fixed version satisfies every range its dependents declare is picked up fixed by a fresh
+ * install, so its score is then multiplied by fixInRange.
+ */
+const DEFAULT_SCORE_WEIGHTS = {
+  severity: 0.4,
+  exploitability: 0.2,
+  proximity: 0.15,
+  spread: 0.1,
+  lagging: 0.15,
+  fixInRange: 0.5, // Multiplier applied when a fixed version is within the declared ranges
+  unknownSeverity: 5, // CVSS assumed for vulnerabilities without a score
+  spreadSaturation: 5 // Number of direct dependencies from which spread is 1
+};
+
+const scoreComponents = ['severity', 'exploitability', 'proximity', 'spread', 'lagging'];
+
+/**
+ * Read EPSS-like exploitability scores from a local file: either the CSV published by FIRST (cve,epss,percentile,
+ * with an optional leading comment line) or a JSON object mapping vulnerability ids to a probability or to
+ * { epss, percentile }. The percentile is preferred when given: EPSS probabilities are mostly close to 0, while the
+ * percentile ranks a vulnerability among all the scored ones, on the same 0 to 1 scale as the other components.
+ * @param file - The path of the CSV or JSON file.
+ * @returns {Object} - The scores between 0 and 1, keyed by vulnerability id.
+ */
+function readExploitabilityScores(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const scores = {};
+  if (file.endsWith('.json')) {
+    for (const [id, value] of Object.entries(JSON.parse(content))) {
+      const score = typeof value === 'number' ? value : (value.percentile !== undefined ? value.percentile : value.epss);
+      if (typeof score === 'number') scores[id] = score;
+    }
+    return scores;
+  }
+
+  const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+  const header = lines.shift().split(',').map(column => column.trim());
+  const idColumn = header.indexOf('cve');
+  const scoreColumn = header.includes('percentile') ? header.indexOf('percentile') : header.indexOf('epss');
+  if (idColumn === -1 || scoreColumn === -1) throw new Error(`${file} has no cve and epss or percentile columns`);
+
+  for (const line of lines) {
+    const fields = line.split(',');
+    const score = parseFloat(fields[scoreColumn]);
+    if (!isNaN(score)) scores[fields[idColumn].trim()] = score;
+  }
+  return scores;
+}
+
+/**
+ * Get the highest exploitability of a list of vulnerabilities, looked up by name and by alias.
+ * A score carried by the vulnerability itself (an epss property) is used as well.
+ * @param vulnerabilities - The step5 vulnerabilities of a dependency.
+ * @param exploitabilityScores - The scores returned by readExploitabilityScores, or null.
+ * @returns {number|null} - Null if no vulnerability has a known exploitability.
+ */
+function getExploitability(vulnerabilities, exploitabilityScores) {
+  const scores = vulnerabilities.flatMap(vulnerability => {
+    const ids = [vulnerability.name].concat(vulnerability.aliases || []);
+    const known = exploitabilityScores ? ids.map(id => exploitabilityScores[id]) : [];
+    return known.concat(vulnerability.epss).filter(score => typeof score === 'number');
+  });
+  return scores.length > 0 ? Math.max(...scores) : null;
+}
+
+/**
+ * Check whether a fixed version of a dependency satisfies every range its dependents declare for it.
+ * @param lagMetrics - The step4 lag metrics of the dependency, or undefined for older step4 outputs.
+ * @returns {boolean|null} - Null if the fixed version or the declared ranges are unknown.
+ */
+function isFixInRange(lagMetrics) {
+  const fixed = lagMetrics && lagMetrics.fixed;
+  const technical = lagMetrics && lagMetrics.technical;
+  if (!fixed || !fixed.fixedVersion || !technical || technical.declaredRanges.length === 0) return null;
+  return technical.declaredRanges.every(range => semver.satisfies(fixed.fixedVersion, range));
+}
+
+/**
+ * Round a number to two decimals.
+ * @param value - The number.
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Check configured score weights, so that no weight turns the scores into NaN or Infinity.
+ * @param weights - The weights overriding DEFAULT_SCORE_WEIGHTS, e.g. read from --score-config.
+ * @returns {string[]} - The problems found, empty if the weights are valid.
+ */
+function validateScoreWeights(weights) {
+  const problems = [];
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  for (const name of scoreComponents.filter(name => name in weights)) {
+    if (!isNumber(weights[name]) || weights[name] < 0) problems.push(`${name} must be a non-negative number`);
+  }
+  if ('fixInRange' in weights && !(isNumber(weights.fixInRange) && weights.fixInRange >= 0 && weights.fixInRange <= 1)) {
+    problems.push('fixInRange must be a number between 0 and 1');
+  }
+  if ('unknownSeverity' in weights && !(isNumber(weights.unknownSeverity) && weights.unknownSeverity >= 0 && weights.unknownSeverity <= 10)) {
+    problems.push('unknownSeverity must be a CVSS score between 0 and 10');
+  }
+  if ('spreadSaturation' in weights && !(isNumber(weights.spreadSaturation) && weights.spreadSaturation > 0)) {
+    problems.push('spreadSaturation must be a positive number');
+  }
+  return problems;
+}
+
+/**
+ * Score the exposure to a vulnerable dependency, or to one path to it.
+ * @param factors - { cvss: number, exploitability: number|null, depth: number, directDependents: number,
+ *   lagging: boolean, fixInRange: boolean|null } - cvss is -1 when unknown.
+ * @param weights - The weights, DEFAULT_SCORE_WEIGHTS overridden by the configured ones.
+ * @returns {{score: number, components: Object, fixInRange: {applies: boolean|null, multiplier: number}}} - Every
+ *   component with its value, weight and contribution to the score; components without a value contribute nothing.
+ */
+function scoreExposure(factors, weights = DEFAULT_SCORE_WEIGHTS) {
+  const values = {
+    severity: (factors.cvss >= 0 ? factors.cvss : weights.unknownSeverity) / 10,
+    exploitability: factors.exploitability,
+    proximity: 1 / Math.max(1, factors.depth),
+    spread: Math.min(1, factors.directDependents / weights.spreadSaturation),
+    lagging: factors.lagging ? 1 : 0,
+  };
+  const totalWeight = scoreComponents.filter(name => values[name] !== null).reduce((sum, name) => sum + weights[name], 0);
+  const multiplier = factors.fixInRange ? weights.fixInRange : 1;
+
+  const components = {};
+  let score = 0;
+  for (const name of scoreComponents) {
+    const contribution = values[name] === null || totalWeight === 0 ? 0 : 10 * weights[name] * values[name] / totalWeight * multiplier;
+    components[name] = { value: values[name] === null ? null : round(values[name]), weight: weights[name], contribution: round(contribution) };
+    score += contribution;
+  }
+  return { score: round(score), components, fixInRange: { applies: factors.fixInRange, multiplier } };
+}
+
+module.exports = {
+  DEFAULT_SCORE_WEIGHTS,
+  readExploitabilityScores,
+  getExploitability,
+  isFixInRange,
+  scoreExposure,
+  validateScoreWeights,
+};
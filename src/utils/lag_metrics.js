@@ -0,0 +1,193 @@
+const semver = require('semver');
+
+const DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * The lag models step4 computes for every installed package, and their tunable parameters.
+ * - smoothed: the release interval estimated by exponential smoothing; lagging when no update was adopted
+ *   within `threshold` expected release intervals after the installed release.
+ * - semver: the number of newer majors, minors (within the installed major) and patches (within the installed minor).
+ * - technical: the days between the installed release and the latest release satisfying the declared range.
+ * - fixed: for vulnerable packages, how far the installed version is behind the first fixed version.
+ */
+const LagModel = {
+  SMOOTHED: 'smoothed',
+  SEMVER: 'semver',
+  TECHNICAL: 'technical',
+  FIXED: 'fixed'
+};
+
+const DEFAULT_LAG_PARAMETERS = {
+  smoothing: 0.8, // Smoothing parameter, between 0 and 1
+  threshold: 2, // Number of expected release intervals after which a dependency is lagging
+  minMajorsBehind: 1, // Lagging when at least this many newer majors exist (null disables the check)
+  minMinorsBehind: null,
+  minPatchesBehind: null,
+  maxTechnicalLagDays: 180 // Lagging when the latest satisfying release is more than this many days newer
+};
+
+/**
+ * Calculate if a dependency is lagging based on its release dates.
+ * @param {Array} versions - An array of version objects, each containing a 'publishedAt' property.
+ * @param {string} currentVersion - The current version of the dependency.
+ * @param analysisDate - The date the dependency is judged at.
+ * @param parameters - The lag parameters (smoothing and threshold).
+ * @returns {{isLagging: boolean, releaseInterval: number}} - A boolean indicating if the dependency is lagging, and the smoothed release interval in days.
+ */
+function smoothedIntervalLag(versions, currentVersion, analysisDate, parameters) {
+  const a = parameters.smoothing;
+  let releaseInterval = 0;
+
+  // Sort versions by their published date
+  const sorted = versions.slice().sort((x, y) => new Date(x.publishedAt) - new Date(y.publishedAt));
+
+  // Calculate the release intervals between each version
+  const releaseIntervals = [];
+  for (let i = 1; i < sorted.length; i++) {
+    releaseIntervals.push(new Date(sorted[i].publishedAt) - new Date(sorted[i - 1].publishedAt));
+  }
+
+  // Calculate the release interval using Exponential Smoothing
+  for (let i = 0; i < releaseIntervals.length; i++) {
+    releaseInterval += Math.pow((1 - a), i) * releaseIntervals[releaseIntervals.length - 1 - i];
+  }
+  releaseInterval *= a;
+
+  const lastRelease = sorted.find(v => v.version === currentVersion);
+  if (!lastRelease) {
+    return { isLagging: false, releaseInterval: -1 };
+  }
+
+  const lastReleaseDate = new Date(lastRelease.publishedAt).getTime();
+
+  // Determine if the current version is lagging behind based on the expected release interval
+  const isLagging = analysisDate.getTime() > (lastReleaseDate + parameters.threshold * releaseInterval);
+
+  return { isLagging, releaseInterval: Math.round(releaseInterval / DAY) };
+}
+
+/**
+ * Count how many newer majors, minors and patches have been released.
+ * @param versions - The released versions.
+ * @param currentVersion - The installed version.
+ * @param parameters - The lag parameters (minMajorsBehind, minMinorsBehind, minPatchesBehind).
+ * @returns {{isLagging: boolean, majors: number, minors: number, patches: number, latest: string}|null}
+ */
+function semverDistance(versions, currentVersion, parameters) {
+  const current = semver.parse(currentVersion);
+  if (!current) return null;
+  const stable = versions.map(v => semver.parse(v.version)).filter(v => v && v.prerelease.length === 0);
+  if (stable.length === 0) return null;
+
+  const majors = new Set(stable.filter(v => v.major > current.major).map(v => v.major)).size;
+  const minors = new Set(stable.filter(v => v.major === current.major && v.minor > current.minor).map(v => v.minor)).size;
+  const patches = new Set(stable.filter(v => v.major === current.major && v.minor === current.minor && v.patch > current.patch).map(v => v.patch)).size;
+  const latest = stable.reduce((max, v) => semver.gt(v, max) ? v : max).version;
+
+  const exceeds = (count, minimum) => minimum !== null && minimum !== undefined && count >= minimum;
+  const isLagging = exceeds(majors, parameters.minMajorsBehind)
+    || exceeds(minors, parameters.minMinorsBehind)
+    || exceeds(patches, parameters.minPatchesBehind);
+  return { isLagging, majors, minors, patches, latest };
+}
+
+/**
+ * Calculate the technical lag in days behind the latest release satisfying the declared ranges.
+ * @param versions - The released versions with their publish dates.
+ * @param currentVersion - The installed version.
+ * @param declaredRanges - The ranges the dependents of this copy declare.
+ * @param parameters - The lag parameters (maxTechnicalLagDays).
+ * @returns {{isLagging: boolean, days: number, latestSatisfying: string, declaredRanges: string[]}|null}
+ */
+function technicalLag(versions, currentVersion, declaredRanges, parameters) {
+  const installed = versions.find(v => v.version === currentVersion);
+  const ranges = declaredRanges.filter(range => semver.validRange(range));
+  if (!installed || ranges.length === 0) return null;
+
+  let days = 0;
+  let latestSatisfying = currentVersion;
+  for (const range of ranges) {
+    const best = semver.maxSatisfying(versions.map(v => v.version), range);
+    if (!best) continue;
+    const lag = (new Date(versions.find(v => v.version === best).publishedAt) - new Date(installed.publishedAt)) / DAY;
+    if (lag > days) {
+      days = lag;
+      latestSatisfying = best;
+    }
+  }
+  days = Math.round(days);
+  return { isLagging: days > parameters.maxTechnicalLagDays, days, latestSatisfying, declaredRanges: ranges };
+}
+
+/**
+ * Measure how far a vulnerable version is behind the first version that fixes it.
+ * @param versions - The released versions with their publish dates.
+ * @param currentVersion - The installed version.
+ * @param fixedVersions - The fixed versions of the advisories affecting the installed version.
+ * @returns {{isLagging: boolean, fixedVersion: string, releasesBehind: number, daysBehind: number}|null}
+ */
+function fixedVersionLag(versions, currentVersion, fixedVersions) {
+  const released = fixedVersions.filter(fixed => versions.some(v => v.version === fixed));
+  if (released.length === 0 || !semver.valid(currentVersion)) return null;
+
+  // The installed version is only safe once every advisory is fixed, so the highest fixed version counts
+  const fixedVersion = released.reduce((max, v) => semver.gt(v, max) ? v : max);
+  const installed = versions.find(v => v.version === currentVersion);
+  const fixed = versions.find(v => v.version === fixedVersion);
+  const releasesBehind = versions.filter(v => semver.valid(v.version) && semver.gt(v.version, currentVersion) && semver.lte(v.version, fixedVersion)).length;
+  const daysBehind = installed ? Math.max(0, Math.round((new Date(fixed.publishedAt) - new Date(installed.publishedAt)) / DAY)) : null;
+  return { isLagging: semver.lt(currentVersion, fixedVersion), fixedVersion, releasesBehind, daysBehind };
+}
+
+/**
+ * Compute every lag model for an installed package.
+ * @param versions - The versions of the package published up to the analysis date, with their publish dates.
+ * @param currentVersion - The installed version.
+ * @param analysisDate - The date the dependency is judged at.
+ * @param declaredRanges - The ranges the dependents of the package declare.
+ * @param fixedVersions - The fixed versions of the advisories affecting the installed version, or undefined.
+ * @param parameters - The lag parameters.
+ * @returns {Object} - The metrics keyed by lag model; a model that does not apply is null.
+ */
+function measureLag(versions, currentVersion, analysisDate, declaredRanges, fixedVersions, parameters) {
+  return {
+    [LagModel.SMOOTHED]: smoothedIntervalLag(versions, currentVersion, analysisDate, parameters),
+    [LagModel.SEMVER]: semverDistance(versions, currentVersion, parameters),
+    [LagModel.TECHNICAL]: technicalLag(versions, currentVersion, declaredRanges, parameters),
+    [LagModel.FIXED]: fixedVersions ? fixedVersionLag(versions, currentVersion, fixedVersions) : null
+  };
+}
+
+/**
+ * Check configured lag parameters, so that no parameter turns the lag models into NaN or flags every package.
+ * @param parameters - The parameters overriding DEFAULT_LAG_PARAMETERS, e.g. read from --lag-config.
+ * @returns {string[]} - The problems found, empty if the parameters are valid.
+ */
+function validateLagParameters(parameters) {
+  const problems = [];
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  if ('smoothing' in parameters && !(isNumber(parameters.smoothing) && parameters.smoothing >= 0 && parameters.smoothing <= 1)) {
+    problems.push('smoothing must be a number between 0 and 1');
+  }
+  if ('threshold' in parameters && !(isNumber(parameters.threshold) && parameters.threshold > 0)) {
+    problems.push('threshold must be a positive number');
+  }
+  for (const name of ['minMajorsBehind', 'minMinorsBehind', 'minPatchesBehind'].filter(name => name in parameters)) {
+    if (parameters[name] !== null && !(Number.isInteger(parameters[name]) && parameters[name] >= 1)) problems.push(`${name} must be a positive integer or null`);
+  }
+  if ('maxTechnicalLagDays' in parameters && !(isNumber(parameters.maxTechnicalLagDays) && parameters.maxTechnicalLagDays >= 0)) {
+    problems.push('maxTechnicalLagDays must be a non-negative number');
+  }
+  return problems;
+}
+
+module.exports = {
+  LagModel,
+  DEFAULT_LAG_PARAMETERS,
+  smoothedIntervalLag,
+  semverDistance,
+  technicalLag,
+  fixedVersionLag,
+  measureLag,
+  validateLagParameters,
+};
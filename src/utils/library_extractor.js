@@ -1,67 +1,258 @@
 const path = require('path');
 const fs = require('fs');
-const { execSync } = require('child_process');
+const util = require('util');
+const { execFile } = require('child_process');
+const axios = require('axios');
 const csv = require('csv-parser');
+const semver = require('semver');
+const { createRegistryProvider } = require('../providers/registry');
+const { createTarballCache } = require('./tarball_cache');
+const { extractTarball } = require('./tar_extract');
+const execFileAsync = util.promisify(execFile);
 
 const librariesDir = path.resolve(__dirname, '../../libraries_to_scan');
 const csvFilePath = path.resolve(__dirname, '../../libraries.csv');
-const versionsToDownload = 10; // Number of versions to download
+const defaultVersionCount = 10; // Number of versions to download
 
-if (!fs.existsSync(librariesDir)) {
-  fs.mkdirSync(librariesDir, { recursive: true });
+// How the versions of a library are picked among the candidates of its row
+const SamplingStrategy = {
+  LATEST: 'latest',
+  PER_MAJOR: 'per-major',
+  PER_MINOR: 'per-minor',
+  EVEN: 'even'
+};
+
+/**
+ * Read the version selection of a libraries.csv row. Every column but library_name is optional:
+ * version_count (default 10), version_range (a semver range), since and until (publish dates, inclusive),
+ * prereleases (include or exclude, the default), dist_tag (versions above this dist-tag are left out, default latest)
+ * and sampling (latest, per-major, per-minor or even).
+ * @param row - The CSV row.
+ * @returns {{library: string, count: number, range: string|null, since: Date|null, until: Date|null,
+ *   prereleases: boolean, distTag: string, sampling: string}}
+ */
+function parseSelection(row) {
+  const value = column => (row[column] || '').trim();
+  const library = value('library_name');
+  if (!library) throw new Error('library_name is empty');
+
+  const count = value('version_count') ? Number(value('version_count')) : defaultVersionCount;
+  if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid version_count: ${value('version_count')}`);
+
+  const range = value('version_range') || null;
+  if (range && !semver.validRange(range)) throw new Error(`Invalid version_range: ${range}`);
+
+  const [since, until] = ['since', 'until'].map(column => {
+    if (!value(column)) return null;
+    const date = new Date(value(column));
+    if (isNaN(date.getTime())) throw new Error(`Invalid ${column} date: ${value(column)}`);
+    return date;
+  });
+
+  const prereleases = value('prereleases') || 'exclude';
+  if (prereleases !== 'include' && prereleases !== 'exclude') throw new Error(`prereleases must be include or exclude, not ${prereleases}`);
+
+  const sampling = value('sampling') || SamplingStrategy.LATEST;
+  if (!Object.values(SamplingStrategy).includes(sampling)) {
+    throw new Error(`sampling must be one of ${Object.values(SamplingStrategy).join(', ')}, not ${sampling}`);
+  }
+  return { library, count, range, since, until, prereleases: prereleases === 'include', distTag: value('dist_tag') || 'latest', sampling };
+}
+
+/**
+ * Keep the highest version of every group and the latest `count` groups.
+ * @param candidates - The candidate versions in ascending semver order.
+ * @param groupOf - Maps a version to its group, e.g. its major.
+ * @param count - The number of versions to pick.
+ * @returns {Array}
+ */
+function pickHighestPerGroup(candidates, groupOf, count) {
+  const highest = new Map();
+  candidates.forEach(candidate => highest.set(groupOf(candidate.version), candidate));
+  return Array.from(highest.values()).slice(-count);
 }
 
 /**
- * Download specific versions of a library
- * @param library - The name of the library
- * @param versions - The versions to download
+ * Pick `count` versions spread evenly over the publish dates of the candidates, always including the first and
+ * the last: the candidate closest to each of `count` evenly spaced dates.
+ * @param candidates - The candidate versions with their publish dates.
+ * @param count - The number of versions to pick.
+ * @returns {Array}
  */
-function downloadSpecificVersions(library, versions) {
-  const libraryPath = path.join(librariesDir, library);
-  if (!fs.existsSync(libraryPath)) {
-    fs.mkdirSync(libraryPath, { recursive: true });
+function pickEvenlySpaced(candidates, count) {
+  const dated = candidates.filter(candidate => candidate.publishedAt).sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+  if (dated.length <= count) return dated;
+
+  const first = new Date(dated[0].publishedAt).getTime();
+  const last = new Date(dated[dated.length - 1].publishedAt).getTime();
+  const picked = new Set();
+  for (let i = 0; i < count; i++) {
+    const target = count === 1 ? last : first + (last - first) * i / (count - 1);
+    let closest = null;
+    for (const candidate of dated) {
+      if (picked.has(candidate)) continue;
+      if (!closest || Math.abs(new Date(candidate.publishedAt) - target) < Math.abs(new Date(closest.publishedAt) - target)) closest = candidate;
+    }
+    picked.add(closest);
   }
+  return Array.from(picked);
+}
 
-  const versionsToProcess = versions.slice(-versionsToDownload);
-  const alreadyDownloaded = fs.readdirSync(libraryPath);
+/**
+ * Select the versions of a library to download.
+ * @param metadata - The normalised registry metadata of the library (see providers/registry/packument.js).
+ * @param selection - The selection returned by parseSelection.
+ * @returns {string[]} - The selected versions in ascending semver order.
+ */
+function selectLibraryVersions(metadata, selection) {
+  const tagged = metadata.distTags[selection.distTag];
+  const candidates = metadata.versions
+    .filter(({ version }) => semver.valid(version))
+    .filter(({ version }) => selection.prereleases || !semver.prerelease(version))
+    .filter(({ version }) => !selection.range || semver.satisfies(version, selection.range, { includePrerelease: selection.prereleases }))
+    .filter(({ version }) => !tagged || !semver.valid(tagged) || semver.lte(version, tagged))
+    .filter(({ publishedAt }) => !selection.since || (publishedAt && new Date(publishedAt) >= selection.since))
+    .filter(({ publishedAt }) => !selection.until || (publishedAt && new Date(publishedAt) <= selection.until))
+    .sort((a, b) => semver.compare(a.version, b.version));
+
+  let picked;
+  switch (selection.sampling) {
+    case SamplingStrategy.PER_MAJOR:
+      picked = pickHighestPerGroup(candidates, version => semver.major(version), selection.count);
+      break;
+    case SamplingStrategy.PER_MINOR:
+      picked = pickHighestPerGroup(candidates, version => `${semver.major(version)}.${semver.minor(version)}`, selection.count);
+      break;
+    case SamplingStrategy.EVEN:
+      picked = pickEvenlySpaced(candidates, selection.count);
+      break;
+    default:
+      picked = candidates.slice(-selection.count);
+  }
+  return picked.map(({ version }) => version).sort(semver.compare);
+}
+
+/**
+ * Get the tarball of a library version, from the cache or else from the registry. Downloaded tarballs are verified
+ * against the registry integrity and shasum before they are cached.
+ * @param library - The name of the library.
+ * @param version - The version.
+ * @param cache - The tarball cache.
+ * @param offline - Whether to fail instead of downloading a version missing from the cache.
+ * @returns {Promise<Buffer>}
+ */
+async function fetchTarball(library, version, cache, offline) {
+  const cached = cache.readTarball(library, version);
+  if (cached) return cached.content;
+  if (offline) throw new Error('Not in the tarball cache');
 
-  versionsToProcess.forEach(version => {
-    const versionDirectory = path.join(libraryPath, `v${version}`);
-    // Check if the version is already downloaded, skip if true
-    if (!alreadyDownloaded.includes(`v${version}`)) {
+  // execFile passes the spec as a single argument, so that no shell ever sees it
+  const { stdout } = await execFileAsync('npm', ['view', `${library}@${version}`, 'dist', '--json'], { maxBuffer: 16 * 1024 * 1024 });
+  const dist = JSON.parse(stdout);
+  if (!dist || !dist.tarball) throw new Error('The registry gives no tarball');
+  const response = await axios.get(dist.tarball, { responseType: 'arraybuffer' });
+  const content = Buffer.from(response.data);
+  cache.writeTarball(library, version, content, dist);
+  return content;
+}
+
+/**
+ * Extract a version of a library to libraries_to_scan/<library>/v<version>.
+ * @param library - The name of the library.
+ * @param version - The version.
+ * @param cache - The tarball cache.
+ * @param offline - Whether to use the cache only.
+ * @returns {Promise<void>}
+ */
+async function downloadVersion(library, version, cache, offline) {
+  const content = await fetchTarball(library, version, cache, offline);
+  const versionDirectory = path.join(librariesDir, library, `v${version}`);
+  try {
+    extractTarball(content, versionDirectory, { strip: 1 });
+  } catch (error) {
+    // A half-extracted version would otherwise count as downloaded next time
+    fs.rmSync(versionDirectory, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Read the rows of libraries.csv.
+ * @param file - The path of the CSV file.
+ * @returns {Promise<Object[]>}
+ */
+function readLibraryRows(file) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(file)
+      .pipe(csv())
+      .on('data', row => rows.push(row))
+      .on('error', reject)
+      .on('end', () => resolve(rows));
+  });
+}
+
+/**
+ * Download the libraries listed in libraries.csv and the versions each row selects.
+ * Versions already present under libraries_to_scan are kept as they are. Tarballs and version metadata go through
+ * the tarball cache, so that an offline run selects and extracts the same versions from the cache alone.
+ * @param options - { csvFile: string, registryProvider, cacheDir: string, offline: boolean } - The CSV file
+ *   (default libraries.csv), the source of the version metadata (default npm view), the tarball cache directory
+ *   (default .tarball_cache) and whether to use the cache without the network.
+ * @returns {Promise<Array<{library: string, selected: string[], fetched: string[], existing: string[],
+ *   failed: {version: string, error: string}[], error: string|undefined}>>} - What happened to every row; error is
+ *   set when the row could not be read or the library has no metadata.
+ */
+async function downloadLibrariesAndVersions(options = {}) {
+  const registry = options.registryProvider || createRegistryProvider('npm');
+  const cache = createTarballCache(options.cacheDir);
+  const rows = await readLibraryRows(options.csvFile || csvFilePath);
+  const results = [];
+
+  for (const row of rows) {
+    const result = { library: row.library_name, selected: [], fetched: [], existing: [], failed: [] };
+    results.push(result);
+    let selection;
+    try {
+      selection = parseSelection(row);
+    } catch (error) {
+      console.error(`Skipping row for ${row.library_name || 'an unnamed library'}: ${error.message}`);
+      result.error = error.message;
+      continue;
+    }
+
+    const metadata = options.offline ? cache.readMetadata(selection.library) : await registry.getPackage(selection.library);
+    if (!metadata) {
+      console.error(`Failed to get versions for ${selection.library}`);
+      result.error = options.offline ? `No version metadata in ${cache.dir}` : `No version metadata in ${registry.description}`;
+      continue;
+    }
+    if (!options.offline) cache.writeMetadata(selection.library, metadata);
+
+    result.selected = selectLibraryVersions(metadata, selection);
+    for (const version of result.selected) {
+      if (fs.existsSync(path.join(librariesDir, selection.library, `v${version}`))) {
+        result.existing.push(version);
+        continue;
+      }
       try {
-        const tarballFilename = `${library}-${version}.tgz`;
-        const tarballPath = path.join(versionDirectory, tarballFilename);
-
-        if (!fs.existsSync(versionDirectory)) {
-          fs.mkdirSync(versionDirectory, { recursive: true });
-        }
-        execSync(`npm pack ${library}@${version} --silent`, { stdio: 'ignore', cwd: versionDirectory });
-        execSync(`tar -xzf ${tarballFilename} --strip-components=1`, { cwd: versionDirectory });
-        fs.unlinkSync(tarballPath); // Remove the tarball after extraction
+        await downloadVersion(selection.library, version, cache, options.offline);
+        result.fetched.push(version);
       } catch (error) {
-        console.error(`Failed to download ${library}@${version}: ${error}`);
-        return;
+        console.error(`Failed to download ${selection.library}@${version}: ${error.message.split('\n')[0]}`);
+        result.failed.push({ version, error: error.message.split('\n')[0] });
       }
     }
-  });
+    console.log(`${selection.library}: fetched ${result.fetched.join(', ') || 'none'}${result.existing.length > 0 ? `, already present ${result.existing.join(', ')}` : ''}`);
+  }
 
-  console.log(`Downloaded library ${library} successfully!`);
+  console.log('Finished processing all libraries.');
+  return results;
 }
 
-exports.downloadLibrariesAndVersions = function downloadLibrariesAndVersions() {
-  fs.createReadStream(csvFilePath)
-    .pipe(csv())
-    .on('data', (row) => {
-      const library = row.library_name;
-      try {
-        const versions = JSON.parse(execSync(`npm view ${library} versions --json`, { stdio: 'pipe' }).toString());
-        downloadSpecificVersions(library, versions);
-      } catch (error) {
-        console.error(`Failed to get versions for ${library}: ${error}`);
-      }
-    })
-    .on('end', () => {
-      console.log('Finished processing all libraries.');
-    });
+module.exports = {
+  SamplingStrategy,
+  parseSelection,
+  selectLibraryVersions,
+  downloadLibrariesAndVersions,
 };
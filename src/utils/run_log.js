@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+const runLogFileName = 'run.json';
+
+/**
+ * Why a step (or the install before it) failed.
+ * - install-failed: npm install or npm dedupe exited with an error.
+ * - unmet-deps: npm ls reported missing or invalid dependencies (ELSPROBLEMS).
+ * - network: a registry or advisory request could not be completed.
+ * - scanner-missing: an external tool such as dependency-check is not installed.
+ * - parse-error: a command or input file produced output that is not valid JSON.
+ * - missing-inputs: an upstream step output does not exist.
+ * - unknown: anything else, see the error message and stderr excerpt of the step.
+ */
+const FailureCategory = {
+  INSTALL_FAILED: 'install-failed',
+  UNMET_DEPS: 'unmet-deps',
+  NETWORK: 'network',
+  SCANNER_MISSING: 'scanner-missing',
+  PARSE_ERROR: 'parse-error',
+  MISSING_INPUTS: 'missing-inputs',
+  UNKNOWN: 'unknown'
+};
+
+const networkErrorCodes = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENETUNREACH'];
+
+/**
+ * An error raised by a step that knows why it failed, e.g. npm ls reporting unmet dependencies.
+ * The category, command and stderr end up in the run log of the version.
+ */
+class StepError extends Error {
+  /**
+   * @param message - The error message.
+   * @param details - { category: string, command: string, stderr: string, cause: Error }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'StepError';
+    this.category = details.category;
+    this.command = details.command;
+    this.stderr = details.stderr;
+    this.cause = details.cause;
+  }
+}
+
+/**
+ * Keep the end of a command's stderr, where npm and most tools print the actual error.
+ * @param stderr - The full stderr output.
+ * @param maxLines - The number of trailing lines to keep.
+ * @returns {string|undefined}
+ */
+function stderrExcerpt(stderr, maxLines = 20) {
+  if (!stderr) return undefined;
+  const lines = String(stderr).trimEnd().split('\n');
+  const excerpt = lines.slice(-maxLines).join('\n');
+  return excerpt.length > 4000 ? excerpt.slice(-4000) : excerpt;
+}
+
+/**
+ * Classify an error into a FailureCategory.
+ * @param error - The error thrown by a step, possibly a StepError or a child_process error with stderr.
+ * @returns {string}
+ */
+function classifyFailure(error) {
+  if (!error) return FailureCategory.UNKNOWN;
+  if (error.category) return error.category;
+
+  const stderr = String(error.stderr || '');
+  const message = `${error.message || ''}\n${stderr}`;
+  const code = error.code !== undefined ? error.code : error.cause && error.cause.code;
+  if (error instanceof SyntaxError) return FailureCategory.PARSE_ERROR;
+  if (/ELSPROBLEMS|unmet dependency/.test(message)) return FailureCategory.UNMET_DEPS;
+  if (code === 127 || (code === 'ENOENT' && /spawn/.test(error.syscall || ''))
+    || /command not found|is not recognized as an internal or external command/.test(message)) {
+    return FailureCategory.SCANNER_MISSING;
+  }
+  if (error.isAxiosError || networkErrorCodes.includes(code) || networkErrorCodes.some(networkCode => stderr.includes(networkCode))) {
+    return FailureCategory.NETWORK;
+  }
+  return FailureCategory.UNKNOWN;
+}
+
+/**
+ * Describe a failure for the run log.
+ * @param error - The error thrown by a step or command.
+ * @returns {{category: string, error: string, command: string|undefined, stderr: string|undefined}}
+ */
+function describeFailure(error) {
+  return {
+    category: classifyFailure(error),
+    error: error && error.message ? error.message : String(error),
+    command: error && typeof error.cmd === 'string' ? error.cmd : error && error.command,
+    stderr: stderrExcerpt(error && error.stderr),
+  };
+}
+
+/**
+ * Read the run log of a version output directory.
+ * @param outputDir - The full path of the output directory for the project version.
+ * @returns {Object|null} - The run log, or null if the version has not been run since run logs exist.
+ */
+function readRunLog(outputDir) {
+  const runLogPath = path.join(outputDir, runLogFileName);
+  if (!fs.existsSync(runLogPath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(runLogPath, 'utf8'));
+  } catch (error) {
+    console.warn(`Ignoring unreadable run log in ${outputDir}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Write the run log of a version output directory.
+ * @param outputDir - The full path of the output directory for the project version.
+ * @param runLog - The run log to write.
+ */
+function writeRunLog(outputDir, runLog) {
+  fs.writeFileSync(path.join(outputDir, runLogFileName), JSON.stringify(runLog, null, 2));
+}
+
+/**
+ * Aggregate the run logs of a batch, to see how many versions dropped out of the study and why.
+ * @param runLogs - The run logs of the versions.
+ * @returns {{total: number, succeeded: number, failed: number, byCategory: Object, byStep: Object, failures: Array}}
+ */
+function buildFailureReport(runLogs) {
+  const report = { total: runLogs.length, succeeded: 0, failed: 0, byCategory: {}, byStep: {}, failures: [] };
+  for (const runLog of runLogs) {
+    if (runLog.status !== 'failed') {
+      report.succeeded++;
+      continue;
+    }
+    report.failed++;
+    const failure = runLog.failure || { category: FailureCategory.UNKNOWN };
+    report.byCategory[failure.category] = (report.byCategory[failure.category] || 0) + 1;
+    if (failure.step) report.byStep[failure.step] = (report.byStep[failure.step] || 0) + 1;
+    report.failures.push({ library: runLog.library, version: runLog.version, ...failure });
+  }
+  return report;
+}
+
+module.exports = {
+  FailureCategory,
+  StepError,
+  runLogFileName,
+  stderrExcerpt,
+  classifyFailure,
+  describeFailure,
+  readRunLog,
+  writeRunLog,
+  buildFailureReport,
+};
@@ -0,0 +1,45 @@
+/**
+ * Descriptive statistics of the corpus metrics, computed the way numpy does (population standard deviation,
+ * percentiles by linear interpolation) so that the numbers match the ones of analyzer.ipynb.
+ */
+
+/**
+ * Get a percentile of sorted values by linear interpolation between the closest ranks.
+ * @param sorted - The values, sorted in ascending order.
+ * @param p - The percentile, between 0 and 100.
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  const rank = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Describe a list of values.
+ * @param values - The values; null and undefined values are left out.
+ * @returns {{count: number, mean: number|null, std: number|null, min: number|null, max: number|null, q25: number|null, median: number|null, q75: number|null}}
+ * - Every statistic but count is null if there are no values.
+ */
+function describe(values) {
+  const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return { count: 0, mean: null, std: null, min: null, max: null, q25: null, median: null, q75: null };
+  }
+
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+  return {
+    count: sorted.length,
+    mean,
+    std: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    q25: percentile(sorted, 25),
+    median: percentile(sorted, 50),
+    q75: percentile(sorted, 75),
+  };
+}
+
+module.exports = { percentile, describe };
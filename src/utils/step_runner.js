@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { StepError, FailureCategory } = require('./run_log');
+
+const manifestFileName = 'manifest.json';
+
+const StepStatus = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+/**
+ * Read the manifest of a version output directory.
+ * @param outputDir - The full path of the output directory for the project version.
+ * @returns {{steps: Object}} - The manifest, or an empty one if none has been written yet.
+ */
+function readManifest(outputDir) {
+  const manifestPath = path.join(outputDir, manifestFileName);
+  if (!fs.existsSync(manifestPath)) return { steps: {} };
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    // A manifest truncated by an interrupted write is treated as missing, so every step reruns
+    console.warn(`Ignoring unreadable manifest in ${outputDir}: ${error.message}`);
+    return { steps: {} };
+  }
+}
+
+/**
+ * Write the manifest atomically so that an interrupted run never leaves a half-written file behind.
+ * @param outputDir - The full path of the output directory for the project version.
+ * @param manifest - The manifest to write.
+ */
+function writeManifest(outputDir, manifest) {
+  const manifestPath = path.join(outputDir, manifestFileName);
+  const tempPath = `${manifestPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tempPath, manifestPath);
+}
+
+/**
+ * Hash the version of a step together with its configuration and the contents of its input files.
+ * @param step - The step definition.
+ * @param inputFiles - The full paths of the input files.
+ * @param config - A string describing the options the step output depends on.
+ * @returns {{hash: string, missing: string[]}} - The hash and the input files that do not exist.
+ */
+function hashInputs(step, inputFiles, config = '') {
+  const hash = crypto.createHash('sha256');
+  const missing = [];
+  hash.update(`${step.key || `step${step.number}`}@${step.version}\n${config}\n`);
+  for (const file of inputFiles) {
+    hash.update(`${path.basename(file)}\n`);
+    if (fs.existsSync(file)) {
+      hash.update(fs.readFileSync(file));
+    } else {
+      missing.push(file);
+    }
+  }
+  return { hash: hash.digest('hex'), missing };
+}
+
+/**
+ * Hash the contents of a file.
+ * @param file - The full path of the file.
+ * @returns {string|null} - The hash, or null if the file does not exist.
+ */
+function hashFile(file) {
+  if (!fs.existsSync(file)) return null;
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Check whether the recorded result of a step can be reused.
+ * @param entry - The manifest entry of the step.
+ * @param step - The step definition.
+ * @param inputsHash - The hash of the current inputs.
+ * @param outputDir - The full path of the output directory for the project version.
+ * @returns {boolean}
+ */
+function isUpToDate(entry, step, inputsHash, outputDir) {
+  return Boolean(entry)
+    && entry.status === StepStatus.SUCCEEDED
+    && entry.stepVersion === step.version
+    && entry.inputsHash === inputsHash
+    && entry.outputHash === hashFile(path.join(outputDir, step.output));
+}
+
+/**
+ * Read the output of an earlier step: the one handed over in memory when the steps run without an output
+ * directory, or the output file otherwise.
+ * @param outputDir - The full path of the output directory for the project version, or null.
+ * @param key - The step key, e.g. step1.
+ * @param outputs - The outputs of the steps that ran in memory, keyed by step key.
+ * @param fallback - Returned when the step has not run; without it a missing output is an error.
+ * @returns {*} - The output of the step.
+ */
+function readStepInput(outputDir, key, outputs, fallback) {
+  if (outputs && outputs[key] !== undefined) return outputs[key];
+  const file = outputDir ? path.join(outputDir, `${key}_output.json`) : null;
+  if (file && fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (fallback !== undefined) return fallback;
+  throw new StepError(`The ${key} output is missing`, { category: FailureCategory.MISSING_INPUTS });
+}
+
+/**
+ * Write the output of a step to the output directory, if the steps run with one.
+ * @param outputDir - The full path of the output directory for the project version, or null to keep the output in memory.
+ * @param key - The step key, e.g. step1.
+ * @param output - The output of the step.
+ */
+function writeStepOutput(outputDir, key, output) {
+  if (!outputDir) return;
+  fs.writeFileSync(path.join(outputDir, `${key}_output.json`), JSON.stringify(output, null, 2));
+}
+
+/**
+ * Run a sequence of steps in memory: every step gets the outputs of the steps before it under stepOptions.outputs
+ * and nothing is written or reused.
+ * @param steps - The step definitions, as for runSteps.
+ * @param projectPath - The full path of the project version.
+ * @param options - The options of runSteps except force.
+ * @returns {Promise<{succeeded: boolean, ran: string[], skipped: string[], outputs: Object}>} - outputs holds the output of every step that ran, keyed by step key.
+ */
+async function runStepsInMemory(steps, projectPath, options = {}) {
+  const stepOptions = options.stepOptions || {};
+  const outputs = {};
+  const ran = [];
+
+  for (const step of steps) {
+    if (step.enabled && !step.enabled(stepOptions)) continue;
+    const key = step.key || `step${step.number}`;
+    if (options.beforeStep) await options.beforeStep(step);
+
+    let status = StepStatus.SUCCEEDED;
+    let failure;
+    let startedAt = new Date();
+    try {
+      const run = () => {
+        startedAt = new Date();
+        return step.run(projectPath, null, { ...stepOptions, outputs });
+      };
+      outputs[key] = await (options.limit ? options.limit(step, run) : run());
+    } catch (error) {
+      console.error(`${step.label || `Step${step.number}`} (${step.name}) failed for <${path.basename(projectPath)}>:`, error);
+      status = StepStatus.FAILED;
+      failure = error;
+    }
+    if (options.onStepResult) {
+      options.onStepResult(step, { key, status, startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime(), error: failure });
+    }
+    if (status !== StepStatus.SUCCEEDED) return { succeeded: false, ran, skipped: [], outputs };
+    ran.push(key);
+  }
+
+  return { succeeded: true, ran, skipped: [], outputs };
+}
+
+/**
+ * Run a sequence of steps for a project version, skipping the steps whose outputs are still valid.
+ * A step is rerun when its implementation version, one of its inputs (e.g. an upstream step output) or
+ * its own output changed since the last successful run, so changes propagate to every downstream step.
+ * @param steps - The step definitions ({number, key, name, version, output, enabled(stepOptions), inputs(projectPath, outputDir, stepOptions),
+ * config(stepOptions), run(projectPath, outputDir, stepOptions)}). Steps whose enabled() returns false are left out.
+ * @param projectPath - The full path of the project version.
+ * @param outputDir - The full path of the output directory for the project version.
+ * @param options - { force: boolean, beforeStep: async (step) => void, stepOptions: Object passed to every step,
+ *   limit: (step, task) => Promise wrapping the run of each step, e.g. in a concurrency limiter,
+ *   onStepResult: (step, { key, status, startedAt, durationMs, error }) => void, called for every step that ran, failed or was reused }
+ * @returns {Promise<{succeeded: boolean, ran: string[], skipped: string[], outputs: Object}>} - The manifest keys of the steps that ran or were skipped,
+ *   and the outputs of the steps that ran, keyed by step key.
+ */
+async function runSteps(steps, projectPath, outputDir, options = {}) {
+  const manifest = readManifest(outputDir);
+  const stepOptions = options.stepOptions || {};
+  const ran = [];
+  const skipped = [];
+  const outputs = {};
+  const report = (step, result) => {
+    if (options.onStepResult) options.onStepResult(step, { key: step.key || `step${step.number}`, ...result });
+  };
+
+  for (const step of steps) {
+    if (step.enabled && !step.enabled(stepOptions)) continue;
+    const key = step.key || `step${step.number}`;
+    const config = step.config ? step.config(stepOptions) : '';
+    const { hash, missing } = hashInputs(step, step.inputs(projectPath, outputDir, stepOptions), config);
+
+    if (missing.length > 0) {
+      console.error(`${step.label || `Step${step.number}`} (${step.name}) for <${path.basename(projectPath)}> is missing its inputs: ${missing.map(file => path.basename(file)).join(', ')}`);
+      manifest.steps[key] = { inputsHash: hash, stepVersion: step.version, timestamp: new Date().toISOString(), status: StepStatus.FAILED };
+      writeManifest(outputDir, manifest);
+      report(step, {
+        status: StepStatus.FAILED, startedAt: new Date().toISOString(), durationMs: 0,
+        error: new StepError(`Missing inputs: ${missing.map(file => path.basename(file)).join(', ')}`, { category: FailureCategory.MISSING_INPUTS }),
+      });
+      return { succeeded: false, ran, skipped, outputs };
+    }
+
+    if (!options.force && isUpToDate(manifest.steps[key], step, hash, outputDir)) {
+      skipped.push(key);
+      report(step, { status: 'reused', startedAt: new Date().toISOString(), durationMs: 0 });
+      continue;
+    }
+
+    if (options.beforeStep) await options.beforeStep(step);
+
+    // Record that the step started, so a run interrupted halfway through reruns it next time
+    manifest.steps[key] = { inputsHash: hash, stepVersion: step.version, timestamp: new Date().toISOString(), status: StepStatus.RUNNING };
+    writeManifest(outputDir, manifest);
+
+    let status = StepStatus.SUCCEEDED;
+    let failure;
+    // Measured from the moment the limiter lets the step run, so waiting for a slot does not count
+    let startedAt = new Date();
+    try {
+      const run = () => {
+        startedAt = new Date();
+        return step.run(projectPath, outputDir, stepOptions);
+      };
+      outputs[key] = await (options.limit ? options.limit(step, run) : run());
+    } catch (error) {
+      console.error(`${step.label || `Step${step.number}`} (${step.name}) failed for <${path.basename(projectPath)}>:`, error);
+      status = StepStatus.FAILED;
+      failure = error;
+    }
+    report(step, { status, startedAt: startedAt.toISOString(), durationMs: Date.now() - startedAt.getTime(), error: failure });
+
+    manifest.steps[key] = { inputsHash: hash, stepVersion: step.version, timestamp: new Date().toISOString(), status };
+    if (status === StepStatus.SUCCEEDED) manifest.steps[key].outputHash = hashFile(path.join(outputDir, step.output));
+    writeManifest(outputDir, manifest);
+    if (status !== StepStatus.SUCCEEDED) return { succeeded: false, ran, skipped, outputs };
+    ran.push(key);
+  }
+
+  return { succeeded: true, ran, skipped, outputs };
+}
+
+module.exports = {
+  StepStatus,
+  manifestFileName,
+  readManifest,
+  writeManifest,
+  hashInputs,
+  readStepInput,
+  writeStepOutput,
+  runSteps,
+  runStepsInMemory,
+};
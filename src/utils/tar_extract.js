@@ -0,0 +1,140 @@
+/**
+ * Extraction of npm package tarballs (gzipped tar archives) in plain Node.js, so that downloads do not depend on a
+ * tar binary or on shell commands. Regular files and directories are extracted; links and devices, which npm does
+ * not publish, are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Read a NUL-terminated string field of a tar header.
+ * @param block - The header block.
+ * @param offset - The offset of the field.
+ * @param length - The length of the field.
+ * @returns {string}
+ */
+function readString(block, offset, length) {
+  const field = block.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+/**
+ * Read a numeric field of a tar header, in octal or, for large values, in the base-256 GNU encoding.
+ * @param block - The header block.
+ * @param offset - The offset of the field.
+ * @param length - The length of the field.
+ * @returns {number}
+ */
+function readNumber(block, offset, length) {
+  if (block[offset] & 0x80) {
+    let value = block[offset] & 0x7f;
+    for (let i = offset + 1; i < offset + length; i++) value = value * 256 + block[i];
+    return value;
+  }
+  const text = readString(block, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Parse the records of a pax extended header ("<length> <key>=<value>\n").
+ * @param data - The content of the extended header.
+ * @returns {Object}
+ */
+function parsePaxHeader(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(data.subarray(offset, space).toString('utf8'), 10);
+    if (!length) break;
+    const record = data.subarray(space + 1, offset + length - 1).toString('utf8');
+    const equals = record.indexOf('=');
+    if (equals !== -1) records[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return records;
+}
+
+/**
+ * List the entries of an uncompressed tar archive.
+ * @param archive - The tar archive.
+ * @returns {{name: string, type: string, mode: number, data: Buffer}[]}
+ */
+function readTarEntries(archive) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  let pax = {};
+
+  while (offset + BLOCK_SIZE <= archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = readNumber(header, 124, 12);
+    // Old archives mark regular files with a NUL type
+    const type = String.fromCharCode(header[156] || 0x30);
+    const data = archive.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size);
+    offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    // Long names come in an entry of their own, before the entry they belong to
+    if (type === 'L') {
+      longName = readString(data, 0, data.length);
+      continue;
+    }
+    if (type === 'x') {
+      pax = parsePaxHeader(data);
+      continue;
+    }
+    if (type === 'g') continue;
+
+    const prefix = readString(header, 257, 6).startsWith('ustar') ? readString(header, 345, 155) : '';
+    const shortName = readString(header, 0, 100);
+    const name = pax.path || longName || (prefix ? `${prefix}/${shortName}` : shortName);
+    entries.push({ name, type, mode: readNumber(header, 100, 8), data });
+    longName = null;
+    pax = {};
+  }
+  return entries;
+}
+
+/**
+ * Extract a gzipped tar archive into a directory.
+ * @param tarball - The content of the .tgz file.
+ * @param destination - The directory to extract to; it is created if needed.
+ * @param options - { strip: number } - The number of leading path components to remove, like tar --strip-components
+ *   (npm tarballs hold everything under package/).
+ * @returns {number} - The number of files extracted.
+ */
+function extractTarball(tarball, destination, options = {}) {
+  const strip = options.strip || 0;
+  const root = path.resolve(destination);
+  fs.mkdirSync(root, { recursive: true });
+
+  let files = 0;
+  for (const entry of readTarEntries(zlib.gunzipSync(tarball))) {
+    const parts = entry.name.split('/').filter(part => part && part !== '.').slice(strip);
+    if (parts.length === 0) continue;
+    const target = path.resolve(root, ...parts);
+    if (target !== root && !target.startsWith(root + path.sep)) {
+      throw new Error(`Refusing to extract ${entry.name} outside of ${destination}`);
+    }
+
+    if (entry.type === '5') {
+      fs.mkdirSync(target, { recursive: true });
+    } else if (entry.type === '0' || entry.type === '7') {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      // npm normalises file modes the same way, so that every file stays readable
+      fs.writeFileSync(target, entry.data, { mode: (entry.mode | 0o644) & 0o777 });
+      files++;
+    }
+  }
+  return files;
+}
+
+module.exports = { readTarEntries, extractTarball };
@@ -0,0 +1,112 @@
+/**
+ * Content-addressed cache of npm package tarballs, so that downloads can be repeated without the network.
+ * Layout of the cache directory:
+ *   tarballs/<algorithm>/<hex digest>  - the tarballs, named after the digest of their content
+ *   packages/<name>@<version>.json     - the registry dist entry of a version: { tarball, integrity, shasum, file }
+ *   metadata/<name>.json               - the registry metadata the versions of a library were selected from
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const defaultCacheDir = path.resolve(__dirname, '../../.tarball_cache');
+
+/**
+ * Parse the strongest hash of a Subresource Integrity string, e.g. sha512-<base64>.
+ * @param integrity - The SRI string; several space-separated hashes are allowed.
+ * @returns {{algorithm: string, digest: string}|null} - The digest in hex, or null if there is no supported hash.
+ */
+function parseIntegrity(integrity) {
+  const hashes = String(integrity || '').split(/\s+/)
+    .map(entry => /^(sha512|sha384|sha256|sha1)-([A-Za-z0-9+/=]+)/.exec(entry))
+    .filter(Boolean)
+    .map(([, algorithm, digest]) => ({ algorithm, digest: Buffer.from(digest, 'base64').toString('hex') }));
+  const strength = ['sha1', 'sha256', 'sha384', 'sha512'];
+  return hashes.sort((a, b) => strength.indexOf(b.algorithm) - strength.indexOf(a.algorithm))[0] || null;
+}
+
+/**
+ * Get the digest a tarball is stored under: its integrity hash, or its shasum for old packages without one.
+ * @param dist - The registry dist entry { integrity, shasum }.
+ * @returns {{algorithm: string, digest: string}}
+ */
+function getContentDigest(dist) {
+  const parsed = parseIntegrity(dist.integrity);
+  if (parsed) return parsed;
+  if (dist.shasum) return { algorithm: 'sha1', digest: dist.shasum.toLowerCase() };
+  throw new Error('The registry gives neither an integrity nor a shasum for the tarball');
+}
+
+/**
+ * Check a tarball against its registry integrity and shasum.
+ * @param content - The tarball.
+ * @param dist - The registry dist entry { integrity, shasum }.
+ * @throws {Error} - If the content does not match.
+ */
+function verifyTarball(content, dist) {
+  const expected = getContentDigest(dist);
+  const actual = crypto.createHash(expected.algorithm).update(content).digest('hex');
+  if (actual !== expected.digest) {
+    throw new Error(`Integrity mismatch: expected ${expected.algorithm} ${expected.digest}, got ${actual}`);
+  }
+  if (dist.shasum && crypto.createHash('sha1').update(content).digest('hex') !== dist.shasum.toLowerCase()) {
+    throw new Error(`Shasum mismatch: expected ${dist.shasum}`);
+  }
+}
+
+/**
+ * Write a file atomically, so that an interrupted download never leaves a truncated entry in the cache.
+ * @param file - The path of the file.
+ * @param content - The content to write.
+ */
+function writeAtomically(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tempPath = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, file);
+}
+
+/**
+ * Open a tarball cache.
+ * readTarball verifies the cached tarball against its recorded integrity and resolves to null if the version is
+ * not cached; writeTarball verifies a downloaded tarball against the registry dist entry before caching it.
+ * Both throw on a mismatch.
+ * @param cacheDir - The cache directory, by default .tarball_cache at the root of the repository.
+ * @returns {{dir: string, readMetadata: function(string): Object|null, writeMetadata: function(string, Object),
+ *   readTarball: function(string, string): {content: Buffer, dist: Object}|null, writeTarball: function(string, string, Buffer, Object)}}
+ */
+function createTarballCache(cacheDir = defaultCacheDir) {
+  // Scoped names keep their scope as a directory, e.g. packages/@babel/core@7.0.0.json
+  const packageFile = (name, version) => path.join(cacheDir, 'packages', `${name}@${version}.json`);
+  const metadataFile = name => path.join(cacheDir, 'metadata', `${name}.json`);
+  const readJson = file => fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+
+  return {
+    dir: cacheDir,
+    readMetadata(name) {
+      return readJson(metadataFile(name));
+    },
+    writeMetadata(name, metadata) {
+      writeAtomically(metadataFile(name), JSON.stringify(metadata, null, 2));
+    },
+    readTarball(name, version) {
+      const dist = readJson(packageFile(name, version));
+      if (!dist) return null;
+      const file = path.join(cacheDir, dist.file);
+      if (!fs.existsSync(file)) return null;
+      const content = fs.readFileSync(file);
+      verifyTarball(content, dist);
+      return { content, dist };
+    },
+    writeTarball(name, version, content, dist) {
+      verifyTarball(content, dist);
+      const { algorithm, digest } = getContentDigest(dist);
+      const file = path.join('tarballs', algorithm, digest);
+      if (!fs.existsSync(path.join(cacheDir, file))) writeAtomically(path.join(cacheDir, file), content);
+      writeAtomically(packageFile(name, version), JSON.stringify({ tarball: dist.tarball, integrity: dist.integrity, shasum: dist.shasum, file }, null, 2));
+    },
+  };
+}
+
+module.exports = { defaultCacheDir, parseIntegrity, verifyTarball, createTarballCache };
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// The log stream of the worker the current async context belongs to
+const workerContext = new AsyncLocalStorage();
+let consoleRedirected = false;
+
+/**
+ * Route console output to the log file of the current worker.
+ * The steps log through console, so redirecting it per async context keeps the output of parallel
+ * versions apart without threading a logger through every step.
+ */
+function redirectConsole() {
+  if (consoleRedirected) return;
+  consoleRedirected = true;
+
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const worker = workerContext.getStore();
+      if (!worker) {
+        original(...args);
+        return;
+      }
+      worker.log.write(`[${new Date().toISOString()}] ${method.toUpperCase()} ${util.format(...args)}\n`);
+    };
+  }
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at the same time.
+ * @param concurrency - The maximum number of tasks running at once.
+ * @returns {function(function(): Promise): Promise} - Wraps a task, resolving to its result once it ran.
+ */
+function createLimiter(concurrency) {
+  let running = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (running >= concurrency || waiting.length === 0) return;
+    running++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve().then(task).then(resolve, reject).finally(() => {
+      running--;
+      next();
+    });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Process items with a bounded pool of workers.
+ * Each worker gets its own npm cache directory and, when a log directory is given, its own log file that
+ * receives everything the tasks it runs write to the console.
+ * @param items - The items to process.
+ * @param options - { concurrency: number, logDir: string, cacheDir: string, onProgress: function(progress) }
+ * @param task - async (item, worker) => boolean, where worker is { id, npmCache, logFile } and the result tells whether the item succeeded.
+ * @returns {Promise<{done: number, failed: Array}>} - The number of succeeded items and the failed items.
+ */
+async function runPool(items, options, task) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const cacheDir = options.cacheDir || path.join(os.tmpdir(), 'vuln4real-npm-cache');
+  const queue = items.slice();
+  const progress = { done: 0, failed: 0, running: 0, remaining: items.length, total: items.length };
+  const failed = [];
+
+  if (options.logDir) {
+    fs.mkdirSync(options.logDir, { recursive: true });
+    redirectConsole();
+  }
+
+  const runWorker = async (id) => {
+    const worker = { id, npmCache: path.join(cacheDir, `worker-${id}`) };
+    let log = null;
+    if (options.logDir) {
+      worker.logFile = path.join(options.logDir, `worker-${id}.log`);
+      log = fs.createWriteStream(worker.logFile, { flags: 'a' });
+    }
+
+    while (queue.length > 0) {
+      const item = queue.shift();
+      progress.remaining--;
+      progress.running++;
+
+      let succeeded = false;
+      try {
+        succeeded = log
+          ? await workerContext.run({ log }, () => task(item, worker))
+          : await task(item, worker);
+      } catch (error) {
+        if (log) log.write(`[${new Date().toISOString()}] ERROR ${util.format(error)}\n`);
+        else console.error(error);
+      }
+
+      progress.running--;
+      if (succeeded) {
+        progress.done++;
+      } else {
+        progress.failed++;
+        failed.push(item);
+      }
+      if (options.onProgress) options.onProgress({ ...progress, item, succeeded });
+    }
+
+    if (log) await new Promise(resolve => log.end(resolve));
+  };
+
+  const workers = [];
+  for (let id = 1; id <= Math.min(concurrency, items.length); id++) {
+    workers.push(runWorker(id));
+  }
+  await Promise.all(workers);
+  return { done: progress.done, failed };
+}
+
+module.exports = { createLimiter, runPool };
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs, UsageError } = require('../src/utils/arg_parser');
+
+const spec = {
+  library: { alias: 'l', type: 'string', multiple: true },
+  versions: { alias: 'v', type: 'string' },
+  'from-step': { type: 'number', default: 1 },
+  force: { alias: 'f', type: 'boolean' },
+};
+
+test('parses the command, long and short options, lists and positionals', () => {
+  const { command, options, positionals } = parseArgs(
+    ['scan', '-l', 'express,qs', '--library=debug', '--versions', '^4.0.0', '--from-step=3', '-f', 'extra', '--', '--not-an-option'], spec);
+  assert.strictEqual(command, 'scan');
+  assert.deepStrictEqual(options, { library: ['express', 'qs', 'debug'], versions: '^4.0.0', 'from-step': 3, force: true });
+  assert.deepStrictEqual(positionals, ['extra', '--not-an-option']);
+});
+
+test('applies the defaults without arguments', () => {
+  assert.deepStrictEqual(parseArgs([], spec), { command: undefined, options: { library: [], 'from-step': 1 }, positionals: [] });
+});
+
+test('rejects unknown options, missing values and malformed numbers', () => {
+  assert.throws(() => parseArgs(['scan', '--nope'], spec), { name: 'UsageError', message: 'Unknown option: --nope' });
+  assert.throws(() => parseArgs(['scan', '-x'], spec), { message: 'Unknown option: -x' });
+  assert.throws(() => parseArgs(['scan', '--versions'], spec), { message: 'Option --versions requires a value' });
+  assert.throws(() => parseArgs(['scan', '-v', '-f'], spec), { message: 'Option --versions requires a value' });
+  assert.throws(() => parseArgs(['scan', '--from-step', 'two'], spec), { message: 'Option --from-step expects a number, got "two"' });
+  assert.throws(() => parseArgs(['scan', '--force=yes'], spec), UsageError);
+});
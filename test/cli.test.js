@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cli = path.join(__dirname, '..', 'src', 'index.js');
+
+/**
+ * Run the command line, which validates its options before running any command.
+ * @param args - The command-line arguments.
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function run(args) {
+  return childProcess.spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+/**
+ * Write a JSON file to a temporary directory, removed after the test.
+ * @param t - The test context.
+ * @param content - The content of the file.
+ * @returns {string} - The path of the file.
+ */
+function writeJson(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vuln4real-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'parameters.json');
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+test('prints the usage and exits with 0 on --help and 2 without a command', () => {
+  const help = run(['--help']);
+  assert.strictEqual(help.status, 0);
+  assert.match(help.stdout, /^Usage: node src\/index\.js <command> \[options\]/);
+  assert.strictEqual(run([]).status, 2);
+});
+
+test('rejects unknown commands, step ranges out of order and invalid version ranges', () => {
+  const unknown = run(['scna']);
+  assert.strictEqual(unknown.status, 2);
+  assert.match(unknown.stderr, /^Unknown command: scna/);
+
+  const steps = run(['scan', '--from-step', '5', '--to-step', '2']);
+  assert.strictEqual(steps.status, 2);
+  assert.match(steps.stderr, /--from-step and --to-step must be integers with 1 <= from-step <= to-step <= 6/);
+
+  const versions = run(['scan', '-l', 'express', '-v', 'not a range']);
+  assert.strictEqual(versions.status, 2);
+  assert.match(versions.stderr, /Invalid semver range: not a range/);
+});
+
+test('rejects invalid parameter files with the usage exit code', (t) => {
+  const policy = run(['gate', '--policy', writeJson(t, { maxCvss: -1, ignoreDependencyTypes: ['nope'] })]);
+  assert.strictEqual(policy.status, 2);
+  assert.match(policy.stderr, /maxCvss must be a non-negative number or null; ignoreDependencyTypes must list/);
+
+  const unknown = run(['gate', '--policy', writeJson(t, { maxCsvv: 7 })]);
+  assert.strictEqual(unknown.status, 2);
+  assert.match(unknown.stderr, /Unknown parameters in .*: maxCsvv/);
+
+  const score = run(['report', '--score-config', writeJson(t, { fixInRange: 2 })]);
+  assert.strictEqual(score.status, 2);
+  assert.match(score.stderr, /Invalid parameters in .*fixInRange/);
+});
+
+test('rejects --project outside scan, simulate and gate, and with a library selection', () => {
+  const project = path.join(__dirname, 'fixtures', 'projects', 'package-lock');
+  assert.match(run(['report', '-p', project]).stderr, /^--project only applies to scan, simulate and gate/);
+  assert.match(run(['scan', '-p', project, '-l', 'express']).stderr, /^--project cannot be combined with --library or --versions/);
+  assert.match(run(['scan', '-p', path.join(project, 'missing')]).stderr, /^No package\.json found in /);
+  assert.match(run(['scan', '-o', 'out']).stderr, /^--output requires --project/);
+});
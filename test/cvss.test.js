@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateCvss3BaseScore, severityFromScore } = require('../src/utils/cvss');
+
+test('calculates the base score of CVSS v3.1 and v3.0 vectors', () => {
+  assert.strictEqual(calculateCvss3BaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'), 9.8);
+  assert.strictEqual(calculateCvss3BaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:H'), 7.5);
+  assert.strictEqual(calculateCvss3BaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:L'), 5.3);
+  assert.strictEqual(calculateCvss3BaseScore('CVSS:3.0/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N'), 6.1);
+});
+
+test('weighs privileges required more when the scope changes', () => {
+  assert.strictEqual(calculateCvss3BaseScore('CVSS:3.1/AV:N/AC:L/PR:L/UI:N/S:C/C:H/I:H/A:H'), 9.9);
+  assert.strictEqual(calculateCvss3BaseScore('CVSS:3.1/AV:N/AC:L/PR:L/UI:N/S:U/C:H/I:H/A:H'), 8.8);
+});
+
+test('scores a vector without impact 0', () => {
+  assert.strictEqual(calculateCvss3BaseScore('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:N'), 0);
+});
+
+test('returns null for vectors that are not valid CVSS v3', () => {
+  assert.strictEqual(calculateCvss3BaseScore('AV:N/AC:L/Au:N/C:P/I:P/A:P'), null);
+  assert.strictEqual(calculateCvss3BaseScore('CVSS:3.1/AV:X/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'), null);
+  assert.strictEqual(calculateCvss3BaseScore(null), null);
+});
+
+test('maps scores to their qualitative severity', () => {
+  assert.strictEqual(severityFromScore(null), null);
+  assert.strictEqual(severityFromScore(0), 'NONE');
+  assert.strictEqual(severityFromScore(3.9), 'LOW');
+  assert.strictEqual(severityFromScore(4), 'MEDIUM');
+  assert.strictEqual(severityFromScore(7), 'HIGH');
+  assert.strictEqual(severityFromScore(9), 'CRITICAL');
+});
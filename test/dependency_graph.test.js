@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ROOT, buildDependencyGraph, orderDependencyGraph, countDependencyPaths, listShortestPaths } = require('../src/utils/dependency_graph');
+
+// app -> a -> c -> v and app -> b -> c (deduped by npm ls), with v requiring c back and b requiring v directly
+const dependencyTree = {
+  name: 'app',
+  version: '1.0.0',
+  dependencies: {
+    a: {
+      version: '1.0.0', path: 'node_modules/a',
+      dependencies: {
+        c: {
+          version: '1.0.0', path: 'node_modules/c',
+          dependencies: { v: { version: '1.0.0', path: 'node_modules/v', dependencies: { c: { version: '1.0.0', path: 'node_modules/c' } } } }
+        }
+      }
+    },
+    b: {
+      version: '1.0.0', path: 'node_modules/b',
+      dependencies: { c: { version: '1.0.0', path: 'node_modules/c' }, v: { version: '1.0.0', path: 'node_modules/v' } }
+    }
+  }
+};
+
+test('merges the deduped occurrences of a copy into one node', () => {
+  const graph = buildDependencyGraph(dependencyTree);
+  assert.deepStrictEqual(Array.from(graph.nodes.keys()).sort(), [ROOT, 'node_modules/a', 'node_modules/b', 'node_modules/c', 'node_modules/v']);
+  assert.deepStrictEqual(graph.nodes.get('node_modules/c').children, ['node_modules/v']);
+  assert.strictEqual(graph.nodes.get('node_modules/v').id, 'v@1.0.0');
+});
+
+test('orders the graph topologically and leaves out the edges closing a cycle', () => {
+  const graph = buildDependencyGraph(dependencyTree);
+  const ordered = orderDependencyGraph(graph);
+  assert.strictEqual(ordered.order[0], ROOT);
+  assert.strictEqual(ordered.order.length, 5);
+  assert.deepStrictEqual(ordered.cycles, [['node_modules/v', 'node_modules/c']]);
+  assert.ok(ordered.order.indexOf('node_modules/c') < ordered.order.indexOf('node_modules/v'));
+});
+
+test('counts the paths to every node with their shortest depth and heads', () => {
+  const graph = buildDependencyGraph(dependencyTree);
+  const counts = countDependencyPaths(graph, orderDependencyGraph(graph));
+  const v = counts.get('node_modules/v');
+  assert.strictEqual(v.paths, 3);
+  assert.strictEqual(v.depth, 2);
+  assert.deepStrictEqual(Array.from(v.heads).sort(), ['a', 'b']);
+  assert.strictEqual(counts.get('node_modules/c').paths, 2);
+});
+
+test('lists at most limit shortest paths per node', () => {
+  const graph = buildDependencyGraph(dependencyTree);
+  const ordered = orderDependencyGraph(graph);
+  const shortest = listShortestPaths(graph, ordered, 2).get('node_modules/v');
+  assert.strictEqual(shortest.length, 2);
+  assert.deepStrictEqual(shortest[0], ['node_modules/b', 'node_modules/v']);
+  assert.strictEqual(shortest[1].length, 3);
+  assert.strictEqual(listShortestPaths(graph, ordered, 10).get('node_modules/v').length, 3);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { getOutputDir } = require('../src/pipeline');
+const { buildEvolution } = require('../src/commands/evolution');
+const { writeStepOutput } = require('../src/utils/step_runner');
+
+/**
+ * Build the step outputs of a release.
+ * @param publishedAt - The ISO publish date of the release.
+ * @param vulnerable - The vulnerable packages as [name, version, advisory, exposed].
+ * @returns {Object} - The outputs keyed by step key; releases without vulnerable packages have no step5 output.
+ */
+function releaseOutputs(publishedAt, vulnerable) {
+  const dependencies = Object.fromEntries(vulnerable.map(([name, version]) => [name, { version, path: `node_modules/${name}` }]));
+  const outputs = { step1: { name: 'lib', dependencies } };
+  if (!publishedAt) return outputs;
+  outputs.step4 = { analysisDate: publishedAt, analysisDateSource: 'release', laggingDependencies: {} };
+  outputs.step5 = vulnerable.map(([name, version, advisory]) => ({ fileName: `${name}:${version}`, name, version, vulnerabilities: [{ name: advisory, severity: 'HIGH', cvss: 7.5 }] }));
+  outputs.step6 = {
+    paths: [],
+    vulnerabilityExposure: Object.fromEntries(vulnerable.filter(([, , , exposed]) => exposed).map(([name, version]) => [`${name}@${version}`, 1]))
+  };
+  return outputs;
+}
+
+// GHSA-a stays in qs while qs is updated, GHSA-b in ms is fixed by the next release, GHSA-c in debug is still open;
+// v1.9.0 has not been scanned for vulnerabilities and is left out of the comparisons
+const releases = {
+  'v1.10.0': releaseOutputs('2020-02-10T00:00:00.000Z', [['debug', '4.1.0', 'GHSA-c', true]]),
+  'v1.0.0': releaseOutputs('2020-01-01T00:00:00.000Z', [['qs', '6.5.1', 'GHSA-a', true], ['ms', '2.0.0', 'GHSA-b', false]]),
+  'v1.9.0': releaseOutputs(null, [['qs', '6.5.2']]),
+  'v1.1.0': releaseOutputs('2020-01-11T00:00:00.000Z', [['qs', '6.5.2', 'GHSA-a', true], ['debug', '4.0.0', 'GHSA-c', true]]),
+};
+
+test('tracks the vulnerabilities introduced, fixed and carried over from release to release', (t) => {
+  const library = `evolution-test-${process.pid}`;
+  t.after(() => fs.rmSync(path.dirname(getOutputDir(library, 'v1.0.0')), { recursive: true, force: true }));
+  for (const [version, outputs] of Object.entries(releases)) {
+    const outputDir = getOutputDir(library, version);
+    fs.mkdirSync(outputDir, { recursive: true });
+    for (const [key, output] of Object.entries(outputs)) writeStepOutput(outputDir, key, output);
+  }
+
+  const evolution = buildEvolution(library, Object.keys(releases));
+  assert.deepStrictEqual(evolution.versions.map(({ version, introduced, fixed, carriedOver }) => [version, introduced, fixed, carriedOver]), [
+    ['v1.0.0', 2, 0, 0],
+    ['v1.1.0', 1, 1, 1],
+    ['v1.9.0', null, null, null],
+    ['v1.10.0', 0, 1, 1]
+  ]);
+  assert.deepStrictEqual(evolution.versions[1].changes, { introduced: ['debug GHSA-c'], fixed: ['ms GHSA-b'], carriedOver: ['qs GHSA-a'] });
+  assert.deepStrictEqual(evolution.versions.map(version => version.installedPackagesChange), [undefined, 0, -1, 0]);
+
+  const episodes = Object.fromEntries(evolution.vulnerabilities.map(episode => [episode.advisory, episode]));
+  assert.deepStrictEqual(episodes['GHSA-a'], {
+    package: 'qs', advisory: 'GHSA-a', severity: 'HIGH', cvss: 7.5, introducedIn: 'v1.0.0', lastAffected: 'v1.1.0', fixedIn: 'v1.10.0',
+    releases: 2, exposedReleases: 2, dependencyIds: ['qs@6.5.1', 'qs@6.5.2'], exposedDays: 40
+  });
+  assert.deepStrictEqual([episodes['GHSA-b'].fixedIn, episodes['GHSA-b'].exposedReleases, episodes['GHSA-b'].exposedDays], ['v1.1.0', 0, 0]);
+  assert.deepStrictEqual([episodes['GHSA-c'].fixedIn, episodes['GHSA-c'].releases, episodes['GHSA-c'].exposedDays], [null, 2, 30]);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_SCORE_WEIGHTS, scoreExposure, validateScoreWeights } = require('../src/utils/exposure_score');
+
+const factors = { cvss: 7.5, exploitability: null, depth: 2, directDependents: 1, lagging: true, fixInRange: false };
+
+test('takes the weighted mean over the components with a value', () => {
+  const { score, components } = scoreExposure(factors);
+  // (0.4 * 0.75 + 0.15 * 0.5 + 0.1 * 0.2 + 0.15 * 1) / 0.8 * 10
+  assert.strictEqual(score, 6.81);
+  assert.strictEqual(components.exploitability.contribution, 0);
+});
+
+test('accepts the default weights and rejects weights producing NaN or Infinity', () => {
+  assert.deepStrictEqual(validateScoreWeights(DEFAULT_SCORE_WEIGHTS), []);
+  assert.deepStrictEqual(validateScoreWeights({ severity: -1, spread: '0.1', fixInRange: 2, unknownSeverity: 11, spreadSaturation: 0 }), [
+    'severity must be a non-negative number',
+    'spread must be a non-negative number',
+    'fixInRange must be a number between 0 and 1',
+    'unknownSeverity must be a CVSS score between 0 and 10',
+    'spreadSaturation must be a positive number'
+  ]);
+  assert.deepStrictEqual(validateScoreWeights({ lagging: Infinity }), ['lagging must be a non-negative number']);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getFormatter } = require('../src/formatters');
+const { constructPaths } = require('../src/process_pipe/step6');
+const { DependencyScope } = require('../src/process_pipe/step2');
+
+// app -> express -> qs and app -> mocha (devDependency) -> debug -> ms, with a vendored jquery outside the tree
+const dependencyTree = {
+  name: 'app',
+  version: '1.0.0',
+  dependencies: {
+    express: { version: '4.16.3', path: 'node_modules/express', dependencies: { qs: { version: '6.5.1', path: 'node_modules/qs' } } },
+    mocha: {
+      version: '5.0.0', path: 'node_modules/mocha',
+      dependencies: { debug: { version: '3.1.0', path: 'node_modules/debug', dependencies: { ms: { version: '2.0.0', path: 'node_modules/ms' } } } }
+    }
+  }
+};
+
+const vulnerabilities = [
+  { fileName: 'qs:6.5.1', name: 'qs', version: '6.5.1', vulnerabilities: [{ source: 'GHSA', name: 'GHSA-hrpp-h998-j3pp', aliases: ['CVE-2022-24999'], severity: 'HIGH', cvss: 7.5, cvssVector: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:H' }] },
+  { fileName: 'ms:2.0.0', name: 'ms', version: '2.0.0', vulnerabilities: [{ source: 'GHSA', name: 'GHSA-w9mr-4mfr-499f', severity: 'MODERATE', cvss: null }] },
+  { fileName: 'jquery.min.js', vulnerabilities: [{ source: 'RetireJS', name: 'CVE-2020-11022', severity: 'medium', cvss: 6.1 }] }
+];
+
+const report = constructPaths({
+  dependencyTree,
+  devDependenciesData: {
+    devDependencies: { mocha: '^5.0.0' },
+    packages: {
+      'node_modules/express': { scope: DependencyScope.PROD_ONLY },
+      'node_modules/qs': { scope: DependencyScope.PROD_ONLY },
+      'node_modules/mocha': { scope: DependencyScope.DEV_ONLY },
+      'node_modules/debug': { scope: DependencyScope.DEV_ONLY },
+      'node_modules/ms': { scope: DependencyScope.DEV_ONLY }
+    }
+  },
+  withinProjectData: { withinProjectDependencies: {} },
+  vulnerabilitiesData: vulnerabilities,
+  laggingDependenciesData: { laggingDependencies: {}, releaseInterval: {} }
+});
+
+const input = { library: 'app', version: 'v1.0.0', dependencyTree, report, vulnerabilities };
+
+test('writes one SARIF result per vulnerability and suppresses the development-only ones', () => {
+  const log = JSON.parse(getFormatter('sarif').render(input));
+  const [run] = log.runs;
+  assert.strictEqual(log.version, '2.1.0');
+  assert.deepStrictEqual(run.tool.driver.rules.map(rule => [rule.id, rule.defaultConfiguration.level]),
+    [['GHSA-hrpp-h998-j3pp', 'error'], ['GHSA-w9mr-4mfr-499f', 'warning'], ['CVE-2020-11022', 'warning']]);
+
+  const results = Object.fromEntries(run.results.map(result => [result.ruleId, result]));
+  assert.strictEqual(results['GHSA-hrpp-h998-j3pp'].properties.state, 'affected');
+  assert.match(results['GHSA-hrpp-h998-j3pp'].message.text, /^qs@6\.5\.1 is vulnerable to GHSA-hrpp-h998-j3pp \(CVSS 7\.5\), reached through 1 path\(s\), e\.g\. express@4\.16\.3 -> qs@6\.5\.1$/);
+  assert.strictEqual(results['GHSA-hrpp-h998-j3pp'].suppressions, undefined);
+  assert.deepStrictEqual(results['GHSA-w9mr-4mfr-499f'].suppressions, [{ kind: 'external', justification: 'development-only' }]);
+  assert.strictEqual(results['CVE-2020-11022'].properties.state, 'in_triage');
+});
+
+test('writes a CycloneDX SBOM of the installed packages with a VEX statement per vulnerability', () => {
+  const bom = JSON.parse(getFormatter('cyclonedx').render(input));
+  assert.strictEqual(bom.specVersion, '1.5');
+  assert.strictEqual(bom.metadata.component.purl, 'pkg:npm/app@1.0.0');
+
+  const components = Object.fromEntries(bom.components.map(component => [component.purl, component]));
+  assert.deepStrictEqual(Object.keys(components).sort(), ['pkg:npm/debug@3.1.0', 'pkg:npm/express@4.16.3', 'pkg:npm/jquery', 'pkg:npm/mocha@5.0.0', 'pkg:npm/ms@2.0.0', 'pkg:npm/qs@6.5.1']);
+  assert.strictEqual(components['pkg:npm/ms@2.0.0'].scope, 'excluded');
+  assert.strictEqual(components['pkg:npm/qs@6.5.1'].scope, undefined);
+  assert.deepStrictEqual(bom.dependencies.find(dependency => dependency.ref === 'pkg:npm/app@1.0.0').dependsOn, ['pkg:npm/express@4.16.3', 'pkg:npm/mocha@5.0.0']);
+
+  const statements = Object.fromEntries(bom.vulnerabilities.map(statement => [statement.id, statement]));
+  assert.deepStrictEqual(statements['GHSA-hrpp-h998-j3pp'].ratings, [{ score: 7.5, severity: 'high', method: 'CVSSv31', vector: vulnerabilities[0].vulnerabilities[0].cvssVector }]);
+  assert.deepStrictEqual(statements['GHSA-hrpp-h998-j3pp'].references, [{ id: 'CVE-2022-24999', source: { name: 'alias' } }]);
+  assert.deepStrictEqual(statements['GHSA-hrpp-h998-j3pp'].analysis, { state: 'affected', detail: 'qs@6.5.1 is reached through 1 path(s)' });
+  assert.deepStrictEqual(statements['GHSA-w9mr-4mfr-499f'].analysis, { state: 'not_affected', justification: 'code_not_present', detail: 'ms@2.0.0 is development-only' });
+  assert.deepStrictEqual(statements['GHSA-w9mr-4mfr-499f'].affects, [{ ref: 'pkg:npm/ms@2.0.0' }]);
+  assert.deepStrictEqual(statements['CVE-2020-11022'].analysis, { state: 'in_triage' });
+  assert.deepStrictEqual(statements['CVE-2020-11022'].affects, [{ ref: 'pkg:npm/jquery' }]);
+});
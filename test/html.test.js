@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { render } = require('../src/formatters/html');
+const { constructPaths } = require('../src/process_pipe/step6');
+
+// app -> express -> qs and app -> body-parser -> qs, the same copy of qs
+const dependencyTree = {
+  name: 'app',
+  version: '1.0.0',
+  dependencies: {
+    express: { version: '4.16.3', path: 'node_modules/express', dependencies: { qs: { version: '6.5.1', path: 'node_modules/qs' } } },
+    'body-parser': { version: '1.18.2', path: 'node_modules/body-parser', dependencies: { qs: { version: '6.5.1', path: 'node_modules/qs' } } }
+  }
+};
+
+const inputs = {
+  dependencyTree,
+  devDependenciesData: { devDependencies: {}, packages: {} },
+  withinProjectData: { withinProjectDependencies: {} },
+  vulnerabilitiesData: [{ fileName: 'qs:6.5.1', name: 'qs', version: '6.5.1', vulnerabilities: [{ name: 'GHSA-hrpp-h998-j3pp', cvss: 7.5 }] }],
+  laggingDependenciesData: { laggingDependencies: {}, releaseInterval: {} }
+};
+
+/**
+ * Read the data embedded in a rendered report.
+ * @param html - The HTML page.
+ * @returns {Object}
+ */
+function readReportData(html) {
+  const match = html.match(/<script type="application\/json" id="report-data">([\s\S]*?)<\/script>/);
+  return JSON.parse(match[1]);
+}
+
+test('embeds the tree, the exposure and the listed paths with their limit', () => {
+  const report = constructPaths(inputs, { maxPaths: 1 });
+  const html = render({ library: 'app', version: '1.0.0', dependencyTree, report });
+
+  assert.match(html, /<title>app@1\.0\.0 dependency report<\/title>/);
+  assert.match(html, /2 path\(s\) to 1 vulnerable dependencies/);
+  assert.match(html, /at most 1 per package \(--max-paths\)/);
+  const data = readReportData(html);
+  assert.deepStrictEqual(data.tree, dependencyTree);
+  assert.deepStrictEqual(data.vulnerabilityExposure, { 'qs@6.5.1': 2 });
+  assert.strictEqual(data.paths.length, 1);
+  assert.strictEqual(data.maxPaths, 1);
+});
+
+test('escapes the title and keeps the embedded data from closing its script element', () => {
+  const tree = { ...dependencyTree, name: '</script><b>' };
+  const report = constructPaths({ ...inputs, dependencyTree: tree });
+  const html = render({ library: '<b>lib</b>', version: '1.0.0', dependencyTree: tree, report });
+
+  assert.ok(!html.includes('<b>'));
+  assert.match(html, /<h1>&lt;b&gt;lib&lt;\/b&gt;@1\.0\.0<\/h1>/);
+  assert.strictEqual(readReportData(html).tree.name, '</script><b>');
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LagModel, DEFAULT_LAG_PARAMETERS, smoothedIntervalLag, semverDistance, technicalLag, fixedVersionLag, measureLag, validateLagParameters } = require('../src/utils/lag_metrics');
+
+// One release every 30 days from 2020-01-01
+const versions = ['1.0.0', '1.0.1', '1.1.0', '2.0.0', '2.1.0'].map((version, index) => ({
+  version,
+  publishedAt: new Date(Date.UTC(2020, 0, 1) + index * 30 * 24 * 60 * 60 * 1000).toISOString()
+}));
+
+test('smoothed: lagging once no release was adopted within threshold release intervals', () => {
+  const recent = smoothedIntervalLag(versions, '2.0.0', new Date('2020-05-15'), DEFAULT_LAG_PARAMETERS);
+  assert.deepStrictEqual(recent, { isLagging: false, releaseInterval: 30 });
+  assert.strictEqual(smoothedIntervalLag(versions, '2.0.0', new Date('2020-07-01'), DEFAULT_LAG_PARAMETERS).isLagging, true);
+});
+
+test('smoothed: an unknown version is not lagging and has no interval', () => {
+  assert.deepStrictEqual(smoothedIntervalLag(versions, '3.0.0', new Date('2021-01-01'), DEFAULT_LAG_PARAMETERS), { isLagging: false, releaseInterval: -1 });
+});
+
+test('semver: counts the newer majors, minors and patches', () => {
+  assert.deepStrictEqual(semverDistance(versions, '1.0.0', DEFAULT_LAG_PARAMETERS), { isLagging: true, majors: 1, minors: 1, patches: 1, latest: '2.1.0' });
+  assert.deepStrictEqual(semverDistance(versions, '2.0.0', DEFAULT_LAG_PARAMETERS), { isLagging: false, majors: 0, minors: 1, patches: 0, latest: '2.1.0' });
+  assert.strictEqual(semverDistance(versions, '2.0.0', { ...DEFAULT_LAG_PARAMETERS, minMinorsBehind: 1 }).isLagging, true);
+});
+
+test('technical: days behind the latest release satisfying the declared ranges', () => {
+  assert.deepStrictEqual(technicalLag(versions, '1.0.0', ['^1.0.0'], DEFAULT_LAG_PARAMETERS), { isLagging: false, days: 60, latestSatisfying: '1.1.0', declaredRanges: ['^1.0.0'] });
+  assert.strictEqual(technicalLag(versions, '1.0.0', ['*'], { ...DEFAULT_LAG_PARAMETERS, maxTechnicalLagDays: 90 }).isLagging, true);
+  assert.strictEqual(technicalLag(versions, '1.0.0', ['not a range'], DEFAULT_LAG_PARAMETERS), null);
+});
+
+test('fixed: releases and days behind the highest fixed version', () => {
+  assert.deepStrictEqual(fixedVersionLag(versions, '1.0.0', ['1.0.1', '1.1.0']), { isLagging: true, fixedVersion: '1.1.0', releasesBehind: 2, daysBehind: 60 });
+  assert.strictEqual(fixedVersionLag(versions, '1.0.0', ['9.9.9']), null);
+});
+
+test('measureLag computes every model, fixed only for vulnerable packages', () => {
+  const metrics = measureLag(versions, '1.0.0', new Date('2020-06-01'), ['^1.0.0'], undefined, DEFAULT_LAG_PARAMETERS);
+  assert.deepStrictEqual(Object.keys(metrics), Object.values(LagModel));
+  assert.strictEqual(metrics[LagModel.FIXED], null);
+  assert.strictEqual(metrics[LagModel.SMOOTHED].isLagging, true);
+});
+
+test('rejects lag parameters out of range', () => {
+  assert.deepStrictEqual(validateLagParameters({ smoothing: 0.5, threshold: 3, minMinorsBehind: null }), []);
+  assert.deepStrictEqual(validateLagParameters({ smoothing: 1.5, threshold: 0, minPatchesBehind: 0, maxTechnicalLagDays: '90' }), [
+    'smoothing must be a number between 0 and 1',
+    'threshold must be a positive number',
+    'minPatchesBehind must be a positive integer or null',
+    'maxTechnicalLagDays must be a non-negative number'
+  ]);
+});
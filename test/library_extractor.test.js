@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SamplingStrategy, parseSelection, selectLibraryVersions } = require('../src/utils/library_extractor');
+
+const metadata = {
+  name: 'lib',
+  distTags: { latest: '2.1.0', next: '3.0.0' },
+  versions: [
+    { version: '1.0.0', publishedAt: '2019-01-01T00:00:00.000Z' },
+    { version: '1.1.0', publishedAt: '2019-06-01T00:00:00.000Z' },
+    { version: '1.2.0-beta.1', publishedAt: '2019-07-01T00:00:00.000Z' },
+    { version: '2.0.0', publishedAt: '2020-01-01T00:00:00.000Z' },
+    { version: '1.2.0', publishedAt: '2019-08-01T00:00:00.000Z' },
+    { version: '2.1.0', publishedAt: '2020-06-01T00:00:00.000Z' },
+    { version: '3.0.0', publishedAt: '2021-01-01T00:00:00.000Z' },
+    { version: 'not-a-version', publishedAt: '2021-02-01T00:00:00.000Z' },
+  ]
+};
+
+/**
+ * Select versions of the metadata for a libraries.csv row.
+ * @param columns - The columns of the row besides library_name.
+ * @returns {string[]}
+ */
+function select(columns) {
+  return selectLibraryVersions(metadata, parseSelection({ library_name: 'lib', ...columns }));
+}
+
+test('selects the latest stable versions up to the latest dist-tag by default', () => {
+  assert.deepStrictEqual(select({ version_count: '3' }), ['1.2.0', '2.0.0', '2.1.0']);
+  assert.deepStrictEqual(select({ version_count: '2', dist_tag: 'next' }), ['2.1.0', '3.0.0']);
+  assert.deepStrictEqual(select({ version_count: '2', version_range: '1.x', prereleases: 'include' }), ['1.2.0-beta.1', '1.2.0']);
+  assert.deepStrictEqual(select({ since: '2019-06-01', until: '2020-01-01' }), ['1.1.0', '1.2.0', '2.0.0']);
+});
+
+test('samples the highest version per major or minor, or versions evenly spread over time', () => {
+  assert.deepStrictEqual(select({ version_count: '5', sampling: SamplingStrategy.PER_MAJOR }), ['1.2.0', '2.1.0']);
+  assert.deepStrictEqual(select({ version_count: '3', sampling: SamplingStrategy.PER_MINOR }), ['1.2.0', '2.0.0', '2.1.0']);
+  assert.deepStrictEqual(select({ version_count: '3', sampling: SamplingStrategy.EVEN }), ['1.0.0', '1.2.0', '2.1.0']);
+  assert.deepStrictEqual(select({ version_count: '1', sampling: SamplingStrategy.EVEN }), ['2.1.0']);
+});
+
+test('reads the defaults of a row and rejects invalid columns', () => {
+  assert.deepStrictEqual(parseSelection({ library_name: ' lib ' }), {
+    library: 'lib', count: 10, range: null, since: null, until: null, prereleases: false, distTag: 'latest', sampling: SamplingStrategy.LATEST
+  });
+  assert.throws(() => parseSelection({ library_name: '' }), /library_name is empty/);
+  assert.throws(() => parseSelection({ library_name: 'lib', version_count: '0' }), /Invalid version_count: 0/);
+  assert.throws(() => parseSelection({ library_name: 'lib', version_range: 'one' }), /Invalid version_range: one/);
+  assert.throws(() => parseSelection({ library_name: 'lib', since: 'yesterday' }), /Invalid since date: yesterday/);
+  assert.throws(() => parseSelection({ library_name: 'lib', sampling: 'random' }), /sampling must be one of latest, per-major, per-minor, even, not random/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveLocalProject, processLocalProject } = require('../src/pipeline');
+
+const fixtures = path.join(__dirname, 'fixtures');
+
+/**
+ * Write files to a temporary directory, removed after the test.
+ * @param t - The test context.
+ * @param files - The contents keyed by path relative to the directory, objects are written as JSON.
+ * @returns {string} - The directory.
+ */
+function writeFiles(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vuln4real-project-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+test('resolves the name and version of a project, and a workspace package to its workspace root', (t) => {
+  const dir = writeFiles(t, {
+    'package.json': { name: '@app/root', version: '2.1.0', workspaces: ['packages/*'] },
+    'packages/w1/package.json': { name: '@app/w1', version: '1.0.0' },
+    'tools/package.json': { name: 'tools' },
+  });
+
+  assert.deepStrictEqual(resolveLocalProject(dir), { projectPath: dir, library: '@app__root', version: 'v2.1.0', workspaceOf: null });
+  assert.deepStrictEqual(resolveLocalProject(path.join(dir, 'packages', 'w1')),
+    { projectPath: dir, library: '@app__root', version: 'v2.1.0', workspaceOf: path.join(dir, 'packages', 'w1') });
+  // A directory the workspaces do not include is a project of its own
+  assert.deepStrictEqual(resolveLocalProject(path.join(dir, 'tools')), { projectPath: path.join(dir, 'tools'), library: 'tools', version: 'v0.0.0', workspaceOf: null });
+  assert.throws(() => resolveLocalProject(path.join(dir, 'missing')), /No package\.json found/);
+});
+
+test('scans a local project into the given output directory without installing it', async (t) => {
+  const outputDir = writeFiles(t, {});
+  const projectDir = path.join(fixtures, 'projects', 'package-lock');
+  const result = await processLocalProject(projectDir, {
+    outputDir,
+    treeSource: 'lockfile',
+    vulnerabilitySource: 'osv',
+    advisories: path.join(fixtures, 'advisories'),
+    registrySource: 'fixtures',
+    registry: path.join(fixtures, 'registry'),
+    analysisDate: 'now',
+  });
+
+  assert.strictEqual(result.succeeded, true);
+  assert.deepStrictEqual([result.library, result.version, result.outputDir], ['fixture-app', 'v1.0.0', outputDir]);
+  assert.strictEqual(result.failureReport.failed, 0);
+  assert.ok(fs.existsSync(path.join(outputDir, 'step6_output.json')));
+  assert.ok(!fs.existsSync(path.join(projectDir, 'node_modules')));
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { parseLockfile } = require('../src/providers/tree/lockfile_parser');
+const packageLock = require('../src/providers/tree/package_lock');
+const pnpmLock = require('../src/providers/tree/pnpm_lock');
+const { buildLockfileTree } = require('../src/providers/tree');
+
+const projects = path.join(__dirname, 'fixtures', 'projects');
+
+// The tree every fixture project resolves to, whichever lockfile it ships
+const expectedTree = {
+  '@babel/code-frame': { version: '7.24.7', path: 'node_modules/@babel/code-frame', dependencies: { 'js-tokens': { version: '4.0.0', path: 'node_modules/js-tokens' } } },
+  debug: { version: '4.3.4', path: 'node_modules/debug', dependencies: { ms: { version: '2.1.2', path: 'node_modules/ms' } } }
+};
+
+/**
+ * Keep the versions, install paths and nesting of a step1 tree.
+ * @param dependencies - The dependencies of a tree node.
+ * @returns {Object}
+ */
+function shape(dependencies) {
+  return Object.fromEntries(Object.entries(dependencies).map(([name, node]) =>
+    [name, { version: node.version, path: node.path, ...(node.dependencies ? { dependencies: shape(node.dependencies) } : {}) }]));
+}
+
+test('parses YAML blocks, scalars, quoted keys and sequences', () => {
+  const parsed = parseLockfile([
+    "lockfileVersion: '9.0'",
+    'packages:',
+    "  '@babel/code-frame@7.24.7':",
+    '    resolution: {integrity: sha512-x}',
+    '    cpu:',
+    '      - x64',
+    '  "quoted@1.0.0":',
+    '    version: "1.0.0"'
+  ].join('\n'));
+  assert.deepStrictEqual(parsed, {
+    lockfileVersion: '9.0',
+    packages: {
+      '@babel/code-frame@7.24.7': { resolution: '{integrity: sha512-x}', cpu: ['x64'] },
+      'quoted@1.0.0': { version: '1.0.0' }
+    }
+  });
+});
+
+test('keeps yarn v1 keys listing several descriptors whole', () => {
+  const parsed = parseLockfile('"a@^1.0.0", "a@^1.1.0":\n  version "1.1.0"\n');
+  assert.deepStrictEqual(parsed, { '"a@^1.0.0", "a@^1.1.0"': { version: '1.1.0' } });
+});
+
+test('resolves scoped packages of a pnpm v9 lockfile', async () => {
+  const text = require('fs').readFileSync(path.join(projects, 'pnpm-v9', 'pnpm-lock.yaml'), 'utf8');
+  const { root, resolve } = pnpmLock.createResolver(text, { name: 'fixture-app', version: '1.0.0' });
+  assert.deepStrictEqual(root.dependencies, { '@babel/code-frame': '7.24.7' });
+  const manifest = await resolve('@babel/code-frame', '7.24.7');
+  assert.deepStrictEqual(manifest.dependencies, { 'js-tokens': '4.0.0' });
+});
+
+test('reads the nested layout of a package-lock v1', () => {
+  const lock = {
+    lockfileVersion: 1,
+    dependencies: {
+      a: { version: '1.0.0', requires: { b: '^2.0.0' }, dependencies: { b: { version: '2.0.0' } } },
+      b: { version: '1.0.0' }
+    }
+  };
+  const { packages, lockfileVersion } = packageLock.readLayout(lock, { name: 'app', version: '1.0.0' });
+  assert.strictEqual(lockfileVersion, 1);
+  assert.deepStrictEqual(Array.from(packages.keys()).sort(), ['node_modules/a', 'node_modules/a/node_modules/b', 'node_modules/b']);
+  assert.strictEqual(packages.get('node_modules/a/node_modules/b').version, '2.0.0');
+});
+
+for (const [project, file] of [['package-lock', 'package-lock.json'], ['yarn-v1', 'yarn.lock'], ['pnpm-v9', 'pnpm-lock.yaml']]) {
+  test(`builds the step1 tree from ${file}`, async () => {
+    const tree = await buildLockfileTree(path.join(projects, project));
+    assert.strictEqual(tree.name, 'fixture-app');
+    assert.strictEqual(tree.treeSource.file, file);
+    assert.deepStrictEqual(shape(tree.dependencies), expectedTree);
+  });
+}
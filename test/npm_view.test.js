@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const util = require('util');
+const childProcess = require('child_process');
+
+test('passes the package name to npm view as a single argument, without a shell', async (t) => {
+  const calls = [];
+  const execFile = (file, args, options, callback) => callback(null, '{}', '');
+  execFile[util.promisify.custom] = async (file, args) => {
+    calls.push([file, args]);
+    return { stdout: JSON.stringify({ time: { '1.0.0': '2020-01-01T00:00:00.000Z' }, 'dist-tags': { latest: '1.0.0' } }), stderr: '' };
+  };
+  const original = childProcess.execFile;
+  childProcess.execFile = execFile;
+  delete require.cache[require.resolve('../src/providers/registry/npm_view')];
+  t.after(() => {
+    childProcess.execFile = original;
+    delete require.cache[require.resolve('../src/providers/registry/npm_view')];
+  });
+
+  const { createProvider } = require('../src/providers/registry/npm_view');
+  const name = 'x$(touch pwned)`id`';
+  const metadata = await createProvider().getPackage(name);
+  assert.deepStrictEqual(calls, [['npm', ['view', name, 'time', 'dist-tags', '--json']]]);
+  assert.deepStrictEqual(metadata.versions.map(v => v.version), ['1.0.0']);
+});
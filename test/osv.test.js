@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { loadAdvisories, findAdvisories } = require('../src/providers/vulnerability/osv');
+
+const advisories = loadAdvisories(path.join(__dirname, 'fixtures', 'advisories'));
+
+test('matches the introduced/fixed events of an OSV range', () => {
+  const [match] = findAdvisories(advisories, 'qs', '6.5.2');
+  assert.strictEqual(match.name, 'GHSA-hrpp-h998-j3pp');
+  assert.strictEqual(match.source, 'GHSA');
+  assert.deepStrictEqual(match.aliases, ['CVE-2022-24999']);
+  assert.strictEqual(match.fixedVersion, '6.5.3');
+  assert.strictEqual(match.cvss, 7.5);
+  assert.strictEqual(match.severity, 'HIGH');
+});
+
+test('matches every interval of a range with several introduced events', () => {
+  assert.strictEqual(findAdvisories(advisories, 'qs', '6.7.1')[0].fixedVersion, '6.7.3');
+  assert.deepStrictEqual(findAdvisories(advisories, 'qs', '6.5.3'), []);
+  assert.deepStrictEqual(findAdvisories(advisories, 'qs', '6.6.0'), []);
+  assert.deepStrictEqual(findAdvisories(advisories, 'qs', '6.4.0'), []);
+});
+
+test('matches last_affected events and listed versions without a fixed version', () => {
+  const [match] = findAdvisories(advisories, 'minimist', '1.2.2');
+  assert.strictEqual(match.name, 'OSV-2020-minimist');
+  assert.strictEqual(match.source, 'OSV');
+  assert.strictEqual(match.fixedVersion, null);
+  assert.strictEqual(match.cvss, null);
+  assert.strictEqual(match.severity, null);
+  assert.strictEqual(findAdvisories(advisories, 'minimist', '0.0.8').length, 1);
+  assert.deepStrictEqual(findAdvisories(advisories, 'minimist', '1.2.3'), []);
+});
+
+test('matches the vulnerable ranges of GitHub REST API advisories', () => {
+  const [match] = findAdvisories(advisories, 'debug', '4.1.0');
+  assert.strictEqual(match.name, 'GHSA-gxpj-cx7g-858c');
+  assert.strictEqual(match.fixedVersion, '4.3.1');
+  assert.strictEqual(match.cvss, 5.3);
+  assert.deepStrictEqual(findAdvisories(advisories, 'debug', '4.3.1'), []);
+  assert.deepStrictEqual(findAdvisories(advisories, 'debug', '3.2.7'), []);
+});
+
+test('normalises the GitHub MODERATE severity to MEDIUM', () => {
+  assert.strictEqual(findAdvisories(advisories, 'debug', '4.1.0')[0].severity, 'MEDIUM');
+});
+
+test('ignores other ecosystems and invalid versions', () => {
+  assert.strictEqual(advisories.get('minimist').length, 1);
+  assert.deepStrictEqual(findAdvisories(advisories, 'qs', 'github:ljharb/qs'), []);
+});
+
+/**
+ * Write an advisory dump to a temporary directory, removed after the test.
+ * @param t - The test context.
+ * @param advisories - The advisories to write, one file each.
+ * @returns {string} - The directory.
+ */
+function writeAdvisories(t, advisories) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vuln4real-osv-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  advisories.forEach((advisory, index) => fs.writeFileSync(path.join(dir, `${index}.json`), JSON.stringify(advisory)));
+  return dir;
+}
+
+const unscoredAdvisory = {
+  ghsa_id: 'GHSA-0000-0000-0000',
+  severity: 'moderate',
+  cvss: { vector_string: null, score: 0 },
+  vulnerabilities: [{ package: { ecosystem: 'npm', name: 'left-pad' }, vulnerable_version_range: '< 1.3.0', first_patched_version: '1.3.0' }]
+};
+
+test('leaves the CVSS of a GitHub advisory without a score unknown', (t) => {
+  const advisories = loadAdvisories(writeAdvisories(t, [unscoredAdvisory]));
+  const [match] = findAdvisories(advisories, 'left-pad', '1.2.0');
+  assert.strictEqual(match.cvss, null);
+  assert.strictEqual(match.severity, 'MEDIUM');
+});
+
+test('reloads an advisory dump once its files change', (t) => {
+  const dir = writeAdvisories(t, [unscoredAdvisory]);
+  assert.strictEqual(findAdvisories(loadAdvisories(dir), 'left-pad', '1.2.0').length, 1);
+
+  const file = path.join(dir, '0.json');
+  fs.writeFileSync(file, JSON.stringify({ ...unscoredAdvisory, vulnerabilities: [{ ...unscoredAdvisory.vulnerabilities[0], vulnerable_version_range: '< 1.0.0' }] }));
+  const later = new Date(Date.now() + 60000);
+  fs.utimesSync(file, later, later);
+  assert.strictEqual(findAdvisories(loadAdvisories(dir), 'left-pad', '1.2.0').length, 0);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { analyze } = require('../src/pipeline');
+
+const fixtures = path.join(__dirname, 'fixtures');
+const projectDir = path.join(fixtures, 'projects', 'package-lock');
+const options = {
+  treeSource: 'lockfile',
+  vulnerabilitySource: 'osv',
+  advisories: path.join(fixtures, 'advisories'),
+  registrySource: 'fixtures',
+  registry: path.join(fixtures, 'registry'),
+};
+
+test('analyze hands the step outputs over in memory and writes nothing', async () => {
+  const before = fs.readdirSync(projectDir);
+  const result = await analyze(projectDir, options);
+
+  assert.strictEqual(result.succeeded, true);
+  assert.strictEqual(result.failure, null);
+  assert.strictEqual(result.outputDir, null);
+  assert.strictEqual(result.dependencyTree.name, 'fixture-app');
+  assert.ok(result.development.packages['node_modules/debug']);
+  assert.ok(Array.isArray(result.vulnerabilities));
+  assert.ok(result.lagging.lagMetrics);
+  assert.ok(Array.isArray(result.paths.paths));
+  assert.strictEqual(result.reachability, null);
+  assert.deepStrictEqual(result.steps.map(entry => entry.key), ['step1', 'step2', 'step3', 'step5', 'step4', 'step6']);
+  assert.deepStrictEqual(fs.readdirSync(projectDir), before);
+});
+
+test('analyze writes the outputs and the run log to outputDir when given', async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vuln4real-analyze-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const result = await analyze(projectDir, { ...options, outputDir });
+  assert.strictEqual(result.succeeded, true);
+  assert.strictEqual(result.outputDir, outputDir);
+  for (const key of ['step1', 'step2', 'step3', 'step4', 'step5', 'step6']) {
+    assert.ok(fs.existsSync(path.join(outputDir, `${key}_output.json`)), key);
+  }
+  assert.ok(fs.existsSync(path.join(outputDir, 'run.json')));
+
+  // A second run reuses the outputs and reads them back from the output directory
+  const reused = await analyze(projectDir, { ...options, outputDir });
+  assert.ok(reused.steps.every(entry => entry.status === 'reused'));
+  assert.deepStrictEqual(reused.paths, result.paths);
+});
+
+test('analyze does not install the project unless install is set', async () => {
+  const result = await analyze(projectDir, { ...options, treeSource: 'install', toStep: 1 });
+  assert.ok(!result.steps.some(entry => entry.key === 'install'));
+  assert.ok(!fs.existsSync(path.join(projectDir, 'node_modules')));
+});
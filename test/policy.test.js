@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { DEFAULT_POLICY, PolicyRule, validatePolicy, readBaseline, evaluatePolicy } = require('../src/policy');
+const { DependencyType } = require('../src/process_pipe/step6');
+
+const date = new Date('2026-01-01');
+
+// A step6 report listing one path to each vulnerable dependency, qs reached through 4 paths in total
+const outputs = {
+  report: {
+    paths: [['express@4.16.3', 'qs@6.5.1'], ['mocha@5.0.0', 'debug@3.1.0'], ['express@4.16.3', 'send@0.16.2', 'mime@1.4.1']],
+    pathScores: [{ depth: 2 }, { depth: 2 }, { depth: 3 }],
+    vulnerabilityExposure: { 'qs@6.5.1': 4, 'debug@3.1.0': 1, 'mime@1.4.1': 1 },
+    dependencies: {
+      'qs@6.5.1': { dependencyTypes: [DependencyType.VULNERABLE] },
+      'debug@3.1.0': { dependencyTypes: [DependencyType.VULNERABLE, DependencyType.DEVELOPMENT_ONLY] },
+      'mime@1.4.1': { dependencyTypes: [DependencyType.VULNERABLE, DependencyType.LAGGING] }
+    }
+  },
+  vulnerabilitiesData: [
+    { name: 'qs', version: '6.5.1', vulnerabilities: [{ name: 'GHSA-hrpp-h998-j3pp', aliases: ['CVE-2022-24999'], cvss: 7.5 }] },
+    { name: 'debug', version: '3.1.0', vulnerabilities: [{ name: 'GHSA-gxpj-cx7g-858c', cvss: 5.3 }] },
+    { name: 'mime', version: '1.4.1', vulnerabilities: [{ name: 'GHSA-wrvr-8mpx-r7pp', cvss: null }] }
+  ],
+  laggingDependenciesData: { lagMetrics: { 'mime@1.4.1': { fixed: { daysBehind: 400 } }, 'qs@6.5.1': { technical: { days: 20 } } } }
+};
+
+test('accepts the default policy and reports invalid values', () => {
+  assert.deepStrictEqual(validatePolicy(DEFAULT_POLICY), []);
+  assert.strictEqual(validatePolicy({ ...DEFAULT_POLICY, maxCvss: -1, ignoreDependencyTypes: ['unknown'] }).length, 2);
+});
+
+test('fails every scored vulnerability by default and ignores development-only dependencies', () => {
+  const result = evaluatePolicy(outputs, DEFAULT_POLICY, [], date);
+  assert.strictEqual(result.passed, false);
+  assert.deepStrictEqual(result.violations.map(violation => violation.dependency), ['qs@6.5.1', 'mime@1.4.1']);
+  assert.strictEqual(result.violations[0].paths, 4);
+  assert.deepStrictEqual(result.violations[1].rules, [PolicyRule.CVSS]);
+  assert.strictEqual(result.violations[1].cvss, null);
+});
+
+test('applies the CVSS, lag and depth limits', () => {
+  const policy = { ...DEFAULT_POLICY, maxCvss: 7, unknownCvss: 0, maxLagDays: 365 };
+  const result = evaluatePolicy(outputs, policy, [], date);
+  assert.deepStrictEqual(result.violations.map(({ dependency, rules }) => [dependency, rules]), [
+    ['qs@6.5.1', [PolicyRule.CVSS]],
+    ['mime@1.4.1', [PolicyRule.LAG]]
+  ]);
+  const shallow = evaluatePolicy(outputs, { ...policy, maxPathDepth: 2 }, [], date);
+  assert.deepStrictEqual(shallow.violations.map(violation => violation.dependency), ['qs@6.5.1']);
+  assert.strictEqual(shallow.violations[0].paths, 1);
+});
+
+test('suppresses advisories by id or alias until the suppression expires', () => {
+  const suppressions = readBaseline(path.join(__dirname, 'fixtures', 'policy', 'baseline.json'));
+  const result = evaluatePolicy(outputs, DEFAULT_POLICY, suppressions, date);
+  assert.deepStrictEqual(result.violations.map(violation => violation.dependency), ['mime@1.4.1']);
+  assert.deepStrictEqual(result.suppressed.map(entry => entry.advisory), ['GHSA-hrpp-h998-j3pp']);
+  assert.deepStrictEqual(result.expired.map(entry => entry.id), ['GHSA-expired']);
+
+  const later = evaluatePolicy(outputs, DEFAULT_POLICY, suppressions, new Date('2031-01-01'));
+  assert.strictEqual(later.suppressed.length, 0);
+  assert.strictEqual(later.violations.length, 2);
+});
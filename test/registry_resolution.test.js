@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createResolver } = require('../src/providers/tree/registry_resolution');
+const { normalizePackument } = require('../src/providers/registry/packument');
+
+const time = { '1.0.0': '2020-01-01T00:00:00.000Z', '1.1.0': '2021-01-01T00:00:00.000Z', '2.0.0': '2023-01-01T00:00:00.000Z' };
+const registryOf = (packument, description = 'fixtures') => ({ description, getPackage: async () => normalizePackument(packument) });
+
+test('resolves the highest version published up to the date', async () => {
+  const registry = registryOf({ name: 'ms', time, versions: { '1.0.0': {}, '1.1.0': {}, '2.0.0': {} } });
+  const resolved = await createResolver(registry, new Date('2022-01-01'))('ms', '^1.0.0');
+  assert.deepStrictEqual(resolved, { name: 'ms', version: '1.1.0', dependencies: {}, optionalDependencies: undefined, peerDependencies: undefined });
+});
+
+test('rejects metadata without the manifests of the versions', async () => {
+  // npm view fetches only time and dist-tags
+  const registry = registryOf({ name: 'ms', time, 'dist-tags': { latest: '2.0.0' } }, 'npm view');
+  await assert.rejects(createResolver(registry, new Date('2022-01-01'))('ms', '^1.0.0'), /does not provide the dependencies of each version/);
+});
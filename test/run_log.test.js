@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FailureCategory, StepError, classifyFailure, describeFailure, stderrExcerpt, buildFailureReport } = require('../src/utils/run_log');
+
+/**
+ * Build an error the way child_process reports a failed command.
+ * @param message - The error message.
+ * @param details - The properties of the error, e.g. code and stderr.
+ * @returns {Error}
+ */
+function commandError(message, details) {
+  return Object.assign(new Error(message), details);
+}
+
+test('classifies failures by their category, code and stderr', () => {
+  assert.strictEqual(classifyFailure(new StepError('npm install failed', { category: FailureCategory.INSTALL_FAILED })), FailureCategory.INSTALL_FAILED);
+  assert.strictEqual(classifyFailure(commandError('Command failed: npm ls', { code: 1, stderr: 'npm ERR! code ELSPROBLEMS' })), FailureCategory.UNMET_DEPS);
+  assert.strictEqual(classifyFailure(commandError('spawn dependency-check ENOENT', { code: 'ENOENT', syscall: 'spawn dependency-check' })), FailureCategory.SCANNER_MISSING);
+  assert.strictEqual(classifyFailure(commandError('Command failed', { code: 127, stderr: 'sh: 1: dependency-check: not found' })), FailureCategory.SCANNER_MISSING);
+  assert.strictEqual(classifyFailure(commandError('getaddrinfo ENOTFOUND api.deps.dev', { code: 'ENOTFOUND' })), FailureCategory.NETWORK);
+  assert.strictEqual(classifyFailure(commandError('Command failed: npm install', { code: 1, stderr: 'npm ERR! errno ECONNRESET' })), FailureCategory.NETWORK);
+  assert.strictEqual(classifyFailure(commandError('Request failed', { cause: { code: 'ETIMEDOUT' } })), FailureCategory.NETWORK);
+  assert.strictEqual(classifyFailure(new SyntaxError('Unexpected token < in JSON')), FailureCategory.PARSE_ERROR);
+  assert.strictEqual(classifyFailure(new Error('something else')), FailureCategory.UNKNOWN);
+  assert.strictEqual(classifyFailure(undefined), FailureCategory.UNKNOWN);
+});
+
+test('describes a failure with its command and the end of its stderr', () => {
+  const stderr = Array.from({ length: 30 }, (_, index) => `line ${index + 1}`).join('\n') + '\n';
+  const failure = describeFailure(commandError('Command failed: npm install', { cmd: 'npm install', code: 1, stderr }));
+  assert.strictEqual(failure.category, FailureCategory.UNKNOWN);
+  assert.strictEqual(failure.command, 'npm install');
+  assert.strictEqual(failure.stderr.split('\n').length, 20);
+  assert.ok(failure.stderr.startsWith('line 11\n') && failure.stderr.endsWith('line 30'));
+  assert.strictEqual(stderrExcerpt('x'.repeat(5000)).length, 4000);
+  assert.strictEqual(describeFailure('aborted').error, 'aborted');
+});
+
+test('aggregates the run logs of a batch by category and step', () => {
+  const report = buildFailureReport([
+    { library: 'a', version: '1.0.0', status: 'succeeded' },
+    { library: 'a', version: '2.0.0', status: 'failed', failure: { step: 'step1', category: FailureCategory.UNMET_DEPS } },
+    { library: 'b', version: '1.0.0', status: 'failed', failure: { step: 'install', category: FailureCategory.INSTALL_FAILED } },
+    { library: 'b', version: '2.0.0', status: 'failed' }
+  ]);
+  assert.deepStrictEqual(report, {
+    total: 4,
+    succeeded: 1,
+    failed: 3,
+    byCategory: { 'unmet-deps': 1, 'install-failed': 1, unknown: 1 },
+    byStep: { step1: 1, install: 1 },
+    failures: [
+      { library: 'a', version: '2.0.0', step: 'step1', category: FailureCategory.UNMET_DEPS },
+      { library: 'b', version: '1.0.0', step: 'install', category: FailureCategory.INSTALL_FAILED },
+      { library: 'b', version: '2.0.0', category: FailureCategory.UNKNOWN }
+    ]
+  });
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ChangeType, parseChange, simulateChanges } = require('../src/simulation');
+const { createRegistryProvider } = require('../src/providers/registry');
+const { DependencyScope } = require('../src/process_pipe/step2');
+
+const fixtures = path.join(__dirname, 'fixtures');
+
+// app -> express@4.16.3 -> qs@6.5.1, which GHSA-hrpp-h998-j3pp affects until 6.5.3
+const inputs = {
+  rootManifest: { name: 'app', version: '1.0.0', dependencies: { express: '^4.16.3' } },
+  dependencyTree: {
+    name: 'app',
+    version: '1.0.0',
+    dependencies: {
+      express: { version: '4.16.3', path: 'node_modules/express', dependencies: { qs: { version: '6.5.1', path: 'node_modules/qs' } } }
+    }
+  },
+  devDependenciesData: {
+    devDependencies: {},
+    packages: { 'node_modules/express': { scope: DependencyScope.PROD_ONLY }, 'node_modules/qs': { scope: DependencyScope.PROD_ONLY } }
+  },
+  withinProjectData: { withinProjectDependencies: {} },
+  vulnerabilitiesData: [
+    { fileName: 'qs:6.5.1', name: 'qs', version: '6.5.1', installPaths: ['node_modules/qs'], vulnerabilities: [{ name: 'GHSA-hrpp-h998-j3pp', cvss: 7.5, fixedVersion: '6.5.3' }] }
+  ],
+  laggingDependenciesData: { laggingDependencies: {}, releaseInterval: {}, lagMetrics: {} }
+};
+
+/**
+ * Simulate changes against the fixture registry as of 2023-01-01, when qs 6.5.3 is out.
+ * @param changes - The changes returned by parseChange.
+ * @param options - Options overriding the defaults, e.g. advisories.
+ * @returns {Promise<Object>}
+ */
+function simulate(changes, options = {}) {
+  return simulateChanges(inputs, changes, {
+    registryProvider: createRegistryProvider('fixtures', { registry: path.join(fixtures, 'registry') }),
+    date: new Date('2023-01-01T00:00:00.000Z'),
+    ...options
+  });
+}
+
+test('parses upgrades, overrides and removals', () => {
+  assert.deepStrictEqual(parseChange(ChangeType.OVERRIDE, '@scope/qs@~6.5.3'), { type: ChangeType.OVERRIDE, name: '@scope/qs', range: '~6.5.3' });
+  assert.deepStrictEqual(parseChange(ChangeType.REMOVE, 'express'), { type: ChangeType.REMOVE, name: 'express' });
+  assert.throws(() => parseChange(ChangeType.UPGRADE, 'express'), /Expected name@range for --upgrade, got express/);
+});
+
+test('an override re-resolves the package and removes the paths to the vulnerable copy', async () => {
+  const result = await simulate([parseChange(ChangeType.OVERRIDE, 'qs@6.5.3')], { advisories: path.join(fixtures, 'advisories') });
+
+  assert.deepStrictEqual(result.packages, { added: ['qs@6.5.3'], removed: ['qs@6.5.1'] });
+  assert.deepStrictEqual(result.paths, { before: 1, after: 0, removed: [['express@4.16.3', 'qs@6.5.1']], added: [] });
+  assert.deepStrictEqual(result.exposure, [{ dependency: 'qs@6.5.1', before: 1, after: 0 }]);
+  assert.deepStrictEqual(result.unscanned, []);
+  assert.strictEqual(result.simulatedAt, '2023-01-01T00:00:00.000Z');
+});
+
+test('the packages a simulation adds stay unscanned without an advisory dump', async () => {
+  const result = await simulate([parseChange(ChangeType.OVERRIDE, 'qs@6.5.2')]);
+  assert.deepStrictEqual(result.packages, { added: ['qs@6.5.2'], removed: ['qs@6.5.1'] });
+  assert.deepStrictEqual(result.unscanned, ['qs@6.5.2']);
+  assert.strictEqual(result.paths.after, 0);
+});
+
+test('a removal drops the subtree of the dependency, and upgrades only apply to direct dependencies', async () => {
+  const result = await simulate([parseChange(ChangeType.REMOVE, 'express')]);
+  assert.deepStrictEqual(result.packages, { added: [], removed: ['express@4.16.3', 'qs@6.5.1'] });
+  assert.strictEqual(result.paths.after, 0);
+
+  await assert.rejects(simulate([parseChange(ChangeType.UPGRADE, 'qs@^6.5.3')]), /qs is not a direct dependency of app, use an override instead/);
+});
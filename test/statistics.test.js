@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { percentile, describe } = require('../src/utils/statistics');
+
+test('describes values with the population standard deviation and linear percentiles of numpy', () => {
+  // np.std, np.percentile([...], [25, 50, 75]) and friends
+  assert.deepStrictEqual(describe([9, 2, 4, 4, null, 4, 5, 5, 7]), { count: 8, mean: 5, std: 2, min: 2, max: 9, q25: 4, median: 4.5, q75: 5.5 });
+  const { std, q25, median, q75 } = describe([1, 2, 3, 4]);
+  assert.ok(Math.abs(std - 1.118033988749895) < 1e-12);
+  assert.deepStrictEqual([q25, median, q75], [1.75, 2.5, 3.25]);
+  assert.strictEqual(percentile([10, 20, 30], 90), 28);
+  assert.deepStrictEqual(describe([7]), { count: 1, mean: 7, std: 0, min: 7, max: 7, q25: 7, median: 7, q75: 7 });
+  assert.deepStrictEqual(describe([undefined]), { count: 0, mean: null, std: null, min: null, max: null, q25: null, median: null, q75: null });
+});
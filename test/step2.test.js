@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyInstalledPackages, DependencyScope } = require('../src/process_pipe/step2');
+
+// app depends on a and, for development, on tool; both pull in the hoisted shared, which depends on a in turn,
+// and only tool pulls in helper
+const node = (name, version, dependencies) => ({ version, path: `node_modules/${name}`, dependencies });
+const dependencyTree = {
+  name: 'app',
+  version: '1.0.0',
+  dependencies: {
+    a: node('a', '1.0.0', { shared: node('shared', '2.0.0'), opt: node('opt', '1.0.0') }),
+    tool: node('tool', '3.0.0', { shared: node('shared', '2.0.0'), helper: { version: '1.0.0' } }),
+    shared: node('shared', '2.0.0', { a: node('a', '1.0.0') })
+  }
+};
+
+const manifests = {
+  '': { dependencies: { a: '^1.0.0' }, devDependencies: { tool: '^3.0.0' } },
+  'node_modules/a': { dependencies: { shared: '^2.0.0' }, optionalDependencies: { opt: '^1.0.0' } },
+  'node_modules/tool': { dependencies: { shared: '^2.0.0', helper: '^1.0.0' } },
+  'node_modules/shared': { dependencies: { a: '^1.0.0' } },
+};
+
+test('labels packages reached from production, development or both kinds of dependencies', () => {
+  const labels = classifyInstalledPackages('/project', dependencyTree, installPath => manifests[installPath] || null);
+
+  assert.strictEqual(labels['node_modules/a'].scope, DependencyScope.BOTH);
+  assert.strictEqual(labels['node_modules/tool'].scope, DependencyScope.DEV_ONLY);
+  assert.strictEqual(labels['node_modules/tool/node_modules/helper'].scope, DependencyScope.DEV_ONLY);
+  // Reached from a and through the cycle shared -> a, as well as from tool
+  assert.strictEqual(labels['node_modules/shared'].scope, DependencyScope.BOTH);
+  assert.deepStrictEqual(labels['node_modules/opt'], {
+    name: 'opt', version: '1.0.0', scope: DependencyScope.BOTH, optional: true, peer: false, bundled: false
+  });
+});
+
+test('counts every edge as a production dependency without manifests', () => {
+  const labels = classifyInstalledPackages('/project', dependencyTree, () => null);
+  assert.ok(Object.values(labels).every(label => label.scope === DependencyScope.PROD_ONLY && !label.optional));
+  assert.strictEqual(Object.keys(labels).length, 5);
+});
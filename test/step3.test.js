@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { step3_withinProjectDeps, findWorkspacePackages, WithinProjectReason } = require('../src/process_pipe/step3');
+
+/**
+ * Write files to a temporary project directory, removed after the test.
+ * @param t - The test context.
+ * @param files - The contents keyed by path relative to the project, objects are written as JSON.
+ * @returns {string} - The project directory.
+ */
+function writeProject(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vuln4real-step3-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+  return dir;
+}
+
+const packageJson = {
+  name: '@app/root',
+  version: '1.0.0',
+  repository: 'github:org/repo',
+  workspaces: ['packages/*', '!packages/skipped'],
+  dependencies: { helper: '^1.0.0', '@app/other': '^1.0.0', local: 'file:../local' }
+};
+
+const dependencyTree = {
+  name: '@app/root',
+  version: '1.0.0',
+  dependencies: {
+    helper: { version: '1.0.0', path: 'node_modules/helper' },
+    '@app/other': { version: '1.0.0', path: 'node_modules/@app/other' }
+  }
+};
+
+// Only helper is published from the repository of the project, @app/other merely shares its scope
+const repositories = { helper: { type: 'git', url: 'git+https://github.com/org/repo.git' }, '@app/other': 'github:someone/else' };
+const registryProvider = {
+  description: 'fixtures',
+  getPackage: async name => ({ name, versions: [{ version: '1.0.0', repository: repositories[name] }] })
+};
+
+test('detects local specifiers, workspaces, links and packages of the same repository', async (t) => {
+  const dir = writeProject(t, {
+    'package.json': packageJson,
+    'packages/w1/package.json': { name: '@app/w1' },
+    'packages/skipped/package.json': { name: '@app/skipped' },
+    'package-lock.json': { lockfileVersion: 3, packages: { '': {}, 'node_modules/linked': { link: true } } }
+  });
+
+  const result = await step3_withinProjectDeps(dir, null, { registryProvider, outputs: { step1: dependencyTree } });
+  assert.strictEqual(result.repository, 'github.com/org/repo');
+  assert.deepStrictEqual(result.workspaces, [{ name: '@app/w1', dir: 'packages/w1' }]);
+  assert.deepStrictEqual(result.withinProjectDependencies, {
+    local: [WithinProjectReason.LOCAL_SPECIFIER],
+    '@app/w1': [WithinProjectReason.WORKSPACE],
+    linked: [WithinProjectReason.SYMLINK],
+    helper: [WithinProjectReason.SAME_REPOSITORY]
+  });
+});
+
+test('reads the repository of an installed package from node_modules before the registry', async (t) => {
+  const dir = writeProject(t, {
+    'package.json': packageJson,
+    'node_modules/@app/other/package.json': { name: '@app/other', version: '1.0.0', repository: 'org/repo' }
+  });
+
+  const result = await step3_withinProjectDeps(dir, null, { registryProvider, outputs: { step1: dependencyTree } });
+  assert.deepStrictEqual(result.withinProjectDependencies['@app/other'], [WithinProjectReason.SAME_REPOSITORY]);
+});
+
+test('expands ** workspace patterns and pnpm-workspace.yaml, skipping missing directories', (t) => {
+  const dir = writeProject(t, {
+    'libs/a/b/package.json': { name: 'b' },
+    'pnpm-workspace.yaml': "packages:\n  - 'tools/*'\n  - 'missing/**'\n",
+    'tools/c/package.json': { name: 'c' }
+  });
+  const workspaces = findWorkspacePackages(dir, { workspaces: { packages: ['libs/**'] } });
+  assert.deepStrictEqual(workspaces.map(workspace => workspace.dir).sort(), ['libs/a/b', 'tools/c']);
+});
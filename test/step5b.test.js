@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { step5b_reachableDeps } = require('../src/process_pipe/step5b');
+
+/**
+ * Write files to a temporary project directory, removed after the test.
+ * @param t - The test context.
+ * @param files - The contents keyed by path relative to the project.
+ * @returns {string} - The project directory.
+ */
+function writeProject(t, files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vuln4real-step5b-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+  return dir;
+}
+
+// The shipped lib/index.js imports a, which imports its own copy of b, which imports the hoisted d; the test file
+// imports c, which is never shipped
+const files = {
+  'package.json': JSON.stringify({ name: 'app', version: '1.0.0', main: 'lib/index', bin: { app: './bin/cli.js' } }),
+  'lib/index.js': "module.exports = require('a');\n",
+  'bin/cli.js': "require('../lib');\n",
+  'test/index.test.js': "require('c');\n",
+  'node_modules/a/package.json': JSON.stringify({ name: 'a', version: '1.0.0' }),
+  'node_modules/a/index.js': "module.exports = require('b');\n",
+  'node_modules/a/node_modules/b/package.json': JSON.stringify({ name: 'b', version: '2.0.0' }),
+  'node_modules/a/node_modules/b/index.js': "module.exports = require('d');\n",
+  'node_modules/d/package.json': JSON.stringify({ name: 'd', version: '1.0.0' }),
+  'node_modules/d/index.js': 'module.exports = 2;\n',
+  'node_modules/b/package.json': JSON.stringify({ name: 'b', version: '1.0.0' }),
+  'node_modules/b/index.js': 'module.exports = 1;\n',
+  'node_modules/c/package.json': JSON.stringify({ name: 'c', version: '1.0.0' }),
+  'node_modules/c/index.js': "module.exports = require('b');\n",
+};
+
+const outputs = {
+  step1: {
+    name: 'app',
+    version: '1.0.0',
+    dependencies: {
+      a: { version: '1.0.0', path: 'node_modules/a', dependencies: { b: { version: '2.0.0', path: 'node_modules/a/node_modules/b' } } },
+      b: { version: '1.0.0', path: 'node_modules/b' },
+      c: { version: '1.0.0', path: 'node_modules/c', dependencies: { b: { version: '1.0.0', path: 'node_modules/b' } } }
+    }
+  },
+  step5: [
+    { fileName: 'b:2.0.0', name: 'b', version: '2.0.0', vulnerabilities: [] },
+    { fileName: 'b:1.0.0', name: 'b', version: '1.0.0', vulnerabilities: [] },
+    { fileName: 'c:1.0.0', name: 'c', version: '1.0.0', installPaths: ['node_modules/c'], vulnerabilities: [] }
+  ]
+};
+
+test('follows the imports of the entry points through node_modules, copy by copy', async (t) => {
+  const dir = writeProject(t, files);
+  const result = await step5b_reachableDeps(dir, null, { outputs });
+
+  assert.deepStrictEqual(result.entryPoints, ['lib/index.js', 'bin/cli.js']);
+  assert.deepStrictEqual(result.reachedPackages, ['node_modules/a', 'node_modules/a/node_modules/b', 'node_modules/d']);
+  assert.deepStrictEqual(result.dependencies, {
+    'b@2.0.0': { reachable: true, installPaths: ['node_modules/a/node_modules/b'], reachableInstallPaths: ['node_modules/a/node_modules/b'] },
+    'b@1.0.0': { reachable: false, installPaths: ['node_modules/b'], reachableInstallPaths: [] },
+    'c@1.0.0': { reachable: false, installPaths: ['node_modules/c'], reachableInstallPaths: [] }
+  });
+});
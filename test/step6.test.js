@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { constructPaths, countPaths, DependencyType } = require('../src/process_pipe/step6');
+const { DependencyScope } = require('../src/process_pipe/step2');
+
+// app -> express -> qs and app -> mocha (devDependency) -> qs, the same copy of qs, with mocha -> debug -> ms
+const dependencyTree = {
+  name: 'app',
+  version: '1.0.0',
+  dependencies: {
+    express: { version: '4.16.3', path: 'node_modules/express', dependencies: { qs: { version: '6.5.1', path: 'node_modules/qs' } } },
+    mocha: {
+      version: '5.0.0', path: 'node_modules/mocha',
+      dependencies: {
+        qs: { version: '6.5.1', path: 'node_modules/qs' },
+        debug: { version: '3.1.0', path: 'node_modules/debug', dependencies: { ms: { version: '2.0.0', path: 'node_modules/ms' } } }
+      }
+    }
+  }
+};
+
+const inputs = {
+  dependencyTree,
+  devDependenciesData: {
+    devDependencies: { mocha: '^5.0.0' },
+    packages: {
+      'node_modules/express': { scope: DependencyScope.PROD_ONLY },
+      'node_modules/qs': { scope: DependencyScope.BOTH },
+      'node_modules/mocha': { scope: DependencyScope.DEV_ONLY },
+      'node_modules/debug': { scope: DependencyScope.DEV_ONLY },
+      'node_modules/ms': { scope: DependencyScope.DEV_ONLY }
+    }
+  },
+  withinProjectData: { withinProjectDependencies: {} },
+  vulnerabilitiesData: [
+    { fileName: 'qs:6.5.1', name: 'qs', version: '6.5.1', vulnerabilities: [{ name: 'GHSA-hrpp-h998-j3pp', cvss: 7.5 }] },
+    { fileName: 'ms:2.0.0', name: 'ms', version: '2.0.0', vulnerabilities: [{ name: 'GHSA-w9mr-4mfr-499f', cvss: null }] }
+  ],
+  laggingDependenciesData: { laggingDependencies: {}, releaseInterval: {} }
+};
+
+test('counts the paths from both production and development dependencies', () => {
+  const report = constructPaths(inputs);
+  assert.deepStrictEqual(report.vulnerabilityExposure, { 'qs@6.5.1': 2, 'ms@2.0.0': 1 });
+  assert.strictEqual(countPaths(report), 3);
+  assert.strictEqual(report.paths.length, 3);
+});
+
+test('reports transitive development-only dependencies with their type', () => {
+  const report = constructPaths(inputs);
+  for (const id of ['mocha@5.0.0', 'debug@3.1.0', 'ms@2.0.0']) {
+    assert.ok(report.dependencies[id].dependencyTypes.includes(DependencyType.DEVELOPMENT_ONLY), id);
+  }
+  assert.ok(!report.dependencies['qs@6.5.1'].dependencyTypes.includes(DependencyType.DEVELOPMENT_ONLY));
+  assert.deepStrictEqual(report.paths.filter(simplifiedPath => simplifiedPath[simplifiedPath.length - 1] === 'ms@2.0.0'), [['mocha@5.0.0', 'debug@3.1.0', 'ms@2.0.0']]);
+});
+
+test('leaves the severity of a dependency without a CVSS score unknown', () => {
+  const report = constructPaths({ ...inputs, devDependenciesData: { devDependencies: {}, packages: {} } });
+  assert.strictEqual(report.dependencies['ms@2.0.0'].highestCvssScore, -1);
+  assert.strictEqual(report.dependencies['ms@2.0.0'].exposureScore.components.severity.value, 0.5);
+  assert.strictEqual(report.vulnerabilityExposure['qs@6.5.1'], 2);
+});
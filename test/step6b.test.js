@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { step6b_planRemediation, FixKind } = require('../src/process_pipe/step6b');
+const { constructPaths } = require('../src/process_pipe/step6');
+const { createProvider } = require('../src/providers/registry/fixtures');
+
+const registryProvider = createProvider({ registry: path.join(__dirname, 'fixtures', 'registry') });
+
+/**
+ * Write a project and the step outputs step6b reads to a temporary directory, removed after the test.
+ * @param t - The test context.
+ * @param outputs - { packageJson, step1, step5, step6 }
+ * @returns {string} - The directory, both the project and its output directory.
+ */
+function writeProject(t, outputs) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vuln4real-step6b-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(outputs.packageJson));
+  for (const step of ['step1', 'step5', 'step6']) fs.writeFileSync(path.join(dir, `${step}_output.json`), JSON.stringify(outputs[step]));
+  return dir;
+}
+
+const qsVulnerabilities = [{ fileName: 'qs:6.5.1', name: 'qs', version: '6.5.1', vulnerabilities: [{ name: 'GHSA-hrpp-h998-j3pp', cvss: 7.5, fixedVersion: '6.5.3' }] }];
+
+test('weighs each fix by the paths step6 counted, not only the listed ones', async (t) => {
+  const dir = writeProject(t, {
+    packageJson: { name: 'app', version: '1.0.0', dependencies: { express: '^4.16.0' } },
+    step1: { name: 'app', version: '1.0.0', dependencies: { express: { version: '4.16.3', path: 'node_modules/express', dependencies: { qs: { version: '6.5.1', path: 'node_modules/qs' } } } } },
+    step5: qsVulnerabilities,
+    step6: { paths: [['express@4.16.3', 'qs@6.5.1']], vulnerabilityExposure: { 'qs@6.5.1': 5 }, pathCount: 5, maxPaths: 1, dependencies: {} }
+  });
+  const result = await step6b_planRemediation(dir, dir, { registryProvider });
+  assert.strictEqual(result.paths, 5);
+  assert.strictEqual(result.fixes.length, 1);
+  assert.deepStrictEqual({ kind: result.fixes[0].kind, to: result.fixes[0].to, paths: result.fixes[0].paths }, { kind: FixKind.IN_RANGE, to: '6.5.3', paths: 5 });
+});
+
+test('follows the path before within-project dependencies are collapsed', async (t) => {
+  // app -> a -> @app/w1 -> @app/w2 -> qs, which step6 simplifies to a -> @app/w2 -> qs; no version of a drops qs
+  const step1 = {
+    name: 'app', version: '1.0.0',
+    dependencies: { a: { version: '1.0.0', path: 'node_modules/a', dependencies: { '@app/w1': { version: '1.0.0', path: 'node_modules/@app/w1',
+      dependencies: { '@app/w2': { version: '1.0.0', path: 'node_modules/@app/w2', dependencies: { qs: { version: '6.5.1', path: 'node_modules/qs' } } } } } } } }
+  };
+  const step6 = constructPaths({
+    dependencyTree: step1,
+    devDependenciesData: { devDependencies: {}, packages: {} },
+    withinProjectData: { withinProjectDependencies: { '@app/w1': ['scope'], '@app/w2': ['scope'] } },
+    vulnerabilitiesData: qsVulnerabilities,
+    laggingDependenciesData: { laggingDependencies: {}, releaseInterval: {} }
+  });
+  assert.deepStrictEqual(step6.paths, [['a@1.0.0', '@app/w2@1.0.0', 'qs@6.5.1']]);
+  assert.deepStrictEqual(step6.pathInstallPaths, [['node_modules/a', 'node_modules/@app/w1', 'node_modules/@app/w2', 'node_modules/qs']]);
+
+  const dir = writeProject(t, { packageJson: { name: 'app', version: '1.0.0', dependencies: { a: '^1.0.0' } }, step1, step5: qsVulnerabilities, step6 });
+  const result = await step6b_planRemediation(dir, dir, { registryProvider });
+  assert.deepStrictEqual(result.fixes.map(({ kind, package: name, to }) => ({ kind, package: name, to })), [{ kind: FixKind.OVERRIDE, package: 'qs', to: '6.5.3' }]);
+  assert.deepStrictEqual(result.overrides, { qs: '6.5.3' });
+});
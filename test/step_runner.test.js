@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runSteps, readManifest, writeManifest, StepStatus } = require('../src/utils/step_runner');
+const { FailureCategory } = require('../src/utils/run_log');
+
+/**
+ * Build two steps: stepA copies the project file input.txt upper-cased, stepB counts the characters of the stepA output.
+ * @param runs - Collects the keys of the steps that ran.
+ * @param versions - The versions of stepA and stepB.
+ * @returns {Array} - The step definitions.
+ */
+function buildSteps(runs, versions = { stepA: 1, stepB: 1 }) {
+  const output = (outputDir, key, content) => fs.writeFileSync(path.join(outputDir, `${key}_output.json`), JSON.stringify(content));
+  return [
+    {
+      key: 'stepA', name: 'upper-case', version: versions.stepA, output: 'stepA_output.json',
+      inputs: projectPath => [path.join(projectPath, 'input.txt')],
+      run: (projectPath, outputDir) => {
+        runs.push('stepA');
+        output(outputDir, 'stepA', fs.readFileSync(path.join(projectPath, 'input.txt'), 'utf8').toUpperCase());
+      }
+    },
+    {
+      key: 'stepB', name: 'count', version: versions.stepB, output: 'stepB_output.json',
+      inputs: (projectPath, outputDir) => [path.join(outputDir, 'stepA_output.json')],
+      run: (projectPath, outputDir) => {
+        runs.push('stepB');
+        output(outputDir, 'stepB', JSON.parse(fs.readFileSync(path.join(outputDir, 'stepA_output.json'), 'utf8')).length);
+      }
+    }
+  ];
+}
+
+/**
+ * Create a project and an output directory, removed after the test.
+ * @param t - The test context.
+ * @returns {{projectPath: string, outputDir: string}}
+ */
+function createDirs(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vuln4real-steps-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const projectPath = path.join(dir, 'project');
+  const outputDir = path.join(dir, 'output');
+  fs.mkdirSync(projectPath);
+  fs.mkdirSync(outputDir);
+  fs.writeFileSync(path.join(projectPath, 'input.txt'), 'abc');
+  return { projectPath, outputDir };
+}
+
+test('reuses up-to-date outputs and reruns the steps downstream of a changed input', async (t) => {
+  const { projectPath, outputDir } = createDirs(t);
+  const runs = [];
+
+  assert.deepStrictEqual(await runSteps(buildSteps(runs), projectPath, outputDir), { succeeded: true, ran: ['stepA', 'stepB'], skipped: [], outputs: { stepA: undefined, stepB: undefined } });
+  const reused = await runSteps(buildSteps(runs), projectPath, outputDir);
+  assert.deepStrictEqual([reused.ran, reused.skipped], [[], ['stepA', 'stepB']]);
+
+  fs.writeFileSync(path.join(projectPath, 'input.txt'), 'abcd');
+  assert.deepStrictEqual((await runSteps(buildSteps(runs), projectPath, outputDir)).ran, ['stepA', 'stepB']);
+
+  // A new version of stepA reruns it, but stepB only reruns if the stepA output changed
+  assert.deepStrictEqual((await runSteps(buildSteps(runs, { stepA: 2, stepB: 1 }), projectPath, outputDir)).ran, ['stepA']);
+
+  // A hand-edited output is not trusted
+  fs.writeFileSync(path.join(outputDir, 'stepB_output.json'), '0');
+  assert.deepStrictEqual((await runSteps(buildSteps(runs, { stepA: 2, stepB: 1 }), projectPath, outputDir)).ran, ['stepB']);
+
+  assert.deepStrictEqual((await runSteps(buildSteps(runs, { stepA: 2, stepB: 1 }), projectPath, outputDir, { force: true })).ran, ['stepA', 'stepB']);
+  assert.strictEqual(fs.readFileSync(path.join(outputDir, 'stepB_output.json'), 'utf8'), '4');
+});
+
+test('reruns a step interrupted while running and fails on missing inputs', async (t) => {
+  const { projectPath, outputDir } = createDirs(t);
+  const runs = [];
+  await runSteps(buildSteps(runs), projectPath, outputDir);
+
+  const manifest = readManifest(outputDir);
+  manifest.steps.stepB.status = StepStatus.RUNNING;
+  writeManifest(outputDir, manifest);
+  assert.deepStrictEqual((await runSteps(buildSteps(runs), projectPath, outputDir)).ran, ['stepB']);
+
+  fs.rmSync(path.join(projectPath, 'input.txt'));
+  const results = [];
+  const result = await runSteps(buildSteps(runs), projectPath, outputDir, { onStepResult: (step, entry) => results.push(entry) });
+  assert.strictEqual(result.succeeded, false);
+  assert.strictEqual(readManifest(outputDir).steps.stepA.status, StepStatus.FAILED);
+  assert.strictEqual(results[0].error.category, FailureCategory.MISSING_INPUTS);
+  assert.deepStrictEqual(runs, ['stepA', 'stepB', 'stepB']);
+});
+
+test('ignores an unreadable manifest and reruns every step', async (t) => {
+  const { projectPath, outputDir } = createDirs(t);
+  const runs = [];
+  await runSteps(buildSteps(runs), projectPath, outputDir);
+  fs.writeFileSync(path.join(outputDir, 'manifest.json'), '{"steps": {"stepA"');
+
+  t.mock.method(console, 'warn', () => {});
+  assert.deepStrictEqual((await runSteps(buildSteps(runs), projectPath, outputDir)).ran, ['stepA', 'stepB']);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { getOutputDir } = require('../src/pipeline');
+const { collectVersionMetrics } = require('../src/commands/summarize');
+const { constructPaths } = require('../src/process_pipe/step6');
+const { DependencyScope } = require('../src/process_pipe/step2');
+const { writeStepOutput } = require('../src/utils/step_runner');
+
+// app -> express -> qs and app -> mocha (devDependency) -> qs, the same copy of qs, with mocha -> debug -> ms
+const dependencyTree = {
+  name: 'app',
+  version: '1.0.0',
+  dependencies: {
+    express: { version: '4.16.3', path: 'node_modules/express', dependencies: { qs: { version: '6.5.1', path: 'node_modules/qs' } } },
+    mocha: {
+      version: '5.0.0', path: 'node_modules/mocha',
+      dependencies: {
+        qs: { version: '6.5.1', path: 'node_modules/qs' },
+        debug: { version: '3.1.0', path: 'node_modules/debug', dependencies: { ms: { version: '2.0.0', path: 'node_modules/ms' } } }
+      }
+    }
+  }
+};
+
+const outputs = {
+  step1: dependencyTree,
+  step2: {
+    devDependencies: { mocha: '^5.0.0' },
+    packages: {
+      'node_modules/express': { scope: DependencyScope.PROD_ONLY },
+      'node_modules/qs': { scope: DependencyScope.BOTH },
+      'node_modules/mocha': { scope: DependencyScope.DEV_ONLY },
+      'node_modules/debug': { scope: DependencyScope.DEV_ONLY },
+      'node_modules/ms': { scope: DependencyScope.DEV_ONLY }
+    }
+  },
+  step3: { withinProjectDependencies: {} },
+  step4: { laggingDependencies: { debug: {} }, releaseInterval: { express: 30, qs: 10, debug: -1 } },
+  step5: [
+    { fileName: 'qs:6.5.1', name: 'qs', version: '6.5.1', vulnerabilities: [{ name: 'GHSA-hrpp-h998-j3pp', severity: 'HIGH', cvss: 7.5 }] },
+    { fileName: 'ms:2.0.0', name: 'ms', version: '2.0.0', vulnerabilities: [{ name: 'GHSA-w9mr-4mfr-499f', severity: 'MODERATE', cvss: null }] }
+  ]
+};
+
+test('collects the metrics of a scanned version from its step outputs', (t) => {
+  const library = `summarize-test-${process.pid}`;
+  const outputDir = getOutputDir(library, '1.0.0');
+  t.after(() => fs.rmSync(path.dirname(outputDir), { recursive: true, force: true }));
+  fs.mkdirSync(outputDir, { recursive: true });
+  for (const [key, output] of Object.entries(outputs)) writeStepOutput(outputDir, key, output);
+  writeStepOutput(outputDir, 'step6', constructPaths({
+    dependencyTree,
+    devDependenciesData: outputs.step2,
+    withinProjectData: outputs.step3,
+    vulnerabilitiesData: outputs.step5,
+    laggingDependenciesData: outputs.step4
+  }));
+
+  const collected = collectVersionMetrics(library, '1.0.0');
+  assert.deepStrictEqual(collected.metrics, {
+    library,
+    version: '1.0.0',
+    dependencies: 5,
+    directDependencies: 2,
+    transitiveDependencies: 3,
+    devOnlyDependencies: 3,
+    deployedDependencies: 2,
+    devOnlyRatio: 0.6,
+    vulnerableDependencies: 2,
+    directVulnerable: 0,
+    transitiveVulnerable: 2,
+    devOnlyVulnerable: 1,
+    devOnlyVulnerableRatio: 0.5,
+    laggingDependencies: 1,
+    paths: 3,
+    exposedDependencies: 2
+  });
+  assert.deepStrictEqual(collected.releaseIntervalDays.sort(), [10, 30]);
+  assert.deepStrictEqual(collected.cvss, [7.5]);
+  assert.deepStrictEqual(collected.exposure, [2, 1]);
+  assert.deepStrictEqual(collected.severities, { high: 1, medium: 1 });
+  assert.deepStrictEqual(collected.advisories, { 'GHSA-hrpp-h998-j3pp': 1, 'GHSA-w9mr-4mfr-499f': 1 });
+
+  assert.strictEqual(collectVersionMetrics(library, '2.0.0'), null);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { extractTarball } = require('../src/utils/tar_extract');
+const { parseIntegrity, verifyTarball, createTarballCache } = require('../src/utils/tarball_cache');
+
+/**
+ * Build a tar entry: a ustar header block followed by the content padded to whole blocks.
+ * @param name - The entry name, at most 100 bytes.
+ * @param content - The content of the entry.
+ * @param type - The entry type: 0 for a file, 5 for a directory, 2 for a symlink, x for a pax header.
+ * @returns {Buffer}
+ */
+function tarEntry(name, content = '', type = '0') {
+  const data = Buffer.from(content);
+  const header = Buffer.alloc(512);
+  header.write(name, 0);
+  header.write('0000644\0', 100);
+  header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+  header.write(type, 156);
+  header.write('ustar\0', 257);
+  return Buffer.concat([header, data, Buffer.alloc(Math.ceil(data.length / 512) * 512 - data.length)]);
+}
+
+/**
+ * Build a pax extended header giving the path of the next entry.
+ * @param value - The path.
+ * @returns {Buffer}
+ */
+function paxPath(value) {
+  const record = ` path=${value}\n`;
+  let length = record.length + 1;
+  while (`${length}${record}`.length !== length) length++;
+  return tarEntry('PaxHeader', `${length}${record}`, 'x');
+}
+
+/**
+ * Build a gzipped tarball of entries, ended by two zero blocks.
+ * @param entries - The tar entries.
+ * @returns {Buffer}
+ */
+function tarball(...entries) {
+  return zlib.gzipSync(Buffer.concat(entries.concat(Buffer.alloc(1024))));
+}
+
+/**
+ * Create a temporary directory, removed after the test.
+ * @param t - The test context.
+ * @returns {string}
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vuln4real-tarball-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('extracts files and directories under package/, with pax paths, and skips links', (t) => {
+  const destination = path.join(tempDir(t), 'lib');
+  const longName = `package/${'nested/'.repeat(20)}deep.js`;
+  const files = extractTarball(tarball(
+    tarEntry('package/', '', '5'),
+    tarEntry('package/package.json', '{"name":"lib"}'),
+    tarEntry('package/lib/index.js', 'module.exports = 1;\n'),
+    paxPath(longName),
+    tarEntry('package/truncated', 'deep'),
+    tarEntry('package/link', '', '2')
+  ), destination, { strip: 1 });
+
+  assert.strictEqual(files, 3);
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'package.json'), 'utf8'), '{"name":"lib"}');
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'lib', 'index.js'), 'utf8'), 'module.exports = 1;\n');
+  assert.strictEqual(fs.readFileSync(path.join(destination, ...longName.split('/').slice(1)), 'utf8'), 'deep');
+  assert.ok(!fs.existsSync(path.join(destination, 'truncated')));
+  assert.ok(!fs.existsSync(path.join(destination, 'link')));
+});
+
+test('refuses entries that would be written outside of the destination', (t) => {
+  const dir = tempDir(t);
+  const destination = path.join(dir, 'lib');
+  assert.throws(() => extractTarball(tarball(tarEntry('package/../../evil.js', 'pwned')), destination, { strip: 1 }), /Refusing to extract package\/\.\.\/\.\.\/evil\.js outside of/);
+  assert.throws(() => extractTarball(tarball(paxPath('package/a/../../../evil.js'), tarEntry('package/a.js', 'pwned')), destination, { strip: 1 }), /Refusing to extract/);
+  assert.ok(!fs.existsSync(path.join(dir, 'evil.js')));
+
+  // Absolute names stay inside the destination
+  extractTarball(tarball(tarEntry('/package/etc/passwd', 'root')), destination, { strip: 1 });
+  assert.strictEqual(fs.readFileSync(path.join(destination, 'etc', 'passwd'), 'utf8'), 'root');
+});
+
+test('verifies tarballs against their integrity and shasum before caching them', (t) => {
+  const content = tarball(tarEntry('package/index.js', 'module.exports = 1;\n'));
+  const integrity = `sha1-abc sha512-${crypto.createHash('sha512').update(content).digest('base64')}`;
+  const shasum = crypto.createHash('sha1').update(content).digest('hex');
+  assert.strictEqual(parseIntegrity(integrity).algorithm, 'sha512');
+
+  verifyTarball(content, { integrity, shasum });
+  verifyTarball(content, { shasum: shasum.toUpperCase() });
+  assert.throws(() => verifyTarball(Buffer.concat([content, Buffer.from('x')]), { integrity }), /^Error: Integrity mismatch: expected sha512/);
+  assert.throws(() => verifyTarball(content, { integrity, shasum: '0'.repeat(40) }), /Shasum mismatch/);
+  assert.throws(() => verifyTarball(content, {}), /neither an integrity nor a shasum/);
+
+  const cache = createTarballCache(tempDir(t));
+  assert.strictEqual(cache.readTarball('@scope/lib', '1.0.0'), null);
+  assert.throws(() => cache.writeTarball('@scope/lib', '1.0.0', Buffer.from('tampered'), { integrity }), /Integrity mismatch/);
+  cache.writeTarball('@scope/lib', '1.0.0', content, { tarball: 'https://registry.npmjs.org/lib.tgz', integrity, shasum });
+  assert.deepStrictEqual(cache.readTarball('@scope/lib', '1.0.0').content, content);
+
+  // A cached tarball modified on disk is not trusted
+  const { file } = JSON.parse(fs.readFileSync(path.join(cache.dir, 'packages', '@scope', 'lib@1.0.0.json'), 'utf8'));
+  fs.appendFileSync(path.join(cache.dir, file), 'x');
+  assert.throws(() => cache.readTarball('@scope/lib', '1.0.0'), /Integrity mismatch/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: delay } = require('timers/promises');
+const { createLimiter, runPool } = require('../src/utils/worker_pool');
+
+test('createLimiter runs at most concurrency tasks at once and passes their results through', async () => {
+  const limit = createLimiter(2);
+  let running = 0;
+  let maxRunning = 0;
+  const task = (value, ms) => async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await delay(ms);
+    running--;
+    if (value instanceof Error) throw value;
+    return value;
+  };
+
+  const results = await Promise.allSettled([
+    limit(task('a', 20)), limit(task(new Error('b failed'), 5)), limit(task('c', 5)), limit(task('d', 5))
+  ]);
+  assert.strictEqual(maxRunning, 2);
+  assert.deepStrictEqual(results.map(result => result.status === 'fulfilled' ? result.value : result.reason.message), ['a', 'b failed', 'c', 'd']);
+});
+
+test('runPool processes every item with bounded workers and reports the failed ones', async (t) => {
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vuln4real-pool-'));
+  t.after(() => fs.rmSync(logDir, { recursive: true, force: true }));
+  const workers = new Set();
+  const progress = [];
+  let running = 0;
+  let maxRunning = 0;
+
+  const result = await runPool([1, 2, 3, 4, 5], { concurrency: 2, logDir, cacheDir: '/cache', onProgress: entry => progress.push(entry) }, async (item, worker) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    workers.add(worker.npmCache);
+    console.log(`processing ${item}`);
+    await delay(5);
+    running--;
+    if (item === 4) throw new Error('item 4 failed');
+    return item !== 2;
+  });
+
+  assert.strictEqual(maxRunning, 2);
+  assert.deepStrictEqual(result, { done: 3, failed: [2, 4] });
+  assert.deepStrictEqual(Array.from(workers).sort(), ['/cache/worker-1', '/cache/worker-2']);
+  assert.strictEqual(progress.length, 5);
+  const last = progress[progress.length - 1];
+  assert.deepStrictEqual([last.done, last.failed, last.running, last.remaining, last.total], [3, 2, 0, 0, 5]);
+
+  // The console output of the tasks goes to the log file of the worker that ran them
+  const logs = ['worker-1.log', 'worker-2.log'].map(file => fs.readFileSync(path.join(logDir, file), 'utf8')).join('');
+  for (const item of [1, 2, 3, 4, 5]) assert.match(logs, new RegExp(`LOG processing ${item}\\n`));
+  assert.match(logs, /ERROR Error: item 4 failed/);
+});